@@ -0,0 +1,229 @@
+// admin.js - Support tools for the usernames in ADMIN_USERS: find users and
+// see how often they send updates, stop a session that is stuck on the map,
+// delete a user with everything stored about them, and system stats.
+const express = require('express');
+
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_SEARCH = 64;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Windows the update rates are given for
+const RATE_WINDOWS = { lastFiveMinutes: 5 * MINUTE, lastHour: 60 * MINUTE, lastDay: DAY };
+
+// ?limit and ?offset, or the 400 message
+function parsePage(query) {
+  const limit = query.limit === undefined ? PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `Limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'Offset must be a whole number, 0 or more' };
+  }
+  return { limit, offset };
+}
+
+const perMinute = (points, ms) => Math.round((points / (ms / MINUTE)) * 100) / 100;
+
+// stopTracking(userId) ends a session everywhere (cache, maps, stored flag)
+// and resolves once it is stored; revoke(userId) ends a deleted user's
+// tokens and open sockets; purgeHistory(userId) drops their queued points on every instance
+// and resolves to the stored points deleted; getLive(userId) is the cached
+// live entry, if any; stats() adds this instance's live numbers to /stats.
+// config: { activeWithin (seconds) }
+function createAdmin({ getStore, requireAdmin, circles, stopTracking, revoke, purgeHistory, getLive, stats, config }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  // The user or null, answering 404 itself
+  async function findUser(req, res) {
+    const user = await getStore().users.find(req.params.userId);
+    if (!user) res.status(404).json({ error: 'User not found' });
+    return user;
+  }
+
+  // Users by username or user id, tracking ones first, each with the points
+  // stored in the last hour
+  router.get('/users', async (req, res) => {
+    const { limit, offset, error } = parsePage(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const search = typeof req.query.search === 'string' ? req.query.search.trim().toLowerCase() : '';
+    if (search.length > MAX_SEARCH) {
+      return res.status(400).json({ error: `Search must be at most ${MAX_SEARCH} characters` });
+    }
+
+    try {
+      const store = getStore();
+      const { users, total } = await store.users.list({ search: search || null, limit, offset });
+      const counts = await store.history.countSince(Date.now() - RATE_WINDOWS.lastHour, {
+        userIds: users.map(user => user.userId)
+      });
+      const lastHour = new Map(counts.map(row => [row.userId, row.count]));
+
+      res.json({
+        users: users.map(user => ({
+          ...user,
+          live: Boolean(getLive(user.userId)?.isTracking),
+          updatesLastHour: lastHour.get(user.userId) || 0
+        })),
+        total,
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error('Admin user list error:', error);
+      res.status(500).json({ error: 'Failed to list users' });
+    }
+  });
+
+  // One user: circles, share links and update rates
+  router.get('/users/:userId', async (req, res) => {
+    try {
+      const user = await findUser(req, res);
+      if (!user) return;
+
+      const store = getStore();
+      const now = Date.now();
+      const [userCircles, links, ...counts] = await Promise.all([
+        store.circles.listForUser(user.userId),
+        store.sharing.links(user.userId),
+        ...Object.values(RATE_WINDOWS).map(ms => store.history.countSince(now - ms, { userIds: [user.userId] }))
+      ]);
+
+      const rates = {};
+      Object.entries(RATE_WINDOWS).forEach(([name, ms], i) => {
+        const points = counts[i][0]?.count || 0;
+        rates[name] = { points, perMinute: perMinute(points, ms) };
+      });
+
+      const live = getLive(user.userId);
+      res.json({
+        user: {
+          ...user,
+          live: Boolean(live?.isTracking),
+          liveLastSeen: live?.lastSeen ? new Date(live.lastSeen).toISOString() : null
+        },
+        circles: userCircles.map(({ id, name, role, memberCount }) => ({ id, name, role, memberCount })),
+        shareLinks: links.length,
+        rates
+      });
+    } catch (error) {
+      console.error('Admin user error:', error);
+      res.status(500).json({ error: 'Failed to load user' });
+    }
+  });
+
+  // Ends the user's session the way their own stop would: off every map,
+  // tracking flag cleared, tracking.stopped sent
+  router.post('/users/:userId/stop', async (req, res) => {
+    try {
+      const user = await findUser(req, res);
+      if (!user) return;
+
+      await stopTracking(user.userId);
+      console.log(`🛑 ${req.user.username} stopped tracking for ${user.userId}`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Admin stop error:', error);
+      res.status(500).json({ error: 'Failed to stop tracking' });
+    }
+  });
+
+  // Deletes the user: account, circle memberships (ownership passes on as
+  // when they leave), sharing settings and links, retention policy, geofence
+  // events and location history. Tokens already issued stop working.
+  router.delete('/users/:userId', async (req, res) => {
+    if (req.params.userId === req.userId) {
+      return res.status(400).json({ error: 'You cannot delete your own account here' });
+    }
+
+    try {
+      const user = await findUser(req, res);
+      if (!user) return;
+
+      const store = getStore();
+      const { userId } = user;
+      await stopTracking(userId);
+
+      for (const circleId of await store.circles.idsForUser(userId)) {
+        await circles.removeMember(store, circleId, userId);
+      }
+
+      await store.transaction(async (tx) => {
+        await tx.accounts.delete(userId);
+        await tx.sharing.removeUser(userId);
+        await tx.retention.remove('user', userId);
+        await tx.geofences.deleteUserEvents(userId);
+        await tx.users.delete(userId);
+      });
+      revoke(userId);
+
+      // Queued points first, so none are written after the history is gone
+      const historyDeleted = await purgeHistory(userId);
+
+      console.log(`🗑️  ${req.user.username} deleted user ${userId} (${user.username || 'no account'}, ${historyDeleted} history points)`);
+      res.json({ success: true, historyDeleted });
+    } catch (error) {
+      console.error('Admin delete error:', error);
+      res.status(500).json({ error: 'Failed to delete user' });
+    }
+  });
+
+  // Users storing the most points within ?window= seconds (default an hour)
+  router.get('/rates', async (req, res) => {
+    const window = req.query.window === undefined ? 3600 : Number(req.query.window);
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(window) || window < 60 || window > DAY / 1000 * 7) {
+      return res.status(400).json({ error: 'Window must be a whole number of seconds from 60 to 604800' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Limit must be a whole number from 1 to 100' });
+    }
+
+    try {
+      const store = getStore();
+      const rows = await store.history.countSince(Date.now() - window * 1000, { limit });
+      const accounts = await Promise.all(rows.map(row => store.accounts.findById(row.userId)));
+
+      res.json({
+        window,
+        users: rows.map((row, i) => ({
+          userId: row.userId,
+          username: accounts[i]?.username ?? null,
+          points: row.count,
+          perMinute: perMinute(row.count, window * 1000)
+        }))
+      });
+    } catch (error) {
+      console.error('Admin rates error:', error);
+      res.status(500).json({ error: 'Failed to load update rates' });
+    }
+  });
+
+  // Stored user counts plus this instance's live numbers
+  router.get('/stats', async (req, res) => {
+    try {
+      const store = getStore();
+      const [summary, active] = await Promise.all([
+        store.users.summary(),
+        store.users.countActive(config.activeWithin)
+      ]);
+
+      res.json({
+        users: { ...summary, active },
+        ...stats()
+      });
+    } catch (error) {
+      console.error('Admin stats error:', error);
+      res.status(500).json({ error: 'Failed to load stats' });
+    }
+  });
+
+  return { router };
+}
+
+module.exports = { createAdmin };
@@ -0,0 +1,188 @@
+// auth.js - Account registration, login and token verification
+const crypto = require('crypto');
+const { promisify } = require('util');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { MembershipCache } = require('./circles');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const PASSWORD_MIN = 8;
+const PASSWORD_MAX = 128;
+
+// Passwords are stored as scrypt$<salt>$<hash>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function generateUserId() {
+  return `user_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-32 characters (letters, numbers, . _ -)';
+  }
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN || password.length > PASSWORD_MAX) {
+    return `Password must be ${PASSWORD_MIN}-${PASSWORD_MAX} characters`;
+  }
+  return null;
+}
+
+// cluster (optional) tells the other instances about deleted accounts
+function createAuth({ getStore, secret, tokenTtl, admins = [], cluster }) {
+  // Whether a token's account still exists, so a deleted user's tokens stop
+  // working before they expire
+  const accounts = new MembershipCache({ cluster, channel: 'cache:accounts' });
+
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  JWT_SECRET not set, using a random secret (sessions reset on restart)');
+  }
+
+  // Checked instead when the username doesn't exist, so unknown and known
+  // usernames take as long to refuse
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  function issueToken(account) {
+    return jwt.sign({ username: account.username }, secret, {
+      subject: account.userId,
+      expiresIn: tokenTtl
+    });
+  }
+
+  // Resolves to the acting user, or null for a missing/invalid token or one
+  // whose account has been deleted
+  async function verifyToken(token) {
+    if (!token) return null;
+    let payload;
+    try {
+      payload = jwt.verify(token, secret);
+    } catch {
+      return null;
+    }
+
+    const exists = await accounts.get(payload.sub, async () => Boolean(await getStore().accounts.findById(payload.sub)));
+    return exists ? { userId: payload.sub, username: payload.username } : null;
+  }
+
+  // After an account is deleted, on every instance
+  function revoke(userId) {
+    accounts.delete(userId);
+  }
+
+  async function requireAuth(req, res, next) {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+    let user;
+    try {
+      user = await verifyToken(token);
+    } catch (error) {
+      console.error('Token check error:', error);
+      return res.status(500).json({ error: 'Failed to check session' });
+    }
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    req.userId = user.userId;
+    next();
+  }
+
+  const isAdmin = (user) => admins.includes(user.username);
+
+  // requireAuth, limited to the usernames in ADMIN_USERS
+  function requireAdmin(req, res, next) {
+    requireAuth(req, res, () => {
+      if (!isAdmin(req.user)) {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      next();
+    });
+  }
+
+  function session(account) {
+    return {
+      token: issueToken(account),
+      user: { userId: account.userId, username: account.username }
+    };
+  }
+
+  const router = express.Router();
+
+  router.post('/register', async (req, res) => {
+    const { username, password } = req.body;
+
+    const invalid = validateCredentials(username, password);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    try {
+      const store = getStore();
+      const account = {
+        userId: generateUserId(),
+        username: username.toLowerCase()
+      };
+
+      await store.accounts.create({ ...account, passwordHash: await hashPassword(password) });
+      await store.users.register(account.userId);
+
+      res.status(201).json(session(account));
+    } catch (error) {
+      if (error.code === 'DUPLICATE') {
+        return res.status(409).json({ error: 'Username already taken' });
+      }
+      console.error('Account register error:', error);
+      res.status(500).json({ error: 'Registration failed' });
+    }
+  });
+
+  router.post('/login', async (req, res) => {
+    const { username, password } = req.body;
+
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Username and password required' });
+    }
+
+    try {
+      const store = getStore();
+      const account = await store.accounts.findByUsername(username.toLowerCase());
+
+      const valid = await verifyPassword(password, account ? account.passwordHash : await dummyHash);
+      if (!account || !valid) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      store.accounts.touchLogin(account.userId)
+        .catch(err => console.error('Login timestamp error:', err.message));
+
+      res.json(session(account));
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  });
+
+  router.get('/me', requireAuth, async (req, res) => {
+    res.json({ user: { ...req.user, isAdmin: isAdmin(req.user) } });
+  });
+
+  return { router, requireAuth, requireAdmin, verifyToken, revoke };
+}
+
+module.exports = { createAuth, hashPassword, verifyPassword };
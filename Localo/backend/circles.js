@@ -0,0 +1,310 @@
+// circles.js - Circles (groups) that scope who can see whom
+const crypto = require('crypto');
+const express = require('express');
+
+const ROLES = ['owner', 'member'];
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_LENGTH = 8;
+
+function generateInviteCode() {
+  const bytes = crypto.randomBytes(INVITE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += INVITE_ALPHABET[byte % INVITE_ALPHABET.length];
+  }
+  return code;
+}
+
+// Small TTL cache for membership lookups on the hot path (updates, broadcasts).
+// With a cluster, deletes are published on `channel` so the other instances
+// drop their copy too instead of serving it until it expires.
+class MembershipCache {
+  constructor({ ttl = 30000, cluster = null, channel = null } = {}) {
+    this.entries = new Map();
+    this.ttl = ttl;
+    this.cluster = cluster;
+    this.channel = channel;
+    cluster?.subscribe(channel, ({ key }) => this.entries.delete(key));
+  }
+
+  async get(key, load) {
+    const item = this.entries.get(key);
+    if (item && Date.now() - item.timestamp < this.ttl) {
+      return item.data;
+    }
+
+    const data = await load();
+    this.entries.set(key, { data, timestamp: Date.now() });
+    return data;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+    this.cluster?.publish(this.channel, { key });
+  }
+}
+
+// cluster (optional) keeps the membership caches of all instances in step
+function createCircles({ getStore, requireAuth, cluster, onMembershipChange = () => {} }) {
+  const userCircles = new MembershipCache({ cluster, channel: 'cache:user-circles' });
+  const circleMembers = new MembershipCache({ cluster, channel: 'cache:circle-members' });
+
+  function invalidate(circleId, userId) {
+    circleMembers.delete(String(circleId));
+    if (userId) userCircles.delete(userId);
+  }
+
+  // Circle ids the user belongs to
+  async function getUserCircleIds(userId) {
+    return userCircles.get(userId, () => getStore().circles.idsForUser(userId));
+  }
+
+  // Member user ids of a circle
+  async function getMemberIds(circleId) {
+    return circleMembers.get(String(circleId), async () => {
+      const members = await getStore().circles.members(circleId);
+      return members.map(member => member.userId);
+    });
+  }
+
+  async function isMember(circleId, userId) {
+    const members = await getMemberIds(circleId);
+    return members.includes(userId);
+  }
+
+  // Everyone the user shares at least one circle with (including themselves)
+  async function getCoMemberIds(userId) {
+    const circleIds = await getUserCircleIds(userId);
+    const coMembers = new Set([userId]);
+    for (const circleId of circleIds) {
+      for (const memberId of await getMemberIds(circleId)) {
+        coMembers.add(memberId);
+      }
+    }
+    return coMembers;
+  }
+
+  async function sharesCircle(userId, otherUserId) {
+    if (userId === otherUserId) return true;
+    const coMembers = await getCoMemberIds(userId);
+    return coMembers.has(otherUserId);
+  }
+
+  // 'owner', 'member' or null for non-members
+  async function getMemberRole(circleId, userId) {
+    return getStore().circles.role(circleId, userId);
+  }
+
+  async function addMember(store, circleId, userId, role) {
+    await store.circles.addMember(circleId, userId, role);
+    invalidate(circleId, userId);
+    onMembershipChange(userId, circleId, true);
+  }
+
+  // Takes userId out of the circle, handing ownership on if needed (leaving,
+  // or an admin deleting the user)
+  async function removeMember(store, circleId, userId) {
+    await store.circles.removeMember(circleId, userId);
+    invalidate(circleId, userId);
+    onMembershipChange(userId, circleId, false);
+
+    // Keep the circle owned, or drop it once empty
+    if (await store.circles.countOwners(circleId) > 0) return;
+
+    const next = await store.circles.oldestMember(circleId);
+    if (next) {
+      await store.circles.setRole(circleId, next, 'owner');
+    } else {
+      await store.circles.delete(circleId);
+    }
+  }
+
+  // Resolves the store and the caller's role, or answers the request itself
+  async function withRole(req, res, requiredRole) {
+    const store = getStore();
+    const circleId = parseInt(req.params.circleId);
+    const role = Number.isInteger(circleId) ? await store.circles.role(circleId, req.userId) : null;
+
+    if (!role) {
+      res.status(404).json({ error: 'Circle not found' });
+      return null;
+    }
+    if (requiredRole && role !== requiredRole) {
+      res.status(403).json({ error: `Only a circle ${requiredRole} can do that` });
+      return null;
+    }
+
+    return { store, circleId, role };
+  }
+
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // List my circles
+  router.get('/', async (req, res) => {
+    try {
+      const circles = await getStore().circles.listForUser(req.userId);
+      res.json({ circles });
+    } catch (error) {
+      console.error('List circles error:', error);
+      res.status(500).json({ error: 'Failed to fetch circles' });
+    }
+  });
+
+  // Create a circle (creator becomes owner)
+  router.post('/', async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    if (!name || name.length > 64) {
+      return res.status(400).json({ error: 'Circle name must be 1-64 characters' });
+    }
+
+    try {
+      const store = getStore();
+      const inviteCode = generateInviteCode();
+      const id = await store.circles.create({ name, inviteCode, createdBy: req.userId });
+      await addMember(store, id, req.userId, 'owner');
+
+      res.status(201).json({
+        circle: { id, name, role: 'owner', inviteCode, memberCount: 1 }
+      });
+    } catch (error) {
+      console.error('Create circle error:', error);
+      res.status(500).json({ error: 'Failed to create circle' });
+    }
+  });
+
+  // Accept an invite
+  router.post('/join', async (req, res) => {
+    const code = typeof req.body.code === 'string' ? req.body.code.trim().toUpperCase() : '';
+
+    if (code.length !== INVITE_LENGTH) {
+      return res.status(400).json({ error: 'Invalid invite code' });
+    }
+
+    try {
+      const store = getStore();
+      const circle = await store.circles.findByInvite(code);
+
+      if (!circle) {
+        return res.status(404).json({ error: 'Invite code not found' });
+      }
+
+      await addMember(store, circle.id, req.userId, 'member');
+      const role = await store.circles.role(circle.id, req.userId);
+
+      res.json({ circle: { id: circle.id, name: circle.name, role } });
+    } catch (error) {
+      console.error('Join circle error:', error);
+      res.status(500).json({ error: 'Failed to join circle' });
+    }
+  });
+
+  // Members of a circle (members only)
+  router.get('/:circleId/members', async (req, res) => {
+    try {
+      const ctx = await withRole(req, res);
+      if (!ctx) return;
+
+      const members = await ctx.store.circles.members(ctx.circleId);
+      res.json({ members });
+    } catch (error) {
+      console.error('List members error:', error);
+      res.status(500).json({ error: 'Failed to fetch members' });
+    }
+  });
+
+  // Rotate the invite code (old links stop working)
+  router.post('/:circleId/invite', async (req, res) => {
+    try {
+      const ctx = await withRole(req, res, 'owner');
+      if (!ctx) return;
+
+      const inviteCode = generateInviteCode();
+      await ctx.store.circles.setInvite(ctx.circleId, inviteCode);
+
+      res.json({ inviteCode });
+    } catch (error) {
+      console.error('Rotate invite error:', error);
+      res.status(500).json({ error: 'Failed to rotate invite code' });
+    }
+  });
+
+  // Leave a circle
+  router.post('/:circleId/leave', async (req, res) => {
+    try {
+      const ctx = await withRole(req, res);
+      if (!ctx) return;
+
+      await removeMember(ctx.store, ctx.circleId, req.userId);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Leave circle error:', error);
+      res.status(500).json({ error: 'Failed to leave circle' });
+    }
+  });
+
+  // Change a member's role (owners only)
+  router.patch('/:circleId/members/:memberId', async (req, res) => {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    try {
+      const ctx = await withRole(req, res, 'owner');
+      if (!ctx) return;
+
+      const { memberId } = req.params;
+      if (!(await ctx.store.circles.role(ctx.circleId, memberId))) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+
+      if (role === 'member') {
+        const owners = await ctx.store.circles.countOwners(ctx.circleId);
+        if (owners <= 1 && memberId === req.userId) {
+          return res.status(400).json({ error: 'A circle needs at least one owner' });
+        }
+      }
+
+      await ctx.store.circles.setRole(ctx.circleId, memberId, role);
+      res.json({ success: true, userId: memberId, role });
+    } catch (error) {
+      console.error('Update role error:', error);
+      res.status(500).json({ error: 'Failed to update role' });
+    }
+  });
+
+  // Remove a member (owners only)
+  router.delete('/:circleId/members/:memberId', async (req, res) => {
+    try {
+      const ctx = await withRole(req, res, 'owner');
+      if (!ctx) return;
+
+      const { memberId } = req.params;
+      if (!(await ctx.store.circles.role(ctx.circleId, memberId))) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+
+      await removeMember(ctx.store, ctx.circleId, memberId);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Remove member error:', error);
+      res.status(500).json({ error: 'Failed to remove member' });
+    }
+  });
+
+  return {
+    router,
+    removeMember,
+    getUserCircleIds,
+    getMemberIds,
+    getCoMemberIds,
+    isMember,
+    sharesCircle,
+    getMemberRole
+  };
+}
+
+module.exports = { createCircles, MembershipCache };
@@ -0,0 +1,196 @@
+// cluster.js - What server instances have to share when several run behind
+// a load balancer: messages between them (live cache changes, Socket.IO
+// fan-out) and locks, so jobs meant to run once only run on one of them.
+//
+// Adapters implement:
+//   kind                      'local' or 'redis'
+//   id                        this instance, random per process
+//   publish(channel, message) to the other instances (JSON-serializable)
+//   subscribe(channel, fn)    fn(message) for messages from the other instances
+//   acquire(name, ttl)        true when this instance holds the lock for the
+//                             next ttl ms (taken, or extended if already held)
+//   release(name)
+//   socketAdapter()           Socket.IO adapter, or null for the default one
+//   close()
+// LocalCluster is a single process. RedisCluster (CLUSTER_REDIS_URL) works
+// with anything speaking the Redis protocol: Redis, Valkey, KeyDB, Dragonfly.
+const crypto = require('crypto');
+
+// Takes the lock when it is free, extends it when we already hold it
+const ACQUIRE_SCRIPT = `
+if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then return 1 end
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  return 1
+end
+return 0`;
+
+// Deletes the lock only while we hold it
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0`;
+
+// No other instances: nothing to tell, every lock is ours
+class LocalCluster {
+  constructor() {
+    this.kind = 'local';
+    this.id = crypto.randomUUID();
+  }
+
+  publish() {}
+
+  subscribe() {}
+
+  async acquire() {
+    return true;
+  }
+
+  async release() {}
+
+  socketAdapter() {
+    return null;
+  }
+
+  async close() {}
+}
+
+class RedisCluster {
+  constructor({ redisUrl, prefix }) {
+    // Required lazily so single-process setups don't need the client
+    const Redis = require('ioredis');
+    this.kind = 'redis';
+    this.id = crypto.randomUUID();
+    this.prefix = prefix;
+    this.handlers = new Map();
+
+    // Subscribed connections can't run commands, so messages come in on
+    // their own connection (and Socket.IO gets two more). Commands fail
+    // after a few retries while the server is away, but subscriptions and
+    // Socket.IO's traffic wait for it to come back.
+    this.clients = [];
+    this.pub = this.connect(new Redis(redisUrl, { maxRetriesPerRequest: 3 }));
+    this.sub = this.connect(this.pub.duplicate({ maxRetriesPerRequest: null }));
+    this.sub.on('message', (channel, raw) => this.receive(channel, raw));
+  }
+
+  // ioredis reconnects by itself; errors are only logged
+  connect(client) {
+    client.on('error', err => console.error('Cluster connection error:', err.message));
+    this.clients.push(client);
+    return client;
+  }
+
+  key(name) {
+    return `${this.prefix}:${name}`;
+  }
+
+  receive(channel, raw) {
+    const handlers = this.handlers.get(channel);
+    if (!handlers) return;
+    try {
+      const { from, message } = JSON.parse(raw);
+      if (from === this.id) return;
+      handlers.forEach(handler => handler(message));
+    } catch (error) {
+      console.error('Cluster message error:', error.message);
+    }
+  }
+
+  publish(channel, message) {
+    this.pub.publish(this.key(channel), JSON.stringify({ from: this.id, message }))
+      .catch(err => console.error('Cluster publish error:', err.message));
+  }
+
+  subscribe(channel, handler) {
+    const key = this.key(channel);
+    if (!this.handlers.has(key)) {
+      this.handlers.set(key, []);
+      this.sub.subscribe(key).catch(err => console.error('Cluster subscribe error:', err.message));
+    }
+    this.handlers.get(key).push(handler);
+  }
+
+  async acquire(name, ttl) {
+    return await this.pub.eval(ACQUIRE_SCRIPT, 1, this.key(`lock:${name}`), this.id, ttl) === 1;
+  }
+
+  async release(name) {
+    await this.pub.eval(RELEASE_SCRIPT, 1, this.key(`lock:${name}`), this.id);
+  }
+
+  socketAdapter() {
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const waiting = { maxRetriesPerRequest: null };
+    return createAdapter(this.connect(this.pub.duplicate(waiting)), this.connect(this.pub.duplicate(waiting)), {
+      key: this.key('socket.io')
+    });
+  }
+
+  // Waiting connections would never get an answer to QUIT, so they are
+  // just dropped
+  async close() {
+    await Promise.all(this.clients.map(client => (client.status === 'ready'
+      ? client.quit().catch(() => client.disconnect())
+      : client.disconnect())));
+  }
+}
+
+// config: { redisUrl (none for a single process), prefix (keys and channels) }
+function createCluster(config) {
+  return config.redisUrl ? new RedisCluster(config) : new LocalCluster();
+}
+
+// Keeps trying to hold the lock `name`. While it does this instance is the
+// leader: onElected() runs when it gets the lock, onDemoted() when it loses it
+// or stops. The lock is renewed every third of `ttl`, so a leader that dies
+// is replaced within ttl.
+function createLeadership(cluster, name, { ttl, onElected, onDemoted }) {
+  let leader = false;
+  let timer = null;
+
+  function setLeader(held) {
+    if (held === leader) return;
+    leader = held;
+    if (held) {
+      console.log(`👑 Instance ${cluster.id} now runs the ${name} jobs`);
+      onElected();
+    } else {
+      console.log(`👑 Instance ${cluster.id} no longer runs the ${name} jobs`);
+      onDemoted();
+    }
+  }
+
+  // Without an answer we can't know whether another instance took over,
+  // so the jobs stop until the lock can be renewed
+  async function renew() {
+    try {
+      const held = await cluster.acquire(name, ttl);
+      if (timer) setLeader(held); // not if stopped meanwhile
+    } catch (error) {
+      console.error('Leader lock error:', error.message);
+      setLeader(false);
+    }
+  }
+
+  return {
+    isLeader: () => leader,
+
+    start() {
+      if (timer) return Promise.resolve();
+      timer = setInterval(renew, ttl / 3);
+      return renew();
+    },
+
+    // Steps down and hands the lock back, so another instance takes over
+    // right away instead of after ttl
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      if (!leader) return;
+      setLeader(false);
+      await cluster.release(name).catch(err => console.error('Leader lock error:', err.message));
+    }
+  };
+}
+
+module.exports = { createCluster, createLeadership, LocalCluster, RedisCluster };
@@ -0,0 +1,172 @@
+// exporters.js - Streams location history as GPX 1.1, KML or GeoJSON
+const { once } = require('events');
+const express = require('express');
+const { parseTimeRange, decodeCursor, queryHistory } = require('./history');
+
+const PAGE_SIZE = 5000;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const hasAddress = (point) => point.address && point.address !== 'Unknown';
+
+// Each formatter writes a document in three steps: start, one chunk per page
+// of points (with the last point of the previous page), and end. Nothing
+// needs the whole track in memory.
+const FORMATS = {
+  gpx: {
+    contentType: 'application/gpx+xml',
+    create: () => ({
+      start: (meta) =>
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<gpx version="1.1" creator="Localo" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+        `  <metadata><name>${escapeXml(meta.name)}</name><time>${meta.generatedAt}</time></metadata>\n` +
+        `  <trk><name>${escapeXml(meta.name)}</name><trkseg>\n`,
+      chunk: (points) => points.map(p =>
+        `    <trkpt lat="${p.location.lat}" lon="${p.location.lng}">` +
+        (p.location.altitude != null ? `<ele>${p.location.altitude}</ele>` : '') +
+        `<time>${p.trackedAt}</time>` +
+        (hasAddress(p) ? `<desc>${escapeXml(p.address)}</desc>` : '') +
+        '</trkpt>\n'
+      ).join(''),
+      end: () => '  </trkseg></trk>\n</gpx>\n'
+    })
+  },
+
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    // Timestamped point placemarks plus one path segment per page, joined
+    // to the previous page so the line has no gaps
+    create: () => ({
+      start: (meta) =>
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n' +
+        `  <name>${escapeXml(meta.name)}</name>\n` +
+        '  <Style id="track"><LineStyle><color>fff65c8b</color><width>4</width></LineStyle></Style>\n',
+      chunk: (points, previous) => {
+        const fixes = points.map(p =>
+          `  <Placemark><TimeStamp><when>${p.trackedAt}</when></TimeStamp>` +
+          (hasAddress(p) ? `<description>${escapeXml(p.address)}</description>` : '') +
+          `<Point><coordinates>${p.location.lng},${p.location.lat}</coordinates></Point></Placemark>\n`
+        ).join('');
+
+        const line = previous ? [previous, ...points] : points;
+        const path = line.length < 2 ? '' :
+          `  <Placemark><name>Track</name><styleUrl>#track</styleUrl><TimeSpan>` +
+          `<begin>${line[0].trackedAt}</begin><end>${line[line.length - 1].trackedAt}</end></TimeSpan>` +
+          '<LineString><tessellate>1</tessellate><coordinates>' +
+          line.map(p => `${p.location.lng},${p.location.lat}`).join(' ') +
+          '</coordinates></LineString></Placemark>\n';
+
+        return path + fixes;
+      },
+      end: () => '</Document>\n</kml>\n'
+    })
+  },
+
+  geojson: {
+    contentType: 'application/geo+json',
+    create: () => {
+      let first = true;
+      return {
+        start: (meta) =>
+          `{"type":"FeatureCollection","name":${JSON.stringify(meta.name)},"features":[\n`,
+        chunk: (points) => points.map(p => {
+          const feature = JSON.stringify({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [p.location.lng, p.location.lat] },
+            properties: { trackedAt: p.trackedAt, address: hasAddress(p) ? p.address : null }
+          });
+          const line = (first ? '' : ',\n') + feature;
+          first = false;
+          return line;
+        }).join(''),
+        end: () => '\n]}\n'
+      };
+    }
+  }
+};
+
+// Writes respecting backpressure; false once the client has gone away
+async function write(res, data) {
+  if (!data || res.destroyed) return !res.destroyed;
+  if (!res.write(data)) {
+    // Abort drops whichever listener lost, so they don't pile up on res
+    const waiting = new AbortController();
+    const { signal } = waiting;
+    await Promise.race([once(res, 'drain', { signal }), once(res, 'close', { signal })]);
+    waiting.abort();
+  }
+  return !res.destroyed;
+}
+
+function createExports({ getStore, requireAuth, sharing }) {
+  const router = express.Router();
+
+  // GET /api/history/:userId/export?format=gpx|kml|geojson&from=&to=
+  router.get('/:userId/export', requireAuth, async (req, res) => {
+    const { userId } = req.params;
+    const format = String(req.query.format || 'gpx').toLowerCase();
+    const range = parseTimeRange(req.query);
+
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    try {
+      if (!(await sharing.canViewHistory(req.userId, userId))) {
+        return res.status(403).json({ error: 'Not allowed to view this history' });
+      }
+    } catch (error) {
+      console.error('Export error:', error);
+      return res.status(500).json({ error: 'Export failed' });
+    }
+
+    const day = range.from.toISOString().slice(0, 10);
+    const filename = `localo-${userId}-${day}.${format}`.replace(/[^\w.-]/g, '_');
+    const formatter = FORMATS[format].create();
+    const meta = {
+      name: `Localo track ${userId} ${range.from.toISOString()} – ${range.to.toISOString()}`,
+      generatedAt: new Date().toISOString()
+    };
+
+    res.set({
+      'Content-Type': `${FORMATS[format].contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      if (!(await write(res, formatter.start(meta)))) return;
+
+      let cursor = null;
+      let previous = null;
+      do {
+        const page = await queryHistory(getStore(), { userId, from: range.from, to: range.to, cursor, limit: PAGE_SIZE });
+        if (page.points.length === 0) break;
+
+        if (!(await write(res, formatter.chunk(page.points, previous)))) return;
+        previous = page.points[page.points.length - 1];
+        cursor = decodeCursor(page.nextCursor);
+      } while (cursor);
+
+      await write(res, formatter.end(meta));
+      res.end();
+    } catch (error) {
+      // Headers are already out; cut the stream so the client sees a failure
+      console.error('Export stream error:', error);
+      res.destroy(error);
+    }
+  });
+
+  return { router };
+}
+
+module.exports = { createExports, FORMATS };
@@ -0,0 +1,138 @@
+// fixes.js - Cleaning up incoming GPS fixes before they are cached or stored:
+// the optional detail fields a device reports, dropping fixes that are too
+// inaccurate, and smoothing out jitter with a simple Kalman filter.
+
+const DETAILS = ['accuracy', 'altitude', 'heading', 'speed'];
+
+const orNull = (value) => (Number.isFinite(value) ? value : null);
+
+// The detail fields of a fix or a stored row, null where missing
+const fixDetails = (source) => Object.fromEntries(DETAILS.map(key => [key, source?.[key] ?? null]));
+
+// { lat, lng } plus accuracy (m), altitude (m), heading (degrees) and speed
+// (m/s), each null when missing or nonsense. Expects a validated location.
+function readFix(location) {
+  const accuracy = orNull(location.accuracy);
+  const heading = orNull(location.heading);
+  const speed = orNull(location.speed);
+  return {
+    lat: location.lat,
+    lng: location.lng,
+    accuracy: accuracy !== null && accuracy >= 0 ? accuracy : null,
+    altitude: orNull(location.altitude),
+    heading: heading !== null && heading >= 0 && heading <= 360 ? heading : null,
+    speed: speed !== null && speed >= 0 ? speed : null
+  };
+}
+
+// The reason a fix is too inaccurate to use, or null. Fixes that don't
+// report an accuracy pass.
+function accuracyError(location, maxAccuracy) {
+  const { accuracy } = readFix(location);
+  if (accuracy === null || accuracy <= maxAccuracy) return null;
+  return `Location dropped: accuracy ${Math.round(accuracy)} m is worse than ${maxAccuracy} m`;
+}
+
+// One track's filter. The estimate's uncertainty grows with the distance the
+// device may have moved since the last fix (processNoise m/s, or the speed it
+// reports if higher) and each fix pulls the estimate towards it in proportion
+// to how accurate it claims to be.
+class KalmanFilter {
+  constructor({ processNoise, defaultAccuracy }) {
+    this.processNoise = processNoise;
+    this.defaultAccuracy = defaultAccuracy;
+    this.state = null;
+  }
+
+  // The fix with its position replaced by the new estimate; `at` in ms
+  update(fix, at) {
+    const accuracy = Math.max(fix.accuracy ?? this.defaultAccuracy, 1);
+
+    if (!this.state || at < this.state.at) {
+      this.state = { lat: fix.lat, lng: fix.lng, variance: accuracy ** 2, at };
+      return fix;
+    }
+
+    const seconds = (at - this.state.at) / 1000;
+    const noise = Math.max(this.processNoise, fix.speed ?? 0);
+    const variance = this.state.variance + (noise * seconds) ** 2;
+    const gain = variance / (variance + accuracy ** 2);
+
+    this.state = {
+      lat: this.state.lat + gain * (fix.lat - this.state.lat),
+      lng: this.state.lng + gain * (fix.lng - this.state.lng),
+      variance: (1 - gain) * variance,
+      at
+    };
+    return { ...fix, lat: this.state.lat, lng: this.state.lng };
+  }
+}
+
+// Live filters per user. A user quiet for longer than `ttl` starts over from
+// their next fix. With a cluster, each filter's new state is published, so
+// fixes landing on different instances are smoothed as one track.
+class FixSmoother {
+  constructor(options, { ttl = 10 * 60 * 1000, cluster = null } = {}) {
+    this.options = options;
+    this.ttl = ttl;
+    this.filters = new Map();
+    this.cluster = cluster;
+    cluster?.subscribe('smoother', ({ userId, state }) => this.restore(userId, state));
+  }
+
+  smooth(userId, fix, at = Date.now()) {
+    let filter = this.filters.get(userId);
+    if (!filter || at - filter.state.at > this.ttl) {
+      filter = new KalmanFilter(this.options);
+      this.filters.set(userId, filter);
+    }
+    const smoothed = filter.update(fix, at);
+    this.cluster?.publish('smoother', { userId, state: filter.state });
+    return smoothed;
+  }
+
+  // Continues the user's filter from a state another instance published
+  restore(userId, state) {
+    const filter = new KalmanFilter(this.options);
+    filter.state = state;
+    this.filters.set(userId, filter);
+  }
+
+  // After a stop the next session starts from its first fix. Stops reach
+  // every instance already, so this isn't published.
+  forget(userId) {
+    this.filters.delete(userId);
+  }
+
+  size() {
+    return this.filters.size;
+  }
+
+  // Drops filters quiet for longer than ttl; returns the count
+  sweep(now = Date.now()) {
+    let removed = 0;
+    for (const [userId, filter] of this.filters) {
+      if (now - filter.state.at > this.ttl) {
+        this.filters.delete(userId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+// A whole track ({ location, trackedAt } items in time order) through a fresh
+// filter, for fixes replayed after the fact
+function smoothTrack(items, options) {
+  const filter = new KalmanFilter(options);
+  return items.map(item => ({ ...item, location: filter.update(item.location, item.trackedAt) }));
+}
+
+module.exports = {
+  fixDetails,
+  readFix,
+  accuracyError,
+  KalmanFilter,
+  FixSmoother,
+  smoothTrack
+};
@@ -0,0 +1,96 @@
+// geo.js - Small geometry helpers shared by the location features
+const EARTH_RADIUS_M = 6371000;
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+// Great-circle distance in meters
+function haversine(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Ray casting on lat/lng; fine for fences a few km across
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+function isValidCoordinate(point) {
+  return Number.isFinite(point?.lat) && Number.isFinite(point?.lng) &&
+    Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+}
+
+// { west, south, east, north } around a circle of `radius` meters. west > east
+// when the box crosses the antimeridian.
+function boundingBox(center, radius) {
+  const dLat = radius / EARTH_RADIUS_M * 180 / Math.PI;
+  const south = center.lat - dLat;
+  const north = center.lat + dLat;
+  if (south <= -90 || north >= 90) {
+    return { west: -180, south: Math.max(south, -90), east: 180, north: Math.min(north, 90) };
+  }
+
+  const ratio = Math.sin(radius / EARTH_RADIUS_M) / Math.cos(toRadians(center.lat));
+  if (ratio >= 1) {
+    return { west: -180, south, east: 180, north };
+  }
+
+  const dLng = Math.asin(ratio) * 180 / Math.PI;
+  const wrap = (lng) => (lng < -180 ? lng + 360 : lng > 180 ? lng - 360 : lng);
+  return { west: wrap(center.lng - dLng), south, east: wrap(center.lng + dLng), north };
+}
+
+function inBbox(point, { west, south, east, north }) {
+  if (point.lat < south || point.lat > north) return false;
+  return west <= east
+    ? point.lng >= west && point.lng <= east
+    : point.lng >= west || point.lng <= east;
+}
+
+// Longitude ranges of a bbox, split in two when it crosses the antimeridian
+function lngRanges({ west, east }) {
+  return west <= east ? [[west, east]] : [[west, 180], [-180, east]];
+}
+
+// Users (with .location) within `radius` meters, nearest first, with their
+// distance in meters
+function nearest(users, center, radius, limit = Infinity) {
+  return users
+    .map(user => ({ ...user, distance: Math.round(haversine(center, user.location)) }))
+    .filter(user => user.distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+}
+
+// Rules for an incoming fix (live update or import); returns the reason or null
+function validateLocation(location) {
+  if (!Number.isFinite(location?.lat) || !Number.isFinite(location?.lng)) {
+    return 'Invalid data';
+  }
+  if (Math.abs(location.lat) > 90 || Math.abs(location.lng) > 180) {
+    return 'Invalid coordinates';
+  }
+  return null;
+}
+
+module.exports = {
+  EARTH_RADIUS_M,
+  haversine,
+  pointInPolygon,
+  isValidCoordinate,
+  boundingBox,
+  inBbox,
+  lngRanges,
+  nearest,
+  validateLocation
+};
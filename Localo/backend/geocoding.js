@@ -0,0 +1,223 @@
+// geocoding.js - Reverse geocoding on the server: positions to addresses
+// through a pluggable provider, cached in the database per rounded position
+// and throttled so a public service's usage policy is kept.
+//
+// Providers implement reverse({ lat, lng }) -> address, or null when there is
+// nothing there, and throw when the service fails. Answers (null included)
+// are cached; failures are not.
+const fs = require('fs');
+const readline = require('readline');
+const { isValidCoordinate } = require('./geo');
+const { GridIndex } = require('./spatial');
+
+const RECENT_SIZE = 1000; // cells kept in memory in front of the table
+
+async function getJson(url, { timeout, headers = {} }) {
+  const response = await fetch(url, {
+    headers: { 'Accept': 'application/json', ...headers },
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+  return response.json();
+}
+
+// Nominatim, the public instance (one request per second from an identified
+// client) or a self-hosted one
+function nominatimProvider({ url = 'https://nominatim.openstreetmap.org', userAgent, language, timeout }) {
+  return {
+    async reverse({ lat, lng }) {
+      const data = await getJson(`${url}/reverse?format=jsonv2&lat=${lat}&lon=${lng}&zoom=16`, {
+        timeout,
+        headers: { 'User-Agent': userAgent, 'Accept-Language': language }
+      });
+      return data.display_name || null;
+    }
+  };
+}
+
+// Photon (https://github.com/komoot/photon), usually self-hosted
+function photonProvider({ url = 'https://photon.komoot.io', userAgent, language, timeout }) {
+  return {
+    async reverse({ lat, lng }) {
+      const data = await getJson(`${url}/reverse?lat=${lat}&lon=${lng}&lang=${language}`, {
+        timeout,
+        headers: { 'User-Agent': userAgent }
+      });
+      const props = data.features?.[0]?.properties;
+      if (!props) return null;
+
+      const street = [props.street, props.housenumber].filter(Boolean).join(' ');
+      const city = [props.postcode, props.city].filter(Boolean).join(' ');
+      const parts = [props.name, street, city, props.country].filter(Boolean);
+      return [...new Set(parts)].join(', ') || null;
+    }
+  };
+}
+
+// Pelias (https://pelias.io), self-hosted or a hosted API with apiKey
+function peliasProvider({ url, apiKey, userAgent, language, timeout }) {
+  if (!url) throw new Error('GEOCODER_URL is required for pelias');
+  return {
+    async reverse({ lat, lng }) {
+      const key = apiKey ? `&api_key=${encodeURIComponent(apiKey)}` : '';
+      const data = await getJson(`${url}/v1/reverse?point.lat=${lat}&point.lon=${lng}&size=1&lang=${language}${key}`, {
+        timeout,
+        headers: { 'User-Agent': userAgent }
+      });
+      return data.features?.[0]?.properties?.label || null;
+    }
+  };
+}
+
+// Nearest place within maxDistance meters from a GeoNames dump (citiesNNN.txt
+// or a country file from download.geonames.org/export/dump), read into memory
+// on first use. Only gives "Place, CC", but needs no network at all.
+function offlineProvider({ dataset, maxDistance }) {
+  if (!dataset) throw new Error('GEOCODER_DATASET is required for offline geocoding');
+
+  let loading = null;
+  async function load() {
+    const index = new GridIndex();
+    const names = new Map();
+    const lines = readline.createInterface({ input: fs.createReadStream(dataset), crlfDelay: Infinity });
+    for await (const line of lines) {
+      const columns = line.split('\t');
+      const point = { lat: parseFloat(columns[4]), lng: parseFloat(columns[5]) };
+      if (!columns[1] || !isValidCoordinate(point)) continue;
+
+      index.set(columns[0], point);
+      names.set(columns[0], columns[8] ? `${columns[1]}, ${columns[8]}` : columns[1]);
+    }
+    console.log(`🗺️  Loaded ${names.size} places for offline geocoding`);
+    return { index, names };
+  }
+
+  return {
+    local: true,
+    async reverse(location) {
+      loading = loading || load().catch(error => {
+        loading = null;
+        throw error;
+      });
+      const { index, names } = await loading;
+      const [closest] = index.nearby(location, maxDistance);
+      return closest ? names.get(closest.id) : null;
+    }
+  };
+}
+
+const PROVIDERS = {
+  nominatim: nominatimProvider,
+  photon: photonProvider,
+  pelias: peliasProvider,
+  offline: offlineProvider
+};
+
+// config: { provider ('none' turns geocoding off), url, apiKey, dataset,
+// maxDistance, userAgent, language, timeout, precision (decimals of the
+// cache key), cacheTtl, interval (ms between provider requests), maxPending }
+function createGeocoder({ getStore, config }) {
+  if (config.provider !== 'none' && !Object.hasOwn(PROVIDERS, config.provider)) {
+    throw new Error(`Unknown geocoder '${config.provider}' (expected ${Object.keys(PROVIDERS).join(', ')} or none)`);
+  }
+  const provider = config.provider === 'none' ? null : PROVIDERS[config.provider](config);
+
+  const recent = new Map(); // cell -> address, oldest first
+  const pending = new Map(); // cell -> promise of its address
+  const queue = []; // provider requests waiting for their turn
+  let lastRequest = 0;
+  let draining = false;
+
+  const cellKey = ({ lat, lng }) => `${lat.toFixed(config.precision)},${lng.toFixed(config.precision)}`;
+
+  function remember(key, address) {
+    recent.delete(key);
+    recent.set(key, address);
+    if (recent.size > RECENT_SIZE) recent.delete(recent.keys().next().value);
+  }
+
+  // One provider request at a time, `interval` apart
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    while (queue.length > 0) {
+      const wait = provider.local ? 0 : lastRequest + config.interval - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+      const { location, resolve, reject } = queue.shift();
+      lastRequest = Date.now();
+      await provider.reverse(location).then(resolve, reject);
+    }
+    draining = false;
+  }
+
+  // Urgent requests (live positions) jump the queue; the rest are skipped
+  // (undefined) once maxPending are waiting
+  function request(location, urgent) {
+    if (!urgent && queue.length >= config.maxPending) return Promise.resolve(undefined);
+
+    return new Promise((resolve, reject) => {
+      const job = { location, resolve, reject };
+      if (urgent) queue.unshift(job);
+      else queue.push(job);
+      drain();
+    });
+  }
+
+  async function resolveCell(key, location, urgent) {
+    const store = getStore();
+    const cached = await store.geocodes.get(key, Date.now() - config.cacheTtl);
+    if (cached) {
+      remember(key, cached.address);
+      return cached.address;
+    }
+    if (!provider) return null;
+
+    const address = await request(location, urgent);
+    if (address === undefined) return null;
+
+    const trimmed = address?.substring(0, 512) || null;
+    remember(key, trimmed);
+    await store.geocodes.put(key, trimmed, config.provider, Date.now());
+    return trimmed;
+  }
+
+  return {
+    cellKey,
+
+    // Address already known in this process, else null. Never waits.
+    peek(location) {
+      return recent.get(cellKey(location)) ?? null;
+    },
+
+    // Address for a position, or null when unknown or the lookup failed.
+    // Never throws.
+    lookup(location, { urgent = false } = {}) {
+      const key = cellKey(location);
+      if (recent.has(key)) return Promise.resolve(recent.get(key));
+      if (pending.has(key)) return pending.get(key);
+
+      const promise = resolveCell(key, location, urgent)
+        .catch(error => {
+          console.error('Geocoding error:', error.message);
+          return null;
+        })
+        .finally(() => pending.delete(key));
+      pending.set(key, promise);
+      return promise;
+    },
+
+    // Drops cached addresses older than cacheTtl; returns the count
+    sweep(now = Date.now()) {
+      return getStore().geocodes.purge(now - config.cacheTtl);
+    },
+
+    // Cells remembered in memory, lookups in flight and provider requests
+    // waiting for their turn
+    stats() {
+      return { provider: config.provider, recent: recent.size, pending: pending.size, queued: queue.length };
+    }
+  };
+}
+
+module.exports = { createGeocoder };
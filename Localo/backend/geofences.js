@@ -0,0 +1,267 @@
+// geofences.js - Named places per circle with ENTER/EXIT detection
+const express = require('express');
+const { haversine, pointInPolygon, isValidCoordinate } = require('./geo');
+
+const SHAPES = ['circle', 'polygon'];
+const RADIUS_MIN = 10;
+const RADIUS_MAX = 50000;
+const POLYGON_MAX_POINTS = 100;
+const EVENTS_LIMIT = 500;
+
+function contains(fence, point) {
+  if (fence.shape === 'circle') {
+    return haversine(fence.center, point) <= fence.radius;
+  }
+  return pointInPolygon(point, fence.points);
+}
+
+// Returns { fence } or { error } for a create/update body
+function parseFence(body) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 64) {
+    return { error: 'Place name must be 1-64 characters' };
+  }
+  if (!SHAPES.includes(body.shape)) {
+    return { error: `Shape must be one of: ${SHAPES.join(', ')}` };
+  }
+
+  if (body.shape === 'circle') {
+    const radius = Math.round(Number(body.radius));
+    if (!isValidCoordinate(body.center)) {
+      return { error: 'Invalid center coordinates' };
+    }
+    if (!(radius >= RADIUS_MIN && radius <= RADIUS_MAX)) {
+      return { error: `Radius must be ${RADIUS_MIN}-${RADIUS_MAX} meters` };
+    }
+    return {
+      fence: { name, shape: 'circle', center: { lat: body.center.lat, lng: body.center.lng }, radius, points: null }
+    };
+  }
+
+  const points = Array.isArray(body.points) ? body.points : [];
+  if (points.length < 3 || points.length > POLYGON_MAX_POINTS) {
+    return { error: `A polygon needs 3-${POLYGON_MAX_POINTS} points` };
+  }
+  if (!points.every(isValidCoordinate)) {
+    return { error: 'Invalid polygon coordinates' };
+  }
+  return {
+    fence: { name, shape: 'polygon', center: null, radius: null, points: points.map(p => ({ lat: p.lat, lng: p.lng })) }
+  };
+}
+
+// cluster (optional) clears edited circles' fences on every instance
+function createGeofences({ getStore, requireAuth, circles, sharing, cluster, onEvent = () => {} }) {
+  // Fences per circle, refreshed on edit or after a minute
+  const fenceCache = new Map();
+  const FENCE_TTL = 60000;
+
+  cluster?.subscribe('cache:geofences', ({ circleId }) => fenceCache.delete(circleId));
+
+  function invalidate(circleId) {
+    fenceCache.delete(circleId);
+    cluster?.publish('cache:geofences', { circleId });
+  }
+
+  async function getCircleFences(store, circleIds) {
+    const now = Date.now();
+    const missing = circleIds.filter(id => {
+      const item = fenceCache.get(id);
+      return !item || now - item.timestamp > FENCE_TTL;
+    });
+
+    if (missing.length > 0) {
+      const fences = await store.geofences.listByCircles(missing);
+      for (const id of missing) {
+        fenceCache.set(id, { fences: [], timestamp: now });
+      }
+      for (const fence of fences) {
+        fenceCache.get(fence.circleId).fences.push(fence);
+      }
+    }
+
+    return circleIds.flatMap(id => fenceCache.get(id)?.fences || []);
+  }
+
+  // Compare the previous and current position against the user's fences.
+  // `previous` comes from the location cache; when that has expired we fall
+  // back to the last position stored on the users row. Only circles that see
+  // the user's exact position are checked, as ENTER/EXIT would reveal it.
+  async function detect(userId, previous, current) {
+    const store = getStore();
+    const circleIds = await sharing.exactCircleIds(userId);
+    if (circleIds.length === 0) return [];
+
+    const fences = await getCircleFences(store, circleIds);
+    if (fences.length === 0) return [];
+
+    if (!previous) {
+      previous = await store.users.lastPosition(userId);
+      if (!previous) return [];
+    }
+
+    const events = [];
+    for (const fence of fences) {
+      const wasInside = contains(fence, previous);
+      const isInside = contains(fence, current);
+      if (wasInside === isInside) continue;
+
+      events.push({
+        geofenceId: fence.id,
+        geofenceName: fence.name,
+        circleId: fence.circleId,
+        userId,
+        event: isInside ? 'ENTER' : 'EXIT',
+        location: { lat: current.lat, lng: current.lng },
+        occurredAt: new Date().toISOString()
+      });
+    }
+
+    if (events.length > 0) {
+      await store.geofences.insertEvents(events);
+      events.forEach(onEvent);
+    }
+
+    return events;
+  }
+
+  // Loads a fence and checks the caller may see it (and edit it, if asked)
+  async function loadFence(req, res, { edit = false } = {}) {
+    const store = getStore();
+    const fence = await store.geofences.get(parseInt(req.params.id) || 0);
+    const role = fence ? await circles.getMemberRole(fence.circleId, req.userId) : null;
+
+    if (!role) {
+      res.status(404).json({ error: 'Place not found' });
+      return null;
+    }
+    if (edit && role !== 'owner' && fence.createdBy !== req.userId) {
+      res.status(403).json({ error: 'Only the creator or a circle owner can change this place' });
+      return null;
+    }
+
+    return { store, fence };
+  }
+
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // Places in a circle
+  router.get('/', async (req, res) => {
+    const circleId = parseInt(req.query.circleId);
+
+    try {
+      if (!(await circles.isMember(circleId, req.userId))) {
+        return res.status(404).json({ error: 'Circle not found' });
+      }
+
+      const geofences = await getStore().geofences.listByCircles([circleId]);
+      res.json({ geofences });
+    } catch (error) {
+      console.error('List geofences error:', error);
+      res.status(500).json({ error: 'Failed to fetch places' });
+    }
+  });
+
+  // ENTER/EXIT log for a circle, newest first
+  router.get('/events', async (req, res) => {
+    const circleId = parseInt(req.query.circleId);
+    const limit = Math.min(parseInt(req.query.limit) || 100, EVENTS_LIMIT);
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ error: 'Invalid from/to timestamp' });
+    }
+
+    try {
+      if (!(await circles.isMember(circleId, req.userId))) {
+        return res.status(404).json({ error: 'Circle not found' });
+      }
+
+      const events = await getStore().geofences.events({
+        circleId,
+        geofenceId: req.query.geofenceId ? parseInt(req.query.geofenceId) || 0 : null,
+        userId: req.query.userId || null,
+        from,
+        to,
+        limit
+      });
+
+      res.json({ events, count: events.length });
+    } catch (error) {
+      console.error('Geofence events error:', error);
+      res.status(500).json({ error: 'Failed to fetch place events' });
+    }
+  });
+
+  // Create a place in one of my circles
+  router.post('/', async (req, res) => {
+    const circleId = parseInt(req.body.circleId);
+    const { fence, error } = parseFence(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      if (!(await circles.isMember(circleId, req.userId))) {
+        return res.status(404).json({ error: 'Circle not found' });
+      }
+
+      const id = await getStore().geofences.create(circleId, fence, req.userId);
+      invalidate(circleId);
+
+      res.status(201).json({
+        geofence: { id, circleId, ...fence, createdBy: req.userId }
+      });
+    } catch (error) {
+      console.error('Create geofence error:', error);
+      res.status(500).json({ error: 'Failed to create place' });
+    }
+  });
+
+  // Edit name, shape or geometry
+  router.put('/:id', async (req, res) => {
+    const { fence, error } = parseFence(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const ctx = await loadFence(req, res, { edit: true });
+      if (!ctx) return;
+
+      await ctx.store.geofences.update(ctx.fence.id, fence);
+      invalidate(ctx.fence.circleId);
+
+      res.json({
+        geofence: { id: ctx.fence.id, circleId: ctx.fence.circleId, ...fence, createdBy: ctx.fence.createdBy }
+      });
+    } catch (error) {
+      console.error('Update geofence error:', error);
+      res.status(500).json({ error: 'Failed to update place' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const ctx = await loadFence(req, res, { edit: true });
+      if (!ctx) return;
+
+      // Past events are kept (they carry the place name) as an arrival log
+      await ctx.store.geofences.delete(ctx.fence.id);
+      invalidate(ctx.fence.circleId);
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Delete geofence error:', error);
+      res.status(500).json({ error: 'Failed to delete place' });
+    }
+  });
+
+  return { router, detect };
+}
+
+module.exports = { createGeofences };
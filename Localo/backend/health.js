@@ -0,0 +1,146 @@
+// health.js - Probes for the orchestrator and diagnostics for admins.
+// /healthz answers as long as the process runs. /readyz answers 200 only
+// while this instance can do its work: the configured database answers, its
+// schema is current, the history queue isn't backed up and it isn't shutting
+// down. /api/admin/diagnostics shows what is behind those answers.
+const express = require('express');
+const { recentErrors } = require('./logger');
+
+// Rejects when `promise` takes longer than ms, so a hung database fails the
+// probe instead of stalling it
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// A section of the diagnostics that may fail on its own
+const attempt = (fn) => Promise.resolve().then(fn).catch(error => ({ error: error.message }));
+
+// config: { storage (the configured kind), maxQueueDepth, timeout (ms per
+// check) }. describe() adds what only the server knows (cluster, caches,
+// connections).
+function createHealth({ getStore, requireAdmin, historyBatcher, describe, config }) {
+  let draining = false;
+
+  // { ready, checks: { name: { ok, ... } } }
+  async function readiness() {
+    const store = getStore();
+    const checks = {};
+
+    if (draining) {
+      checks.shutdown = { ok: false, error: 'Shutting down' };
+    }
+
+    if (!store) {
+      checks.database = { ok: false, error: 'Storage is not initialized' };
+    } else {
+      checks.database = await withTimeout(store.ping(), config.timeout)
+        .then(() => ({ ok: true, storage: store.kind }))
+        .catch(error => ({ ok: false, storage: store.kind, error: error.message }));
+      if (checks.database.ok && store.kind !== config.storage) {
+        checks.database = { ok: false, storage: store.kind, error: `Running on the in-memory fallback instead of ${config.storage}` };
+      }
+
+      checks.migrations = store.migrator
+        ? await withTimeout(store.migrator.status(), config.timeout)
+          .then(migrations => {
+            const pending = migrations.filter(m => !m.appliedAt).map(m => m.id);
+            return pending.length > 0
+              ? { ok: false, pending, error: `${pending.length} pending migration(s)` }
+              : { ok: true, pending };
+          })
+          .catch(error => ({ ok: false, error: error.message }))
+        : { ok: true, pending: [] };
+    }
+
+    const { depth } = historyBatcher.stats();
+    checks.historyQueue = depth < config.maxQueueDepth
+      ? { ok: true, depth, max: config.maxQueueDepth }
+      : { ok: false, depth, max: config.maxQueueDepth, error: 'History queue is backed up' };
+
+    return { ready: Object.values(checks).every(check => check.ok), checks };
+  }
+
+  const router = express.Router();
+
+  // Liveness: the event loop turns, nothing else is checked
+  router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.floor(process.uptime()) });
+  });
+
+  // Readiness: 503 while any check fails
+  router.get('/readyz', async (req, res) => {
+    try {
+      const { ready, checks } = await readiness();
+      res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+    } catch (error) {
+      console.error('Readiness error:', error);
+      res.status(503).json({ status: 'not ready', error: error.message });
+    }
+  });
+
+  const adminRouter = express.Router();
+  adminRouter.use(requireAdmin);
+
+  // Everything at once; each section reports its own error
+  adminRouter.get('/', async (req, res) => {
+    try {
+      const store = getStore();
+      const [ready, migrations, partitions] = await Promise.all([
+        readiness(),
+        attempt(() => (store?.migrator ? withTimeout(store.migrator.status(), config.timeout) : [])),
+        attempt(async () => (store ? {
+          partitioned: store.partitions.partitioned,
+          list: await withTimeout(store.partitions.list(), config.timeout)
+        } : null))
+      ]);
+      const memory = process.memoryUsage();
+
+      res.json({
+        generatedAt: new Date().toISOString(),
+        ...ready,
+        process: {
+          pid: process.pid,
+          node: process.version,
+          uptime: Math.floor(process.uptime()),
+          memory: {
+            rss: memory.rss,
+            heapUsed: memory.heapUsed,
+            heapTotal: memory.heapTotal,
+            external: memory.external
+          }
+        },
+        storage: {
+          configured: config.storage,
+          kind: store?.kind || null,
+          pool: store?.pool() ?? null
+        },
+        migrations,
+        partitions,
+        historyQueue: historyBatcher.stats(),
+        ...describe(),
+        recentErrors: recentErrors()
+      });
+    } catch (error) {
+      console.error('Diagnostics error:', error);
+      res.status(500).json({ error: 'Failed to collect diagnostics' });
+    }
+  });
+
+  return {
+    router,
+    adminRouter,
+    readiness,
+
+    // From now on /readyz fails, so the load balancer stops sending traffic
+    // while the server winds down
+    drain() {
+      draining = true;
+    }
+  };
+}
+
+module.exports = { createHealth };
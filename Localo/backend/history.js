@@ -0,0 +1,120 @@
+// history.js - Time-range reads over the stored location history
+const { fixDetails } = require('./fixes');
+
+const DEFAULT_SPAN = 24 * 60 * 60 * 1000; // last 24 hours
+const FUTURE_SLACK = 5 * 60 * 1000; // tolerate small client clock skew
+const MAX_TIMESTAMP = Date.UTC(2038, 0, 19); // end of MySQL TIMESTAMP range
+
+// from/to accept ISO strings or epoch milliseconds. Returns { from, to } as
+// Dates, or { error } for unparseable or inverted ranges.
+function parseTimeRange(query, defaultSpan = DEFAULT_SPAN) {
+  const parse = (value) => {
+    if (value === undefined || value === '') return null;
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    return isNaN(date) ? undefined : date;
+  };
+
+  const to = parse(query.to);
+  const from = parse(query.from);
+
+  if (to === undefined || from === undefined) {
+    return { error: 'from/to must be ISO timestamps or epoch milliseconds' };
+  }
+
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - defaultSpan);
+
+  if (start >= end) {
+    return { error: 'from must be before to' };
+  }
+
+  return { from: start, to: end };
+}
+
+// A point's own time: ISO string, or epoch seconds / milliseconds. Returns ms or null.
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const n = Number(text);
+    return n < 1e11 ? n * 1000 : n;
+  }
+  const ms = Date.parse(text);
+  return isNaN(ms) ? null : ms;
+}
+
+// Why a client-supplied time can't be stored as tracked_at, or null
+function validateTrackedAt(ms) {
+  if (ms === null || !Number.isFinite(ms)) return 'Missing or invalid timestamp';
+  if (ms <= 0 || ms >= MAX_TIMESTAMP || ms > Date.now() + FUTURE_SLACK) return 'Timestamp out of range';
+  return null;
+}
+
+// Identity of a fix for dedupe: same time and position means same point
+const pointKey = (ms, lat, lng) => `${Math.round(ms)}:${Number(lat).toFixed(6)}:${Number(lng).toFixed(6)}`;
+
+// Keys of the stored points in the time span covered by points ({ trackedAt })
+async function loadStoredKeys(store, userId, points) {
+  const keys = new Set();
+  if (points.length === 0) return keys;
+
+  const first = points.reduce((min, p) => Math.min(min, p.trackedAt), Infinity);
+  const last = points.reduce((max, p) => Math.max(max, p.trackedAt), -Infinity);
+  const stored = await store.history.pointsBetween(userId, first, last);
+  stored.forEach(point => keys.add(pointKey(point.trackedAt, point.lat, point.lng)));
+  return keys;
+}
+
+// Keyset cursor over (tracked_at, id) so pages stay stable while rows arrive
+function encodeCursor(point) {
+  return Buffer.from(`${point.trackedAt}:${point.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  const [ms, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  if (!/^\d+$/.test(ms || '') || !/^\d+$/.test(id || '')) return undefined;
+  return { trackedAt: Number(ms), id: Number(id) };
+}
+
+function rowToPoint(point) {
+  return {
+    location: {
+      lat: point.lat,
+      lng: point.lng,
+      ...fixDetails(point)
+    },
+    address: point.address,
+    trackedAt: new Date(point.trackedAt).toISOString()
+  };
+}
+
+// One page of a user's history in [from, to), oldest first
+async function queryHistory(store, { userId, from, to, cursor, limit }) {
+  const rows = await store.history.page({
+    userId,
+    from: from.getTime(),
+    to: to.getTime(),
+    after: cursor,
+    limit: limit + 1
+  });
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    points: page.map(rowToPoint),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+module.exports = {
+  parseTimeRange,
+  parseTimestamp,
+  validateTrackedAt,
+  pointKey,
+  loadStoredKeys,
+  decodeCursor,
+  queryHistory,
+  rowToPoint
+};
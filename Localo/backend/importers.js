@@ -0,0 +1,254 @@
+// importers.js - Bulk import of GPX, GeoJSON and CSV tracks into the location history
+const express = require('express');
+const { validateLocation } = require('./geo');
+const { parseTimestamp, validateTrackedAt, pointKey, loadStoredKeys } = require('./history');
+
+const FORMATS = ['gpx', 'geojson', 'csv'];
+const MAX_POINTS = 50000;
+const MAX_UPLOAD = '20mb';
+const SAMPLE_LIMIT = 20; // rejected rows echoed back as examples
+
+// Parsed points are { lat, lng, time, address, ref } where time is whatever
+// the file held and ref says where it came from (for the rejection report)
+
+const decodeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+  .replace(/&amp;/g, '&')
+  .trim();
+
+const xmlChild = (body, tag) => {
+  const match = body.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+const xmlAttr = (attrs, name) => {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+};
+
+// Track, route and waypoints; GPX is flat enough that a scan for the point
+// elements is all we need
+function parseGpx(text) {
+  const points = [];
+  const pattern = /<(trkpt|rtept|wpt)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [, tag, attrs, body = ''] = match;
+    points.push({
+      lat: Number(xmlAttr(attrs, 'lat')),
+      lng: Number(xmlAttr(attrs, 'lon')),
+      time: xmlChild(body, 'time'),
+      address: xmlChild(body, 'desc') || xmlChild(body, 'name'),
+      ref: `${tag} ${points.length + 1}`
+    });
+  }
+  return points;
+}
+
+// Point features with a time property, and (Multi)LineStrings with the
+// coordTimes property most converters write
+function parseGeoJson(text) {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features || []
+    : data.type === 'Feature' ? [data]
+      : [{ type: 'Feature', geometry: data, properties: {} }];
+
+  const points = [];
+  features.forEach((feature, f) => {
+    const geometry = feature?.geometry || {};
+    const props = feature?.properties || {};
+    const time = props.time ?? props.timestamp ?? props.trackedAt ?? props.tracked_at;
+    const address = props.address || props.name || null;
+
+    const fromCoords = (coords, times, ref) => coords.forEach((c, i) => points.push({
+      lat: Number(c?.[1]),
+      lng: Number(c?.[0]),
+      time: times?.[i] ?? null,
+      address,
+      ref: `feature ${f + 1}${ref} point ${i + 1}`
+    }));
+
+    switch (geometry.type) {
+      case 'Point':
+        fromCoords([geometry.coordinates], [time], '');
+        break;
+      case 'MultiPoint':
+        fromCoords(geometry.coordinates || [], props.coordTimes, '');
+        break;
+      case 'LineString':
+        fromCoords(geometry.coordinates || [], props.coordTimes, '');
+        break;
+      case 'MultiLineString':
+        (geometry.coordinates || []).forEach((line, l) =>
+          fromCoords(line || [], props.coordTimes?.[l], ` line ${l + 1}`));
+        break;
+      default:
+        points.push({ lat: NaN, lng: NaN, time, address, ref: `feature ${f + 1}`, reason: 'Unsupported geometry' });
+    }
+  });
+  return points;
+}
+
+// lat,lng,timestamp[,address]. A header row is optional and may name the
+// columns in any order (latitude/longitude/lon/time/tracked_at also work).
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const split = (line) => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+  let columns = { lat: 0, lng: 1, time: 2, address: 3 };
+  let start = 0;
+  const first = split(lines[0] || '').map(cell => cell.toLowerCase());
+  if (!first.some(cell => cell !== '' && !isNaN(Number(cell)))) {
+    const find = (...names) => first.findIndex(cell => names.includes(cell));
+    columns = {
+      lat: find('lat', 'latitude'),
+      lng: find('lng', 'lon', 'long', 'longitude'),
+      time: find('timestamp', 'time', 'tracked_at', 'trackedat', 'date'),
+      address: find('address', 'name', 'description')
+    };
+    start = 1;
+  }
+
+  const points = [];
+  for (let i = start; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const cells = split(lines[i]);
+    const cell = (index) => (index >= 0 && cells[index] !== '' ? cells[index] : null);
+    points.push({
+      lat: Number(cell(columns.lat) ?? NaN),
+      lng: Number(cell(columns.lng) ?? NaN),
+      time: cell(columns.time),
+      address: cell(columns.address),
+      ref: `line ${i + 1}`
+    });
+  }
+  return points;
+}
+
+const PARSERS = { gpx: parseGpx, geojson: parseGeoJson, csv: parseCsv };
+
+// Explicit ?format= wins, then Content-Type, then a look at the content
+function detectFormat(req, text) {
+  const requested = String(req.query.format || '').toLowerCase();
+  if (requested) return requested === 'json' ? 'geojson' : requested;
+
+  const type = req.get('Content-Type') || '';
+  if (/gpx|xml/.test(type)) return 'gpx';
+  if (/json/.test(type)) return 'geojson';
+  if (/csv/.test(type)) return 'csv';
+
+  const head = text.trimStart().slice(0, 100);
+  if (head.startsWith('<')) return 'gpx';
+  if (head.startsWith('{')) return 'geojson';
+  return 'csv';
+}
+
+// fillAddress(userId, location, trackedAt) looks up the address of a stored
+// point that came without one, in the background
+function createImports({ getStore, requireAuth, historyBatcher, fillAddress }) {
+  const router = express.Router();
+
+  // Raw file body of any type (the app-wide JSON parser skips this route)
+  const rawBody = express.text({ type: () => true, limit: MAX_UPLOAD });
+
+  // POST /api/history/import?format=gpx|geojson|csv - imports into your own history
+  router.post('/import', requireAuth, rawBody, async (req, res) => {
+    const { userId } = req;
+    const text = typeof req.body === 'string' ? req.body : '';
+
+    if (!text.trim()) {
+      return res.status(400).json({ error: 'Upload a GPX, GeoJSON or CSV file as the request body' });
+    }
+
+    const format = detectFormat(req, text);
+    if (!PARSERS[format]) {
+      return res.status(400).json({ error: `Format must be one of: ${FORMATS.join(', ')}` });
+    }
+
+    let parsed;
+    try {
+      parsed = PARSERS[format](text);
+    } catch (error) {
+      return res.status(400).json({ error: `Could not parse ${format.toUpperCase()}: ${error.message}` });
+    }
+
+    if (parsed.length === 0) {
+      return res.status(400).json({ error: `No points found in ${format.toUpperCase()} file` });
+    }
+
+    const reasons = {};
+    const samples = [];
+    const reject = (point, reason) => {
+      reasons[reason] = (reasons[reason] || 0) + 1;
+      if (samples.length < SAMPLE_LIMIT) samples.push({ ref: point.ref, reason });
+    };
+
+    // Validate with the same rules as live updates
+    const valid = [];
+    for (const point of parsed) {
+      const trackedAt = parseTimestamp(point.time);
+      const invalid = point.reason || validateLocation(point) || validateTrackedAt(trackedAt);
+
+      if (invalid) {
+        reject(point, invalid);
+      } else if (valid.length >= MAX_POINTS) {
+        reject(point, `Over the ${MAX_POINTS} point import limit`);
+      } else {
+        valid.push({ ...point, trackedAt });
+      }
+    }
+
+    try {
+      // Dedupe within the file and against what is already stored
+      const seen = await loadStoredKeys(getStore(), userId, valid);
+
+      const accepted = [];
+      for (const point of valid) {
+        const key = pointKey(point.trackedAt, point.lat, point.lng);
+        if (seen.has(key)) {
+          reject(point, 'Duplicate of an existing point');
+          continue;
+        }
+        seen.add(key);
+        accepted.push({
+          userId,
+          location: { lat: point.lat, lng: point.lng },
+          address: point.address?.substring(0, 512) || null,
+          trackedAt: point.trackedAt
+        });
+      }
+
+      accepted.sort((a, b) => a.trackedAt - b.trackedAt);
+      await historyBatcher.write(accepted);
+      accepted
+        .filter(item => !item.address)
+        .forEach(item => fillAddress(userId, item.location, item.trackedAt));
+
+      console.log(`📥 Imported ${accepted.length}/${parsed.length} ${format} points for ${userId}`);
+
+      res.json({
+        success: true,
+        format,
+        total: parsed.length,
+        accepted: accepted.length,
+        rejected: parsed.length - accepted.length,
+        reasons,
+        samples,
+        from: accepted.length ? new Date(accepted[0].trackedAt).toISOString() : null,
+        to: accepted.length ? new Date(accepted[accepted.length - 1].trackedAt).toISOString() : null
+      });
+    } catch (error) {
+      console.error('Import error:', error);
+      res.status(500).json({ error: 'Import failed' });
+    }
+  });
+
+  return { router };
+}
+
+module.exports = { createImports, parseGpx, parseGeoJson, parseCsv };
@@ -0,0 +1,377 @@
+// ingest.js - Durable history ingestion. Live points are queued and written
+// in batches, and every queued point is appended to a spool file first, so
+// neither a crash nor a database outage loses any: the spool is replayed on
+// startup and failed batches are retried with backoff. Points the database
+// keeps refusing go to a dead-letter file instead of blocking the queue.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadStoredKeys, pointKey } = require('./history');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Alive on this machine? Signal 0 only checks; EPERM means someone else's
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Takes `file` (holding host and pid) for this process. Two instances
+// replaying and compacting the same spool would write each other's points
+// twice and lose some, so a lock held by a live process, or by another
+// machine on a shared volume, is an error. One left by a process that died
+// is taken over.
+function lockFile(file) {
+  const owner = { host: os.hostname(), pid: process.pid };
+  for (;;) {
+    try {
+      fs.writeFileSync(file, JSON.stringify(owner), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    let holder = null;
+    try {
+      holder = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      // torn or just removed: treat as stale
+    }
+    // The same pid is our own previous run (containers restart as pid 1)
+    const stale = !holder || (holder.host === owner.host && (holder.pid === owner.pid || !isRunning(holder.pid)));
+    if (!stale) {
+      throw new Error(`${file} is held by process ${holder.pid} on ${holder.host}; ` +
+        'give each instance its own HISTORY_SPOOL_DIR');
+    }
+    fs.rmSync(file, { force: true });
+  }
+}
+
+// Append-only log of { add: point }, { address: { id, address } } and
+// { done: [ids] } lines. Appends go straight to the file without fsync: they
+// survive the process dying, not the machine. The file is locked to one
+// process at a time.
+class Spool {
+  constructor(file) {
+    this.file = file;
+    this.lock = `${file}.lock`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    lockFile(this.lock);
+    this.fd = fs.openSync(file, 'a');
+    this.bytes = fs.fstatSync(this.fd).size;
+  }
+
+  // Points added and not done yet, in order. A line torn by a crash is skipped.
+  read() {
+    const pending = new Map();
+    for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (record.add) {
+        pending.set(record.add.id, record.add);
+      } else if (record.address && pending.has(record.address.id)) {
+        pending.get(record.address.id).address = record.address.address;
+      } else if (record.done) {
+        record.done.forEach(id => pending.delete(id));
+      }
+    }
+    return [...pending.values()];
+  }
+
+  append(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    fs.writeSync(this.fd, line);
+    this.bytes += Buffer.byteLength(line);
+  }
+
+  // Starts the file over holding just `points`
+  rewrite(points) {
+    const temp = `${this.file}.tmp`;
+    fs.writeFileSync(temp, points.map(point => `${JSON.stringify({ add: point })}\n`).join(''));
+    fs.closeSync(this.fd);
+    fs.renameSync(temp, this.file);
+    this.fd = fs.openSync(this.file, 'a');
+    this.bytes = fs.fstatSync(this.fd).size;
+  }
+
+  close() {
+    fs.closeSync(this.fd);
+    fs.rmSync(this.lock, { force: true });
+  }
+}
+
+// Batch processing for history inserts. Items carry their own trackedAt (ms)
+// so a fix keeps the time it was taken, not the time it was flushed.
+//
+// config: { spoolDir (one per instance), batchSize (points that trigger a
+// flush), flushInterval, maxBatch (points per insert), maxAttempts, baseDelay,
+// maxDelay (backoff after a failed flush, doubled each time), compactBytes }.
+// onFlush(ms, points) is told about every successful insert.
+class BatchProcessor {
+  constructor({ getStore, config, onFlush = () => {} }) {
+    this.getStore = getStore;
+    this.config = config;
+    this.onFlush = onFlush;
+    this.spool = new Spool(path.join(config.spoolDir, 'history.ndjson'));
+    this.deadLetterFile = path.join(config.spoolDir, 'history-dead.ndjson');
+
+    // Points left by the last run go first. Some may have been written just
+    // before it ended, so they are checked against the database.
+    this.queue = this.spool.read().map(point => ({ ...point, recheck: true }));
+    this.nextId = this.queue.reduce((max, point) => Math.max(max, point.id), 0) + 1;
+    this.spool.rewrite(this.queue);
+    if (this.queue.length > 0) {
+      console.log(`📼 Replaying ${this.queue.length} history points from the spool`);
+    }
+
+    this.flushing = null;
+    this.failures = 0; // failed flushes in a row
+    this.retryAt = 0;
+    this.metrics = {
+      queued: 0,
+      replayed: this.queue.length,
+      written: 0,
+      flushes: 0,
+      failedFlushes: 0,
+      deadLettered: 0,
+      flushMsTotal: 0,
+      lastFlushMs: null,
+      maxFlushMs: 0
+    };
+    this.timer = setInterval(() => this.flush(), config.flushInterval);
+  }
+
+  // Throws when the point can't be spooled, so it is never acknowledged
+  // without being safe
+  add(item) {
+    const point = { trackedAt: Date.now(), ...item, id: this.nextId++ };
+    this.spool.append({ add: point });
+    this.queue.push(point);
+    this.metrics.queued++;
+    if (this.queue.length >= this.config.batchSize) {
+      this.flush();
+    }
+  }
+
+  // Writes what is queued, unless a failed flush is still backing off; force
+  // (on shutdown) tries anyway. Never rejects.
+  flush({ force = false } = {}) {
+    if (this.flushing) return this.flushing;
+    if (!this.getStore() || this.queue.length === 0) return Promise.resolve();
+    if (!force && Date.now() < this.retryAt) return Promise.resolve();
+
+    this.flushing = this.drain().finally(() => {
+      this.flushing = null;
+    });
+    return this.flushing;
+  }
+
+  // Batches of up to maxBatch until the queue is empty or one fails
+  async drain() {
+    while (this.queue.length > 0) {
+      const points = this.queue.splice(0, this.config.maxBatch);
+      const started = Date.now();
+      try {
+        await this.write(await this.unstored(points));
+        this.done(points, started);
+      } catch (error) {
+        this.metrics.failedFlushes++;
+        if (!(await this.recover(points, error))) break;
+      }
+    }
+
+    // An empty queue lets the spool start over; one that never empties is
+    // rewritten once the done lines pile up
+    try {
+      if (this.spool.bytes > 0 && (this.queue.length === 0 || this.spool.bytes > this.config.compactBytes)) {
+        this.spool.rewrite(this.queue);
+      }
+    } catch (error) {
+      console.error('Spool compaction error:', error.message);
+    }
+  }
+
+  // Points that may be stored already (replayed, or retried after an error
+  // the insert may have survived) are left out if the database has them
+  async unstored(points) {
+    const unsure = points.filter(point => point.recheck);
+    if (unsure.length === 0) return points;
+
+    const store = this.getStore();
+    const stored = new Set();
+    for (const userId of new Set(unsure.map(point => point.userId))) {
+      const keys = await loadStoredKeys(store, userId, unsure.filter(point => point.userId === userId));
+      keys.forEach(key => stored.add(`${userId}:${key}`));
+    }
+    return points.filter(point => !point.recheck ||
+      !stored.has(`${point.userId}:${pointKey(point.trackedAt, point.location.lat, point.location.lng)}`));
+  }
+
+  // After a failed batch. While the database is unreachable everything waits
+  // for the backoff. If it answers, the points are retried one at a time:
+  // when only some fail, those rows are the problem, and one that has failed
+  // maxAttempts times goes to the dead letters. When all fail it may be the
+  // database after all, so only the oldest counts the attempt: a poison
+  // point at the head of the queue (or alone in it) is still set aside after
+  // maxAttempts, while an outage the ping doesn't notice costs at most one
+  // point per maxAttempts rounds, kept in the dead letters. Returns whether
+  // to go on.
+  async recover(points, error) {
+    points.forEach(point => { point.recheck = true; });
+
+    const reachable = await this.getStore().ping().then(() => true, () => false);
+    if (!reachable) {
+      this.backOff(points, error);
+      return false;
+    }
+
+    const failed = [];
+    for (const point of points) {
+      const started = Date.now();
+      try {
+        await this.write(await this.unstored([point]));
+        this.done([point], started);
+      } catch (pointError) {
+        failed.push({ point, error: pointError });
+      }
+    }
+    if (failed.length === 0) return true;
+
+    const counted = failed.length < points.length ? failed : failed.slice(0, 1);
+    counted.forEach(({ point }) => { point.attempts = (point.attempts || 0) + 1; });
+
+    const retry = [];
+    for (const { point, error: pointError } of failed) {
+      if ((point.attempts || 0) < this.config.maxAttempts || !this.deadLetter(point, pointError)) {
+        retry.push(point);
+      }
+    }
+    if (retry.length === 0) return true;
+
+    this.backOff(retry, failed[0].error);
+    return false;
+  }
+
+  // Sets a point aside in the dead-letter file; false if even that failed
+  deadLetter(point, error) {
+    const { userId, location, address, trackedAt } = point;
+    const item = { userId, location, address, trackedAt };
+    try {
+      fs.appendFileSync(this.deadLetterFile, `${JSON.stringify({
+        item,
+        error: error.message,
+        attempts: point.attempts,
+        failedAt: new Date().toISOString()
+      })}\n`);
+      this.spool.append({ done: [point.id] });
+    } catch (writeError) {
+      console.error('Dead letter error:', writeError.message);
+      return false;
+    }
+    this.metrics.deadLettered++;
+    console.error(`☠️  History point of ${userId} at ${new Date(trackedAt).toISOString()} moved to ${this.deadLetterFile}: ${error.message}`);
+    return true;
+  }
+
+  backOff(points, error) {
+    this.queue.unshift(...points);
+    this.failures++;
+    const delay = Math.min(this.config.baseDelay * 2 ** (this.failures - 1), this.config.maxDelay);
+    this.retryAt = Date.now() + delay;
+    console.error(`History flush failed (${error.message}), retrying ${this.queue.length} points in ${Math.ceil(delay / 1000)}s`);
+  }
+
+  done(points, started) {
+    this.spool.append({ done: points.map(point => point.id) });
+
+    const ms = Date.now() - started;
+    this.metrics.flushes++;
+    this.metrics.written += points.length;
+    this.metrics.flushMsTotal += ms;
+    this.metrics.lastFlushMs = ms;
+    this.metrics.maxFlushMs = Math.max(this.metrics.maxFlushMs, ms);
+    this.failures = 0;
+    this.retryAt = 0;
+    this.onFlush(ms, points.length);
+  }
+
+  // Fills in the address of a point, still queued or already written
+  async setAddress(userId, trackedAt, address) {
+    const find = () => this.queue.find(point => point.userId === userId && point.trackedAt === trackedAt);
+    if (!find() && this.flushing) await this.flushing;
+
+    const queued = find();
+    if (queued) {
+      queued.address = address;
+      this.spool.append({ address: { id: queued.id, address } });
+      return;
+    }
+    await this.getStore().history.setAddress(userId, trackedAt, address);
+  }
+
+  // Drops the points queued for a user (being deleted) once no flush that
+  // could be writing them is running; returns how many
+  async discard(userId) {
+    while (this.flushing) await this.flushing;
+    const dropped = this.queue.filter(point => point.userId === userId);
+    if (dropped.length === 0) return 0;
+
+    this.queue = this.queue.filter(point => point.userId !== userId);
+    this.spool.append({ done: dropped.map(point => point.id) });
+    return dropped.length;
+  }
+
+  // Drops the user's queued points, then deletes their stored history in
+  // batches of `batch`; returns how many stored points went
+  async purge(userId, batch = 5000) {
+    await this.discard(userId);
+    const store = this.getStore();
+    let total = 0;
+    let deleted;
+    do {
+      // A day ahead, to catch fixes from devices whose clock runs fast
+      deleted = await store.history.deleteBefore(userId, Date.now() + DAY, batch);
+      total += deleted;
+    } while (deleted === batch);
+    return total;
+  }
+
+  // Inserts items right away; throws so callers can report failures.
+  // repos may be a transaction's repositories.
+  async write(items, repos = this.getStore()) {
+    if (items.length === 0) return;
+    await repos.history.insert(items.map(item => ({ ...item, trackedAt: item.trackedAt ?? Date.now() })));
+  }
+
+  // Queue depth, backoff and flush counters (latency in ms)
+  stats() {
+    return {
+      depth: this.queue.length,
+      oldestTrackedAt: this.queue.length > 0
+        ? new Date(this.queue.reduce((min, point) => Math.min(min, point.trackedAt), Infinity)).toISOString()
+        : null,
+      retryInMs: Math.max(0, this.retryAt - Date.now()),
+      spoolBytes: this.spool.bytes,
+      ...this.metrics
+    };
+  }
+
+  // Stops the timer and writes what it can; anything left stays in the
+  // spool for the next start
+  async close() {
+    clearInterval(this.timer);
+    await this.flushing;
+    await this.flush({ force: true });
+    this.spool.close();
+  }
+}
+
+module.exports = { BatchProcessor, Spool };
@@ -0,0 +1,117 @@
+// logger.js - Log output for the whole server. setupLogging() routes every
+// console.debug/log/info/warn/error call through a level filter (LOG_LEVEL)
+// and, in json format (LOG_FORMAT), writes each as one JSON line:
+// { time, level, msg, requestId?, err?, ...fields }. The text format prints
+// as before. Request ids come from requestContext(), which tags everything
+// logged while a request is handled. The last errors are also kept in
+// memory for the diagnostics endpoint (recentErrors()).
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const RECENT_ERRORS = 50;
+
+const context = new AsyncLocalStorage();
+const original = {
+  debug: console.debug,
+  info: console.info,
+  warn: console.warn,
+  error: console.error
+};
+
+let settings = { level: 'info', format: 'text' };
+const recent = [];
+
+function errorFields(error) {
+  return { type: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+function format(level, args, fields) {
+  const error = args.find(arg => arg instanceof Error);
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: util.formatWithOptions({ breakLength: Infinity }, ...args.map(arg => (arg instanceof Error ? arg.message : arg))),
+    ...context.getStore(),
+    ...fields
+  };
+  if (error) entry.err = errorFields(error);
+  return entry;
+}
+
+// Writes one entry at `level`; fields are extra keys for json output
+function log(level, args, fields = {}) {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+
+  if (level === 'error') {
+    const { time, msg, requestId, err } = format(level, args, fields);
+    recent.push({ time, msg, requestId, err: err && { type: err.type, message: err.message, code: err.code } });
+    if (recent.length > RECENT_ERRORS) recent.shift();
+  }
+
+  if (settings.format === 'text') {
+    original[level](...args);
+    return;
+  }
+
+  const entry = format(level, args, fields);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// config: { level: debug|info|warn|error, format: text|json }
+function setupLogging(config) {
+  if (!Object.hasOwn(LEVELS, config.level)) {
+    throw new Error(`LOG_LEVEL must be one of: ${Object.keys(LEVELS).join(', ')}`);
+  }
+  if (!['text', 'json'].includes(config.format)) {
+    throw new Error('LOG_FORMAT must be text or json');
+  }
+  settings = config;
+
+  console.debug = (...args) => log('debug', args);
+  console.log = (...args) => log('info', args);
+  console.info = (...args) => log('info', args);
+  console.warn = (...args) => log('warn', args);
+  console.error = (...args) => log('error', args);
+}
+
+// Gives each request an id (the caller's X-Request-Id when it looks sane),
+// echoes it in the response and tags the logs written while handling it
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    context.run({ requestId: req.id }, next);
+  };
+}
+
+// One debug line per finished request ('finish' may fire outside the
+// request's context, so the id is passed along). The path is read up front:
+// routers rewrite it on the way down.
+function requestLogger() {
+  return (req, res, next) => {
+    const start = Date.now();
+    const { path } = req;
+    res.on('finish', () => {
+      const durationMs = Date.now() - start;
+      log('debug', [`${req.method} ${path} - ${res.statusCode} (${durationMs}ms)`], {
+        requestId: req.id,
+        method: req.method,
+        path,
+        status: res.statusCode,
+        durationMs
+      });
+    });
+    next();
+  };
+}
+
+// The last errors logged, oldest first (without stacks)
+function recentErrors() {
+  return [...recent];
+}
+
+module.exports = { setupLogging, requestContext, requestLogger, recentErrors, LEVELS };
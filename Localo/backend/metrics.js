@@ -0,0 +1,145 @@
+// metrics.js - Prometheus metrics: counters, gauges and histograms with
+// labels, rendered in the text exposition format for /metrics. Values that
+// live elsewhere (queue depth, pool usage) are read by collectors right
+// before each scrape.
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+// One series per distinct label set
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  entry(labels, create) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, ...create() });
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const entry of this.series.values()) lines.push(...this.lines(entry));
+    return `${lines.join('\n')}\n`;
+  }
+
+  lines(entry) {
+    return [`${this.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, by = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += by;
+  }
+
+  // For totals a component keeps itself, copied in by a collector
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  lines({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+function createMetrics() {
+  const metrics = [];
+  const collectors = [];
+
+  const add = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    counter: (name, help) => add(new Counter(name, help)),
+    gauge: (name, help) => add(new Gauge(name, help)),
+    histogram: (name, help, buckets = HTTP_BUCKETS) => add(new Histogram(name, help, buckets)),
+
+    // fn() (may be async) runs before every scrape; a failing one is logged
+    // and the rest still report
+    collect(fn) {
+      collectors.push(fn);
+    },
+
+    async render() {
+      for (const collect of collectors) {
+        try {
+          await collect();
+        } catch (error) {
+          console.error('Metrics collector error:', error.message);
+        }
+      }
+      return metrics.map(metric => metric.render()).join('');
+    }
+  };
+}
+
+// Request count and latency per method, route pattern and status. Requests
+// that matched no route share one label so odd paths can't blow up the
+// series count.
+function httpMetrics(metrics) {
+  const requests = metrics.counter('http_requests_total', 'HTTP requests handled');
+  const duration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency');
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      duration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+  };
+}
+
+module.exports = { createMetrics, httpMetrics };
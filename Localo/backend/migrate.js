@@ -0,0 +1,104 @@
+// migrate.js - Schema migrations and seed data for the configured database
+// (same environment as the server: STORAGE, DB_*, DATABASE_URL, SQLITE_PATH)
+//
+//   npm run migrate status
+//   npm run migrate up [-- --to <version>]
+//   npm run migrate down [-- --steps <n>]
+//   npm run seed [-- <name>...]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { openDatabase, storageConfig, LABELS } = require('./storage');
+
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+const USAGE = `Usage:
+  node backend/migrate.js status
+  node backend/migrate.js up [--to <version>]
+  node backend/migrate.js down [--steps <n>]
+  node backend/migrate.js seed [name...]`;
+
+function option(args, name) {
+  const i = args.indexOf(`--${name}`);
+  if (i === -1) return undefined;
+
+  const value = parseInt(args[i + 1]);
+  if (!(value >= 0)) throw new Error(`--${name} needs a number`);
+  return value;
+}
+
+async function status(store) {
+  const migrations = await store.migrator.status();
+  if (migrations.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  const width = Math.max(...migrations.map(m => m.id.length));
+  for (const m of migrations) {
+    console.log(`  ${m.id.padEnd(width)}  ${m.appliedAt ? `applied ${m.appliedAt}` : 'pending'}`);
+  }
+}
+
+async function up(store, args) {
+  const applied = await store.migrator.up({ to: option(args, 'to') });
+  console.log(applied.length ? `✅ ${applied.length} migration(s) applied` : '✅ Already up to date');
+}
+
+async function down(store, args) {
+  const reverted = await store.migrator.down({ steps: option(args, 'steps') ?? 1 });
+  console.log(reverted.length ? `✅ ${reverted.length} migration(s) reverted` : 'Nothing to revert');
+}
+
+// Seeds run through the storage repositories, so they work on any backend
+async function seed(store, names) {
+  const pending = (await store.migrator.status()).filter(m => !m.appliedAt);
+  if (pending.length > 0) {
+    throw new Error(`${pending.length} pending migration(s); run "migrate up" first`);
+  }
+
+  const files = fs.readdirSync(SEEDS_DIR).filter(file => file.endsWith('.js')).sort();
+  const selected = names.length > 0
+    ? names.map(name => {
+      const file = files.find(f => f === `${name}.js` || f.replace(/^\d+_/, '') === `${name}.js`);
+      if (!file) throw new Error(`Unknown seed: ${name}`);
+      return file;
+    })
+    : files;
+
+  for (const file of selected) {
+    const { description, run } = require(path.join(SEEDS_DIR, file));
+    console.log(`🌱 Seeding ${file.slice(0, -3)}${description ? ` (${description})` : ''}`);
+    await run(store);
+  }
+  console.log('✅ Seeding complete');
+}
+
+const COMMANDS = { status, up, down, seed };
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!Object.hasOwn(COMMANDS, command)) {
+    console.log(USAGE);
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  const config = storageConfig();
+  if (config.kind === 'memory') {
+    throw new Error('In-memory storage has no schema; set STORAGE to mysql, postgres or sqlite');
+  }
+
+  const store = await openDatabase(config);
+  console.log(`🗄️  ${LABELS[store.kind]}`);
+  try {
+    await COMMANDS[command](store, args);
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,360 @@
+// 001_initial_schema.js - The tables as the startup code used to create them.
+// Everything is IF NOT EXISTS so existing databases are adopted as they are.
+// MySQL location_history differs: its primary key now includes tracked_at
+// (partitioned tables require it) and it starts with one catch-all partition
+// instead of hard-coded years.
+const dropAll = [
+  'DROP TABLE IF EXISTS webhook_deliveries',
+  'DROP TABLE IF EXISTS webhooks',
+  'DROP TABLE IF EXISTS geofence_events',
+  'DROP TABLE IF EXISTS geofences',
+  'DROP TABLE IF EXISTS circle_members',
+  'DROP TABLE IF EXISTS circles',
+  'DROP TABLE IF EXISTS accounts',
+  'DROP TABLE IF EXISTS location_history',
+  'DROP TABLE IF EXISTS users'
+];
+
+module.exports = {
+  up: {
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(64) NOT NULL,
+        latitude DECIMAL(10, 8),
+        longitude DECIMAL(11, 8),
+        address VARCHAR(512),
+        is_tracking BOOLEAN DEFAULT FALSE,
+        last_seen TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+        created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        UNIQUE KEY idx_user_id (user_id),
+        KEY idx_tracking_lookup (is_tracking, last_seen),
+        KEY idx_last_seen (last_seen)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`,
+
+      `CREATE TABLE IF NOT EXISTS location_history (
+        id INT UNSIGNED AUTO_INCREMENT,
+        user_id VARCHAR(64) NOT NULL,
+        latitude DECIMAL(10, 8) NOT NULL,
+        longitude DECIMAL(11, 8) NOT NULL,
+        address VARCHAR(512),
+        tracked_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+        PRIMARY KEY (id, tracked_at),
+        KEY idx_user_time (user_id, tracked_at DESC),
+        KEY idx_tracked_at (tracked_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC
+      PARTITION BY RANGE (UNIX_TIMESTAMP(tracked_at)) (
+        PARTITION p_future VALUES LESS THAN MAXVALUE
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS accounts (
+        user_id VARCHAR(64) NOT NULL PRIMARY KEY,
+        username VARCHAR(64) NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        last_login TIMESTAMP(3) NULL,
+        UNIQUE KEY idx_username (username)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`,
+
+      `CREATE TABLE IF NOT EXISTS circles (
+        id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(64) NOT NULL,
+        invite_code CHAR(8) NOT NULL,
+        created_by VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        UNIQUE KEY idx_invite_code (invite_code)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`,
+
+      `CREATE TABLE IF NOT EXISTS circle_members (
+        circle_id INT UNSIGNED NOT NULL,
+        user_id VARCHAR(64) NOT NULL,
+        role ENUM('owner', 'member') NOT NULL DEFAULT 'member',
+        joined_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        PRIMARY KEY (circle_id, user_id),
+        KEY idx_member_user (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`,
+
+      `CREATE TABLE IF NOT EXISTS geofences (
+        id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        circle_id INT UNSIGNED NOT NULL,
+        name VARCHAR(64) NOT NULL,
+        shape ENUM('circle', 'polygon') NOT NULL,
+        center_lat DECIMAL(10, 8),
+        center_lng DECIMAL(11, 8),
+        radius_m INT UNSIGNED,
+        polygon JSON,
+        created_by VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        updated_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+        KEY idx_geofence_circle (circle_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`,
+
+      `CREATE TABLE IF NOT EXISTS geofence_events (
+        id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        geofence_id INT UNSIGNED NOT NULL,
+        geofence_name VARCHAR(64) NOT NULL,
+        circle_id INT UNSIGNED NOT NULL,
+        user_id VARCHAR(64) NOT NULL,
+        event ENUM('ENTER', 'EXIT') NOT NULL,
+        latitude DECIMAL(10, 8) NOT NULL,
+        longitude DECIMAL(11, 8) NOT NULL,
+        occurred_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        KEY idx_event_circle_time (circle_id, occurred_at),
+        KEY idx_event_fence_time (geofence_id, occurred_at),
+        KEY idx_event_user_time (user_id, occurred_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`,
+
+      `CREATE TABLE IF NOT EXISTS webhooks (
+        id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        circle_id INT UNSIGNED NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        events JSON NOT NULL,
+        secret VARCHAR(128) NOT NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        KEY idx_webhook_circle (circle_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`,
+
+      `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id CHAR(36) NOT NULL PRIMARY KEY,
+        webhook_id INT UNSIGNED NOT NULL,
+        event VARCHAR(64) NOT NULL,
+        payload JSON NOT NULL,
+        status ENUM('pending', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+        attempts TINYINT UNSIGNED NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        last_status_code SMALLINT UNSIGNED NULL,
+        last_error VARCHAR(512) NULL,
+        created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        delivered_at TIMESTAMP(3) NULL,
+        KEY idx_delivery_due (status, next_attempt_at),
+        KEY idx_delivery_webhook (webhook_id, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`
+    ],
+
+    postgres: [
+      'CREATE EXTENSION IF NOT EXISTS postgis',
+
+      `CREATE TABLE IF NOT EXISTS users (
+        id BIGSERIAL PRIMARY KEY,
+        user_id VARCHAR(64) NOT NULL UNIQUE,
+        position GEOGRAPHY(POINT, 4326),
+        address VARCHAR(512),
+        is_tracking BOOLEAN NOT NULL DEFAULT FALSE,
+        last_seen TIMESTAMPTZ(3) NOT NULL DEFAULT now(),
+        created_at TIMESTAMPTZ(3) NOT NULL DEFAULT now()
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_tracking_lookup ON users (is_tracking, last_seen)',
+      'CREATE INDEX IF NOT EXISTS idx_users_position ON users USING GIST (position)',
+
+      `CREATE TABLE IF NOT EXISTS location_history (
+        id BIGSERIAL PRIMARY KEY,
+        user_id VARCHAR(64) NOT NULL,
+        position GEOGRAPHY(POINT, 4326) NOT NULL,
+        address VARCHAR(512),
+        tracked_at TIMESTAMPTZ(3) NOT NULL DEFAULT now()
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_user_time ON location_history (user_id, tracked_at, id)',
+      'CREATE INDEX IF NOT EXISTS idx_tracked_at ON location_history (tracked_at)',
+      'CREATE INDEX IF NOT EXISTS idx_history_position ON location_history USING GIST (position)',
+
+      `CREATE TABLE IF NOT EXISTS accounts (
+        user_id VARCHAR(64) NOT NULL PRIMARY KEY,
+        username VARCHAR(64) NOT NULL UNIQUE,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMPTZ(3) NOT NULL DEFAULT now(),
+        last_login TIMESTAMPTZ(3)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS circles (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(64) NOT NULL,
+        invite_code CHAR(8) NOT NULL UNIQUE,
+        created_by VARCHAR(64) NOT NULL,
+        created_at TIMESTAMPTZ(3) NOT NULL DEFAULT now()
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS circle_members (
+        circle_id INTEGER NOT NULL,
+        user_id VARCHAR(64) NOT NULL,
+        role VARCHAR(8) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+        joined_at TIMESTAMPTZ(3) NOT NULL DEFAULT now(),
+        PRIMARY KEY (circle_id, user_id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_member_user ON circle_members (user_id)',
+
+      `CREATE TABLE IF NOT EXISTS geofences (
+        id SERIAL PRIMARY KEY,
+        circle_id INTEGER NOT NULL,
+        name VARCHAR(64) NOT NULL,
+        shape VARCHAR(8) NOT NULL CHECK (shape IN ('circle', 'polygon')),
+        center GEOGRAPHY(POINT, 4326),
+        radius_m INTEGER,
+        area GEOGRAPHY(POLYGON, 4326),
+        created_by VARCHAR(64) NOT NULL,
+        created_at TIMESTAMPTZ(3) NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ(3) NOT NULL DEFAULT now()
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_geofence_circle ON geofences (circle_id)',
+      'CREATE INDEX IF NOT EXISTS idx_geofence_center ON geofences USING GIST (center)',
+      'CREATE INDEX IF NOT EXISTS idx_geofence_area ON geofences USING GIST (area)',
+
+      `CREATE TABLE IF NOT EXISTS geofence_events (
+        id BIGSERIAL PRIMARY KEY,
+        geofence_id INTEGER NOT NULL,
+        geofence_name VARCHAR(64) NOT NULL,
+        circle_id INTEGER NOT NULL,
+        user_id VARCHAR(64) NOT NULL,
+        event VARCHAR(5) NOT NULL CHECK (event IN ('ENTER', 'EXIT')),
+        position GEOGRAPHY(POINT, 4326) NOT NULL,
+        occurred_at TIMESTAMPTZ(3) NOT NULL DEFAULT now()
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_event_circle_time ON geofence_events (circle_id, occurred_at)',
+      'CREATE INDEX IF NOT EXISTS idx_event_fence_time ON geofence_events (geofence_id, occurred_at)',
+      'CREATE INDEX IF NOT EXISTS idx_event_user_time ON geofence_events (user_id, occurred_at)',
+
+      `CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        circle_id INTEGER NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        events JSONB NOT NULL,
+        secret VARCHAR(128) NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by VARCHAR(64) NOT NULL,
+        created_at TIMESTAMPTZ(3) NOT NULL DEFAULT now()
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_webhook_circle ON webhooks (circle_id)',
+
+      `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id UUID PRIMARY KEY,
+        webhook_id INTEGER NOT NULL,
+        event VARCHAR(64) NOT NULL,
+        payload JSON NOT NULL,
+        status VARCHAR(9) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+        attempts SMALLINT NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ(3) NOT NULL DEFAULT now(),
+        last_status_code SMALLINT,
+        last_error VARCHAR(512),
+        created_at TIMESTAMPTZ(3) NOT NULL DEFAULT now(),
+        delivered_at TIMESTAMPTZ(3)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_delivery_due ON webhook_deliveries (status, next_attempt_at)',
+      'CREATE INDEX IF NOT EXISTS idx_delivery_webhook ON webhook_deliveries (webhook_id, created_at)'
+    ],
+
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL UNIQUE,
+        latitude REAL,
+        longitude REAL,
+        address TEXT,
+        is_tracking INTEGER NOT NULL DEFAULT 0,
+        last_seen INTEGER NOT NULL,
+        created_at INTEGER NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_tracking_lookup ON users (is_tracking, last_seen)',
+
+      `CREATE TABLE IF NOT EXISTS location_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        address TEXT,
+        tracked_at INTEGER NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_user_time ON location_history (user_id, tracked_at, id)',
+      'CREATE INDEX IF NOT EXISTS idx_tracked_at ON location_history (tracked_at)',
+
+      `CREATE TABLE IF NOT EXISTS accounts (
+        user_id TEXT NOT NULL PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_login INTEGER
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS circles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        invite_code TEXT NOT NULL UNIQUE,
+        created_by TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS circle_members (
+        circle_id INTEGER NOT NULL,
+        user_id TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+        joined_at INTEGER NOT NULL,
+        PRIMARY KEY (circle_id, user_id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_member_user ON circle_members (user_id)',
+
+      `CREATE TABLE IF NOT EXISTS geofences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        circle_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        shape TEXT NOT NULL CHECK (shape IN ('circle', 'polygon')),
+        center_lat REAL,
+        center_lng REAL,
+        radius_m INTEGER,
+        polygon TEXT,
+        created_by TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_geofence_circle ON geofences (circle_id)',
+
+      `CREATE TABLE IF NOT EXISTS geofence_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        geofence_id INTEGER NOT NULL,
+        geofence_name TEXT NOT NULL,
+        circle_id INTEGER NOT NULL,
+        user_id TEXT NOT NULL,
+        event TEXT NOT NULL CHECK (event IN ('ENTER', 'EXIT')),
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        occurred_at INTEGER NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_event_circle_time ON geofence_events (circle_id, occurred_at)',
+      'CREATE INDEX IF NOT EXISTS idx_event_fence_time ON geofence_events (geofence_id, occurred_at)',
+      'CREATE INDEX IF NOT EXISTS idx_event_user_time ON geofence_events (user_id, occurred_at)',
+
+      `CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        circle_id INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_by TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_webhook_circle ON webhooks (circle_id)',
+
+      `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT NOT NULL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        delivered_at INTEGER
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_delivery_due ON webhook_deliveries (status, next_attempt_at)',
+      'CREATE INDEX IF NOT EXISTS idx_delivery_webhook ON webhook_deliveries (webhook_id, created_at)'
+    ]
+  },
+
+  down: {
+    mysql: dropAll,
+    postgres: dropAll,
+    sqlite: dropAll
+  }
+};
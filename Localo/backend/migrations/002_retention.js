@@ -0,0 +1,93 @@
+// 002_retention.js - Per-circle/per-user history retention, and monthly
+// partitions for Postgres. Postgres can't partition a table in place, so
+// location_history is rebuilt as a partitioned table with a default
+// partition holding the existing rows; monthly partitions are split off it
+// by the retention job. MySQL history is partitioned since 001, and SQLite
+// has no partitions.
+const policies = {
+  mysql: `CREATE TABLE IF NOT EXISTS retention_policies (
+    scope ENUM('circle', 'user') NOT NULL,
+    scope_id VARCHAR(64) NOT NULL,
+    days INT UNSIGNED NOT NULL,
+    updated_by VARCHAR(64) NOT NULL,
+    updated_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (scope, scope_id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`,
+
+  postgres: `CREATE TABLE IF NOT EXISTS retention_policies (
+    scope VARCHAR(6) NOT NULL CHECK (scope IN ('circle', 'user')),
+    scope_id VARCHAR(64) NOT NULL,
+    days INTEGER NOT NULL CHECK (days >= 0),
+    updated_by VARCHAR(64) NOT NULL,
+    updated_at TIMESTAMPTZ(3) NOT NULL DEFAULT now(),
+    PRIMARY KEY (scope, scope_id)
+  )`,
+
+  sqlite: `CREATE TABLE IF NOT EXISTS retention_policies (
+    scope TEXT NOT NULL CHECK (scope IN ('circle', 'user')),
+    scope_id TEXT NOT NULL,
+    days INTEGER NOT NULL CHECK (days >= 0),
+    updated_by TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (scope, scope_id)
+  )`
+};
+
+const historyIndexes = [
+  'CREATE INDEX idx_user_time ON location_history (user_id, tracked_at, id)',
+  'CREATE INDEX idx_tracked_at ON location_history (tracked_at)',
+  'CREATE INDEX idx_history_position ON location_history USING GIST (position)'
+];
+
+module.exports = {
+  up: {
+    mysql: [policies.mysql],
+
+    postgres: [
+      policies.postgres,
+      'ALTER TABLE location_history RENAME TO location_history_unpartitioned',
+      `CREATE TABLE location_history (
+        id BIGSERIAL,
+        user_id VARCHAR(64) NOT NULL,
+        position GEOGRAPHY(POINT, 4326) NOT NULL,
+        address VARCHAR(512),
+        tracked_at TIMESTAMPTZ(3) NOT NULL DEFAULT now(),
+        PRIMARY KEY (id, tracked_at)
+      ) PARTITION BY RANGE (tracked_at)`,
+      'CREATE TABLE location_history_default PARTITION OF location_history DEFAULT',
+      `INSERT INTO location_history (id, user_id, position, address, tracked_at)
+        SELECT id, user_id, position, address, tracked_at FROM location_history_unpartitioned`,
+      `SELECT setval(pg_get_serial_sequence('location_history', 'id'), COALESCE(MAX(id), 0) + 1, false)
+        FROM location_history`,
+      'DROP TABLE location_history_unpartitioned',
+      ...historyIndexes
+    ],
+
+    sqlite: [policies.sqlite]
+  },
+
+  down: {
+    mysql: ['DROP TABLE IF EXISTS retention_policies'],
+
+    // Monthly partitions are folded back into one plain table
+    postgres: [
+      'DROP TABLE IF EXISTS retention_policies',
+      'ALTER TABLE location_history RENAME TO location_history_partitioned',
+      `CREATE TABLE location_history (
+        id BIGSERIAL PRIMARY KEY,
+        user_id VARCHAR(64) NOT NULL,
+        position GEOGRAPHY(POINT, 4326) NOT NULL,
+        address VARCHAR(512),
+        tracked_at TIMESTAMPTZ(3) NOT NULL DEFAULT now()
+      )`,
+      `INSERT INTO location_history (id, user_id, position, address, tracked_at)
+        SELECT id, user_id, position, address, tracked_at FROM location_history_partitioned`,
+      `SELECT setval(pg_get_serial_sequence('location_history', 'id'), COALESCE(MAX(id), 0) + 1, false)
+        FROM location_history`,
+      'DROP TABLE location_history_partitioned CASCADE',
+      ...historyIndexes
+    ],
+
+    sqlite: ['DROP TABLE IF EXISTS retention_policies']
+  }
+};
@@ -0,0 +1,17 @@
+// 003_active_position_index.js - Index for bbox and nearby queries over
+// tracking users. MySQL and SQLite range-scan latitude within is_tracking;
+// Postgres gets a planar GiST index that matches its bbox filter (nearby
+// queries use the geography index from 001).
+module.exports = {
+  up: {
+    mysql: ['CREATE INDEX idx_active_position ON users (is_tracking, latitude, longitude)'],
+    postgres: ['CREATE INDEX IF NOT EXISTS idx_active_position ON users USING GIST ((position::geometry)) WHERE is_tracking'],
+    sqlite: ['CREATE INDEX IF NOT EXISTS idx_active_position ON users (is_tracking, latitude, longitude)']
+  },
+
+  down: {
+    mysql: ['DROP INDEX idx_active_position ON users'],
+    postgres: ['DROP INDEX IF EXISTS idx_active_position'],
+    sqlite: ['DROP INDEX IF EXISTS idx_active_position']
+  }
+};
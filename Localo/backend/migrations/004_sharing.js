@@ -0,0 +1,96 @@
+// 004_sharing.js - Sharing controls: each user's precision and pause, a
+// per-circle precision override on circle_members, and expiring share links
+// (only a hash of each link's token is stored).
+module.exports = {
+  up: {
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS sharing_settings (
+        user_id VARCHAR(64) NOT NULL PRIMARY KEY,
+        share_precision ENUM('exact', 'approximate', 'city') NOT NULL DEFAULT 'exact',
+        paused_until TIMESTAMP(3) NULL DEFAULT NULL,
+        updated_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`,
+
+      `ALTER TABLE circle_members
+        ADD COLUMN share_precision ENUM('exact', 'approximate', 'city') NULL DEFAULT NULL`,
+
+      `CREATE TABLE IF NOT EXISTS share_links (
+        id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        token_hash CHAR(64) NOT NULL,
+        user_id VARCHAR(64) NOT NULL,
+        share_precision ENUM('exact', 'approximate', 'city') NOT NULL,
+        expires_at TIMESTAMP(3) NOT NULL,
+        created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        UNIQUE KEY idx_share_token (token_hash),
+        KEY idx_share_user (user_id, expires_at),
+        KEY idx_share_expiry (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`
+    ],
+
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS sharing_settings (
+        user_id VARCHAR(64) NOT NULL PRIMARY KEY,
+        share_precision VARCHAR(12) NOT NULL DEFAULT 'exact'
+          CHECK (share_precision IN ('exact', 'approximate', 'city')),
+        paused_until TIMESTAMPTZ(3),
+        updated_at TIMESTAMPTZ(3) NOT NULL DEFAULT now()
+      )`,
+
+      `ALTER TABLE circle_members
+        ADD COLUMN share_precision VARCHAR(12) CHECK (share_precision IN ('exact', 'approximate', 'city'))`,
+
+      `CREATE TABLE IF NOT EXISTS share_links (
+        id SERIAL PRIMARY KEY,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        user_id VARCHAR(64) NOT NULL,
+        share_precision VARCHAR(12) NOT NULL CHECK (share_precision IN ('exact', 'approximate', 'city')),
+        expires_at TIMESTAMPTZ(3) NOT NULL,
+        created_at TIMESTAMPTZ(3) NOT NULL DEFAULT now()
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_share_user ON share_links (user_id, expires_at)',
+      'CREATE INDEX IF NOT EXISTS idx_share_expiry ON share_links (expires_at)'
+    ],
+
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS sharing_settings (
+        user_id TEXT NOT NULL PRIMARY KEY,
+        share_precision TEXT NOT NULL DEFAULT 'exact'
+          CHECK (share_precision IN ('exact', 'approximate', 'city')),
+        paused_until INTEGER,
+        updated_at INTEGER NOT NULL
+      )`,
+
+      `ALTER TABLE circle_members
+        ADD COLUMN share_precision TEXT CHECK (share_precision IN ('exact', 'approximate', 'city'))`,
+
+      `CREATE TABLE IF NOT EXISTS share_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        user_id TEXT NOT NULL,
+        share_precision TEXT NOT NULL CHECK (share_precision IN ('exact', 'approximate', 'city')),
+        expires_at INTEGER NOT NULL,
+        created_at INTEGER NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_share_user ON share_links (user_id, expires_at)',
+      'CREATE INDEX IF NOT EXISTS idx_share_expiry ON share_links (expires_at)'
+    ]
+  },
+
+  down: {
+    mysql: [
+      'DROP TABLE IF EXISTS share_links',
+      'ALTER TABLE circle_members DROP COLUMN share_precision',
+      'DROP TABLE IF EXISTS sharing_settings'
+    ],
+    postgres: [
+      'DROP TABLE IF EXISTS share_links',
+      'ALTER TABLE circle_members DROP COLUMN IF EXISTS share_precision',
+      'DROP TABLE IF EXISTS sharing_settings'
+    ],
+    sqlite: [
+      'DROP TABLE IF EXISTS share_links',
+      'ALTER TABLE circle_members DROP COLUMN share_precision',
+      'DROP TABLE IF EXISTS sharing_settings'
+    ]
+  }
+};
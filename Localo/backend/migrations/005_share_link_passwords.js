@@ -0,0 +1,15 @@
+// 005_share_link_passwords.js - Optional password on share links, stored as
+// a scrypt hash like account passwords.
+module.exports = {
+  up: {
+    mysql: ['ALTER TABLE share_links ADD COLUMN password_hash VARCHAR(255) NULL DEFAULT NULL'],
+    postgres: ['ALTER TABLE share_links ADD COLUMN password_hash VARCHAR(255)'],
+    sqlite: ['ALTER TABLE share_links ADD COLUMN password_hash TEXT']
+  },
+
+  down: {
+    mysql: ['ALTER TABLE share_links DROP COLUMN password_hash'],
+    postgres: ['ALTER TABLE share_links DROP COLUMN IF EXISTS password_hash'],
+    sqlite: ['ALTER TABLE share_links DROP COLUMN password_hash']
+  }
+};
@@ -0,0 +1,39 @@
+// 006_rate_limits.js - Token buckets for the shared rate limiter
+// (RATE_LIMIT_STORE=storage), so every server instance draws from the same
+// bucket. Times are epoch milliseconds; idle rows are purged by the server.
+module.exports = {
+  up: {
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket_key VARCHAR(191) NOT NULL PRIMARY KEY,
+        tokens DOUBLE NOT NULL,
+        updated_ms BIGINT NOT NULL,
+        KEY idx_rate_limit_updated (updated_ms)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`
+    ],
+
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket_key VARCHAR(191) NOT NULL PRIMARY KEY,
+        tokens DOUBLE PRECISION NOT NULL,
+        updated_ms BIGINT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_rate_limit_updated ON rate_limits (updated_ms)'
+    ],
+
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket_key TEXT NOT NULL PRIMARY KEY,
+        tokens REAL NOT NULL,
+        updated_ms INTEGER NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_rate_limit_updated ON rate_limits (updated_ms)'
+    ]
+  },
+
+  down: {
+    mysql: ['DROP TABLE IF EXISTS rate_limits'],
+    postgres: ['DROP TABLE IF EXISTS rate_limits'],
+    sqlite: ['DROP TABLE IF EXISTS rate_limits']
+  }
+};
@@ -0,0 +1,25 @@
+// 007_fix_details.js - What a device reports besides the position: accuracy
+// and altitude in meters, heading in degrees and speed in m/s, all optional.
+// On partitioned history the columns reach every partition.
+const COLUMNS = ['accuracy', 'altitude', 'heading', 'speed'];
+const TABLES = ['users', 'location_history'];
+
+const each = (statement) => TABLES.flatMap(table => COLUMNS.map(column => statement(table, column)));
+
+module.exports = {
+  up: {
+    mysql: TABLES.map(table =>
+      `ALTER TABLE ${table} ${COLUMNS.map(column => `ADD COLUMN ${column} DOUBLE NULL DEFAULT NULL`).join(', ')}`),
+    postgres: TABLES.map(table =>
+      `ALTER TABLE ${table} ${COLUMNS.map(column => `ADD COLUMN IF NOT EXISTS ${column} REAL`).join(', ')}`),
+    sqlite: each((table, column) => `ALTER TABLE ${table} ADD COLUMN ${column} REAL`)
+  },
+
+  down: {
+    mysql: TABLES.map(table =>
+      `ALTER TABLE ${table} ${COLUMNS.map(column => `DROP COLUMN ${column}`).join(', ')}`),
+    postgres: TABLES.map(table =>
+      `ALTER TABLE ${table} ${COLUMNS.map(column => `DROP COLUMN IF EXISTS ${column}`).join(', ')}`),
+    sqlite: each((table, column) => `ALTER TABLE ${table} DROP COLUMN ${column}`)
+  }
+};
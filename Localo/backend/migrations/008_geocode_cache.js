@@ -0,0 +1,42 @@
+// 008_geocode_cache.js - Addresses looked up by the server's geocoder, keyed
+// by the rounded position ("lat,lng"). address is NULL where the provider
+// found nothing. Times are epoch milliseconds.
+module.exports = {
+  up: {
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS geocode_cache (
+        cell_key VARCHAR(32) NOT NULL PRIMARY KEY,
+        address VARCHAR(512) NULL,
+        provider VARCHAR(32) NOT NULL,
+        updated_ms BIGINT NOT NULL,
+        KEY idx_geocode_updated (updated_ms)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`
+    ],
+
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS geocode_cache (
+        cell_key VARCHAR(32) NOT NULL PRIMARY KEY,
+        address VARCHAR(512),
+        provider VARCHAR(32) NOT NULL,
+        updated_ms BIGINT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_geocode_updated ON geocode_cache (updated_ms)'
+    ],
+
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS geocode_cache (
+        cell_key TEXT NOT NULL PRIMARY KEY,
+        address TEXT,
+        provider TEXT NOT NULL,
+        updated_ms INTEGER NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_geocode_updated ON geocode_cache (updated_ms)'
+    ]
+  },
+
+  down: {
+    mysql: ['DROP TABLE IF EXISTS geocode_cache'],
+    postgres: ['DROP TABLE IF EXISTS geocode_cache'],
+    sqlite: ['DROP TABLE IF EXISTS geocode_cache']
+  }
+};
@@ -0,0 +1,122 @@
+// 009_legacy_schema.js - Brings MySQL tables adopted by 001 to the schema 001
+// creates. Databases built from the old database/schema.sql have signed INT
+// ids, VARCHAR(255) user ids, TEXT addresses, second-precision timestamps
+// and their own index set; columns and indexes already in shape are left
+// alone, so databases created by 001 don't get rebuilt. Postgres and SQLite
+// never had an older schema.
+const TARGET = {
+  users: {
+    columns: {
+      id: { type: 'int unsigned', definition: 'INT UNSIGNED NOT NULL AUTO_INCREMENT' },
+      user_id: { type: 'varchar(64)', nullable: false, definition: 'VARCHAR(64) NOT NULL' },
+      address: { type: 'varchar(512)', definition: 'VARCHAR(512) NULL' },
+      last_seen: {
+        type: 'timestamp(3)',
+        definition: 'TIMESTAMP(3) NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3)'
+      },
+      created_at: { type: 'timestamp(3)', definition: 'TIMESTAMP(3) NULL DEFAULT CURRENT_TIMESTAMP(3)' }
+    },
+    indexes: {
+      idx_user_id: { unique: true, columns: 'user_id' },
+      idx_tracking_lookup: { unique: false, columns: 'is_tracking,last_seen' },
+      idx_last_seen: { unique: false, columns: 'last_seen' }
+    },
+    // schema.sql's own indexes, covered by the ones above
+    legacy: ['user_id', 'idx_is_tracking']
+  },
+
+  location_history: {
+    columns: {
+      id: { type: 'int unsigned', definition: 'INT UNSIGNED NOT NULL AUTO_INCREMENT' },
+      user_id: { type: 'varchar(64)', nullable: false, definition: 'VARCHAR(64) NOT NULL' },
+      address: { type: 'varchar(512)', definition: 'VARCHAR(512) NULL' },
+      tracked_at: {
+        type: 'timestamp(3)',
+        nullable: false,
+        definition: 'TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)'
+      }
+    },
+    indexes: {
+      idx_user_time: { unique: false, columns: 'user_id,tracked_at', definition: '(user_id, tracked_at DESC)' },
+      idx_tracked_at: { unique: false, columns: 'tracked_at' }
+    },
+    legacy: ['idx_user_id']
+  }
+};
+
+// "int(10) unsigned" before MySQL 8.0.19, "int unsigned" after
+const normalizeType = (type) => type.toLowerCase().replace(/^(\w*int)\(\d+\)/, '$1');
+
+async function columnsOf(db, table) {
+  const rows = await db.query(
+    `SELECT COLUMN_NAME AS name, COLUMN_TYPE AS type, IS_NULLABLE AS nullable
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [table]
+  );
+  return new Map(rows.map(row => [row.name, { type: normalizeType(row.type), nullable: row.nullable === 'YES' }]));
+}
+
+// name -> { unique, columns: 'a,b' }, primary key excluded
+async function indexesOf(db, table) {
+  const rows = await db.query(
+    `SELECT INDEX_NAME AS name, NON_UNIQUE AS nonUnique,
+            GROUP_CONCAT(COLUMN_NAME ORDER BY SEQ_IN_INDEX) AS columns
+     FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME <> 'PRIMARY'
+     GROUP BY INDEX_NAME, NON_UNIQUE`,
+    [table]
+  );
+  return new Map(rows.map(row => [row.name, { unique: Number(row.nonUnique) === 0, columns: row.columns }]));
+}
+
+async function upgrade(db, table, target) {
+  const columns = await columnsOf(db, table);
+  if (columns.size === 0) return;
+
+  const modify = Object.entries(target.columns)
+    .filter(([name, want]) => {
+      const have = columns.get(name);
+      return have && (have.type !== want.type || (want.nullable === false && have.nullable));
+    })
+    .map(([name, want]) => `MODIFY ${name} ${want.definition}`);
+
+  const indexes = await indexesOf(db, table);
+  const drop = [];
+  const add = [];
+  for (const [name, want] of Object.entries(target.indexes)) {
+    const have = indexes.get(name);
+    if (have && have.unique === want.unique && have.columns === want.columns) continue;
+    if (have) drop.push(`DROP INDEX ${name}`);
+    add.push(`ADD ${want.unique ? 'UNIQUE ' : ''}INDEX ${name} ${want.definition || `(${want.columns.replace(/,/g, ', ')})`}`);
+  }
+  drop.push(...target.legacy.filter(name => indexes.has(name)).map(name => `DROP INDEX ${name}`));
+
+  const changes = [...drop, ...modify, ...add];
+  if (changes.length === 0) return;
+
+  // TEXT addresses may be longer than the new column
+  if (columns.get('address')?.type !== 'varchar(512)') {
+    await db.query(`UPDATE ${table} SET address = LEFT(address, 512) WHERE CHAR_LENGTH(address) > 512`);
+  }
+  await db.query(`ALTER TABLE ${table} ${changes.join(', ')}`);
+}
+
+module.exports = {
+  up: {
+    mysql: async (db) => {
+      for (const [table, target] of Object.entries(TARGET)) {
+        await upgrade(db, table, target);
+      }
+    },
+    postgres: [],
+    sqlite: []
+  },
+
+  // There is no going back to the drifted schema
+  down: {
+    mysql: [],
+    postgres: [],
+    sqlite: []
+  }
+};
@@ -0,0 +1,64 @@
+// 010_partition_history.js - Partitions a MySQL location_history adopted from
+// the old database/schema.sql the way 001 creates it: one partition per month
+// that holds rows, up to the current one, then p_future. Tables that are
+// already partitioned are left alone. Also drops schema.sql's nightly cleanup
+// event, which deleted users as well as history behind the retention job's
+// back. Postgres partitions in 002; SQLite has no partitions.
+const { monthStart, addMonths, partitionName } = require('../storage/months');
+
+const FUTURE_PARTITION = 'p_future';
+
+async function partitionHistory(db) {
+  const tables = await db.query(
+    `SELECT PARTITION_NAME AS name
+     FROM information_schema.PARTITIONS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'location_history'`
+  );
+  if (tables.length === 0 || tables.some(row => row.name)) return;
+
+  // Partitioned tables need the partitioning column in the primary key
+  const key = await db.query(
+    `SELECT GROUP_CONCAT(COLUMN_NAME ORDER BY SEQ_IN_INDEX) AS columns
+     FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'location_history' AND INDEX_NAME = 'PRIMARY'`
+  );
+  if (key[0]?.columns !== 'id,tracked_at') {
+    await db.query('ALTER TABLE location_history DROP PRIMARY KEY, ADD PRIMARY KEY (id, tracked_at)');
+  }
+
+  const [{ oldest }] = await db.query('SELECT UNIX_TIMESTAMP(MIN(tracked_at)) AS oldest FROM location_history');
+  const months = [];
+  if (oldest !== null) {
+    const current = monthStart(Date.now());
+    for (let month = monthStart(Number(oldest) * 1000); month <= current; month = addMonths(month, 1)) {
+      months.push(`PARTITION ${partitionName(month)} VALUES LESS THAN (${addMonths(month, 1) / 1000})`);
+    }
+  }
+  months.push(`PARTITION ${FUTURE_PARTITION} VALUES LESS THAN MAXVALUE`);
+
+  // Copies the table; takes a while on a large history
+  await db.query(
+    `ALTER TABLE location_history PARTITION BY RANGE (UNIX_TIMESTAMP(tracked_at)) (
+       ${months.join(',\n       ')}
+     )`
+  );
+}
+
+module.exports = {
+  up: {
+    mysql: async (db) => {
+      await db.query('DROP EVENT IF EXISTS daily_cleanup');
+      await db.query('DROP PROCEDURE IF EXISTS cleanup_old_data');
+      await partitionHistory(db);
+    },
+    postgres: [],
+    sqlite: []
+  },
+
+  // Leaves the partitions; the storage layer handles either layout
+  down: {
+    mysql: [],
+    postgres: [],
+    sqlite: []
+  }
+};
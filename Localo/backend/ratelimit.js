@@ -0,0 +1,215 @@
+// ratelimit.js - Abuse protection for write endpoints and share links: token
+// buckets per user, per IP and per link (429 with Retry-After when empty),
+// lockouts after repeated wrong passwords, and rejection of fixes that would
+// need an impossible speed to reach from the previous one.
+//
+// Bucket backends implement take(key, rule, cost, now) -> { allowed,
+// tokens, retryAfter } and sweep(now). MemoryBuckets is per process;
+// createStorageBuckets shares buckets between instances through the database.
+const { haversine } = require('./geo');
+
+const IDLE_TTL = 60 * 60 * 1000; // buckets unused this long are full again and dropped
+
+// A rule is { capacity, perSecond }: `capacity` requests in a burst, then
+// `perSecond` on average
+function takeToken(bucket, rule, cost, now) {
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) / 1000 : 0;
+  const available = bucket ? Math.min(rule.capacity, bucket.tokens + elapsed * rule.perSecond) : rule.capacity;
+
+  // A request bigger than the bucket could never pass, so it costs a full bucket
+  const needed = Math.min(cost, rule.capacity);
+  if (available >= needed) {
+    return { allowed: true, tokens: available - needed, retryAfter: 0 };
+  }
+  return { allowed: false, tokens: available, retryAfter: Math.ceil((needed - available) / rule.perSecond) };
+}
+
+class MemoryBuckets {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  async take(key, rule, cost, now) {
+    const result = takeToken(this.buckets.get(key), rule, cost, now);
+    this.buckets.set(key, { tokens: result.tokens, updatedAt: now });
+    return result;
+  }
+
+  async sweep(now) {
+    let removed = 0;
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > IDLE_TTL) {
+        this.buckets.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+// Buckets in the rate_limits table, read and written in one transaction
+function createStorageBuckets(getStore) {
+  return {
+    take(key, rule, cost, now) {
+      return getStore().transaction(async (repos) => {
+        const bucket = await repos.rateLimits.lock(key, rule.capacity, now);
+        const result = takeToken(bucket, rule, cost, now);
+        await repos.rateLimits.save(key, result.tokens, now);
+        return result;
+      });
+    },
+
+    sweep(now) {
+      return getStore().rateLimits.purge(now - IDLE_TTL);
+    }
+  };
+}
+
+// rules: { name: { user?: rule, ip?: rule, token?: rule, username?: rule } }.
+// limit(name) is middleware charging the caller's user bucket (once
+// requireAuth has run), IP bucket, on share links the link's bucket and on
+// logins the bucket of the username tried; cost(req) lets a batch pay per
+// operation. If the backend fails the request goes through rather
+// than locking everyone out.
+function createRateLimiter({ backend, rules }) {
+  // [scope, id] pairs the rule has buckets for
+  const scopesOf = (rule, req) => [
+    ['user', req.userId],
+    ['ip', req.ip],
+    ['token', req.params?.token],
+    ['username', typeof req.body?.username === 'string' && req.body.username.toLowerCase()]
+  ].filter(([scope, id]) => rule[scope] && id);
+
+  // Seconds until one of the request's buckets has `cost` tokens, charging
+  // them all (up to the first empty one) when cost > 0. 0 when it may pass.
+  async function take(name, req, cost, now) {
+    const rule = rules[name];
+    try {
+      // User first, so one noisy user doesn't drain the bucket shared by
+      // everyone behind the same IP with requests that are refused anyway
+      for (const [scope, id] of scopesOf(rule, req)) {
+        const key = `${name}:${scope}:${id}`;
+        const result = cost > 0
+          ? await backend.take(key, rule[scope], cost, now)
+          : await peek(key, rule[scope], now);
+        if (!result.allowed) return result.retryAfter;
+      }
+    } catch (error) {
+      console.error('Rate limit error:', error.message);
+    }
+    return 0;
+  }
+
+  // Taking nothing refills the bucket without spending; empty means refused
+  async function peek(key, rule, now) {
+    const { tokens } = await backend.take(key, rule, 0, now);
+    if (tokens >= 1) return { allowed: true, retryAfter: 0 };
+    return { allowed: false, retryAfter: Math.ceil((1 - tokens) / rule.perSecond) };
+  }
+
+  function refuse(res, retryAfter, error = 'Too many requests, try again later') {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error, retryAfter });
+  }
+
+  function limit(name, { cost = () => 1 } = {}) {
+    return async (req, res, next) => {
+      const retryAfter = await take(name, req, cost(req), Date.now());
+      if (retryAfter > 0) return refuse(res, retryAfter);
+      next();
+    };
+  }
+
+  // Lockout after repeated failures: blocked(req, res) answers 429 and
+  // resolves true while one of the caller's `name` buckets is empty;
+  // fail(req) spends a token for a failed attempt
+  function lockout(name) {
+    return {
+      async blocked(req, res) {
+        const retryAfter = await take(name, req, 0, Date.now());
+        if (retryAfter > 0) refuse(res, retryAfter, 'Too many failed attempts, try again later');
+        return retryAfter > 0;
+      },
+
+      fail: (req) => take(name, req, 1, Date.now())
+    };
+  }
+
+  return {
+    limit,
+    lockout,
+    sweep: () => backend.sweep(Date.now())
+  };
+}
+
+// Error message when getting from `previous` to `current` ({ location, at }
+// with at in ms) needs more than maxSpeed (m/s), else null. Hops within
+// `tolerance` meters always pass so GPS jitter between close fixes is fine.
+function jumpError(previous, current, { maxSpeed, tolerance }) {
+  const distance = haversine(previous.location, current.location);
+  if (distance <= tolerance) return null;
+
+  const seconds = Math.max(Math.abs(current.at - previous.at) / 1000, 1);
+  const speed = distance / seconds;
+  if (speed <= maxSpeed) return null;
+
+  return `Location rejected: ${Math.round(distance)} m in ${Math.round(seconds)} s is faster than ${Math.round(maxSpeed * 3.6)} km/h`;
+}
+
+// Last accepted live fix per user, to check the next one against. With a
+// cluster, accepted fixes are published so the instance the user's next fix
+// lands on checks it against the same one.
+class JumpGuard {
+  constructor(limits, { ttl = IDLE_TTL, cluster = null } = {}) {
+    this.limits = limits;
+    this.ttl = ttl;
+    this.last = new Map();
+    this.cluster = cluster;
+    cluster?.subscribe('jump-guard', ({ userId, fix }) => this.last.set(userId, fix));
+  }
+
+  // Error message for an impossible fix, else null. Checked against
+  // `previous` ({ location, at }, null for none), by default the last
+  // accepted fix. Nothing is recorded until accept().
+  check(userId, location, at = Date.now(), previous = this.last.get(userId)) {
+    if (!previous || at - previous.at >= this.ttl) return null;
+    return jumpError(previous, { location, at }, this.limits);
+  }
+
+  // Once the fix is stored it is the one the next is checked against
+  accept(userId, location, at = Date.now()) {
+    const fix = { location: { lat: location.lat, lng: location.lng }, at };
+    this.last.set(userId, fix);
+    this.cluster?.publish('jump-guard', { userId, fix });
+  }
+
+  // After a stop the next session starts wherever the user is. Stops reach
+  // every instance already, so this isn't published.
+  forget(userId) {
+    this.last.delete(userId);
+  }
+
+  size() {
+    return this.last.size;
+  }
+
+  // Drops users quiet for longer than ttl; returns the count
+  sweep(now = Date.now()) {
+    let removed = 0;
+    for (const [userId, fix] of this.last) {
+      if (now - fix.at > this.ttl) {
+        this.last.delete(userId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = {
+  createRateLimiter,
+  MemoryBuckets,
+  createStorageBuckets,
+  JumpGuard,
+  jumpError
+};
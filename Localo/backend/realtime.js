@@ -0,0 +1,136 @@
+// realtime.js - Socket.IO push for live location updates
+const { Server } = require('socket.io');
+const { present } = require('./sharing');
+
+const EVENTS = {
+  update: 'location:update',
+  stop: 'location:stop',
+  heartbeat: 'user:heartbeat',
+  membership: 'circles:changed',
+  geofence: 'geofence:event'
+};
+
+const circleRoom = (circleId) => `circle:${circleId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+// getAudience(userId) resolves to Map(circleId -> precision) of the circles
+// currently allowed to see the user. With an adapter (see cluster.js) rooms
+// span every instance, so emits reach sockets connected elsewhere too.
+function createRealtime(server, { clientUrl, authenticate, getCircleIds, getAudience, adapter = null }) {
+  const io = new Server(server, {
+    cors: { origin: clientUrl, credentials: true },
+    pingInterval: 25000,
+    pingTimeout: 20000
+  });
+  if (adapter) io.adapter(adapter);
+
+  // Sockets authenticate with the same token as the REST API
+  io.use(async (socket, next) => {
+    const user = await authenticate(socket.handshake.auth?.token).catch((error) => {
+      console.error('Socket auth error:', error.message);
+      return null;
+    });
+    if (!user) {
+      return next(new Error('Authentication required'));
+    }
+    socket.data.userId = user.userId;
+    next();
+  });
+
+  // Each socket listens on its own room plus one room per circle
+  io.on('connection', async (socket) => {
+    const { userId } = socket.data;
+    socket.join(userRoom(userId));
+
+    try {
+      const circleIds = await getCircleIds(userId);
+      socket.join(circleIds.map(circleRoom));
+    } catch (error) {
+      console.error('Socket circle join error:', error.message);
+    }
+  });
+
+  // Emit once per shared circle so clients can filter by the circle on screen
+  function toCircles(userId, event, payload) {
+    getCircleIds(userId)
+      .then(circleIds => {
+        for (const circleId of circleIds) {
+          io.to(circleRoom(circleId)).emit(event, { ...payload, circleId });
+        }
+      })
+      .catch(err => console.error('Broadcast error:', err.message));
+  }
+
+  // Same, but only to circles the user shares with, each at its precision;
+  // the user's own sockets always get the exact payload
+  function toAudience(userId, event, payload) {
+    getAudience(userId)
+      .then(audience => {
+        for (const [circleId, precision] of audience) {
+          if (precision === 'exact') {
+            io.to(circleRoom(circleId)).emit(event, { ...payload, circleId });
+            continue;
+          }
+          const shown = payload.location ? present(payload, precision) : payload;
+          io.to(circleRoom(circleId)).except(userRoom(userId)).emit(event, { ...shown, circleId });
+          io.to(userRoom(userId)).emit(event, { ...payload, circleId });
+        }
+      })
+      .catch(err => console.error('Broadcast error:', err.message));
+  }
+
+  return {
+    io,
+
+    broadcastUpdate(userId, data) {
+      toAudience(userId, EVENTS.update, {
+        userId,
+        location: data.location,
+        address: data.address,
+        isTracking: data.isTracking,
+        lastSeen: new Date(data.lastSeen).toISOString()
+      });
+    },
+
+    // Goes to every circle, so a pause also clears the user from all maps
+    broadcastStop(userId) {
+      toCircles(userId, EVENTS.stop, { userId });
+    },
+
+    broadcastHeartbeat(userId, lastSeen) {
+      toAudience(userId, EVENTS.heartbeat, { userId, lastSeen: new Date(lastSeen).toISOString() });
+    },
+
+    broadcastGeofenceEvent(event) {
+      io.to(circleRoom(event.circleId)).emit(EVENTS.geofence, event);
+    },
+
+    // Keep a user's open sockets in step with circle joins and leaves
+    updateMembership(userId, circleId, joined) {
+      const sockets = io.in(userRoom(userId));
+      if (joined) {
+        sockets.socketsJoin(circleRoom(circleId));
+      } else {
+        sockets.socketsLeave(circleRoom(circleId));
+        io.to(circleRoom(circleId)).emit(EVENTS.stop, { userId, circleId });
+      }
+      io.to(userRoom(userId)).emit(EVENTS.membership, { circleId, joined });
+    },
+
+    // Closes the user's sockets on every instance, e.g. once their account
+    // is deleted; tokens are only checked when a socket connects
+    disconnectUser(userId) {
+      io.in(userRoom(userId)).disconnectSockets(true);
+    },
+
+    connections() {
+      return io.engine.clientsCount;
+    },
+
+    close() {
+      return new Promise(resolve => io.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = { createRealtime, EVENTS };
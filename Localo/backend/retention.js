@@ -0,0 +1,360 @@
+// retention.js - How long location history is kept. A periodic job creates
+// monthly partitions ahead of time, archives and drops the ones every
+// policy has expired, and deletes older points of users whose own retention
+// is shorter. Policies are per circle (owners) or per user.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+const { monthStart, addMonths, partitionName } = require('./storage/months');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 3650;
+const SCAN_PAGE = 5000;
+const DELETE_BATCH = 5000;
+
+// 0 keeps history forever
+const keepFor = (days) => (days === 0 ? Infinity : days * DAY);
+
+function parseDays(value) {
+  if (value === null) return { days: null };
+  if (!Number.isInteger(value) || value < 0 || value > MAX_DAYS) {
+    return { error: `Days must be a whole number from 0 (keep forever) to ${MAX_DAYS}, or null for the default` };
+  }
+  return { days: value };
+}
+
+function createRetention({ getStore, requireAuth, requireAdmin, circles, config }) {
+  let timer = null;
+  let running = false;
+  let nextRunAt = null;
+  let lastRun = null;
+
+  async function loadPolicies(store) {
+    const policies = await store.retention.list();
+    const users = new Map();
+    const circleDays = new Map();
+    for (const policy of policies) {
+      (policy.scope === 'user' ? users : circleDays).set(policy.scopeId, policy.days);
+    }
+
+    const all = [config.defaultDays, ...policies.map(p => p.days)];
+    return {
+      list: policies,
+      users,
+      circles: circleDays,
+      longest: all.includes(0) ? 0 : Math.max(...all),
+      shortest: Math.min(...all.filter(days => days > 0))
+    };
+  }
+
+  // The user's own policy, else the longest of their circles' policies, else
+  // the default
+  async function effectiveDays(userId, policies) {
+    if (policies.users.has(userId)) return policies.users.get(userId);
+
+    const circleIds = await circles.getUserCircleIds(userId);
+    const days = circleIds
+      .filter(id => policies.circles.has(String(id)))
+      .map(id => policies.circles.get(String(id)));
+    if (days.length === 0) return config.defaultDays;
+    return days.includes(0) ? 0 : Math.max(...days);
+  }
+
+  // What a run at `now` would do: partitions to create and to expire
+  async function plan(store, now = Date.now()) {
+    const policies = await loadPolicies(store);
+    const partitions = await store.partitions.list();
+    const horizon = now - keepFor(policies.longest);
+
+    const create = [];
+    if (store.partitions.partitioned) {
+      for (let i = 0; i <= config.monthsAhead; i++) {
+        const name = partitionName(addMonths(monthStart(now), i));
+        if (!partitions.some(p => p.name === name)) create.push(name);
+      }
+    }
+
+    const expire = partitions.filter(p => p.to !== null && p.to <= horizon);
+    return { policies, partitions, create, expire };
+  }
+
+  // Streams the partition's rows to <archiveDir>/location_history_<name>.ndjson.gz
+  async function archive(store, partition) {
+    fs.mkdirSync(config.archiveDir, { recursive: true });
+    const file = path.join(config.archiveDir, `location_history_${partition.name}.ndjson.gz`);
+
+    async function* lines() {
+      let after = null;
+      for (;;) {
+        const rows = await store.history.scan({ from: partition.from ?? 0, to: partition.to, after, limit: SCAN_PAGE });
+        for (const row of rows) {
+          yield `${JSON.stringify({ ...row, trackedAt: new Date(row.trackedAt).toISOString() })}\n`;
+        }
+        if (rows.length < SCAN_PAGE) return;
+        const last = rows[rows.length - 1];
+        after = { trackedAt: last.trackedAt, id: last.id };
+      }
+    }
+
+    // Written under a temporary name so a half-written archive is never mistaken for a complete one
+    await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(`${file}.partial`));
+    fs.renameSync(`${file}.partial`, file);
+    return file;
+  }
+
+  async function deleteBefore(store, userId, before) {
+    let deleted = 0;
+    let count;
+    do {
+      count = await store.history.deleteBefore(userId, before, DELETE_BATCH);
+      deleted += count;
+    } while (count === DELETE_BATCH);
+    return deleted;
+  }
+
+  // Points older than their user's retention, for users kept shorter than
+  // the partitions are
+  async function expireUsers(store, policies, now) {
+    if (!Number.isFinite(policies.shortest) || policies.shortest === policies.longest) return 0;
+
+    let deleted = 0;
+    for (const userId of await store.history.usersBefore(now - keepFor(policies.shortest))) {
+      const days = await effectiveDays(userId, policies);
+      if (days === 0 || days === policies.longest) continue;
+      deleted += await deleteBefore(store, userId, now - keepFor(days));
+    }
+    return deleted;
+  }
+
+  // Expired points older than every monthly partition, which dropping
+  // partitions never reaches (Postgres keeps history from before
+  // partitioning in its default partition)
+  async function expireUnpartitioned(store, partitions, horizon) {
+    if (!store.partitions.partitioned || !Number.isFinite(horizon)) return 0;
+
+    const monthly = partitions.filter(p => p.to !== null);
+    const before = Math.min(horizon, ...monthly.map(p => p.from ?? -Infinity));
+    if (!Number.isFinite(before)) return 0;
+
+    let deleted = 0;
+    for (const userId of await store.history.usersBefore(before)) {
+      deleted += await deleteBefore(store, userId, before);
+    }
+    return deleted;
+  }
+
+  async function runOnce() {
+    const store = getStore();
+    if (!store || running) return null;
+
+    running = true;
+    nextRunAt = Date.now() + config.interval;
+    const result = { at: new Date().toISOString(), created: [], archived: [], dropped: [], deletedPoints: 0 };
+
+    try {
+      const now = Date.now();
+      const { policies, partitions, create, expire } = await plan(store, now);
+
+      for (const name of create) {
+        await store.partitions.create(name);
+        result.created.push(name);
+        console.log(`🗂️  Created history partition ${name}`);
+      }
+
+      for (const partition of expire) {
+        if (config.archiveDir) {
+          const file = await archive(store, partition);
+          result.archived.push(partition.name);
+          console.log(`📦 Archived history partition ${partition.name} to ${file}`);
+        }
+        await store.partitions.drop(partition.name);
+        result.dropped.push(partition.name);
+        console.log(`🗑️  Dropped history partition ${partition.name}`);
+      }
+
+      const kept = partitions.filter(p => !expire.includes(p));
+      result.deletedPoints = await expireUnpartitioned(store, kept, now - keepFor(policies.longest)) +
+        await expireUsers(store, policies, now);
+      if (result.deletedPoints > 0) {
+        console.log(`🧹 Deleted ${result.deletedPoints} history points past their retention`);
+      }
+    } catch (error) {
+      console.error('Retention job error:', error.message);
+      result.error = error.message;
+    } finally {
+      running = false;
+    }
+
+    lastRun = result;
+    return result;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(runOnce, config.interval);
+    runOnce();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // First scheduled run at or after `at`
+  function runAfter(at) {
+    if (!nextRunAt || at <= nextRunAt) return nextRunAt;
+    return nextRunAt + Math.ceil((at - nextRunAt) / config.interval) * config.interval;
+  }
+
+  const toIso = (ms) => (ms != null ? new Date(ms).toISOString() : null);
+
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // The caller's own retention, and what actually applies to them
+  router.get('/me', async (req, res) => {
+    try {
+      const store = getStore();
+      const policies = await loadPolicies(store);
+
+      res.json({
+        days: policies.users.get(req.userId) ?? null,
+        effectiveDays: await effectiveDays(req.userId, policies),
+        defaultDays: config.defaultDays
+      });
+    } catch (error) {
+      console.error('Get retention error:', error);
+      res.status(500).json({ error: 'Failed to fetch retention' });
+    }
+  });
+
+  // { days } - 0 keeps everything, null falls back to circle/default retention
+  router.put('/me', async (req, res) => {
+    const { days, error } = parseDays(req.body.days);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const store = getStore();
+      if (days === null) {
+        await store.retention.remove('user', req.userId);
+      } else {
+        await store.retention.set({ scope: 'user', scopeId: req.userId, days, updatedBy: req.userId });
+      }
+      res.json({ days, defaultDays: config.defaultDays });
+    } catch (error) {
+      console.error('Set retention error:', error);
+      res.status(500).json({ error: 'Failed to update retention' });
+    }
+  });
+
+  router.get('/circles/:circleId', async (req, res) => {
+    const circleId = parseInt(req.params.circleId);
+
+    try {
+      if (!(await circles.getMemberRole(circleId, req.userId))) {
+        return res.status(404).json({ error: 'Circle not found' });
+      }
+
+      const policy = await getStore().retention.get('circle', circleId);
+      res.json({ days: policy?.days ?? null, defaultDays: config.defaultDays });
+    } catch (error) {
+      console.error('Get circle retention error:', error);
+      res.status(500).json({ error: 'Failed to fetch retention' });
+    }
+  });
+
+  // Owners only
+  router.put('/circles/:circleId', async (req, res) => {
+    const circleId = parseInt(req.params.circleId);
+    const { days, error } = parseDays(req.body.days);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      if ((await circles.getMemberRole(circleId, req.userId)) !== 'owner') {
+        return res.status(404).json({ error: 'Circle not found' });
+      }
+
+      const store = getStore();
+      if (days === null) {
+        await store.retention.remove('circle', circleId);
+      } else {
+        await store.retention.set({ scope: 'circle', scopeId: circleId, days, updatedBy: req.userId });
+      }
+      res.json({ days, defaultDays: config.defaultDays });
+    } catch (error) {
+      console.error('Set circle retention error:', error);
+      res.status(500).json({ error: 'Failed to update retention' });
+    }
+  });
+
+  const adminRouter = express.Router();
+  adminRouter.use(requireAdmin);
+
+  // Partition sizes, policies and what the job will do next
+  adminRouter.get('/', async (req, res) => {
+    try {
+      const store = getStore();
+      const now = Date.now();
+      const { policies, partitions, create } = await plan(store, now);
+      const kept = keepFor(policies.longest);
+
+      const scheduled = create.map(name => ({ action: 'create', partition: name, at: toIso(nextRunAt) }));
+      if (store.partitions.partitioned) {
+        // The month that comes into range when the current one ends
+        const upcoming = partitionName(addMonths(monthStart(now), config.monthsAhead + 1));
+        scheduled.push({ action: 'create', partition: upcoming, at: toIso(runAfter(addMonths(monthStart(now), 1))) });
+      }
+      for (const p of partitions) {
+        if (p.to === null || !Number.isFinite(kept)) continue;
+        scheduled.push({
+          action: config.archiveDir ? 'archive+drop' : 'drop',
+          partition: p.name,
+          at: toIso(runAfter(Math.max(p.to + kept, now)))
+        });
+      }
+      scheduled.sort((a, b) => (a.at ?? '').localeCompare(b.at ?? ''));
+
+      res.json({
+        storage: store.kind,
+        partitioned: store.partitions.partitioned,
+        defaultDays: config.defaultDays,
+        longestDays: policies.longest,
+        archiveDir: config.archiveDir,
+        partitions: partitions.map(p => ({
+          ...p,
+          from: toIso(p.from),
+          to: toIso(p.to),
+          expiresAt: p.to !== null && Number.isFinite(kept) ? toIso(p.to + kept) : null
+        })),
+        policies: policies.list,
+        nextRunAt: toIso(nextRunAt),
+        scheduled,
+        lastRun
+      });
+    } catch (error) {
+      console.error('Retention status error:', error);
+      res.status(500).json({ error: 'Failed to fetch retention status' });
+    }
+  });
+
+  // Run the job now
+  adminRouter.post('/run', async (req, res) => {
+    if (running) {
+      return res.status(409).json({ error: 'Retention job is already running' });
+    }
+
+    const result = await runOnce();
+    res.status(result?.error ? 500 : 200).json(result);
+  });
+
+  return { router, adminRouter, start, stop, runOnce };
+}
+
+module.exports = { createRetention };
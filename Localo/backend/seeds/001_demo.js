@@ -0,0 +1,65 @@
+// 001_demo.js - Two demo accounts sharing a circle, a place and an
+// afternoon walk. Log in as "demo" / "localo-demo".
+const { hashPassword } = require('../auth');
+
+const PASSWORD = 'localo-demo';
+const HOME = { lat: 52.52, lng: 13.405 };
+
+const people = [
+  { userId: 'user_demo_1', username: 'demo', role: 'owner', stretch: 1 },
+  { userId: 'user_demo_2', username: 'demo-friend', role: 'member', stretch: -0.6 }
+];
+
+// A minute-by-minute loop away from home and back, ending now; stretch
+// scales (and with a sign, mirrors) the loop
+function walk(userId, stretch, minutes = 60) {
+  const now = Date.now();
+  return Array.from({ length: minutes + 1 }, (_, i) => {
+    const angle = (i / minutes) * 2 * Math.PI;
+    return {
+      userId,
+      location: {
+        lat: HOME.lat + 0.004 * stretch * Math.sin(angle),
+        lng: HOME.lng + 0.006 * stretch * (1 - Math.cos(angle))
+      },
+      address: null,
+      trackedAt: now - (minutes - i) * 60 * 1000
+    };
+  });
+}
+
+module.exports = {
+  description: 'demo accounts, circle, place and history',
+
+  async run(store) {
+    if (await store.accounts.findByUsername('demo')) {
+      console.log('   demo data already present, skipping');
+      return;
+    }
+
+    const passwordHash = await hashPassword(PASSWORD);
+    for (const { userId, username } of people) {
+      await store.accounts.create({ userId, username, passwordHash });
+      await store.users.register(userId);
+    }
+
+    const circleId = await store.circles.create({ name: 'Demo', inviteCode: 'DEMQ2345', createdBy: 'user_demo_1' });
+    for (const { userId, role } of people) {
+      await store.circles.addMember(circleId, userId, role);
+    }
+
+    await store.geofences.create(circleId, {
+      name: 'Home',
+      shape: 'circle',
+      center: HOME,
+      radius: 150,
+      points: null
+    }, 'user_demo_1');
+
+    for (const { userId, stretch } of people) {
+      const track = walk(userId, stretch);
+      await store.history.insert(track);
+      await store.users.upsert(userId, { ...track[track.length - 1], isTracking: false });
+    }
+  }
+};
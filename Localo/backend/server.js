@@ -1,126 +1,216 @@
 // server.js - Optimized backend server for Localo
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
-const mysql = require('mysql2/promise');
+const { createStorage, storageConfig, LABELS: STORAGE_LABELS } = require('./storage');
+const { createRealtime } = require('./realtime');
+const { createAuth } = require('./auth');
+const { createCircles } = require('./circles');
+const { createSharing, present } = require('./sharing');
+const { createGeofences } = require('./geofences');
+const { createWebhooks } = require('./webhooks');
+const { createRetention } = require('./retention');
+const { validateLocation } = require('./geo');
+const { GridIndex, parseBbox, parseNearby } = require('./spatial');
+const {
+  parseTimeRange,
+  parseTimestamp,
+  validateTrackedAt,
+  pointKey,
+  loadStoredKeys,
+  decodeCursor,
+  queryHistory
+} = require('./history');
+const { createTrips } = require('./trips');
+const { createExports } = require('./exporters');
+const { createImports } = require('./importers');
+const { createRateLimiter, MemoryBuckets, createStorageBuckets, JumpGuard, jumpError } = require('./ratelimit');
+const { readFix, accuracyError, FixSmoother, smoothTrack } = require('./fixes');
+const { createGeocoder } = require('./geocoding');
+const { createCluster, createLeadership } = require('./cluster');
+const { BatchProcessor } = require('./ingest');
+const { setupLogging, requestContext, requestLogger } = require('./logger');
+const { createMetrics, httpMetrics } = require('./metrics');
+const { createHealth } = require('./health');
+const { createAdmin } = require('./admin');
 require('dotenv').config();
 
 const app = express();
+const server = http.createServer(app);
 
 // Configuration
 const CONFIG = {
   port: process.env.PORT || 3001,
   clientUrl: process.env.CLIENT_URL || 'http://localhost:5173',
+  // Proxy hops (or addresses) to trust for X-Forwarded-For, so req.ip is the
+  // client's address behind a reverse proxy
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '') ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY || false,
   inactiveThreshold: 5 * 60 * 1000, // 5 minutes in ms
   cleanupInterval: 60 * 1000, // 1 minute in ms
-  historyLimit: 100,
-  db: {
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'localo',
-    connectionLimit: 10,
-    queueLimit: 0,
-    enableKeepAlive: true,
-    keepAliveInitialDelay: 0
-  }
+  historyLimit: 5000, // points per history page
+  bulkLimit: 500, // fixes per offline replay request
+  batchLimit: 50, // operations per /api/batch request
+  nearby: {
+    defaultRadius: 1000, // meters
+    maxRadius: 50 * 1000,
+    maxResults: 100
+  },
+  sharing: {
+    trailMinutes: 60, // trail shown on a share link's page
+    maxTrailMinutes: 12 * 60,
+    maxTrailPoints: 500
+  },
+  rateLimit: {
+    // 'storage' shares buckets between instances through the database, the
+    // default when running as a cluster
+    store: process.env.RATE_LIMIT_STORE || (process.env.CLUSTER_REDIS_URL ? 'storage' : 'memory'),
+    // { capacity, perSecond } token buckets per signed-in user, per IP, per
+    // share link and per username tried at login
+    rules: {
+      location: { user: { capacity: 30, perSecond: 1 }, ip: { capacity: 120, perSecond: 5 } }, // updates, stops, heartbeats, batches
+      bulk: { user: { capacity: 10, perSecond: 1 / 15 }, ip: { capacity: 30, perSecond: 1 / 5 } }, // offline replays
+      register: { user: { capacity: 10, perSecond: 1 / 30 }, ip: { capacity: 60, perSecond: 1 / 5 } },
+      signup: { ip: { capacity: 5, perSecond: 1 / 600 } }, // account creation
+      login: { ip: { capacity: 20, perSecond: 1 / 30 }, username: { capacity: 10, perSecond: 1 / 60 } }, // password guessing
+      shared: { ip: { capacity: 60, perSecond: 1 }, token: { capacity: 120, perSecond: 2 } }, // public share-link views
+      // Wrong share-link passwords: once spent, further guesses are locked out
+      // until the bucket refills (one a minute)
+      sharePassword: { ip: { capacity: 10, perSecond: 1 / 60 }, token: { capacity: 30, perSecond: 1 / 60 } }
+    }
+  },
+  jumps: {
+    maxSpeed: (parseFloat(process.env.MAX_SPEED_KMH) || 1200) / 3.6, // m/s; anything faster is spoofed or broken GPS
+    tolerance: parseFloat(process.env.JUMP_TOLERANCE_M) || 250 // meters between fixes that always pass
+  },
+  fixes: {
+    maxAccuracy: parseFloat(process.env.MAX_ACCURACY_M) || 100, // meters; fixes reported less accurate are dropped
+    processNoise: 3, // m/s a position may drift between fixes when the device reports no speed
+    defaultAccuracy: 30 // meters assumed for fixes that report none
+  },
+  geocoding: {
+    provider: process.env.GEOCODER || 'nominatim', // nominatim, photon, pelias, offline or none
+    url: process.env.GEOCODER_URL, // own instance (required for pelias)
+    apiKey: process.env.GEOCODER_API_KEY,
+    dataset: process.env.GEOCODER_DATASET, // GeoNames dump for the offline provider
+    maxDistance: 20 * 1000, // meters to the nearest place, offline
+    userAgent: process.env.GEOCODER_USER_AGENT || 'Localo/1.0',
+    language: process.env.GEOCODER_LANGUAGE || 'en',
+    timeout: 10000,
+    precision: 4, // decimals of the cache key, about 11 m
+    cacheTtl: 30 * 24 * 60 * 60 * 1000,
+    interval: parseInt(process.env.GEOCODER_INTERVAL_MS) || 1100, // between provider requests (public Nominatim: 1/s)
+    maxPending: 500 // history points waiting for an address beyond this go without
+  },
+  auth: {
+    secret: process.env.JWT_SECRET,
+    tokenTtl: process.env.JWT_TTL || '7d',
+    admins: (process.env.ADMIN_USERS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+  },
+  webhooks: {
+    pollInterval: 2000, // how often the delivery queue is checked
+    batchSize: 20,
+    timeout: 10000, // per request
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    baseDelay: 10 * 1000, // first retry, doubled each attempt
+    maxDelay: 60 * 60 * 1000
+  },
+  retention: {
+    defaultDays: parseInt(process.env.HISTORY_RETENTION_DAYS) || 0, // 0 keeps history forever
+    monthsAhead: 3, // partitions created ahead of time
+    interval: 60 * 60 * 1000, // how often the retention job runs
+    archiveDir: process.env.HISTORY_ARCHIVE_DIR || null // expired partitions are saved here (gzipped NDJSON) before dropping
+  },
+  ingest: {
+    spoolDir: process.env.HISTORY_SPOOL_DIR || 'data/spool', // queued points and dead letters; one directory per instance
+    batchSize: 10, // queued points that trigger a flush
+    flushInterval: 5000,
+    maxBatch: 500, // points per insert when catching up
+    maxAttempts: 5, // a point the database keeps refusing goes to the dead letters after this
+    baseDelay: 1000, // first retry after a failed flush, doubled each time
+    maxDelay: 60 * 1000,
+    compactBytes: 4 * 1024 * 1024 // spool size that gets it rewritten while the queue never empties
+  },
+  logging: {
+    level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'development' ? 'debug' : 'info'), // debug adds a line per request
+    format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'text') // json: one object per line
+  },
+  metrics: {
+    token: process.env.METRICS_TOKEN || null // bearer token /metrics requires, if set
+  },
+  health: {
+    maxQueueDepth: parseInt(process.env.READY_MAX_QUEUE_DEPTH) || 10000, // history points queued before /readyz fails
+    timeout: 2000 // ms a readiness check may take
+  },
+  cluster: {
+    redisUrl: process.env.CLUSTER_REDIS_URL || null, // Redis-compatible server shared by all instances; unset runs as one process
+    prefix: process.env.CLUSTER_PREFIX || 'localo', // keys and channels, for several deployments on one server
+    leaderTtl: 30 * 1000 // a dead leader's jobs move to another instance within this
+  },
+  storage: storageConfig() // STORAGE, DB_*, DATABASE_URL, SQLITE_PATH... (see storage/index.js)
 };
 
+setupLogging(CONFIG.logging);
+
+// Prometheus metrics, served on /metrics
+const metrics = createMetrics();
+
 // Middleware
+app.set('trust proxy', CONFIG.trustProxy);
+app.use(requestContext());
+app.use(httpMetrics(metrics));
 app.use(cors({ origin: CONFIG.clientUrl, credentials: true }));
-app.use(express.json({ limit: '1mb' }));
-
-// Request logging in development
-if (process.env.NODE_ENV === 'development') {
-  app.use((req, res, next) => {
-    const start = Date.now();
-    res.on('finish', () => {
-      console.log(`${req.method} ${req.path} - ${res.statusCode} (${Date.now() - start}ms)`);
-    });
-    next();
-  });
-}
+// JSON bodies up to 1 MB, except track uploads, which take their own parser
+// with a larger limit
+const jsonBody = express.json({ limit: '1mb' });
+app.use((req, res, next) => (req.path === '/api/history/import' ? next() : jsonBody(req, res, next)));
 
-// MySQL connection pool with optimizations
-let pool;
+// Request logging (LOG_LEVEL=debug, the default in development)
+app.use(requestLogger());
 
-async function initializeDatabase() {
-  try {
-    pool = mysql.createPool(CONFIG.db);
-    
-    // Test connection
-    const connection = await pool.getConnection();
-    console.log('✅ MySQL connected successfully');
-    connection.release();
+// Storage backend: MySQL, PostgreSQL or SQLite, or in memory (STORAGE=memory,
+// or when the database is unreachable)
+let store;
 
-    // Create tables with optimized indexes
-    await createTables();
-    
-    // Start cleanup task
-    startCleanupTask();
-  } catch (error) {
-    console.error('❌ MySQL connection error:', error.message);
-    console.log('⚠️  Running in-memory mode only');
-  }
-}
+async function initializeStorage() {
+  store = await createStorage(CONFIG.storage);
 
-// Optimized table creation with better indexes
-async function createTables() {
-  const queries = [
-    `CREATE TABLE IF NOT EXISTS users (
-      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-      user_id VARCHAR(64) NOT NULL,
-      latitude DECIMAL(10, 8),
-      longitude DECIMAL(11, 8),
-      address VARCHAR(512),
-      is_tracking BOOLEAN DEFAULT FALSE,
-      last_seen TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
-      created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
-      UNIQUE KEY idx_user_id (user_id),
-      KEY idx_tracking_lookup (is_tracking, last_seen),
-      KEY idx_last_seen (last_seen)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC`,
-    
-    `CREATE TABLE IF NOT EXISTS location_history (
-      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-      user_id VARCHAR(64) NOT NULL,
-      latitude DECIMAL(10, 8) NOT NULL,
-      longitude DECIMAL(11, 8) NOT NULL,
-      address VARCHAR(512),
-      tracked_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
-      KEY idx_user_time (user_id, tracked_at DESC),
-      KEY idx_tracked_at (tracked_at)
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci ROW_FORMAT=DYNAMIC 
-    PARTITION BY RANGE (UNIX_TIMESTAMP(tracked_at)) (
-      PARTITION p0 VALUES LESS THAN (UNIX_TIMESTAMP('2025-01-01 00:00:00')),
-      PARTITION p1 VALUES LESS THAN (UNIX_TIMESTAMP('2026-01-01 00:00:00')),
-      PARTITION p2 VALUES LESS THAN MAXVALUE
-    )`
-  ];
-
-  for (const query of queries) {
-    try {
-      await pool.query(query);
-    } catch (error) {
-      if (!error.message.includes('already exists')) {
-        console.error('Table creation error:', error.message);
-      }
-    }
-  }
-  console.log('✅ Database tables verified');
+  // Points left in the spool by the last run go in first
+  historyBatcher.flush();
+
+  // Start cleanup task
+  startCleanupTask();
+
+  // Webhook delivery and the partition and retention job run on the leader
+  await leadership.start();
 }
 
-// In-memory cache with TTL
+// Live cache and Socket.IO fan-out between instances, and the lock that
+// picks the one running the background jobs
+const cluster = createCluster(CONFIG.cluster);
+
+// In-memory cache with TTL, spatially indexed by each entry's location.
+// Sets and deletes are published to the other instances, whose caches apply
+// them, so every instance holds the same live positions.
 class LocationCache {
-  constructor(ttl = 60000) {
+  constructor(ttl = 60000, cluster = null) {
     this.cache = new Map();
+    this.index = new GridIndex();
     this.ttl = ttl;
+    this.cluster = cluster;
+    cluster?.subscribe('live', ({ key, value }) => (value ? this.put(key, value) : this.remove(key)));
   }
 
   set(key, value) {
+    this.put(key, value);
+    this.cluster?.publish('live', { key, value });
+  }
+
+  put(key, value) {
     this.cache.set(key, {
       data: value,
       timestamp: Date.now()
     });
+    this.index.set(key, value.location);
   }
 
   get(key) {
@@ -128,7 +218,7 @@ class LocationCache {
     if (!item) return null;
     
     if (Date.now() - item.timestamp > this.ttl) {
-      this.cache.delete(key);
+      this.remove(key);
       return null;
     }
     
@@ -136,16 +226,27 @@ class LocationCache {
   }
 
   delete(key) {
+    this.remove(key);
+    this.cluster?.publish('live', { key, value: null });
+  }
+
+  // Expiry is left to each instance, only explicit deletes are published
+  remove(key) {
     this.cache.delete(key);
+    this.index.delete(key);
   }
 
+  // Drops expired entries; returns the count
   cleanup() {
     const now = Date.now();
+    let removed = 0;
     for (const [key, value] of this.cache.entries()) {
       if (now - value.timestamp > this.ttl) {
-        this.cache.delete(key);
+        this.remove(key);
+        removed++;
       }
     }
+    return removed;
   }
 
   size() {
@@ -161,124 +262,414 @@ class LocationCache {
     }
     return result;
   }
-}
-
-const locationCache = new LocationCache(3000); // 3 second cache
-
-// Optimized database queries using prepared statements
-const queries = {
-  upsertUser: `
-    INSERT INTO users (user_id, latitude, longitude, address, is_tracking, last_seen)
-    VALUES (?, ?, ?, ?, ?, NOW(3))
-    ON DUPLICATE KEY UPDATE
-      latitude = VALUES(latitude),
-      longitude = VALUES(longitude),
-      address = VALUES(address),
-      is_tracking = VALUES(is_tracking),
-      last_seen = NOW(3)`,
-  
-  insertHistory: `
-    INSERT INTO location_history (user_id, latitude, longitude, address)
-    VALUES (?, ?, ?, ?)`,
-  
-  getActiveUsers: `
-    SELECT user_id, latitude, longitude, address, is_tracking, 
-           UNIX_TIMESTAMP(last_seen) as last_seen_ts
-    FROM users
-    WHERE is_tracking = TRUE 
-      AND last_seen > DATE_SUB(NOW(3), INTERVAL ? SECOND)
-      AND latitude IS NOT NULL 
-      AND longitude IS NOT NULL`,
-  
-  stopTracking: `
-    UPDATE users 
-    SET is_tracking = FALSE, last_seen = NOW(3) 
-    WHERE user_id = ?`,
-  
-  updateHeartbeat: `
-    UPDATE users 
-    SET last_seen = NOW(3) 
-    WHERE user_id = ?`,
-  
-  cleanupInactive: `
-    UPDATE users 
-    SET is_tracking = FALSE 
-    WHERE is_tracking = TRUE 
-      AND last_seen < DATE_SUB(NOW(3), INTERVAL ? SECOND)`
-};
 
-// Batch processing for history inserts
-class BatchProcessor {
-  constructor(batchSize = 10, flushInterval = 5000) {
-    this.queue = [];
-    this.batchSize = batchSize;
-    this.flushInterval = flushInterval;
-    this.startFlushTimer();
+  // Live entries inside bbox, as [key, data]
+  within(bbox) {
+    return this.index.within(bbox)
+      .map(key => [key, this.get(key)])
+      .filter(([_, data]) => data);
   }
 
-  add(item) {
-    this.queue.push(item);
-    if (this.queue.length >= this.batchSize) {
-      this.flush();
-    }
+  // Live entries within `radius` meters, nearest first, as [key, data, distance]
+  nearby(center, radius) {
+    return this.index.nearby(center, radius)
+      .map(({ id, distance }) => [id, this.get(id), distance])
+      .filter(([_, data]) => data);
   }
+}
 
-  async flush() {
-    if (!pool || this.queue.length === 0) return;
+const locationCache = new LocationCache(3000, cluster); // 3 second cache
 
-    const items = this.queue.splice(0, this.queue.length);
-    try {
-      const values = items.map(item => [
-        item.userId,
-        item.location.lat,
-        item.location.lng,
-        item.address
-      ]);
-      
-      if (values.length > 0) {
-        await pool.query(
-          `INSERT INTO location_history (user_id, latitude, longitude, address) VALUES ?`,
-          [values]
-        );
-      }
-    } catch (error) {
-      console.error('Batch flush error:', error.message);
-    }
+// A cache entry shaped for API responses
+const toActiveUser = (userId, data) => ({
+  userId,
+  location: data.location,
+  address: data.address,
+  isTracking: data.isTracking,
+  lastSeen: new Date(data.lastSeen).toISOString()
+});
+
+// Active users as currently held in the cache, optionally only inside bbox
+function getCachedActiveUsers(bbox = null) {
+  const entries = bbox ? locationCache.within(bbox) : Object.entries(locationCache.getAll());
+  return entries
+    .filter(([_, data]) => data.isTracking)
+    .map(([userId, data]) => toActiveUser(userId, data));
+}
+
+// A user's live position for share links: the cache, else the stored row
+async function getLivePosition(userId) {
+  const cached = locationCache.get(userId);
+  if (cached?.isTracking) return toActiveUser(userId, cached);
+
+  const [user] = await store.users.findActive([userId], CONFIG.inactiveThreshold / 1000);
+  return user ?? null;
+}
+
+// Active users near center as held in the cache, nearest first
+function getCachedNearbyUsers(center, radius) {
+  return locationCache.nearby(center, radius)
+    .filter(([_, data]) => data.isTracking)
+    .map(([userId, data, distance]) => ({ ...toActiveUser(userId, data), distance }));
+}
+
+// Accounts and signed session tokens
+const auth = createAuth({
+  getStore: () => store,
+  secret: CONFIG.auth.secret,
+  tokenTtl: CONFIG.auth.tokenTtl,
+  admins: CONFIG.auth.admins,
+  cluster
+});
+const { requireAuth, requireAdmin } = auth;
+
+// Request budgets for the write endpoints (429 + Retry-After when spent)
+const limiter = createRateLimiter({
+  backend: CONFIG.rateLimit.store === 'storage' ? createStorageBuckets(() => store) : new MemoryBuckets(),
+  rules: CONFIG.rateLimit.rules
+});
+
+// Last accepted live fix per user; fixes that couldn't follow it are refused.
+// Like the live cache it is kept in step on every instance.
+const jumpGuard = new JumpGuard(CONFIG.jumps, { cluster });
+
+// Jitter smoothing for live fixes, per user, in step on every instance
+const smoother = new FixSmoother(CONFIG.fixes, { cluster });
+
+// Addresses for stored positions, looked up after ingest
+const geocoder = createGeocoder({
+  getStore: () => store,
+  config: CONFIG.geocoding
+});
+
+// Circles decide who can see whom
+const circles = createCircles({
+  getStore: () => store,
+  requireAuth,
+  cluster,
+  onMembershipChange: (userId, circleId, joined) => realtime.updateMembership(userId, circleId, joined)
+});
+
+// Sharing precision, pause and public share links decide how much they see
+const sharing = createSharing({
+  getStore: () => store,
+  requireAuth,
+  circles,
+  cluster,
+  getLivePosition,
+  passwordLockout: limiter.lockout('sharePassword'),
+  onChange: (userId) => {
+    // Clear a paused user from open maps, otherwise re-send the current
+    // position so they pick up the new precision
+    const cached = locationCache.get(userId);
+    sharing.audience(userId)
+      .then(audience => {
+        if (audience.size === 0) realtime.broadcastStop(userId);
+        else if (cached?.isTracking) realtime.broadcastUpdate(userId, cached);
+      })
+      .catch(err => console.error('Sharing broadcast error:', err.message));
+  },
+  config: CONFIG.sharing
+});
+
+// Live push to connected clients (scoped to circle rooms)
+const realtime = createRealtime(server, {
+  clientUrl: CONFIG.clientUrl,
+  authenticate: auth.verifyToken,
+  getCircleIds: circles.getUserCircleIds,
+  getAudience: sharing.audience,
+  adapter: cluster.socketAdapter()
+});
+
+// Outbound webhooks (queued in the database, delivered in the background)
+const webhooks = createWebhooks({
+  getStore: () => store,
+  requireAuth,
+  circles,
+  config: CONFIG.webhooks
+});
+
+// History partitions and retention policies
+const retention = createRetention({
+  getStore: () => store,
+  requireAuth,
+  requireAdmin,
+  circles,
+  config: CONFIG.retention
+});
+
+// Jobs that must run once however many instances there are
+const leadership = createLeadership(cluster, 'background', {
+  ttl: CONFIG.cluster.leaderTtl,
+  onElected: () => {
+    webhooks.startDelivery();
+    retention.start();
+  },
+  onDemoted: () => {
+    webhooks.stopDelivery();
+    retention.stop();
   }
+});
 
-  startFlushTimer() {
-    setInterval(() => this.flush(), this.flushInterval);
+// Places with ENTER/EXIT detection on location updates
+const geofences = createGeofences({
+  getStore: () => store,
+  requireAuth,
+  circles,
+  sharing,
+  cluster,
+  onEvent: (event) => {
+    realtime.broadcastGeofenceEvent(event);
+    webhooks.dispatch(`geofence.${event.event.toLowerCase()}`, {
+      userId: event.userId,
+      circleId: event.circleId,
+      data: {
+        geofenceId: event.geofenceId,
+        geofenceName: event.geofenceName,
+        location: event.location
+      }
+    }).catch(err => console.error('Webhook dispatch error:', err.message));
   }
+});
+
+// Trip and stay analysis over location history
+const trips = createTrips({
+  getStore: () => store,
+  requireAuth,
+  sharing
+});
+
+// GPX / KML / GeoJSON downloads of location history
+const exporter = createExports({
+  getStore: () => store,
+  requireAuth,
+  sharing
+});
+
+// Users with an open tracking session. Only users missing from the set are
+// looked up, so tracking.started costs one query per session; the stored
+// is_tracking flag keeps a restart from firing it twice. Sessions started
+// here are published, so the instance a user's next fix lands on doesn't
+// look them up again before this one has stored the flag.
+const trackingUsers = new Set();
+
+function startSession(userId) {
+  trackingUsers.add(userId);
+  cluster.publish('session:started', { userId });
+}
+
+cluster.subscribe('session:started', ({ userId }) => trackingUsers.add(userId));
+
+async function noteTrackingStarted(userId, location) {
+  if (trackingUsers.has(userId)) return;
+  startSession(userId);
+
+  if (await store.users.isTracking(userId)) return;
+
+  await dispatchTrackingStarted(userId, location);
+}
+
+// tracking.started goes to each circle the user shares with, carrying the
+// location at that circle's precision (nothing while sharing is paused)
+async function dispatchTrackingStarted(userId, location) {
+  const audience = await sharing.audience(userId);
+  await Promise.all([...audience].map(([circleId, precision]) => webhooks.dispatch('tracking.started', {
+    userId,
+    circleId,
+    data: { location: present({ location }, precision).location }
+  })));
 }
 
-const historyBatcher = new BatchProcessor();
+// History inserts, spooled to disk until they are written
+const historyFlushSeconds = metrics.histogram('localo_history_flush_duration_seconds', 'History insert latency');
+const historyBatcher = new BatchProcessor({
+  getStore: () => store,
+  config: CONFIG.ingest,
+  onFlush: (ms) => historyFlushSeconds.observe({}, ms / 1000)
+});
+
+// Liveness and readiness probes, and diagnostics for admins
+const health = createHealth({
+  getStore: () => store,
+  requireAdmin,
+  historyBatcher,
+  describe: () => ({
+    cluster: { kind: cluster.kind, instance: cluster.id, leader: leadership.isLeader() },
+    sockets: realtime.connections(),
+    caches: {
+      locations: locationCache.size(),
+      jumpGuard: jumpGuard.size(),
+      smoother: smoother.size(),
+      geocoder: geocoder.stats()
+    }
+  }),
+  config: { storage: CONFIG.storage.kind, ...CONFIG.health }
+});
+
+// User and session management for support staff
+const admin = createAdmin({
+  getStore: () => store,
+  requireAdmin,
+  circles,
+  stopTracking: async (userId) => {
+    applyStop(userId);
+    await userWrites.get(userId);
+    await store.users.stopTracking(userId);
+  },
+  // Open sockets passed the token check when they connected, so they are
+  // closed as well
+  revoke: (userId) => {
+    auth.revoke(userId);
+    realtime.disconnectUser(userId);
+  },
+  // Other instances may still have points of the user queued; each drops
+  // them and deletes whatever it wrote before that
+  purgeHistory: (userId) => {
+    cluster.publish('history:purge', { userId });
+    return historyBatcher.purge(userId);
+  },
+  getLive: (userId) => locationCache.get(userId),
+  stats: () => ({
+    live: locationCache.size(),
+    sockets: realtime.connections(),
+    historyQueue: historyBatcher.stats(),
+    storage: store?.kind || null,
+    cluster: { kind: cluster.kind, instance: cluster.id, leader: leadership.isLeader() },
+    uptime: Math.floor(process.uptime())
+  }),
+  config: { activeWithin: CONFIG.inactiveThreshold / 1000 }
+});
+cluster.subscribe('history:purge', ({ userId }) => {
+  historyBatcher.purge(userId).catch(err => console.error('History purge error:', err.message));
+});
+
+// GPX / GeoJSON / CSV uploads, written through the same batcher; addresses
+// are looked up afterwards, as for offline replays
+const importer = createImports({
+  getStore: () => store,
+  requireAuth,
+  historyBatcher,
+  fillAddress
+});
+
+// Cleanup task. Every instance sweeps its own caches; the shared data is
+// cleaned up by the leader alone.
+const cleanupRuns = metrics.counter('localo_cleanup_runs_total', 'Cleanup task runs');
+const cleanupRemoved = metrics.counter('localo_cleanup_removed_total', 'Entries removed by the cleanup task');
+const cleanupErrors = metrics.counter('localo_cleanup_errors_total', 'Cleanup task runs that failed');
 
-// Cleanup task
 function startCleanupTask() {
   setInterval(async () => {
     try {
+      cleanupRuns.inc();
+
       // Cleanup cache
-      locationCache.cleanup();
+      cleanupRemoved.inc({ kind: 'location_cache' }, locationCache.cleanup());
+      cleanupRemoved.inc({ kind: 'jump_guard' }, jumpGuard.sweep());
+      cleanupRemoved.inc({ kind: 'smoother' }, smoother.sweep());
+      cleanupRemoved.inc({ kind: 'rate_limits' }, await limiter.sweep());
 
-      // Cleanup database
-      if (pool) {
-        const [result] = await pool.query(queries.cleanupInactive, [CONFIG.inactiveThreshold / 1000]);
-        if (result.affectedRows > 0) {
-          console.log(`🧹 Cleaned up ${result.affectedRows} inactive users`);
-        }
+      if (!leadership.isLeader()) return;
+
+      cleanupRemoved.inc({ kind: 'geocodes' }, await geocoder.sweep());
+
+      // Drop share links past their expiry
+      const expiredLinks = await store.sharing.deleteExpiredLinks();
+      cleanupRemoved.inc({ kind: 'share_links' }, expiredLinks);
+      if (expiredLinks > 0) {
+        console.log(`🔗 Removed ${expiredLinks} expired share links`);
+      }
+
+      // Cleanup stored sessions
+      const threshold = CONFIG.inactiveThreshold / 1000;
+      const userIds = await store.users.deactivateInactive(threshold);
+      cleanupRemoved.inc({ kind: 'inactive_users' }, userIds.length);
+      if (userIds.length === 0) return;
+
+      console.log(`🧹 Cleaned up ${userIds.length} inactive users`);
+
+      for (const userId of userIds) {
+        endSession(userId, false);
+        realtime.broadcastStop(userId);
+        webhooks.dispatch('user.inactive', { userId, data: { inactiveAfterSeconds: threshold } })
+          .catch(err => console.error('Webhook dispatch error:', err.message));
       }
     } catch (error) {
+      cleanupErrors.inc();
       console.error('Cleanup error:', error.message);
     }
   }, CONFIG.cleanupInterval);
 }
 
-// Initialize
-initializeDatabase();
+// Gauges and totals read from their owners at scrape time
+const scrapeMetrics = {
+  activeUsers: metrics.gauge('localo_active_users', 'Users tracking within the inactivity threshold (database)'),
+  cacheEntries: metrics.gauge('localo_location_cache_entries', 'Live positions in the location cache'),
+  sockets: metrics.gauge('localo_socket_connections', 'Socket.IO connections to this instance'),
+  leader: metrics.gauge('localo_leader', '1 while this instance runs the background jobs'),
+  dbPool: metrics.gauge('localo_db_pool_connections', 'Database pool connections by state'),
+  dbPoolMax: metrics.gauge('localo_db_pool_max_connections', 'Database pool size limit'),
+  queueDepth: metrics.gauge('localo_history_queue_depth', 'History points waiting to be written'),
+  spoolBytes: metrics.gauge('localo_history_spool_bytes', 'Size of the history spool file'),
+  written: metrics.counter('localo_history_points_written_total', 'History points written by the batcher'),
+  flushErrors: metrics.counter('localo_history_flush_errors_total', 'Failed history inserts'),
+  deadLetters: metrics.counter('localo_history_dead_letters_total', 'History points moved to the dead-letter file'),
+  memory: metrics.gauge('process_resident_memory_bytes', 'Resident memory size'),
+  heap: metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use'),
+  uptime: metrics.gauge('process_uptime_seconds', 'Seconds since the process started')
+};
+
+metrics.collect(async () => {
+  const m = scrapeMetrics;
+  m.cacheEntries.set({}, locationCache.size());
+  m.sockets.set({}, realtime.connections());
+  m.leader.set({}, leadership.isLeader() ? 1 : 0);
+
+  const history = historyBatcher.stats();
+  m.queueDepth.set({}, history.depth);
+  m.spoolBytes.set({}, history.spoolBytes);
+  m.written.set({}, history.written);
+  m.flushErrors.set({}, history.failedFlushes);
+  m.deadLetters.set({}, history.deadLettered);
+
+  const memory = process.memoryUsage();
+  m.memory.set({}, memory.rss);
+  m.heap.set({}, memory.heapUsed);
+  m.uptime.set({}, Math.floor(process.uptime()));
+
+  if (!store) return;
+  const pool = store.pool();
+  if (pool) {
+    m.dbPool.set({ state: 'total' }, pool.total);
+    m.dbPool.set({ state: 'idle' }, pool.idle);
+    m.dbPool.set({ state: 'waiting' }, pool.waiting);
+    m.dbPoolMax.set({}, pool.max);
+  }
+  m.activeUsers.set({}, await store.users.countActive(CONFIG.inactiveThreshold / 1000));
+});
 
 // ===== API Routes =====
 
-// Health check with caching
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  if (CONFIG.metrics.token && req.get('Authorization') !== `Bearer ${CONFIG.metrics.token}`) {
+    return res.status(401).json({ error: 'Metrics token required' });
+  }
+  try {
+    res.type('text/plain; version=0.0.4').send(await metrics.render());
+  } catch (error) {
+    console.error('Metrics error:', error);
+    res.status(500).json({ error: 'Failed to render metrics' });
+  }
+});
+
+// Probes for the orchestrator (/healthz, /readyz, never cached) and
+// diagnostics for admins
+app.use(health.router);
+app.use('/api/admin/diagnostics', health.adminRouter);
+
+// Health summary, cached for 5 seconds since anyone may ask; the status
+// follows the readiness checks
 let healthCache = null;
 let healthCacheTime = 0;
 
@@ -288,96 +679,307 @@ app.get('/api/health', async (req, res) => {
     
     // Return cached health if less than 5 seconds old
     if (healthCache && (now - healthCacheTime) < 5000) {
-      return res.json(healthCache);
+      return res.status(healthCache.code).json(healthCache.body);
     }
 
-    let dbStatus = 'disconnected';
-    if (pool) {
-      try {
-        await pool.query('SELECT 1');
-        dbStatus = 'connected';
-      } catch {
-        dbStatus = 'error';
-      }
-    }
+    const { ready, checks } = await health.readiness();
 
     healthCache = {
-      status: 'healthy',
-      database: dbStatus,
-      activeUsers: locationCache.size(),
-      uptime: Math.floor(process.uptime()),
-      memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB'
+      code: ready ? 200 : 503,
+      body: {
+        status: ready ? 'healthy' : 'unhealthy',
+        storage: store?.kind || null,
+        database: !store ? 'disconnected' : checks.database.ok ? 'connected' : 'error',
+        checks,
+        activeUsers: locationCache.size(),
+        cluster: cluster.kind,
+        instance: cluster.id,
+        leader: leadership.isLeader(),
+        historyQueue: historyBatcher.stats(),
+        uptime: Math.floor(process.uptime()),
+        memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB'
+      }
     };
     healthCacheTime = now;
 
-    res.json(healthCache);
+    res.status(healthCache.code).json(healthCache.body);
   } catch (error) {
     res.status(500).json({ status: 'error', message: error.message });
   }
 });
 
-// Register user (lightweight)
-app.post('/api/users/register', async (req, res) => {
-  const { userId } = req.body;
-  
-  if (!userId || userId.length > 64) {
-    return res.status(400).json({ error: 'Invalid userId' });
-  }
+// Account registration, login and session info
+app.post('/api/auth/register', limiter.limit('signup'));
+app.post('/api/auth/login', limiter.limit('login'));
+app.use('/api/auth', auth.router);
 
-  try {
-    if (pool) {
-      await pool.query(
-        'INSERT INTO users (user_id) VALUES (?) ON DUPLICATE KEY UPDATE last_seen = NOW(3)',
-        [userId]
-      );
-    }
+// Circle management (create, invite, join, leave, roles)
+app.use('/api/circles', circles.router);
+
+// Places (geofences) and their ENTER/EXIT log
+app.use('/api/geofences', geofences.router);
+
+// Own sharing settings and share links, and the public view of a link
+// (/api/shared/:token and /api/shared/:token/trail)
+app.use('/api/sharing', sharing.router);
+app.use('/api/shared/:token', limiter.limit('shared'));
+app.use('/api/shared', sharing.publicRouter);
+
+// Webhook subscriptions and delivery log (circle owners)
+app.use('/api/webhooks', webhooks.router);
+
+// Retention settings for yourself and your circles, and the admin overview
+app.use('/api/retention', retention.router);
+app.use('/api/admin/retention', retention.adminRouter);
+
+// Admin user list, stop/delete, update rates and stats
+app.use('/api/admin', admin.router);
+
+// Trips and stays (/api/users/:userId/trips, /api/users/:userId/stays)
+app.use('/api/users', trips.router);
 
-    res.json({ success: true, userId });
+// Track downloads (/api/history/:userId/export?format=gpx|kml|geojson)
+app.use('/api/history', exporter.router);
+
+// Track uploads (/api/history/import?format=gpx|geojson|csv)
+app.use('/api/history', importer.router);
+
+// Register user (lightweight) - ensures a users row for the signed-in account
+app.post('/api/users/register', requireAuth, limiter.limit('register'), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await operations.register.run(req.userId)) });
   } catch (error) {
     console.error('Register error:', error);
     res.status(500).json({ error: 'Registration failed' });
   }
 });
 
-// Update location (optimized with caching and batching)
-app.post('/api/location/update', async (req, res) => {
-  const { userId, location, address, isTracking } = req.body;
+// Fire-and-forget writes to a user's row, chained per user so a stop can't
+// land before the update sent just ahead of it
+const userWrites = new Map();
 
-  // Validation
-  if (!userId || !location?.lat || !location?.lng) {
-    return res.status(400).json({ error: 'Invalid data' });
+function queueUserWrite(userId, task, label) {
+  const write = (userWrites.get(userId) || Promise.resolve())
+    .then(task)
+    .catch(err => console.error(`${label} error:`, err.message))
+    .finally(() => {
+      if (userWrites.get(userId) === write) userWrites.delete(userId);
+    });
+  userWrites.set(userId, write);
+  return write;
+}
+
+// Newest live fix per user still waiting for its address, by its time
+const addressPending = new Map();
+
+// Fills in the address of an ingested fix once the geocoder has it: the
+// history point, and for the newest live fix also the users row, the cache
+// and the circles' maps
+function fillAddress(userId, location, trackedAt, { live = false } = {}) {
+  geocoder.lookup(location, { urgent: live })
+    .then(async (address) => {
+      if (live && addressPending.get(userId) === trackedAt) {
+        addressPending.delete(userId);
+        if (address) {
+          const cached = locationCache.get(userId);
+          if (cached) {
+            cached.address = address;
+            locationCache.set(userId, cached);
+            realtime.broadcastUpdate(userId, cached);
+          }
+          queueUserWrite(userId, () => store.users.setAddress(userId, address), 'Address update');
+        }
+      }
+      if (address) await historyBatcher.setAddress(userId, trackedAt, address);
+    })
+    .catch(err => console.error('Address update error:', err.message));
+}
+
+// Live side of a location fix: cache, broadcast, geofences, session start
+// and the users row. History is left to the caller. When a batch transaction
+// has already written the row, persisted carries the state from before it
+// ({ previous, wasTracking }) and only the live part runs. Without an
+// address, one is looked up for the row and the history point at lastSeen.
+function applyLiveLocation(userId, { location, address, isTracking, lastSeen = Date.now() }, persisted = null) {
+  const userData = {
+    location,
+    address: address || null,
+    isTracking: isTracking !== false,
+    lastSeen
+  };
+
+  if (userData.address) {
+    addressPending.delete(userId);
+  } else {
+    addressPending.set(userId, lastSeen);
+    fillAddress(userId, location, lastSeen, { live: true });
+  }
+
+  // Previous position for the geofence check, read before we overwrite it
+  const previous = persisted ? persisted.previous : locationCache.get(userId)?.location || null;
+
+  // Update cache immediately for fast reads
+  locationCache.set(userId, userData);
+  realtime.broadcastUpdate(userId, userData);
+
+  if (persisted) {
+    if (!trackingUsers.has(userId)) startSession(userId);
+    if (previous) {
+      geofences.detect(userId, previous, location)
+        .catch(err => console.error('Geofence check error:', err.message));
+    }
+    if (!persisted.wasTracking && userData.isTracking) {
+      dispatchTrackingStarted(userId, location)
+        .catch(err => console.error('Webhook dispatch error:', err.message));
+    }
+  } else {
+    // Async storage operations
+    // Geofence and session checks, then update user (non-blocking). Both
+    // read the stored row, so they have to run before the upsert.
+    queueUserWrite(userId, () => Promise.all([
+      geofences.detect(userId, previous, location)
+        .catch(err => console.error('Geofence check error:', err.message)),
+      noteTrackingStarted(userId, location)
+        .catch(err => console.error('Tracking start error:', err.message))
+    ])
+      .then(() => store.users.upsert(userId, {
+        location,
+        address: userData.address,
+        isTracking: userData.isTracking
+      })), 'User update');
   }
 
-  if (Math.abs(location.lat) > 90 || Math.abs(location.lng) > 180) {
-    return res.status(400).json({ error: 'Invalid coordinates' });
+  return userData;
+}
+
+// Per-user state of a tracking session that has ended, in this process. A
+// stop also resets the fix filters; going inactive only ends the session.
+function dropSession(userId, stopped) {
+  trackingUsers.delete(userId);
+  if (stopped) {
+    jumpGuard.forget(userId);
+    smoother.forget(userId);
+    addressPending.delete(userId);
   }
+}
 
-  try {
-    const userData = {
-      location,
-      address: address?.substring(0, 512) || 'Unknown',
-      isTracking: isTracking !== false,
-      lastSeen: Date.now()
-    };
+// Same in every instance, wherever the user's next request lands
+function endSession(userId, stopped) {
+  dropSession(userId, stopped);
+  cluster.publish('session:ended', { userId, stopped });
+}
+
+cluster.subscribe('session:ended', ({ userId, stopped }) => dropSession(userId, stopped));
+
+// Live side of stopping: drop from the cache, tell the circles, fire the webhook
+function applyStop(userId) {
+  locationCache.delete(userId);
+  endSession(userId, true);
+  realtime.broadcastStop(userId);
+
+  webhooks.dispatch('tracking.stopped', { userId, data: {} })
+    .catch(err => console.error('Webhook dispatch error:', err.message));
+}
+
+// Live side of a heartbeat: refresh lastSeen for anyone watching
+function applyHeartbeat(userId) {
+  const cached = locationCache.get(userId);
+  if (cached) {
+    cached.lastSeen = Date.now();
+    locationCache.set(userId, cached);
+    realtime.broadcastHeartbeat(userId, cached.lastSeen);
+  }
+}
 
-    // Update cache immediately for fast reads
-    locationCache.set(userId, userData);
-
-    // Async database operations
-    if (pool) {
-      // Update user (non-blocking)
-      pool.query(queries.upsertUser, [
-        userId,
-        location.lat,
-        location.lng,
-        userData.address,
-        userData.isTracking
-      ]).catch(err => console.error('User update error:', err.message));
-
-      // Batch history inserts
-      historyBatcher.add({ userId, location, address: userData.address });
+// Operations shared by the single routes and /api/batch. validate(op, userId,
+// previousFix) returns the 400 message or null (previousFix: what a batch
+// update follows, see JumpGuard.check), prepare(op, userId) (optional) turns a
+// valid op into what gets stored, and run() is the single route's behaviour.
+// write()/apply() split run() into its storage and live halves so a batch
+// transaction can commit before anything is broadcast.
+const operations = {
+  register: {
+    validate: () => null,
+    run: async (userId) => {
+      await store.users.register(userId);
+      return { userId };
+    },
+    write: (tx, userId) => tx.users.register(userId),
+    apply: () => {}
+  },
+
+  update: {
+    validate: (op, userId, previousFix) =>
+      validateLocation(op.location) ||
+      accuracyError(op.location, CONFIG.fixes.maxAccuracy) ||
+      jumpGuard.check(userId, op.location, Date.now(), previousFix),
+    // Smoothed, with its details, the time it arrived and the address if the
+    // geocoder already knows it. Whatever address the client sent is ignored.
+    prepare: (op, userId) => {
+      const trackedAt = Date.now();
+      const location = smoother.smooth(userId, readFix(op.location), trackedAt);
+      return { ...op, location, address: geocoder.peek(location), trackedAt };
+    },
+    run: async (userId, op) => {
+      // Batch history inserts. Spooled first, so a point that can't be kept
+      // fails the request before anyone sees it.
+      historyBatcher.add({ userId, location: op.location, address: op.address || null, trackedAt: op.trackedAt });
+
+      jumpGuard.accept(userId, op.location, op.trackedAt);
+      applyLiveLocation(userId, { ...op, lastSeen: op.trackedAt });
+    },
+    write: async (tx, userId, op) => {
+      await tx.users.upsert(userId, { location: op.location, address: op.address, isTracking: op.isTracking !== false });
+      await historyBatcher.write([{ userId, location: op.location, address: op.address, trackedAt: op.trackedAt }], tx);
+    },
+    apply: (userId, op, state) => {
+      jumpGuard.accept(userId, op.location, op.trackedAt);
+      applyLiveLocation(userId, { ...op, lastSeen: op.trackedAt }, state);
+      state.previous = op.location;
+      state.wasTracking = op.isTracking !== false;
     }
+  },
+
+  stop: {
+    validate: () => null,
+    run: async (userId) => {
+      applyStop(userId);
+      queueUserWrite(userId, () => store.users.stopTracking(userId), 'Stop tracking');
+    },
+    write: (tx, userId) => tx.users.stopTracking(userId),
+    apply: (userId, op, state) => {
+      applyStop(userId);
+      state.wasTracking = false;
+    }
+  },
+
+  heartbeat: {
+    validate: () => null,
+    run: async (userId) => {
+      applyHeartbeat(userId);
+
+      // Async storage update
+      queueUserWrite(userId, () => store.users.touch(userId), 'Heartbeat');
+    },
+    write: (tx, userId) => tx.users.touch(userId),
+    apply: (userId) => applyHeartbeat(userId)
+  }
+};
+
+const prepareOp = (op, userId) => operations[op.type].prepare?.(op, userId) ?? op;
+
+// Update location (optimized with caching and batching)
+app.post('/api/location/update', requireAuth, limiter.limit('location'), async (req, res) => {
+  const { location, isTracking } = req.body;
+
+  // Validation
+  const invalid = operations.update.validate({ location }, req.userId);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
 
+  try {
+    await operations.update.run(req.userId, operations.update.prepare({ location, isTracking }, req.userId));
     res.json({ success: true });
   } catch (error) {
     console.error('Update error:', error);
@@ -385,22 +987,100 @@ app.post('/api/location/update', async (req, res) => {
   }
 });
 
-// Stop tracking
-app.post('/api/location/stop', async (req, res) => {
-  const { userId } = req.body;
+// Bulk ingest of fixes captured while offline ({ fixes: [{ location,
+// capturedAt }] }). Every valid fix goes to history at its capture time,
+// smoothed along the track; the newest one also goes live if it is still
+// recent. Addresses are looked up afterwards.
+app.post('/api/location/bulk', requireAuth, limiter.limit('bulk'), async (req, res) => {
+  const { userId } = req;
+  const { fixes } = req.body;
 
-  if (!userId) {
-    return res.status(400).json({ error: 'userId required' });
+  if (!Array.isArray(fixes) || fixes.length === 0 || fixes.length > CONFIG.bulkLimit) {
+    return res.status(400).json({ error: `fixes must be an array of 1-${CONFIG.bulkLimit} items` });
   }
 
-  try {
-    locationCache.delete(userId);
+  const rejected = [];
+  const candidates = [];
+  fixes.forEach((fix, index) => {
+    const trackedAt = parseTimestamp(fix?.capturedAt);
+    const invalid = validateLocation(fix?.location) ||
+      validateTrackedAt(trackedAt) ||
+      accuracyError(fix.location, CONFIG.fixes.maxAccuracy);
+    if (invalid) {
+      rejected.push({ index, error: invalid });
+    } else {
+      candidates.push({ index, item: { userId, location: readFix(fix.location), trackedAt } });
+    }
+  });
+  candidates.sort((a, b) => a.item.trackedAt - b.item.trackedAt);
+
+  // In capture order, a fix that couldn't follow the last kept one is dropped
+  const kept = [];
+  for (const { index, item } of candidates) {
+    const previous = kept[kept.length - 1];
+    const jump = previous && jumpError(
+      { location: previous.location, at: previous.trackedAt },
+      { location: item.location, at: item.trackedAt },
+      CONFIG.jumps
+    );
+    if (jump) {
+      rejected.push({ index, error: jump });
+    } else {
+      kept.push(item);
+    }
+  }
+  const valid = smoothTrack(kept, CONFIG.fixes)
+    .map(item => ({ ...item, address: geocoder.peek(item.location) }));
 
-    if (pool) {
-      pool.query(queries.stopTracking, [userId])
-        .catch(err => console.error('Stop tracking error:', err.message));
+  try {
+    // A replay whose response got lost resends the same fixes
+    const seen = await loadStoredKeys(store, userId, valid);
+    const accepted = valid.filter(item => {
+      const key = pointKey(item.trackedAt, item.location.lat, item.location.lng);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    await historyBatcher.write(accepted);
+
+    const latest = valid[valid.length - 1];
+    const cachedAt = locationCache.get(userId)?.lastSeen || 0;
+    const live = Boolean(latest) &&
+      latest.trackedAt > cachedAt &&
+      Date.now() - latest.trackedAt < CONFIG.inactiveThreshold &&
+      !jumpGuard.check(userId, latest.location, latest.trackedAt);
+
+    if (live) {
+      jumpGuard.accept(userId, latest.location, latest.trackedAt);
+      applyLiveLocation(userId, {
+        location: latest.location,
+        address: latest.address,
+        isTracking: true,
+        lastSeen: latest.trackedAt
+      });
     }
+    accepted
+      .filter(item => !item.address && !(live && item === latest))
+      .forEach(item => fillAddress(userId, item.location, item.trackedAt));
+
+    rejected.sort((a, b) => a.index - b.index);
+    res.json({
+      success: true,
+      accepted: accepted.length,
+      duplicates: valid.length - accepted.length,
+      rejected,
+      live
+    });
+  } catch (error) {
+    console.error('Bulk ingest error:', error);
+    res.status(500).json({ error: 'Bulk ingest failed' });
+  }
+});
 
+// Stop tracking
+app.post('/api/location/stop', requireAuth, limiter.limit('location'), async (req, res) => {
+  try {
+    await operations.stop.run(req.userId);
     res.json({ success: true });
   } catch (error) {
     console.error('Stop error:', error);
@@ -408,20 +1088,41 @@ app.post('/api/location/stop', async (req, res) => {
   }
 });
 
+// Who the caller may see: one circle with ?circleId=, otherwise everyone
+// sharing a circle with them. null when they aren't in that circle. What
+// each of them shares is then applied by sharing.presentTo.
+async function visibleUserIds(req) {
+  if (!req.query.circleId) {
+    return circles.getCoMemberIds(req.userId);
+  }
+
+  const circleId = parseInt(req.query.circleId);
+  if (!(await circles.isMember(circleId, req.userId))) return null;
+  return new Set(await circles.getMemberIds(circleId));
+}
+
 // Get active users (optimized with cache-first strategy)
-app.get('/api/users/active', async (req, res) => {
+// ?bbox=west,south,east,north limits them to the map view
+app.get('/api/users/active', requireAuth, async (req, res) => {
+  const { bbox, error } = parseBbox(req.query.bbox);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
   try {
+    const visibleIds = await visibleUserIds(req);
+    if (!visibleIds) {
+      return res.status(404).json({ error: 'Circle not found' });
+    }
+
+    const circleId = req.query.circleId ? parseInt(req.query.circleId) : null;
+
     // Try cache first
-    const cached = locationCache.getAll();
-    const cacheUsers = Object.entries(cached)
-      .filter(([_, data]) => data.isTracking)
-      .map(([userId, data]) => ({
-        userId,
-        location: data.location,
-        address: data.address,
-        isTracking: data.isTracking,
-        lastSeen: new Date(data.lastSeen).toISOString()
-      }));
+    const cacheUsers = await sharing.presentTo(
+      req.userId,
+      getCachedActiveUsers(bbox).filter(user => visibleIds.has(user.userId)),
+      circleId
+    );
 
     // If we have cache data, return it immediately
     if (cacheUsers.length > 0) {
@@ -432,128 +1133,213 @@ app.get('/api/users/active', async (req, res) => {
       });
     }
 
-    // Fallback to database
-    if (pool) {
-      const [rows] = await pool.query(queries.getActiveUsers, [CONFIG.inactiveThreshold / 1000]);
-      
-      const users = rows.map(row => ({
-        userId: row.user_id,
-        location: {
-          lat: parseFloat(row.latitude),
-          lng: parseFloat(row.longitude)
-        },
-        address: row.address,
-        isTracking: Boolean(row.is_tracking),
-        lastSeen: new Date(row.last_seen_ts * 1000).toISOString()
-      }));
-
-      return res.json({ users, count: users.length, source: 'database' });
-    }
-
-    res.json({ users: [], count: 0, source: 'none' });
+    // Fallback to storage
+    const found = await store.users.findActive([...visibleIds], CONFIG.inactiveThreshold / 1000, bbox);
+    const users = await sharing.presentTo(req.userId, found, circleId);
+    res.json({ users, count: users.length, source: 'database' });
   } catch (error) {
     console.error('Get users error:', error);
     res.status(500).json({ error: 'Failed to fetch users' });
   }
 });
 
-// Heartbeat (optimized)
-app.post('/api/heartbeat', async (req, res) => {
-  const { userId } = req.body;
-
-  if (!userId) {
-    return res.status(400).json({ error: 'userId required' });
+// Active users around a point, nearest first (?lat=&lng=&radius= in meters,
+// optional ?limit= and ?circleId=). The caller is left out.
+app.get('/api/users/nearby', requireAuth, async (req, res) => {
+  const { center, radius, limit, error } = parseNearby(req.query, CONFIG.nearby);
+  if (error) {
+    return res.status(400).json({ error });
   }
 
   try {
-    // Update cache
-    const cached = locationCache.get(userId);
-    if (cached) {
-      cached.lastSeen = Date.now();
-      locationCache.set(userId, cached);
+    const visibleIds = await visibleUserIds(req);
+    if (!visibleIds) {
+      return res.status(404).json({ error: 'Circle not found' });
     }
+    visibleIds.delete(req.userId);
+
+    const circleId = req.query.circleId ? parseInt(req.query.circleId) : null;
+    const options = { center, radius, limit };
 
-    // Async DB update
-    if (pool) {
-      pool.query(queries.updateHeartbeat, [userId])
-        .catch(err => console.error('Heartbeat error:', err.message));
+    const cacheUsers = await sharing.presentNearby(
+      req.userId,
+      getCachedNearbyUsers(center, radius).filter(user => visibleIds.has(user.userId)),
+      circleId,
+      options
+    );
+    if (cacheUsers.length > 0) {
+      return res.json({ users: cacheUsers, count: cacheUsers.length, center, radius, source: 'cache' });
     }
 
+    const found = await store.users.findNearby([...visibleIds], CONFIG.inactiveThreshold / 1000, options);
+    const users = await sharing.presentNearby(req.userId, found, circleId, options);
+    res.json({ users, count: users.length, center, radius, source: 'database' });
+  } catch (error) {
+    console.error('Nearby users error:', error);
+    res.status(500).json({ error: 'Failed to fetch nearby users' });
+  }
+});
+
+// Heartbeat (optimized)
+app.post('/api/heartbeat', requireAuth, limiter.limit('location'), async (req, res) => {
+  try {
+    await operations.heartbeat.run(req.userId);
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: 'Heartbeat failed' });
   }
 });
 
-// Get history (with pagination and caching)
-app.get('/api/history/:userId', async (req, res) => {
+// Get history for a time range (?from=&to=, oldest first, keyset paging via ?cursor=)
+app.get('/api/history/:userId', requireAuth, async (req, res) => {
   const { userId } = req.params;
-  const limit = Math.min(parseInt(req.query.limit) || 50, CONFIG.historyLimit);
-  const offset = parseInt(req.query.offset) || 0;
+  const limit = Math.min(parseInt(req.query.limit) || CONFIG.historyLimit, CONFIG.historyLimit);
+  const range = parseTimeRange(req.query);
+  const cursor = decodeCursor(req.query.cursor);
 
-  if (!pool) {
-    return res.json({ history: [], count: 0 });
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
   }
+  if (cursor === undefined) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  const rangeInfo = { from: range.from.toISOString(), to: range.to.toISOString() };
 
   try {
-    const [rows] = await pool.query(
-      `SELECT latitude, longitude, address, 
-              UNIX_TIMESTAMP(tracked_at) as tracked_at_ts
-       FROM location_history
-       WHERE user_id = ?
-       ORDER BY tracked_at DESC
-       LIMIT ? OFFSET ?`,
-      [userId, limit, offset]
-    );
-    
-    const history = rows.map(row => ({
-      location: {
-        lat: parseFloat(row.latitude),
-        lng: parseFloat(row.longitude)
-      },
-      address: row.address,
-      trackedAt: new Date(row.tracked_at_ts * 1000).toISOString()
-    }));
-
-    res.json({ history, count: history.length, limit, offset });
+    // Only your own history or that of someone sharing their exact position with you
+    if (!(await sharing.canViewHistory(req.userId, userId))) {
+      return res.status(403).json({ error: 'Not allowed to view this history' });
+    }
+
+    const { points, nextCursor } = await queryHistory(store, {
+      userId,
+      from: range.from,
+      to: range.to,
+      cursor,
+      limit
+    });
+
+    res.json({ history: points, count: points.length, ...rangeInfo, nextCursor });
   } catch (error) {
     console.error('History error:', error);
     res.status(500).json({ error: 'Failed to fetch history' });
   }
 });
 
-// Batch endpoint for multiple operations
-app.post('/api/batch', async (req, res) => {
-  const { operations } = req.body;
-  
-  if (!Array.isArray(operations) || operations.length > 10) {
-    return res.status(400).json({ error: 'Invalid batch request' });
-  }
-
-  const results = await Promise.allSettled(
-    operations.map(op => {
-      switch (op.type) {
-        case 'heartbeat':
-          return pool?.query(queries.updateHeartbeat, [op.userId]);
-        case 'update':
-          return pool?.query(queries.upsertUser, [
-            op.userId, op.location?.lat, op.location?.lng,
-            op.address, op.isTracking
-          ]);
-        default:
-          return Promise.reject(new Error('Invalid operation'));
+// Runs a validated batch as one storage transaction, then applies the live
+// side effects in order. Throws (after rollback) with failedIndex set.
+async function runBatchTransaction(userId, ops) {
+  // Let earlier fire-and-forget writes for this user land first
+  await userWrites.get(userId);
+
+  let state;
+  let current = -1;
+
+  try {
+    await store.transaction(async (tx) => {
+      // State before the batch, for geofence transitions and tracking.started
+      const stored = await tx.users.lockState(userId);
+      state = {
+        previous: locationCache.get(userId)?.location || stored.location,
+        wasTracking: stored.isTracking
+      };
+
+      for (current = 0; current < ops.length; current++) {
+        await operations[ops[current].type].write(tx, userId, ops[current]);
       }
-    })
-  );
+    });
+  } catch (error) {
+    error.failedIndex = current;
+    throw error;
+  }
+
+  ops.forEach(op => operations[op.type].apply(userId, op, state));
+}
+
+// A batch pays one token per operation
+const batchCost = (req) => (Array.isArray(req.body?.operations) ? Math.max(req.body.operations.length, 1) : 1);
+
+// Batch endpoint for multiple operations
+// { operations: [{ type: 'update' | 'stop' | 'heartbeat' | 'register', ... }], transaction }
+// Without transaction each operation runs on its own, in order, exactly like
+// its single route. With transaction: true nothing is applied unless every
+// operation validates and all storage writes commit together.
+app.post('/api/batch', requireAuth, limiter.limit('location', { cost: batchCost }), async (req, res) => {
+  const { userId } = req;
+  const { operations: ops, transaction = false } = req.body;
+
+  if (!Array.isArray(ops) || ops.length === 0 || ops.length > CONFIG.batchLimit) {
+    return res.status(400).json({ error: `operations must be an array of 1-${CONFIG.batchLimit} items` });
+  }
+
+  // Updates are checked against the valid ones before them in the batch
+  // (the guard only learns about them once they are stored); a stop starts
+  // the next session afresh
+  let previousFix;
+  const results = ops.map((op, index) => {
+    const type = typeof op?.type === 'string' ? op.type : null;
+    const handler = Object.hasOwn(operations, type) ? operations[type] : null;
+    const error = handler ? handler.validate(op, userId, previousFix) : 'Invalid operation type';
+    if (!error && type === 'update') previousFix = { location: op.location, at: Date.now() };
+    if (!error && type === 'stop') previousFix = null;
+    return error
+      ? { index, type, status: 'failed', code: 400, error }
+      : { index, type, status: 'pending' };
+  });
 
-  res.json({ 
-    success: true,
-    results: results.map(r => r.status === 'fulfilled')
+  const finish = (code) => {
+    const success = results.every(r => r.status === 'ok');
+    res.status(code).json({ success, transaction: Boolean(transaction), results });
+  };
+  const skipPending = () => results.forEach(r => {
+    if (r.status === 'pending') r.status = 'skipped';
   });
+
+  if (transaction) {
+    if (results.some(r => r.status === 'failed')) {
+      skipPending();
+      return finish(400);
+    }
+
+    try {
+      await runBatchTransaction(userId, ops.map(op => prepareOp(op, userId)));
+      results.forEach(r => { r.status = 'ok'; });
+      return finish(200);
+    } catch (error) {
+      console.error('Batch transaction error:', error);
+      const failed = results[error.failedIndex];
+      if (failed) Object.assign(failed, { status: 'failed', code: 500, error: 'Operation failed' });
+      skipPending();
+      return finish(500);
+    }
+  }
+
+  // Independent operations, in order
+  for (const result of results) {
+    if (result.status !== 'pending') continue;
+    try {
+      const data = await operations[result.type].run(userId, prepareOp(ops[result.index], userId));
+      result.status = 'ok';
+      if (data) result.data = data;
+    } catch (error) {
+      console.error(`Batch ${result.type} error:`, error);
+      Object.assign(result, { status: 'failed', code: 500, error: 'Operation failed' });
+    }
+  }
+
+  finish(200);
 });
 
 // Error handling
 app.use((err, req, res, next) => {
+  // Body parser errors (too large, malformed) are the client's
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      error: err.type === 'entity.too.large' ? 'Request body is too large' : err.message
+    });
+  }
+
   console.error('Server error:', err);
   res.status(500).json({
     error: 'Internal server error',
@@ -561,28 +1347,40 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-const server = app.listen(CONFIG.port, () => {
-  console.log(`🚀 Localo server running on port ${CONFIG.port}`);
-  console.log(`📡 Using REST API with polling (optimized)`);
-  console.log(`🗄️  Database: ${pool ? 'MySQL' : 'In-Memory'}`);
-  console.log(`⚡ Cache TTL: ${locationCache.ttl}ms`);
-});
+// Start server once storage is ready
+initializeStorage()
+  .then(() => {
+    server.listen(CONFIG.port, () => {
+      console.log(`🚀 Localo server running on port ${CONFIG.port}`);
+      console.log(`📡 Socket.IO live updates enabled (REST polling as fallback)`);
+      console.log(`🗄️  Storage: ${STORAGE_LABELS[store.kind]}`);
+      console.log(`⚡ Cache TTL: ${locationCache.ttl}ms`);
+      console.log(`🔗 Cluster: ${cluster.kind === 'redis' ? `Redis, instance ${cluster.id}` : 'single process'}`);
+    });
+  })
+  .catch(error => {
+    console.error('❌ Storage initialization failed:', error.message);
+    process.exit(1);
+  });
 
 // Graceful shutdown
 async function shutdown() {
   console.log('Shutting down gracefully...');
+  health.drain();
   
-  // Flush pending history inserts
-  await historyBatcher.flush();
+  // Stop background workers (handing them to another instance) and flush
+  // pending history inserts (what can't be written stays in the spool)
+  await leadership.stop();
+  await historyBatcher.close();
   
-  // Close server
-  server.close();
+  // Close socket connections and the HTTP server, then leave the cluster
+  await realtime.close();
+  await cluster.close();
   
-  // Close database
-  if (pool) {
-    await pool.end();
-    console.log('MySQL connection pool closed');
+  // Close storage
+  if (store) {
+    await store.close();
+    console.log(`${STORAGE_LABELS[store.kind]} storage closed`);
   }
   
   process.exit(0);
@@ -591,4 +1389,4 @@ async function shutdown() {
 process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
 
-module.exports = { app };
\ No newline at end of file
+module.exports = { app, server };
\ No newline at end of file
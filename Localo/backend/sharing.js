@@ -0,0 +1,424 @@
+// sharing.js - What others get to see of a user's position: a precision
+// (exact, ~100 m or city-level) with per-circle overrides, pausing for a few
+// hours, and share links that expire on their own. A link opens a read-only
+// view (live position and recent trail) without logging in, optionally
+// behind a password sent as X-Share-Password.
+const crypto = require('crypto');
+const express = require('express');
+const { hashPassword, verifyPassword } = require('./auth');
+const { MembershipCache } = require('./circles');
+const { haversine } = require('./geo');
+
+const PRECISIONS = ['exact', 'approximate', 'city']; // most precise first
+const CELL_DEGREES = { approximate: 0.001, city: 0.1 }; // ~110 m and ~11 km of latitude
+const MAX_HOURS = 7 * 24; // longest pause or share link
+const TOKEN_BYTES = 24;
+const LINK_PASSWORD_MIN = 4;
+const LINK_PASSWORD_MAX = 128;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const round6 = (value) => Number(value.toFixed(6));
+
+// Snaps to the middle of a fixed grid cell rather than adding noise, so
+// repeated fixes can't be averaged back to the real position
+function blurLocation(location, precision) {
+  const cell = CELL_DEGREES[precision];
+  if (!cell || !location) return location;
+
+  const row = Math.min(Math.floor((location.lat + 90) / cell), Math.ceil(180 / cell) - 1);
+  const lat = -90 + (row + 0.5) * cell;
+
+  // Longitude cells widen away from the equator so they stay roughly square
+  const lngCell = Math.min(cell / Math.max(Math.cos(lat * Math.PI / 180), cell), 360);
+  const col = Math.floor((location.lng + 180) / lngCell);
+  const lng = Math.min(-180 + (col + 0.5) * lngCell, 180);
+
+  return { lat: round6(lat), lng: round6(lng) };
+}
+
+// A user as shown at `precision`: blurred position, no street address
+function present(user, precision) {
+  if (precision === 'exact') return { ...user, precision };
+  return { ...user, location: blurLocation(user.location, precision), address: null, precision };
+}
+
+const finest = (precisions) => PRECISIONS.find(p => precisions.includes(p)) ?? null;
+
+function parsePrecision(value, { optional = false } = {}) {
+  if (optional && value == null) return { precision: null };
+  if (!PRECISIONS.includes(value)) {
+    return { error: `precision must be one of: ${PRECISIONS.join(', ')}` };
+  }
+  return { precision: value };
+}
+
+function parseLinkPassword(value) {
+  if (value == null || value === '') return { password: null };
+  if (typeof value !== 'string' || value.length < LINK_PASSWORD_MIN || value.length > LINK_PASSWORD_MAX) {
+    return { error: `Password must be ${LINK_PASSWORD_MIN}-${LINK_PASSWORD_MAX} characters` };
+  }
+  return { password: value };
+}
+
+// Trail points as a viewer at `precision` may see them: blurred, repeats of
+// the same spot collapsed, and evenly thinned to at most `max` (the newest
+// point is always kept)
+function shapeTrail(points, precision, max) {
+  const shown = [];
+  for (const point of points) {
+    const location = blurLocation({ lat: point.lat, lng: point.lng }, precision);
+    const last = shown[shown.length - 1];
+    if (last && last.location.lat === location.lat && last.location.lng === location.lng) {
+      last.trackedAt = new Date(point.trackedAt).toISOString();
+      continue;
+    }
+    shown.push({ location, trackedAt: new Date(point.trackedAt).toISOString() });
+  }
+
+  if (shown.length <= max) return shown;
+  const step = shown.length / max;
+  return Array.from({ length: max }, (_, i) => shown[Math.floor(shown.length - 1 - (max - 1 - i) * step)]);
+}
+
+function parseHours(value) {
+  const hours = Number(value);
+  if (!(hours > 0) || hours > MAX_HOURS) {
+    return { error: `hours must be between 0 and ${MAX_HOURS}` };
+  }
+  return { hours };
+}
+
+// getLivePosition(userId) resolves to the user's current active-user record
+// or null; onChange(userId) runs after their settings change so live views
+// can be refreshed; passwordLockout ({ blocked, fail } from the rate limiter)
+// stops guessing link passwords; cluster (optional) keeps the settings caches
+// of all instances in step
+function createSharing({ getStore, requireAuth, circles, cluster, getLivePosition, onChange = () => {}, passwordLockout, config }) {
+  const settingsCache = new MembershipCache({ cluster, channel: 'cache:sharing' });
+
+  // { precision, pausedUntil (ms or null), circles: Map(circleId -> precision) }
+  function getSettings(userId) {
+    return settingsCache.get(userId, async () => {
+      const store = getStore();
+      const [settings, overrides] = await Promise.all([
+        store.sharing.settings(userId),
+        store.sharing.circlePrecisions(userId)
+      ]);
+      return {
+        precision: settings?.precision ?? 'exact',
+        pausedUntil: settings?.pausedUntil ? Date.parse(settings.pausedUntil) : null,
+        circles: new Map(overrides.map(o => [Number(o.circleId), o.precision]))
+      };
+    });
+  }
+
+  const isPaused = (settings) => settings.pausedUntil !== null && settings.pausedUntil > Date.now();
+
+  function changed(userId) {
+    settingsCache.delete(userId);
+    onChange(userId);
+  }
+
+  // Circles that currently see the user, with the precision each one gets;
+  // empty while sharing is paused
+  async function audience(userId) {
+    const settings = await getSettings(userId);
+    if (isPaused(settings)) return new Map();
+
+    const circleIds = await circles.getUserCircleIds(userId);
+    return new Map(circleIds.map(id => [Number(id), settings.circles.get(Number(id)) ?? settings.precision]));
+  }
+
+  // The precision viewerId gets for userId, through one circle or the best
+  // of the circles they share; null when userId is hidden from them
+  async function precisionFor(viewerId, userId, circleId = null) {
+    if (viewerId === userId) return 'exact';
+
+    const shared = await audience(userId);
+    if (circleId !== null) return shared.get(Number(circleId)) ?? null;
+
+    const viewerCircleIds = await circles.getUserCircleIds(viewerId);
+    return finest(viewerCircleIds.filter(id => shared.has(Number(id))).map(id => shared.get(Number(id))));
+  }
+
+  // Active users (API shape) as viewerId may see them: hidden ones dropped,
+  // the rest blurred as needed
+  async function presentTo(viewerId, users, circleId = null) {
+    const shown = [];
+    for (const user of users) {
+      const precision = await precisionFor(viewerId, user.userId, circleId);
+      if (precision) shown.push(present(user, precision));
+    }
+    return shown;
+  }
+
+  // Same for a nearby list: distances are measured to the shown position,
+  // so a blurred user can't be pinned down by asking from several points
+  async function presentNearby(viewerId, users, circleId, { center, radius, limit }) {
+    const shown = await presentTo(viewerId, users, circleId);
+    return shown
+      .map(user => (user.precision === 'exact' ? user : { ...user, distance: Math.round(haversine(center, user.location)) }))
+      .filter(user => user.distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  // History (trails, trips, exports) only goes to those who see the exact position
+  async function canViewHistory(viewerId, userId) {
+    return (await precisionFor(viewerId, userId)) === 'exact';
+  }
+
+  // Circles that get the user's exact position; geofence events are only
+  // raised there, since ENTER/EXIT would give the position away
+  async function exactCircleIds(userId) {
+    const shared = await audience(userId);
+    return [...shared].filter(([, precision]) => precision === 'exact').map(([circleId]) => circleId);
+  }
+
+  async function describe(userId) {
+    const settings = await getSettings(userId);
+    return {
+      precision: settings.precision,
+      pausedUntil: isPaused(settings) ? new Date(settings.pausedUntil).toISOString() : null,
+      circles: [...settings.circles].map(([circleId, precision]) => ({ circleId, precision })),
+      precisions: PRECISIONS
+    };
+  }
+
+  async function saveSettings(userId, changes) {
+    const settings = await getSettings(userId);
+    await getStore().sharing.saveSettings(userId, {
+      precision: settings.precision,
+      pausedUntil: isPaused(settings) ? settings.pausedUntil : null,
+      ...changes
+    });
+    changed(userId);
+  }
+
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // Own settings: default precision, pause and per-circle overrides
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await describe(req.userId));
+    } catch (error) {
+      console.error('Get sharing error:', error);
+      res.status(500).json({ error: 'Failed to fetch sharing settings' });
+    }
+  });
+
+  // { precision } - the default for every circle without an override
+  router.put('/', async (req, res) => {
+    const { precision, error } = parsePrecision(req.body.precision);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      await saveSettings(req.userId, { precision });
+      res.json(await describe(req.userId));
+    } catch (error) {
+      console.error('Update sharing error:', error);
+      res.status(500).json({ error: 'Failed to update sharing settings' });
+    }
+  });
+
+  // { hours } - hide from everyone until then
+  router.post('/pause', async (req, res) => {
+    const { hours, error } = parseHours(req.body.hours);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      await saveSettings(req.userId, { pausedUntil: Date.now() + hours * 60 * 60 * 1000 });
+      res.json(await describe(req.userId));
+    } catch (error) {
+      console.error('Pause sharing error:', error);
+      res.status(500).json({ error: 'Failed to pause sharing' });
+    }
+  });
+
+  router.delete('/pause', async (req, res) => {
+    try {
+      await saveSettings(req.userId, { pausedUntil: null });
+      res.json(await describe(req.userId));
+    } catch (error) {
+      console.error('Resume sharing error:', error);
+      res.status(500).json({ error: 'Failed to resume sharing' });
+    }
+  });
+
+  // { precision } for one circle, or null to use the default
+  router.put('/circles/:circleId', async (req, res) => {
+    const circleId = parseInt(req.params.circleId);
+    const { precision, error } = parsePrecision(req.body.precision, { optional: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      if (!(await getStore().sharing.setCirclePrecision(circleId, req.userId, precision))) {
+        return res.status(404).json({ error: 'Circle not found' });
+      }
+      changed(req.userId);
+      res.json(await describe(req.userId));
+    } catch (error) {
+      console.error('Update circle sharing error:', error);
+      res.status(500).json({ error: 'Failed to update sharing settings' });
+    }
+  });
+
+  // Own unexpired share links (their tokens are only shown once, on creation)
+  router.get('/links', async (req, res) => {
+    try {
+      res.json({ links: await getStore().sharing.links(req.userId) });
+    } catch (error) {
+      console.error('List share links error:', error);
+      res.status(500).json({ error: 'Failed to fetch share links' });
+    }
+  });
+
+  // { hours, precision?, password? } - precision defaults to the user's own
+  router.post('/links', async (req, res) => {
+    const { hours, error: hoursError } = parseHours(req.body.hours);
+    const { precision, error: precisionError } = parsePrecision(req.body.precision, { optional: true });
+    const { password, error: passwordError } = parseLinkPassword(req.body.password);
+    if (hoursError || precisionError || passwordError) {
+      return res.status(400).json({ error: hoursError || precisionError || passwordError });
+    }
+
+    try {
+      const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+      const expiresAt = Date.now() + hours * 60 * 60 * 1000;
+      const shown = precision ?? (await getSettings(req.userId)).precision;
+
+      const id = await getStore().sharing.createLink({
+        tokenHash: hashToken(token),
+        userId: req.userId,
+        precision: shown,
+        passwordHash: password ? await hashPassword(password) : null,
+        expiresAt
+      });
+
+      res.status(201).json({
+        link: {
+          id,
+          token,
+          precision: shown,
+          hasPassword: Boolean(password),
+          expiresAt: new Date(expiresAt).toISOString(),
+          createdAt: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Create share link error:', error);
+      res.status(500).json({ error: 'Failed to create share link' });
+    }
+  });
+
+  router.delete('/links/:id', async (req, res) => {
+    try {
+      if (!(await getStore().sharing.removeLink(parseInt(req.params.id) || 0, req.userId))) {
+        return res.status(404).json({ error: 'Share link not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Revoke share link error:', error);
+      res.status(500).json({ error: 'Failed to revoke share link' });
+    }
+  });
+
+  // No login: the token (plus the password, if set) is the credential
+  const publicRouter = express.Router();
+
+  // The link behind req.params.token, or null once a 404/401/429 has been
+  // sent. Wrong passwords count towards a lockout per IP and per link, which
+  // is checked before spending a hash on the guess.
+  async function openLink(req, res) {
+    const link = await getStore().sharing.linkByToken(hashToken(req.params.token));
+    if (!link) {
+      res.status(404).json({ error: 'Share link not found or expired' });
+      return null;
+    }
+
+    if (link.passwordHash) {
+      const password = req.get('X-Share-Password');
+      if (!password) {
+        res.status(401).json({ error: 'Password required', passwordRequired: true });
+        return null;
+      }
+      if (await passwordLockout.blocked(req, res)) return null;
+      if (!(await verifyPassword(password, link.passwordHash))) {
+        await passwordLockout.fail(req);
+        res.status(401).json({ error: 'Wrong password', passwordRequired: true });
+        return null;
+      }
+    }
+    return link;
+  }
+
+  // Who shares, until when, and where they are now (null while paused or
+  // not tracking)
+  publicRouter.get('/:token', async (req, res) => {
+    try {
+      const link = await openLink(req, res);
+      if (!link) return;
+
+      const [account, settings] = await Promise.all([getStore().accounts.findById(link.userId), getSettings(link.userId)]);
+      const paused = isPaused(settings);
+      const live = paused ? null : await getLivePosition(link.userId);
+      const position = live && present(live, link.precision);
+
+      res.json({
+        sharedBy: account?.username ?? null,
+        precision: link.precision,
+        expiresAt: link.expiresAt,
+        paused,
+        position: position
+          ? { location: position.location, address: position.address, lastSeen: position.lastSeen }
+          : null
+      });
+    } catch (error) {
+      console.error('Shared location error:', error);
+      res.status(500).json({ error: 'Failed to fetch shared location' });
+    }
+  });
+
+  // Recent trail, oldest first (?minutes=, empty while paused)
+  publicRouter.get('/:token/trail', async (req, res) => {
+    const minutes = req.query.minutes === undefined ? config.trailMinutes : Number(req.query.minutes);
+    if (!(minutes > 0) || minutes > config.maxTrailMinutes) {
+      return res.status(400).json({ error: `minutes must be between 0 and ${config.maxTrailMinutes}` });
+    }
+
+    try {
+      const link = await openLink(req, res);
+      if (!link) return;
+
+      if (isPaused(await getSettings(link.userId))) {
+        return res.json({ trail: [], minutes });
+      }
+
+      const now = Date.now();
+      const points = await getStore().history.pointsBetween(link.userId, now - minutes * 60 * 1000, now);
+      res.json({ trail: shapeTrail(points, link.precision, config.maxTrailPoints), minutes });
+    } catch (error) {
+      console.error('Shared trail error:', error);
+      res.status(500).json({ error: 'Failed to fetch shared trail' });
+    }
+  });
+
+  return {
+    router,
+    publicRouter,
+    audience,
+    presentTo,
+    presentNearby,
+    canViewHistory,
+    exactCircleIds
+  };
+}
+
+module.exports = { createSharing, present, blurLocation, PRECISIONS };
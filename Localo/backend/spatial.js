@@ -0,0 +1,111 @@
+// spatial.js - Area lookups over live positions: a grid index for the
+// in-memory location cache, and the bbox / nearby query parameters
+const { isValidCoordinate, boundingBox, inBbox, lngRanges, nearest } = require('./geo');
+
+const CELL_DEGREES = 0.1; // about 11 km of latitude per cell
+
+// Buckets ids by a fixed lat/lng grid so an area query only visits the
+// cells it overlaps
+class GridIndex {
+  constructor(cellDegrees = CELL_DEGREES) {
+    this.cellDegrees = cellDegrees;
+    this.cells = new Map(); // 'row:col' -> Set of ids
+    this.points = new Map(); // id -> { point, key }
+  }
+
+  cell(value) {
+    return Math.floor(value / this.cellDegrees);
+  }
+
+  set(id, point) {
+    this.delete(id);
+    if (!isValidCoordinate(point)) return;
+
+    const key = `${this.cell(point.lat)}:${this.cell(point.lng)}`;
+    if (!this.cells.has(key)) this.cells.set(key, new Set());
+    this.cells.get(key).add(id);
+    this.points.set(id, { point, key });
+  }
+
+  delete(id) {
+    const entry = this.points.get(id);
+    if (!entry) return;
+
+    const ids = this.cells.get(entry.key);
+    ids.delete(id);
+    if (ids.size === 0) this.cells.delete(entry.key);
+    this.points.delete(id);
+  }
+
+  // Ids inside the bbox
+  within(bbox) {
+    const rows = [this.cell(bbox.south), this.cell(bbox.north)];
+    const cols = lngRanges(bbox).map(([west, east]) => [this.cell(west), this.cell(east)]);
+    const cellCount = (rows[1] - rows[0] + 1) * cols.reduce((sum, [from, to]) => sum + to - from + 1, 0);
+
+    // A box wider than the data is cheaper to answer by checking every point
+    if (cellCount > this.points.size) {
+      return [...this.points].filter(([, { point }]) => inBbox(point, bbox)).map(([id]) => id);
+    }
+
+    const ids = [];
+    for (let row = rows[0]; row <= rows[1]; row++) {
+      for (const [from, to] of cols) {
+        for (let col = from; col <= to; col++) {
+          for (const id of this.cells.get(`${row}:${col}`) || []) {
+            if (inBbox(this.points.get(id).point, bbox)) ids.push(id);
+          }
+        }
+      }
+    }
+    return ids;
+  }
+
+  // Ids within `radius` meters, nearest first, as { id, distance }
+  nearby(center, radius) {
+    const candidates = this.within(boundingBox(center, radius))
+      .map(id => ({ id, location: this.points.get(id).point }));
+    return nearest(candidates, center, radius).map(({ id, distance }) => ({ id, distance }));
+  }
+
+  get size() {
+    return this.points.size;
+  }
+}
+
+// ?bbox=west,south,east,north in degrees (GeoJSON order; west > east crosses
+// the antimeridian). Returns { bbox }, { bbox: null } when absent, or { error }.
+function parseBbox(value) {
+  if (value === undefined || value === '') return { bbox: null };
+
+  const parts = String(value).split(',').map(Number);
+  const [west, south, east, north] = parts;
+  const valid = parts.length === 4 &&
+    isValidCoordinate({ lat: south, lng: west }) &&
+    isValidCoordinate({ lat: north, lng: east }) &&
+    south <= north;
+  if (!valid) {
+    return { error: 'bbox must be west,south,east,north in degrees' };
+  }
+
+  return { bbox: { west, south, east, north } };
+}
+
+// ?lat=&lng=&radius=(meters)&limit= for nearby queries. Returns
+// { center, radius, limit } or { error }.
+function parseNearby(query, { defaultRadius, maxRadius, maxResults }) {
+  const center = { lat: parseFloat(query.lat), lng: parseFloat(query.lng) };
+  if (!isValidCoordinate(center)) {
+    return { error: 'lat and lng are required' };
+  }
+
+  const radius = query.radius === undefined ? defaultRadius : Number(query.radius);
+  if (!(radius > 0) || radius > maxRadius) {
+    return { error: `radius must be between 0 and ${maxRadius} meters` };
+  }
+
+  const limit = Math.min(parseInt(query.limit) || maxResults, maxResults);
+  return { center, radius, limit };
+}
+
+module.exports = { GridIndex, parseBbox, parseNearby };
@@ -0,0 +1,111 @@
+// storage/index.js - Picks the storage backend for the server.
+//
+// Every backend exposes the same repositories (users, history, partitions,
+// retention, accounts, circles, geofences, webhooks, sharing, rateLimits,
+// geocodes) plus:
+//   kind            'mysql', 'postgres', 'sqlite' or 'memory'
+//   transaction(fn) runs fn(repositories) atomically; a throw rolls back
+//   migrator        status()/up()/down() over backend/migrations (null for memory)
+//   ping()          rejects when the backend is unreachable
+//   pool()          { total, idle, waiting, max } connections, or null
+//                   without a pool (sqlite, memory)
+//   close()
+// Rows come back as plain camelCase objects with times in ms (history) or
+// ISO strings. A unique-key clash throws an error with code 'DUPLICATE'.
+// History partitions are monthly (pYYYYMM); backends without real partitions
+// (partitions.partitioned false) report and expire history by month instead.
+const { createMemoryStore } = require('./memory');
+
+// Database backends are required lazily so only the chosen driver has to be
+// installed
+const BACKENDS = {
+  mysql: config => require('./mysql').createMysqlStore(config),
+  postgres: config => require('./postgres').createPostgresStore(config),
+  sqlite: config => require('./sqlite').createSqliteStore(config)
+};
+
+const LABELS = { mysql: 'MySQL', postgres: 'PostgreSQL', sqlite: 'SQLite', memory: 'In-Memory' };
+const KINDS = Object.keys(LABELS);
+
+// Storage settings from the environment, shared by the server and the
+// migrate CLI
+function storageConfig(env = process.env) {
+  return {
+    kind: env.STORAGE || 'mysql', // 'postgres', 'sqlite', or 'memory' to run without a database
+    strict: env.STORAGE_STRICT === 'true', // no memory fallback when the database is down
+    migrate: env.MIGRATE_ON_START !== 'false', // apply pending migrations at startup
+    mysql: {
+      host: env.DB_HOST || 'localhost',
+      user: env.DB_USER || 'root',
+      password: env.DB_PASSWORD || '',
+      database: env.DB_NAME || 'localo',
+      connectionLimit: 10,
+      queueLimit: 0,
+      enableKeepAlive: true,
+      keepAliveInitialDelay: 0
+    },
+    postgres: {
+      connectionString: env.DATABASE_URL, // otherwise the PG* variables
+      max: 10
+    },
+    sqlite: {
+      filename: env.SQLITE_PATH || 'data/localo.sqlite'
+    }
+  };
+}
+
+function checkKind(kind) {
+  if (!KINDS.includes(kind)) {
+    throw new Error(`STORAGE must be one of: ${KINDS.join(', ')}`);
+  }
+}
+
+// Opens the configured backend as it is: no migrations, no fallback
+async function openDatabase({ kind = 'mysql', ...configs }) {
+  checkKind(kind);
+  return kind === 'memory' ? createMemoryStore() : BACKENDS[kind](configs[kind]);
+}
+
+async function prepareSchema(store, migrate) {
+  if (migrate) {
+    const applied = await store.migrator.up();
+    console.log(applied.length
+      ? `✅ Database schema migrated (${applied.length} applied)`
+      : '✅ Database schema up to date');
+    return;
+  }
+
+  const pending = (await store.migrator.status()).filter(m => !m.appliedAt);
+  if (pending.length > 0) {
+    console.warn(`⚠️  ${pending.length} pending migration(s) - run: npm run migrate up`);
+  }
+}
+
+// STORAGE=memory skips the database entirely; a database backend (mysql by
+// default) falls back to memory when it can't be opened or migrated, unless
+// STORAGE_STRICT is set
+async function createStorage({ kind = 'mysql', strict = false, migrate = true, ...configs }) {
+  checkKind(kind);
+
+  if (kind === 'memory') {
+    console.log('🧠 Using in-memory storage (data is lost on restart)');
+    return createMemoryStore();
+  }
+
+  let store;
+  try {
+    store = await openDatabase({ kind, ...configs });
+    console.log(`✅ ${LABELS[kind]} connected successfully`);
+    await prepareSchema(store, migrate);
+    return store;
+  } catch (error) {
+    console.error(`❌ ${LABELS[kind]} error:`, error.message);
+    await store?.close().catch(() => {});
+    if (strict) throw error;
+
+    console.log('⚠️  Falling back to in-memory storage (data is lost on restart)');
+    return createMemoryStore();
+  }
+}
+
+module.exports = { createStorage, createMemoryStore, openDatabase, storageConfig, LABELS };
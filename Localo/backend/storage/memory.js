@@ -0,0 +1,893 @@
+// storage/memory.js - In-process implementation of the storage repositories.
+// Mirrors storage/mysql.js result for result (ordering, rounding, duplicate
+// errors) so the server behaves the same without a database; nothing
+// survives a restart.
+
+const { partitionName, monthRange } = require('./months');
+const { inBbox, nearest } = require('../geo');
+const { fixDetails } = require('../fixes');
+
+// DECIMAL(10, 8) / DECIMAL(11, 8) columns
+const round8 = (value) => Number(Number(value).toFixed(8));
+
+const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+// Case-insensitive like the utf8mb4_unicode_ci collation
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+function duplicate(message) {
+  const error = new Error(message);
+  error.code = 'DUPLICATE';
+  return error;
+}
+
+function createState() {
+  return {
+    users: new Map(), // userId -> user
+    history: new Map(), // userId -> points sorted by (trackedAt, id)
+    accounts: new Map(), // userId -> account
+    usernames: new Map(), // username -> userId
+    circles: new Map(), // id -> circle
+    members: new Map(), // circleId -> Map(userId -> member), in join order
+    geofences: new Map(), // id -> fence
+    fenceEvents: [],
+    webhooks: new Map(), // id -> webhook
+    deliveries: new Map(), // id -> delivery
+    policies: new Map(), // 'scope:scopeId' -> retention policy
+    sharing: new Map(), // userId -> sharing settings
+    shareLinks: new Map(), // id -> share link
+    rateLimits: new Map(), // bucket key -> { tokens, updatedAt }
+    geocodes: new Map(), // cell key -> { address, provider, updatedAt }
+    ids: { history: 0, circles: 0, geofences: 0, fenceEvents: 0, webhooks: 0, shareLinks: 0 }
+  };
+}
+
+// First index in points (sorted by trackedAt, id) not before (trackedAt, id)
+function lowerBound(points, trackedAt, id = 0) {
+  let lo = 0;
+  let hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    const p = points[mid];
+    if (p.trackedAt < trackedAt || (p.trackedAt === trackedAt && p.id < id)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Repositories over the shared state. Inside a transaction every change is
+// recorded in `journal` as an undo step; records are replaced, never edited
+// in place, so undoing is just putting the old value back.
+function createRepositories(state, journal = null) {
+  const record = (undo) => journal?.push(undo);
+
+  function put(map, key, value) {
+    const had = map.has(key);
+    const old = map.get(key);
+    map.set(key, value);
+    record(() => (had ? map.set(key, old) : map.delete(key)));
+  }
+
+  function remove(map, key) {
+    if (!map.has(key)) return;
+    const old = map.get(key);
+    map.delete(key);
+    record(() => map.set(key, old));
+  }
+
+  function nextId(name) {
+    const id = ++state.ids[name];
+    record(() => { state.ids[name] = id - 1; });
+    return id;
+  }
+
+  const update = (map, key, changes) => {
+    if (map.has(key)) put(map, key, { ...map.get(key), ...changes });
+  };
+
+  // A user row with its account, as the admin pages list them
+  const toUser = (user) => {
+    const account = state.accounts.get(user.userId);
+    return {
+      userId: user.userId,
+      username: account?.username ?? null,
+      location: user.lat != null ? { lat: user.lat, lng: user.lng } : null,
+      address: user.address,
+      isTracking: user.isTracking,
+      lastSeen: toIso(user.lastSeen),
+      createdAt: toIso(user.createdAt),
+      lastLogin: toIso(account?.lastLogin)
+    };
+  };
+
+  const users = {
+    async upsert(userId, { location, address, isTracking }) {
+      const existing = state.users.get(userId);
+      put(state.users, userId, {
+        createdAt: Date.now(),
+        ...existing,
+        userId,
+        lat: round8(location.lat),
+        lng: round8(location.lng),
+        ...fixDetails(location),
+        address,
+        isTracking: Boolean(isTracking),
+        lastSeen: Date.now()
+      });
+    },
+
+    async setAddress(userId, address) {
+      update(state.users, userId, { address });
+    },
+
+    async register(userId) {
+      const existing = state.users.get(userId);
+      put(state.users, userId, existing
+        ? { ...existing, lastSeen: Date.now() }
+        : { userId, lat: null, lng: null, address: null, isTracking: false, lastSeen: Date.now(), createdAt: Date.now() });
+    },
+
+    async stopTracking(userId) {
+      update(state.users, userId, { isTracking: false, lastSeen: Date.now() });
+    },
+
+    async touch(userId) {
+      update(state.users, userId, { lastSeen: Date.now() });
+    },
+
+    async isTracking(userId) {
+      const user = state.users.get(userId);
+      return user ? user.isTracking : null;
+    },
+
+    // Transactions are serialized, so this needs no lock of its own
+    async lockState(userId) {
+      const user = state.users.get(userId);
+      return {
+        location: user?.lat != null ? { lat: user.lat, lng: user.lng } : null,
+        isTracking: Boolean(user?.isTracking)
+      };
+    },
+
+    async lastPosition(userId) {
+      const user = state.users.get(userId);
+      return user?.lat != null ? { lat: user.lat, lng: user.lng } : null;
+    },
+
+    async findActive(userIds, withinSeconds, bbox = null) {
+      const since = Date.now() - withinSeconds * 1000;
+      return userIds
+        .map(userId => state.users.get(userId))
+        .filter(user => user && user.isTracking && user.lastSeen > since && user.lat != null)
+        .filter(user => !bbox || inBbox(user, bbox))
+        .map(user => ({
+          userId: user.userId,
+          location: { lat: user.lat, lng: user.lng, ...fixDetails(user) },
+          address: user.address,
+          isTracking: true,
+          lastSeen: toIso(user.lastSeen)
+        }));
+    },
+
+    async findNearby(userIds, withinSeconds, { center, radius, limit }) {
+      return nearest(await users.findActive(userIds, withinSeconds), center, radius, limit);
+    },
+
+    async deactivateInactive(afterSeconds) {
+      const before = Date.now() - afterSeconds * 1000;
+      const userIds = [];
+      for (const user of state.users.values()) {
+        if (user.isTracking && user.lastSeen < before) userIds.push(user.userId);
+      }
+      // last_seen is ON UPDATE CURRENT_TIMESTAMP in MySQL, so it moves too
+      userIds.forEach(userId => update(state.users, userId, { isTracking: false, lastSeen: Date.now() }));
+      return userIds;
+    },
+
+    async countActive(withinSeconds) {
+      const since = Date.now() - withinSeconds * 1000;
+      return [...state.users.values()].filter(user => user.isTracking && user.lastSeen > since).length;
+    },
+
+    async list({ search = null, limit, offset = 0 }) {
+      const needle = search?.toLowerCase();
+      const matches = [...state.users.values()]
+        .map(toUser)
+        .filter(user => !needle || user.userId.toLowerCase().includes(needle) || user.username?.includes(needle))
+        .sort((a, b) => b.isTracking - a.isTracking || b.lastSeen.localeCompare(a.lastSeen) || a.userId.localeCompare(b.userId));
+      return { users: matches.slice(offset, offset + limit), total: matches.length };
+    },
+
+    async find(userId) {
+      const user = state.users.get(userId);
+      return user ? toUser(user) : null;
+    },
+
+    async summary() {
+      const all = [...state.users.values()];
+      return { total: all.length, tracking: all.filter(user => user.isTracking).length };
+    },
+
+    async delete(userId) {
+      remove(state.users, userId);
+    }
+  };
+
+  const history = {
+    async insert(items) {
+      for (const item of items) {
+        const point = {
+          id: nextId('history'),
+          lat: round8(item.location.lat),
+          lng: round8(item.location.lng),
+          ...fixDetails(item.location),
+          address: item.address,
+          trackedAt: Math.round(item.trackedAt)
+        };
+
+        if (!state.history.has(item.userId)) put(state.history, item.userId, []);
+        const points = state.history.get(item.userId);
+        const index = lowerBound(points, point.trackedAt, point.id);
+        points.splice(index, 0, point);
+        record(() => points.splice(points.indexOf(point), 1));
+      }
+    },
+
+    async page({ userId, from, to, after, limit }) {
+      const points = state.history.get(userId) || [];
+      let index = after
+        ? Math.max(lowerBound(points, from), lowerBound(points, after.trackedAt, after.id + 1))
+        : lowerBound(points, from);
+
+      const rows = [];
+      for (; index < points.length && rows.length < limit; index++) {
+        if (points[index].trackedAt >= to) break;
+        rows.push({ ...points[index] });
+      }
+      return rows;
+    },
+
+    async pointsBetween(userId, from, to) {
+      const points = state.history.get(userId) || [];
+      const rows = [];
+      for (let index = lowerBound(points, from); index < points.length; index++) {
+        if (points[index].trackedAt > to) break;
+        const { lat, lng, trackedAt } = points[index];
+        rows.push({ lat, lng, trackedAt });
+      }
+      return rows;
+    },
+
+    async scan({ from, to, after, limit }) {
+      const rows = [];
+      for (const [userId, points] of state.history) {
+        for (let index = lowerBound(points, from); index < points.length; index++) {
+          if (points[index].trackedAt >= to) break;
+          rows.push({ ...points[index], userId });
+        }
+      }
+
+      return rows
+        .filter(p => !after || p.trackedAt > after.trackedAt || (p.trackedAt === after.trackedAt && p.id > after.id))
+        .sort((a, b) => a.trackedAt - b.trackedAt || a.id - b.id)
+        .slice(0, limit);
+    },
+
+    // Fills in a point's address once it has been looked up
+    async setAddress(userId, trackedAt, address) {
+      const points = state.history.get(userId) || [];
+      const at = Math.round(trackedAt);
+      for (let index = lowerBound(points, at); index < points.length && points[index].trackedAt === at; index++) {
+        const old = points[index];
+        if (old.address != null) continue;
+
+        const point = { ...old, address };
+        points[index] = point;
+        record(() => { points[points.indexOf(point)] = old; });
+      }
+    },
+
+    async usersBefore(before) {
+      return [...state.history]
+        .filter(([, points]) => points.length > 0 && points[0].trackedAt < before)
+        .map(([userId]) => userId);
+    },
+
+    async deleteBefore(userId, before, limit) {
+      const points = state.history.get(userId) || [];
+      const count = Math.min(lowerBound(points, before), limit);
+      if (count > 0) put(state.history, userId, points.slice(count));
+      return count;
+    },
+
+    async countSince(since, { userIds = null, limit = null }) {
+      const counts = (userIds || [...state.history.keys()])
+        .map(userId => {
+          const points = state.history.get(userId) || [];
+          return { userId, count: points.length - lowerBound(points, since) };
+        })
+        .filter(row => row.count > 0);
+      if (userIds) return counts;
+      return counts.sort((a, b) => b.count - a.count || a.userId.localeCompare(b.userId)).slice(0, limit);
+    }
+  };
+
+  // No real partitions: history is reported (and expired) by month
+  const partitions = {
+    partitioned: false,
+
+    async list() {
+      const months = new Map();
+      for (const points of state.history.values()) {
+        for (const point of points) {
+          const name = partitionName(point.trackedAt);
+          months.set(name, (months.get(name) || 0) + 1);
+        }
+      }
+
+      return [...months]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, rows]) => ({ name, ...monthRange(name), rows, bytes: null }));
+    },
+
+    async create() {},
+
+    async drop(name) {
+      const range = monthRange(name);
+      if (!range) throw new Error(`Invalid partition name '${name}'`);
+
+      for (const [userId, points] of state.history) {
+        const kept = points.filter(p => p.trackedAt < range.from || p.trackedAt >= range.to);
+        if (kept.length < points.length) put(state.history, userId, kept);
+      }
+    }
+  };
+
+  const policyKey = (scope, scopeId) => `${scope}:${scopeId}`;
+
+  const retention = {
+    async list() {
+      return [...state.policies.values()]
+        .sort((a, b) => a.scope.localeCompare(b.scope) || a.scopeId.localeCompare(b.scopeId))
+        .map(policy => ({ ...policy, updatedAt: toIso(policy.updatedAt) }));
+    },
+
+    async get(scope, scopeId) {
+      const policy = state.policies.get(policyKey(scope, scopeId));
+      return policy ? { ...policy, updatedAt: toIso(policy.updatedAt) } : null;
+    },
+
+    async set({ scope, scopeId, days, updatedBy }) {
+      put(state.policies, policyKey(scope, scopeId), {
+        scope, scopeId: String(scopeId), days, updatedBy, updatedAt: Date.now()
+      });
+    },
+
+    async remove(scope, scopeId) {
+      remove(state.policies, policyKey(scope, scopeId));
+    }
+  };
+
+  const accounts = {
+    async create({ userId, username, passwordHash }) {
+      if (state.accounts.has(userId) || state.usernames.has(username)) {
+        throw duplicate(`Duplicate account '${username}'`);
+      }
+      put(state.accounts, userId, { userId, username, passwordHash, createdAt: Date.now(), lastLogin: null });
+      put(state.usernames, username, userId);
+    },
+
+    async findByUsername(username) {
+      const account = state.accounts.get(state.usernames.get(username));
+      return account ? { userId: account.userId, username: account.username, passwordHash: account.passwordHash } : null;
+    },
+
+    async findById(userId) {
+      const account = state.accounts.get(userId);
+      return account ? { userId: account.userId, username: account.username } : null;
+    },
+
+    async touchLogin(userId) {
+      update(state.accounts, userId, { lastLogin: Date.now() });
+    },
+
+    async delete(userId) {
+      const account = state.accounts.get(userId);
+      if (!account) return;
+      remove(state.accounts, userId);
+      remove(state.usernames, account.username);
+    }
+  };
+
+  const membersOf = (circleId) => state.members.get(circleId) || new Map();
+
+  const circles = {
+    async create({ name, inviteCode, createdBy }) {
+      for (const circle of state.circles.values()) {
+        if (circle.inviteCode === inviteCode) throw duplicate(`Duplicate invite code '${inviteCode}'`);
+      }
+      const id = nextId('circles');
+      put(state.circles, id, { id, name, inviteCode, createdBy, createdAt: Date.now() });
+      return id;
+    },
+
+    async listForUser(userId) {
+      const result = [];
+      for (const [circleId, members] of state.members) {
+        const circle = state.circles.get(circleId);
+        if (!circle || !members.has(userId)) continue;
+        result.push({
+          id: circle.id,
+          name: circle.name,
+          role: members.get(userId).role,
+          inviteCode: circle.inviteCode,
+          memberCount: members.size
+        });
+      }
+      return result.sort(byName);
+    },
+
+    async idsForUser(userId) {
+      const ids = [];
+      for (const [circleId, members] of state.members) {
+        if (members.has(userId)) ids.push(circleId);
+      }
+      return ids;
+    },
+
+    async members(circleId) {
+      return [...membersOf(circleId).values()].map(member => ({
+        userId: member.userId,
+        username: state.accounts.get(member.userId)?.username ?? null,
+        role: member.role,
+        joinedAt: toIso(member.joinedAt)
+      }));
+    },
+
+    async role(circleId, userId) {
+      return membersOf(circleId).get(userId)?.role || null;
+    },
+
+    async findByInvite(code) {
+      for (const circle of state.circles.values()) {
+        if (circle.inviteCode === code) return { id: circle.id, name: circle.name };
+      }
+      return null;
+    },
+
+    async setInvite(circleId, code) {
+      update(state.circles, circleId, { inviteCode: code });
+    },
+
+    // Member maps are replaced as a whole so the journal can restore them
+    async addMember(circleId, userId, role) {
+      const members = membersOf(circleId);
+      if (members.has(userId)) return;
+      put(state.members, circleId, new Map(members).set(userId, { userId, role, joinedAt: Date.now() }));
+    },
+
+    async removeMember(circleId, userId) {
+      const members = membersOf(circleId);
+      if (!members.has(userId)) return;
+      const next = new Map(members);
+      next.delete(userId);
+      if (next.size > 0) put(state.members, circleId, next);
+      else remove(state.members, circleId);
+    },
+
+    async setRole(circleId, userId, role) {
+      const members = membersOf(circleId);
+      if (!members.has(userId)) return;
+      put(state.members, circleId, new Map(members).set(userId, { ...members.get(userId), role }));
+    },
+
+    async countOwners(circleId) {
+      return [...membersOf(circleId).values()].filter(member => member.role === 'owner').length;
+    },
+
+    async oldestMember(circleId) {
+      const first = membersOf(circleId).values().next().value;
+      return first?.userId || null;
+    },
+
+    async delete(circleId) {
+      remove(state.circles, circleId);
+    }
+  };
+
+  const fenceOut = (fence) => ({
+    id: fence.id,
+    circleId: fence.circleId,
+    name: fence.name,
+    shape: fence.shape,
+    center: fence.center ? { ...fence.center } : null,
+    radius: fence.radius,
+    points: fence.points ? fence.points.map(p => ({ ...p })) : null,
+    createdBy: fence.createdBy
+  });
+
+  const fenceFields = (fence) => ({
+    name: fence.name,
+    shape: fence.shape,
+    center: fence.center ? { lat: round8(fence.center.lat), lng: round8(fence.center.lng) } : null,
+    radius: fence.radius ?? null,
+    points: fence.points ? fence.points.map(p => ({ lat: p.lat, lng: p.lng })) : null
+  });
+
+  const geofences = {
+    async listByCircles(circleIds) {
+      return [...state.geofences.values()]
+        .filter(fence => circleIds.includes(fence.circleId))
+        .sort(byName)
+        .map(fenceOut);
+    },
+
+    async get(id) {
+      const fence = state.geofences.get(id);
+      return fence ? fenceOut(fence) : null;
+    },
+
+    async create(circleId, fence, createdBy) {
+      const id = nextId('geofences');
+      put(state.geofences, id, { id, circleId, ...fenceFields(fence), createdBy, createdAt: Date.now() });
+      return id;
+    },
+
+    async update(id, fence) {
+      update(state.geofences, id, fenceFields(fence));
+    },
+
+    async delete(id) {
+      remove(state.geofences, id);
+    },
+
+    async insertEvents(events) {
+      for (const e of events) {
+        const event = {
+          id: nextId('fenceEvents'),
+          geofenceId: e.geofenceId,
+          geofenceName: e.geofenceName,
+          circleId: e.circleId,
+          userId: e.userId,
+          event: e.event,
+          lat: round8(e.location.lat),
+          lng: round8(e.location.lng),
+          occurredAt: Date.now()
+        };
+        state.fenceEvents.push(event);
+        record(() => state.fenceEvents.splice(state.fenceEvents.indexOf(event), 1));
+      }
+    },
+
+    async deleteUserEvents(userId) {
+      const old = state.fenceEvents;
+      state.fenceEvents = old.filter(e => e.userId !== userId);
+      record(() => { state.fenceEvents = old; });
+    },
+
+    async events({ circleId, geofenceId, userId, from, to, limit }) {
+      return state.fenceEvents
+        .filter(e => e.circleId === circleId &&
+          (!geofenceId || e.geofenceId === geofenceId) &&
+          (!userId || e.userId === userId) &&
+          (!from || e.occurredAt >= from.getTime()) &&
+          (!to || e.occurredAt < to.getTime()))
+        .sort((a, b) => b.occurredAt - a.occurredAt || b.id - a.id)
+        .slice(0, limit)
+        .map(e => ({
+          id: e.id,
+          geofenceId: e.geofenceId,
+          geofenceName: e.geofenceName,
+          userId: e.userId,
+          username: state.accounts.get(e.userId)?.username ?? null,
+          event: e.event,
+          location: { lat: e.lat, lng: e.lng },
+          occurredAt: toIso(e.occurredAt)
+        }));
+    }
+  };
+
+  const webhookOut = (hook) => ({
+    id: hook.id,
+    circleId: hook.circleId,
+    url: hook.url,
+    events: [...hook.events],
+    secret: hook.secret,
+    isActive: hook.isActive,
+    createdBy: hook.createdBy,
+    createdAt: toIso(hook.createdAt)
+  });
+
+  const webhooks = {
+    async listByCircle(circleId) {
+      return [...state.webhooks.values()]
+        .filter(hook => hook.circleId === circleId)
+        .sort((a, b) => a.id - b.id)
+        .map(webhookOut)
+        .map(({ secret, ...hook }) => hook);
+    },
+
+    async get(id) {
+      const hook = state.webhooks.get(id);
+      return hook ? webhookOut(hook) : null;
+    },
+
+    async activeForCircles(circleIds) {
+      return [...state.webhooks.values()]
+        .filter(hook => hook.isActive && circleIds.includes(hook.circleId))
+        .map(hook => ({ id: hook.id, circleId: hook.circleId, events: [...hook.events] }));
+    },
+
+    async create({ circleId, url, events, secret, createdBy }) {
+      const id = nextId('webhooks');
+      put(state.webhooks, id, {
+        id, circleId, url, events: [...events], secret, isActive: true, createdBy, createdAt: Date.now()
+      });
+      return id;
+    },
+
+    async update(id, { url, events, isActive }) {
+      update(state.webhooks, id, { url, events: [...events], isActive: Boolean(isActive) });
+    },
+
+    async delete(id) {
+      remove(state.webhooks, id);
+      for (const delivery of state.deliveries.values()) {
+        if (delivery.webhookId === id && delivery.status === 'pending') {
+          update(state.deliveries, delivery.id, { status: 'failed', lastError: 'Webhook deleted' });
+        }
+      }
+    },
+
+    async enqueue(deliveries) {
+      for (const d of deliveries) {
+        if (state.deliveries.has(d.id)) throw duplicate(`Duplicate delivery '${d.id}'`);
+        put(state.deliveries, d.id, {
+          id: d.id,
+          webhookId: d.webhookId,
+          event: d.event,
+          payload: JSON.stringify(d.payload),
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: Date.now(),
+          lastStatusCode: null,
+          lastError: null,
+          createdAt: Date.now(),
+          deliveredAt: null
+        });
+      }
+    },
+
+    async due(limit) {
+      const now = Date.now();
+      return [...state.deliveries.values()]
+        .filter(d => d.status === 'pending' && d.nextAttemptAt <= now && state.webhooks.has(d.webhookId))
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        .slice(0, limit)
+        .map(d => {
+          const hook = state.webhooks.get(d.webhookId);
+          return {
+            id: d.id,
+            webhookId: d.webhookId,
+            event: d.event,
+            payload: d.payload,
+            attempts: d.attempts,
+            url: hook.url,
+            secret: hook.secret
+          };
+        });
+    },
+
+    async markDelivered(id, statusCode) {
+      const delivery = state.deliveries.get(id);
+      if (!delivery) return;
+      update(state.deliveries, id, {
+        status: 'delivered',
+        attempts: delivery.attempts + 1,
+        lastStatusCode: statusCode,
+        lastError: null,
+        deliveredAt: Date.now()
+      });
+    },
+
+    async markRetry(id, statusCode, error, delaySeconds) {
+      const delivery = state.deliveries.get(id);
+      if (!delivery) return;
+      update(state.deliveries, id, {
+        attempts: delivery.attempts + 1,
+        lastStatusCode: statusCode,
+        lastError: error,
+        nextAttemptAt: Date.now() + delaySeconds * 1000
+      });
+    },
+
+    async markFailed(id, statusCode, error) {
+      const delivery = state.deliveries.get(id);
+      if (!delivery) return;
+      update(state.deliveries, id, {
+        status: 'failed',
+        attempts: delivery.attempts + 1,
+        lastStatusCode: statusCode,
+        lastError: error
+      });
+    },
+
+    async requeue(id, webhookId) {
+      const delivery = state.deliveries.get(id);
+      if (!delivery || delivery.webhookId !== webhookId || delivery.status !== 'failed') return false;
+      update(state.deliveries, id, { status: 'pending', attempts: 0, nextAttemptAt: Date.now() });
+      return true;
+    },
+
+    async deliveries(webhookId, { status, limit }) {
+      return [...state.deliveries.values()]
+        .filter(d => d.webhookId === webhookId && (!status || d.status === status))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit)
+        .map(d => ({
+          id: d.id,
+          event: d.event,
+          status: d.status,
+          attempts: d.attempts,
+          nextAttemptAt: d.status === 'pending' ? toIso(d.nextAttemptAt) : null,
+          lastStatusCode: d.lastStatusCode,
+          lastError: d.lastError,
+          createdAt: toIso(d.createdAt),
+          deliveredAt: toIso(d.deliveredAt)
+        }));
+    }
+  };
+
+  const liveLinks = () => [...state.shareLinks.values()].filter(link => link.expiresAt > Date.now());
+  const toShareLink = (link) => ({
+    id: link.id,
+    precision: link.precision,
+    hasPassword: Boolean(link.passwordHash),
+    expiresAt: toIso(link.expiresAt),
+    createdAt: toIso(link.createdAt)
+  });
+
+  const sharing = {
+    async settings(userId) {
+      const settings = state.sharing.get(userId);
+      return settings ? { precision: settings.precision, pausedUntil: toIso(settings.pausedUntil) } : null;
+    },
+
+    async saveSettings(userId, { precision, pausedUntil }) {
+      put(state.sharing, userId, { precision, pausedUntil: pausedUntil ?? null });
+    },
+
+    async circlePrecisions(userId) {
+      const overrides = [];
+      for (const [circleId, members] of state.members) {
+        const precision = members.get(userId)?.sharePrecision;
+        if (precision) overrides.push({ circleId, precision });
+      }
+      return overrides;
+    },
+
+    async setCirclePrecision(circleId, userId, precision) {
+      const members = membersOf(circleId);
+      if (!members.has(userId)) return false;
+      put(state.members, circleId, new Map(members).set(userId, { ...members.get(userId), sharePrecision: precision }));
+      return true;
+    },
+
+    async createLink({ tokenHash, userId, precision, passwordHash = null, expiresAt }) {
+      for (const link of state.shareLinks.values()) {
+        if (link.tokenHash === tokenHash) throw duplicate('Duplicate share token');
+      }
+      const id = nextId('shareLinks');
+      put(state.shareLinks, id, { id, tokenHash, userId, precision, passwordHash, expiresAt, createdAt: Date.now() });
+      return id;
+    },
+
+    async links(userId) {
+      return liveLinks()
+        .filter(link => link.userId === userId)
+        .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id)
+        .map(toShareLink);
+    },
+
+    async linkByToken(tokenHash) {
+      const link = liveLinks().find(l => l.tokenHash === tokenHash);
+      return link ? { ...toShareLink(link), userId: link.userId, passwordHash: link.passwordHash } : null;
+    },
+
+    async removeLink(id, userId) {
+      if (state.shareLinks.get(id)?.userId !== userId) return false;
+      remove(state.shareLinks, id);
+      return true;
+    },
+
+    async deleteExpiredLinks() {
+      const expired = [...state.shareLinks.values()].filter(link => link.expiresAt <= Date.now());
+      expired.forEach(link => remove(state.shareLinks, link.id));
+      return expired.length;
+    },
+
+    async removeUser(userId) {
+      remove(state.sharing, userId);
+      [...state.shareLinks.values()]
+        .filter(link => link.userId === userId)
+        .forEach(link => remove(state.shareLinks, link.id));
+    }
+  };
+
+  // Token buckets for the shared rate limiter (transactions already run one
+  // at a time)
+  const rateLimits = {
+    async lock(key, capacity, now) {
+      if (!state.rateLimits.has(key)) put(state.rateLimits, key, { tokens: capacity, updatedAt: now });
+      return { ...state.rateLimits.get(key) };
+    },
+
+    async save(key, tokens, now) {
+      put(state.rateLimits, key, { tokens, updatedAt: now });
+    },
+
+    async purge(before) {
+      const idle = [...state.rateLimits].filter(([, bucket]) => bucket.updatedAt < before);
+      idle.forEach(([key]) => remove(state.rateLimits, key));
+      return idle.length;
+    }
+  };
+
+  const geocodes = {
+    async get(key, since) {
+      const cached = state.geocodes.get(key);
+      return cached && cached.updatedAt >= since ? { address: cached.address } : null;
+    },
+
+    async put(key, address, provider, now) {
+      put(state.geocodes, key, { address, provider, updatedAt: now });
+    },
+
+    async purge(before) {
+      const old = [...state.geocodes].filter(([, cached]) => cached.updatedAt < before);
+      old.forEach(([key]) => remove(state.geocodes, key));
+      return old.length;
+    }
+  };
+
+  return { users, history, partitions, retention, accounts, circles, geofences, webhooks, sharing, rateLimits, geocodes };
+}
+
+function createMemoryStore() {
+  const state = createState();
+  let lock = Promise.resolve();
+
+  return {
+    kind: 'memory',
+    ...createRepositories(state),
+    migrator: null, // no schema
+
+    // One transaction at a time (like the row locks the MySQL store takes);
+    // a throw undoes everything fn changed
+    transaction(fn) {
+      const run = async () => {
+        const journal = [];
+        try {
+          return await fn(createRepositories(state, journal));
+        } catch (error) {
+          journal.reverse().forEach(undo => undo());
+          throw error;
+        }
+      };
+
+      const result = lock.then(run);
+      lock = result.catch(() => {});
+      return result;
+    },
+
+    async ping() {},
+
+    pool() {
+      return null;
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStore };
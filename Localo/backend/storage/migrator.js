@@ -0,0 +1,168 @@
+// storage/migrator.js - Numbered schema migrations, tracked in schema_migrations.
+//
+// Each file in backend/migrations is named <version>_<name>.js and exports
+// { up, down }, keyed by dialect ('mysql', 'postgres', 'sqlite'). A step is
+// either a list of SQL statements or an async function(db) for anything
+// that needs code; db.query(sql, params) returns the rows.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// schema_migrations in each dialect
+const statements = {
+  mysql: {
+    create: `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT UNSIGNED NOT NULL PRIMARY KEY,
+      name VARCHAR(128) NOT NULL,
+      applied_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+    list: 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version',
+    insert: 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+    remove: 'DELETE FROM schema_migrations WHERE version = ?'
+  },
+  postgres: {
+    create: `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER NOT NULL PRIMARY KEY,
+      name VARCHAR(128) NOT NULL,
+      applied_at TIMESTAMPTZ(3) NOT NULL DEFAULT now()
+    )`,
+    list: 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version',
+    insert: 'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+    remove: 'DELETE FROM schema_migrations WHERE version = $1'
+  },
+  sqlite: {
+    create: `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER NOT NULL PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )`,
+    list: 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version',
+    insert: `INSERT INTO schema_migrations (version, name, applied_at)
+      VALUES (?, ?, CAST(unixepoch('subsec') * 1000 AS INTEGER))`,
+    remove: 'DELETE FROM schema_migrations WHERE version = ?'
+  }
+};
+
+// Migration files in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      id: file.slice(0, -3),
+      version: parseInt(version),
+      name,
+      ...require(path.join(dir, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+// withDriver(fn) runs fn(db) on one connection, where db is
+// { dialect, transactional, query(sql, params) }. Postgres and SQLite run
+// each migration in a transaction; MySQL commits DDL implicitly, so a
+// migration that fails there halfway may need tidying up by hand.
+function createMigrator(withDriver, dir = MIGRATIONS_DIR) {
+  async function appliedVersions(db) {
+    const sql = statements[db.dialect];
+    await db.query(sql.create);
+    const rows = await db.query(sql.list);
+    return new Map(rows.map(row => [Number(row.version), row]));
+  }
+
+  async function run(db, migration, direction) {
+    const step = migration[direction]?.[db.dialect];
+    if (!step) {
+      throw new Error(`Migration ${migration.id} has no ${direction} step for ${db.dialect}`);
+    }
+
+    const sql = statements[db.dialect];
+    const apply = async () => {
+      if (typeof step === 'function') {
+        await step(db);
+      } else {
+        for (const statement of step) {
+          await db.query(statement);
+        }
+      }
+
+      if (direction === 'up') {
+        await db.query(sql.insert, [migration.version, migration.name]);
+      } else {
+        await db.query(sql.remove, [migration.version]);
+      }
+    };
+
+    if (!db.transactional) return apply();
+
+    await db.query('BEGIN');
+    try {
+      await apply();
+      await db.query('COMMIT');
+    } catch (error) {
+      await db.query('ROLLBACK').catch(err => console.error('Rollback error:', err.message));
+      throw error;
+    }
+  }
+
+  return {
+    // Every known migration with its applied time (null while pending)
+    status() {
+      return withDriver(async db => {
+        const applied = await appliedVersions(db);
+        return loadMigrations(dir).map(({ id, version, name }) => ({
+          id,
+          version,
+          name,
+          appliedAt: applied.has(version) ? new Date(applied.get(version).applied_at).toISOString() : null
+        }));
+      });
+    },
+
+    // Applies pending migrations up to and including `to`; returns their ids
+    up({ to = Infinity } = {}) {
+      return withDriver(async db => {
+        const applied = await appliedVersions(db);
+        const pending = loadMigrations(dir).filter(m => !applied.has(m.version) && m.version <= to);
+
+        for (const migration of pending) {
+          await run(db, migration, 'up');
+          console.log(`⬆️  Applied migration ${migration.id}`);
+        }
+        return pending.map(m => m.id);
+      });
+    },
+
+    // Reverts the latest `steps` applied migrations; returns their ids
+    down({ steps = 1 } = {}) {
+      return withDriver(async db => {
+        const applied = await appliedVersions(db);
+        const migrations = new Map(loadMigrations(dir).map(m => [m.version, m]));
+        const versions = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+        const reverted = [];
+        for (const version of versions) {
+          const migration = migrations.get(version);
+          if (!migration) {
+            throw new Error(`Migration ${version} is applied but its file is missing`);
+          }
+          await run(db, migration, 'down');
+          console.log(`⬇️  Reverted migration ${migration.id}`);
+          reverted.push(migration.id);
+        }
+        return reverted;
+      });
+    }
+  };
+}
+
+module.exports = { createMigrator, loadMigrations, MIGRATIONS_DIR };
@@ -0,0 +1,28 @@
+// storage/months.js - Monthly history partitions: names (pYYYYMM) and UTC bounds
+const NAME_PATTERN = /^p(\d{4})(\d{2})$/;
+
+function monthStart(ms) {
+  const date = new Date(ms);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+function addMonths(ms, months) {
+  const date = new Date(ms);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1);
+}
+
+// Name of the partition holding the month that contains ms
+function partitionName(ms) {
+  const date = new Date(ms);
+  return `p${date.getUTCFullYear()}${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// { from, to } in ms for a partition name, or null if it isn't a month
+function monthRange(name) {
+  const match = NAME_PATTERN.exec(name);
+  if (!match) return null;
+  const from = Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, 1);
+  return { from, to: addMonths(from, 1) };
+}
+
+module.exports = { monthStart, addMonths, partitionName, monthRange };
@@ -0,0 +1,1330 @@
+// storage/mysql.js - MySQL implementation of the storage repositories
+const mysql = require('mysql2/promise');
+const { createMigrator } = require('./migrator');
+const { monthRange } = require('./months');
+const { boundingBox, lngRanges, nearest } = require('../geo');
+const { fixDetails } = require('../fixes');
+
+// Optimized database queries using prepared statements
+const queries = {
+  // users
+  upsertUser: `
+    INSERT INTO users (user_id, latitude, longitude, accuracy, altitude, heading, speed, address, is_tracking, last_seen)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(3))
+    ON DUPLICATE KEY UPDATE
+      latitude = VALUES(latitude),
+      longitude = VALUES(longitude),
+      accuracy = VALUES(accuracy),
+      altitude = VALUES(altitude),
+      heading = VALUES(heading),
+      speed = VALUES(speed),
+      address = VALUES(address),
+      is_tracking = VALUES(is_tracking),
+      last_seen = NOW(3)`,
+
+  registerUser: `
+    INSERT INTO users (user_id) VALUES (?)
+    ON DUPLICATE KEY UPDATE last_seen = NOW(3)`,
+
+  getActiveUsers: `
+    SELECT user_id, latitude, longitude, accuracy, altitude, heading, speed, address, is_tracking,
+           UNIX_TIMESTAMP(last_seen) as last_seen_ts
+    FROM users
+    WHERE is_tracking = TRUE
+      AND last_seen > DATE_SUB(NOW(3), INTERVAL ? SECOND)
+      AND latitude IS NOT NULL
+      AND longitude IS NOT NULL
+      AND user_id IN (?)`,
+
+  // Same, inside a bbox: latitude range, then one or two longitude ranges
+  // (the second repeats the first unless the box crosses the antimeridian)
+  getActiveUsersIn: `
+    SELECT user_id, latitude, longitude, accuracy, altitude, heading, speed, address, is_tracking,
+           UNIX_TIMESTAMP(last_seen) as last_seen_ts
+    FROM users
+    WHERE is_tracking = TRUE
+      AND last_seen > DATE_SUB(NOW(3), INTERVAL ? SECOND)
+      AND latitude BETWEEN ? AND ?
+      AND (longitude BETWEEN ? AND ? OR longitude BETWEEN ? AND ?)
+      AND user_id IN (?)`,
+
+  stopTracking: `
+    UPDATE users
+    SET is_tracking = FALSE, last_seen = NOW(3)
+    WHERE user_id = ?`,
+
+  getTrackingState: `
+    SELECT is_tracking FROM users WHERE user_id = ?`,
+
+  lockUserState: `
+    SELECT latitude, longitude, is_tracking FROM users WHERE user_id = ? FOR UPDATE`,
+
+  lastPosition: `
+    SELECT latitude, longitude FROM users
+    WHERE user_id = ? AND latitude IS NOT NULL AND longitude IS NOT NULL`,
+
+  updateHeartbeat: `
+    UPDATE users
+    SET last_seen = NOW(3)
+    WHERE user_id = ?`,
+
+  setUserAddress: `
+    UPDATE users SET address = ? WHERE user_id = ?`,
+
+  findInactive: `
+    SELECT user_id FROM users
+    WHERE is_tracking = TRUE
+      AND last_seen < DATE_SUB(NOW(3), INTERVAL ? SECOND)`,
+
+  countActiveUsers: `
+    SELECT COUNT(*) AS count FROM users
+    WHERE is_tracking = TRUE
+      AND last_seen > DATE_SUB(NOW(3), INTERVAL ? SECOND)`,
+
+  cleanupInactive: `
+    UPDATE users
+    SET is_tracking = FALSE
+    WHERE is_tracking = TRUE
+      AND last_seen < DATE_SUB(NOW(3), INTERVAL ? SECOND)
+      AND user_id IN (?)`,
+
+  // Users with their account, for the admin pages. The pattern is a LIKE
+  // pattern escaped with '!', or null for everyone.
+  listUsers: `
+    SELECT u.user_id, a.username, u.latitude, u.longitude, u.address, u.is_tracking,
+           u.last_seen, u.created_at, a.last_login
+    FROM users u
+    LEFT JOIN accounts a ON a.user_id = u.user_id
+    WHERE ? IS NULL OR a.username LIKE ? ESCAPE '!' OR u.user_id LIKE ? ESCAPE '!'
+    ORDER BY u.is_tracking DESC, u.last_seen DESC, u.user_id
+    LIMIT ? OFFSET ?`,
+
+  countUsers: `
+    SELECT COUNT(*) AS count
+    FROM users u
+    LEFT JOIN accounts a ON a.user_id = u.user_id
+    WHERE ? IS NULL OR a.username LIKE ? ESCAPE '!' OR u.user_id LIKE ? ESCAPE '!'`,
+
+  findUser: `
+    SELECT u.user_id, a.username, u.latitude, u.longitude, u.address, u.is_tracking,
+           u.last_seen, u.created_at, a.last_login
+    FROM users u
+    LEFT JOIN accounts a ON a.user_id = u.user_id
+    WHERE u.user_id = ?`,
+
+  userSummary: `
+    SELECT COUNT(*) AS total, COALESCE(SUM(is_tracking), 0) AS tracking FROM users`,
+
+  deleteUser: `
+    DELETE FROM users WHERE user_id = ?`,
+
+  // location_history
+  historyKeys: `
+    SELECT latitude, longitude, UNIX_TIMESTAMP(tracked_at) as tracked_at_ts
+    FROM location_history
+    WHERE user_id = ?
+      AND tracked_at BETWEEN FROM_UNIXTIME(?) AND FROM_UNIXTIME(?)`,
+
+  setHistoryAddress: `
+    UPDATE location_history SET address = ?
+    WHERE user_id = ? AND tracked_at = FROM_UNIXTIME(?) AND address IS NULL`,
+
+  usersWithHistoryBefore: `
+    SELECT DISTINCT user_id FROM location_history WHERE tracked_at < FROM_UNIXTIME(?)`,
+
+  deleteHistoryBefore: `
+    DELETE FROM location_history
+    WHERE user_id = ? AND tracked_at < FROM_UNIXTIME(?)
+    ORDER BY tracked_at
+    LIMIT ?`,
+
+  countHistorySince: `
+    SELECT user_id, COUNT(*) AS count FROM location_history
+    WHERE tracked_at >= FROM_UNIXTIME(?) AND user_id IN (?)
+    GROUP BY user_id`,
+
+  busiestSince: `
+    SELECT user_id, COUNT(*) AS count FROM location_history
+    WHERE tracked_at >= FROM_UNIXTIME(?)
+    GROUP BY user_id
+    ORDER BY count DESC, user_id
+    LIMIT ?`,
+
+  listPartitions: `
+    SELECT PARTITION_NAME AS name, PARTITION_DESCRIPTION AS bound,
+           TABLE_ROWS AS row_count, DATA_LENGTH + INDEX_LENGTH AS bytes
+    FROM information_schema.PARTITIONS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'location_history'
+    ORDER BY PARTITION_ORDINAL_POSITION`,
+
+  // UTC months, whatever the session time zone
+  historyMonths: `
+    SELECT DATE_FORMAT(DATE_ADD('1970-01-01', INTERVAL UNIX_TIMESTAMP(tracked_at) SECOND), '%Y%m') AS month,
+           COUNT(*) AS row_count
+    FROM location_history
+    GROUP BY month
+    ORDER BY month`,
+
+  deleteHistoryBetween: `
+    DELETE FROM location_history WHERE tracked_at >= FROM_UNIXTIME(?) AND tracked_at < FROM_UNIXTIME(?)`,
+
+  // retention_policies
+  getPolicies: `
+    SELECT scope, scope_id, days, updated_by, updated_at FROM retention_policies ORDER BY scope, scope_id`,
+
+  getPolicy: `
+    SELECT scope, scope_id, days, updated_by, updated_at FROM retention_policies
+    WHERE scope = ? AND scope_id = ?`,
+
+  upsertPolicy: `
+    INSERT INTO retention_policies (scope, scope_id, days, updated_by)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE days = VALUES(days), updated_by = VALUES(updated_by)`,
+
+  deletePolicy: `
+    DELETE FROM retention_policies WHERE scope = ? AND scope_id = ?`,
+
+  // accounts
+  insertAccount: `
+    INSERT INTO accounts (user_id, username, password_hash)
+    VALUES (?, ?, ?)`,
+
+  findByUsername: `
+    SELECT user_id, username, password_hash
+    FROM accounts
+    WHERE username = ?`,
+
+  findAccountById: `
+    SELECT user_id, username FROM accounts WHERE user_id = ?`,
+
+  touchLogin: `
+    UPDATE accounts SET last_login = NOW(3) WHERE user_id = ?`,
+
+  deleteAccount: `
+    DELETE FROM accounts WHERE user_id = ?`,
+
+  // circles
+  insertCircle: `
+    INSERT INTO circles (name, invite_code, created_by)
+    VALUES (?, ?, ?)`,
+
+  insertMember: `
+    INSERT INTO circle_members (circle_id, user_id, role)
+    VALUES (?, ?, ?)
+    ON DUPLICATE KEY UPDATE circle_id = circle_id`,
+
+  getUserCircles: `
+    SELECT c.id, c.name, c.invite_code, m.role,
+           (SELECT COUNT(*) FROM circle_members cm WHERE cm.circle_id = c.id) AS member_count
+    FROM circle_members m
+    JOIN circles c ON c.id = m.circle_id
+    WHERE m.user_id = ?
+    ORDER BY c.name`,
+
+  getUserCircleIds: `
+    SELECT circle_id FROM circle_members WHERE user_id = ?`,
+
+  getMembers: `
+    SELECT m.user_id, m.role, m.joined_at, a.username
+    FROM circle_members m
+    LEFT JOIN accounts a ON a.user_id = m.user_id
+    WHERE m.circle_id = ?
+    ORDER BY m.joined_at`,
+
+  getRole: `
+    SELECT role FROM circle_members WHERE circle_id = ? AND user_id = ?`,
+
+  findByInvite: `
+    SELECT id, name FROM circles WHERE invite_code = ?`,
+
+  updateInvite: `
+    UPDATE circles SET invite_code = ? WHERE id = ?`,
+
+  updateRole: `
+    UPDATE circle_members SET role = ? WHERE circle_id = ? AND user_id = ?`,
+
+  removeMember: `
+    DELETE FROM circle_members WHERE circle_id = ? AND user_id = ?`,
+
+  countOwners: `
+    SELECT COUNT(*) AS owners FROM circle_members WHERE circle_id = ? AND role = 'owner'`,
+
+  oldestMember: `
+    SELECT user_id FROM circle_members
+    WHERE circle_id = ?
+    ORDER BY joined_at
+    LIMIT 1`,
+
+  deleteCircle: `
+    DELETE FROM circles WHERE id = ?`,
+
+  // geofences
+  getFencesByCircles: `
+    SELECT id, circle_id, name, shape, center_lat, center_lng, radius_m, polygon, created_by
+    FROM geofences
+    WHERE circle_id IN (?)
+    ORDER BY name`,
+
+  getFence: `
+    SELECT id, circle_id, name, shape, center_lat, center_lng, radius_m, polygon, created_by
+    FROM geofences
+    WHERE id = ?`,
+
+  insertFence: `
+    INSERT INTO geofences (circle_id, name, shape, center_lat, center_lng, radius_m, polygon, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+
+  updateFence: `
+    UPDATE geofences
+    SET name = ?, shape = ?, center_lat = ?, center_lng = ?, radius_m = ?, polygon = ?
+    WHERE id = ?`,
+
+  deleteFence: `
+    DELETE FROM geofences WHERE id = ?`,
+
+  insertFenceEvents: `
+    INSERT INTO geofence_events (geofence_id, geofence_name, circle_id, user_id, event, latitude, longitude)
+    VALUES ?`,
+
+  deleteUserFenceEvents: `
+    DELETE FROM geofence_events WHERE user_id = ?`,
+
+  // webhooks
+  getWebhooksByCircle: `
+    SELECT id, circle_id, url, events, is_active, created_by, created_at
+    FROM webhooks
+    WHERE circle_id = ?
+    ORDER BY id`,
+
+  getWebhook: `
+    SELECT id, circle_id, url, events, secret, is_active, created_by, created_at
+    FROM webhooks
+    WHERE id = ?`,
+
+  getActiveWebhooks: `
+    SELECT id, circle_id, events
+    FROM webhooks
+    WHERE circle_id IN (?) AND is_active = TRUE`,
+
+  insertWebhook: `
+    INSERT INTO webhooks (circle_id, url, events, secret, created_by)
+    VALUES (?, ?, ?, ?, ?)`,
+
+  updateWebhook: `
+    UPDATE webhooks SET url = ?, events = ?, is_active = ? WHERE id = ?`,
+
+  deleteWebhook: `
+    DELETE FROM webhooks WHERE id = ?`,
+
+  enqueueDeliveries: `
+    INSERT INTO webhook_deliveries (id, webhook_id, event, payload)
+    VALUES ?`,
+
+  dueDeliveries: `
+    SELECT d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= NOW(3)
+    ORDER BY d.next_attempt_at
+    LIMIT ?`,
+
+  markDelivered: `
+    UPDATE webhook_deliveries
+    SET status = 'delivered', attempts = attempts + 1, last_status_code = ?,
+        last_error = NULL, delivered_at = NOW(3)
+    WHERE id = ?`,
+
+  markRetry: `
+    UPDATE webhook_deliveries
+    SET attempts = attempts + 1, last_status_code = ?, last_error = ?,
+        next_attempt_at = DATE_ADD(NOW(3), INTERVAL ? SECOND)
+    WHERE id = ?`,
+
+  markFailed: `
+    UPDATE webhook_deliveries
+    SET status = 'failed', attempts = attempts + 1, last_status_code = ?, last_error = ?
+    WHERE id = ?`,
+
+  orphaned: `
+    UPDATE webhook_deliveries
+    SET status = 'failed', last_error = 'Webhook deleted'
+    WHERE webhook_id = ? AND status = 'pending'`,
+
+  requeue: `
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = NOW(3)
+    WHERE id = ? AND webhook_id = ? AND status = 'failed'`,
+
+  // sharing
+  getSharingSettings: `
+    SELECT share_precision, paused_until FROM sharing_settings WHERE user_id = ?`,
+
+  saveSharingSettings: `
+    INSERT INTO sharing_settings (user_id, share_precision, paused_until)
+    VALUES (?, ?, FROM_UNIXTIME(?))
+    ON DUPLICATE KEY UPDATE
+      share_precision = VALUES(share_precision),
+      paused_until = VALUES(paused_until)`,
+
+  getCirclePrecisions: `
+    SELECT circle_id, share_precision FROM circle_members
+    WHERE user_id = ? AND share_precision IS NOT NULL`,
+
+  setCirclePrecision: `
+    UPDATE circle_members SET share_precision = ? WHERE circle_id = ? AND user_id = ?`,
+
+  insertShareLink: `
+    INSERT INTO share_links (token_hash, user_id, share_precision, password_hash, expires_at)
+    VALUES (?, ?, ?, ?, FROM_UNIXTIME(?))`,
+
+  getShareLinks: `
+    SELECT id, share_precision, password_hash, expires_at, created_at FROM share_links
+    WHERE user_id = ? AND expires_at > NOW(3)
+    ORDER BY created_at DESC`,
+
+  getShareLinkByToken: `
+    SELECT id, user_id, share_precision, password_hash, expires_at, created_at FROM share_links
+    WHERE token_hash = ? AND expires_at > NOW(3)`,
+
+  deleteShareLink: `
+    DELETE FROM share_links WHERE id = ? AND user_id = ?`,
+
+  deleteExpiredShareLinks: `
+    DELETE FROM share_links WHERE expires_at <= NOW(3)`,
+
+  deleteSharingSettings: `
+    DELETE FROM sharing_settings WHERE user_id = ?`,
+
+  deleteUserShareLinks: `
+    DELETE FROM share_links WHERE user_id = ?`,
+
+  insertRateLimit: `
+    INSERT IGNORE INTO rate_limits (bucket_key, tokens, updated_ms) VALUES (?, ?, ?)`,
+
+  lockRateLimit: `
+    SELECT tokens, updated_ms FROM rate_limits WHERE bucket_key = ? FOR UPDATE`,
+
+  updateRateLimit: `
+    UPDATE rate_limits SET tokens = ?, updated_ms = ? WHERE bucket_key = ?`,
+
+  deleteIdleRateLimits: `
+    DELETE FROM rate_limits WHERE updated_ms < ?`,
+
+  // geocode_cache
+  getGeocode: `
+    SELECT address FROM geocode_cache WHERE cell_key = ? AND updated_ms >= ?`,
+
+  upsertGeocode: `
+    INSERT INTO geocode_cache (cell_key, address, provider, updated_ms)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      address = VALUES(address),
+      provider = VALUES(provider),
+      updated_ms = VALUES(updated_ms)`,
+
+  deleteOldGeocodes: `
+    DELETE FROM geocode_cache WHERE updated_ms < ?`
+};
+
+const MAX_ROWS_PER_INSERT = 1000;
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// Text matched literally inside a LIKE pattern (ESCAPE '!')
+const escapeLike = (text) => text.replace(/[!%_]/g, '!$&');
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// The catch-all partition new months are split off
+const FUTURE_PARTITION = 'p_future';
+
+function rowToPolicy(row) {
+  return {
+    scope: row.scope,
+    scopeId: row.scope_id,
+    days: row.days,
+    updatedBy: row.updated_by,
+    updatedAt: toIso(row.updated_at)
+  };
+}
+
+function rowToShareLink(row) {
+  return {
+    id: row.id,
+    precision: row.share_precision,
+    hasPassword: Boolean(row.password_hash),
+    expiresAt: toIso(row.expires_at),
+    createdAt: toIso(row.created_at)
+  };
+}
+
+function rowToFence(row) {
+  return {
+    id: row.id,
+    circleId: row.circle_id,
+    name: row.name,
+    shape: row.shape,
+    center: row.shape === 'circle'
+      ? { lat: parseFloat(row.center_lat), lng: parseFloat(row.center_lng) }
+      : null,
+    radius: row.shape === 'circle' ? row.radius_m : null,
+    points: row.shape === 'polygon' ? parseJson(row.polygon) : null,
+    createdBy: row.created_by
+  };
+}
+
+function fenceParams(fence) {
+  return [
+    fence.name,
+    fence.shape,
+    fence.center?.lat ?? null,
+    fence.center?.lng ?? null,
+    fence.radius,
+    fence.points ? JSON.stringify(fence.points) : null
+  ];
+}
+
+function rowToUser(row) {
+  return {
+    userId: row.user_id,
+    username: row.username,
+    location: row.latitude != null ? { lat: parseFloat(row.latitude), lng: parseFloat(row.longitude) } : null,
+    address: row.address,
+    isTracking: Boolean(row.is_tracking),
+    lastSeen: toIso(row.last_seen),
+    createdAt: toIso(row.created_at),
+    lastLogin: toIso(row.last_login)
+  };
+}
+
+function rowToWebhook(row) {
+  return {
+    id: row.id,
+    circleId: row.circle_id,
+    url: row.url,
+    events: parseJson(row.events),
+    secret: row.secret,
+    isActive: Boolean(row.is_active),
+    createdBy: row.created_by,
+    createdAt: toIso(row.created_at)
+  };
+}
+
+// Repositories over anything with query() - the pool, or one connection
+// inside a transaction
+function createRepositories(db) {
+  const users = {
+    // location may carry accuracy, altitude, heading and speed
+    async upsert(userId, { location, address, isTracking }) {
+      const { accuracy, altitude, heading, speed } = fixDetails(location);
+      await db.query(queries.upsertUser, [
+        userId, location.lat, location.lng, accuracy, altitude, heading, speed, address, isTracking
+      ]);
+    },
+
+    async setAddress(userId, address) {
+      await db.query(queries.setUserAddress, [address, userId]);
+    },
+
+    async register(userId) {
+      await db.query(queries.registerUser, [userId]);
+    },
+
+    async stopTracking(userId) {
+      await db.query(queries.stopTracking, [userId]);
+    },
+
+    async touch(userId) {
+      await db.query(queries.updateHeartbeat, [userId]);
+    },
+
+    // null when the user has no row yet
+    async isTracking(userId) {
+      const [rows] = await db.query(queries.getTrackingState, [userId]);
+      return rows.length ? Boolean(rows[0].is_tracking) : null;
+    },
+
+    // Position and tracking flag, row-locked when called inside a transaction
+    async lockState(userId) {
+      const [rows] = await db.query(queries.lockUserState, [userId]);
+      const row = rows[0];
+      return {
+        location: row?.latitude != null
+          ? { lat: parseFloat(row.latitude), lng: parseFloat(row.longitude) }
+          : null,
+        isTracking: Boolean(row?.is_tracking)
+      };
+    },
+
+    async lastPosition(userId) {
+      const [rows] = await db.query(queries.lastPosition, [userId]);
+      return rows.length
+        ? { lat: parseFloat(rows[0].latitude), lng: parseFloat(rows[0].longitude) }
+        : null;
+    },
+
+    // Tracking users among userIds seen within the last `withinSeconds`,
+    // optionally only those inside bbox { west, south, east, north }
+    async findActive(userIds, withinSeconds, bbox = null) {
+      if (userIds.length === 0) return [];
+
+      let rows;
+      if (bbox) {
+        const [first, second = first] = lngRanges(bbox);
+        [rows] = await db.query(queries.getActiveUsersIn, [
+          withinSeconds, bbox.south, bbox.north, ...first, ...second, userIds
+        ]);
+      } else {
+        [rows] = await db.query(queries.getActiveUsers, [withinSeconds, userIds]);
+      }
+
+      return rows.map(row => ({
+        userId: row.user_id,
+        location: { lat: parseFloat(row.latitude), lng: parseFloat(row.longitude), ...fixDetails(row) },
+        address: row.address,
+        isTracking: Boolean(row.is_tracking),
+        lastSeen: new Date(row.last_seen_ts * 1000).toISOString()
+      }));
+    },
+
+    // Active users within `radius` meters of center, nearest first, each
+    // with its distance in meters
+    async findNearby(userIds, withinSeconds, { center, radius, limit }) {
+      const candidates = await users.findActive(userIds, withinSeconds, boundingBox(center, radius));
+      return nearest(candidates, center, radius, limit);
+    },
+
+    // Marks tracking users silent for `afterSeconds` as stopped; returns their ids
+    async deactivateInactive(afterSeconds) {
+      const [rows] = await db.query(queries.findInactive, [afterSeconds]);
+      if (rows.length === 0) return [];
+
+      const userIds = rows.map(row => row.user_id);
+      await db.query(queries.cleanupInactive, [afterSeconds, userIds]);
+      return userIds;
+    },
+
+    async countActive(withinSeconds) {
+      const [[row]] = await db.query(queries.countActiveUsers, [withinSeconds]);
+      return Number(row.count);
+    },
+
+    // { users, total }, tracking users first, then the most recently seen.
+    // search matches part of the username or user id.
+    async list({ search = null, limit, offset = 0 }) {
+      const pattern = search ? `%${escapeLike(search)}%` : null;
+      const [rows] = await db.query(queries.listUsers, [pattern, pattern, pattern, limit, offset]);
+      const [[{ count }]] = await db.query(queries.countUsers, [pattern, pattern, pattern]);
+      return { users: rows.map(rowToUser), total: Number(count) };
+    },
+
+    async find(userId) {
+      const [rows] = await db.query(queries.findUser, [userId]);
+      return rows[0] ? rowToUser(rows[0]) : null;
+    },
+
+    // { total, tracking } over every user row
+    async summary() {
+      const [[row]] = await db.query(queries.userSummary);
+      return { total: Number(row.total), tracking: Number(row.tracking) };
+    },
+
+    async delete(userId) {
+      await db.query(queries.deleteUser, [userId]);
+    }
+  };
+
+  const history = {
+    // items: { userId, location, address, trackedAt (ms) }; location may
+    // carry accuracy, altitude, heading and speed
+    async insert(items) {
+      for (let i = 0; i < items.length; i += MAX_ROWS_PER_INSERT) {
+        const chunk = items.slice(i, i + MAX_ROWS_PER_INSERT);
+        const values = chunk.flatMap(item => {
+          const { accuracy, altitude, heading, speed } = fixDetails(item.location);
+          return [
+            item.userId,
+            item.location.lat,
+            item.location.lng,
+            accuracy,
+            altitude,
+            heading,
+            speed,
+            item.address,
+            item.trackedAt / 1000
+          ];
+        });
+
+        await db.query(
+          `INSERT INTO location_history (user_id, latitude, longitude, accuracy, altitude, heading, speed, address, tracked_at)
+           VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, FROM_UNIXTIME(?))').join(', ')}`,
+          values
+        );
+      }
+    },
+
+    // Up to `limit` points in [from, to) after the (trackedAt, id) cursor, oldest first
+    async page({ userId, from, to, after, limit }) {
+      const params = [userId, from / 1000, to / 1000];
+      let clause = '';
+      if (after) {
+        clause = 'AND (tracked_at > FROM_UNIXTIME(?) OR (tracked_at = FROM_UNIXTIME(?) AND id > ?))';
+        params.push(after.trackedAt / 1000, after.trackedAt / 1000, after.id);
+      }
+
+      const [rows] = await db.query(
+        `SELECT id, latitude, longitude, accuracy, altitude, heading, speed, address,
+                UNIX_TIMESTAMP(tracked_at) as tracked_at_ts
+         FROM location_history
+         WHERE user_id = ?
+           AND tracked_at >= FROM_UNIXTIME(?)
+           AND tracked_at < FROM_UNIXTIME(?)
+           ${clause}
+         ORDER BY tracked_at, id
+         LIMIT ?`,
+        [...params, limit]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        lat: parseFloat(row.latitude),
+        lng: parseFloat(row.longitude),
+        ...fixDetails(row),
+        address: row.address,
+        trackedAt: Math.round(row.tracked_at_ts * 1000)
+      }));
+    },
+
+    // Positions and times in [from, to] (both ms), for dedupe
+    async pointsBetween(userId, from, to) {
+      const [rows] = await db.query(queries.historyKeys, [userId, from / 1000, to / 1000]);
+      return rows.map(row => ({
+        lat: parseFloat(row.latitude),
+        lng: parseFloat(row.longitude),
+        trackedAt: Math.round(row.tracked_at_ts * 1000)
+      }));
+    },
+
+    // Every user's points in [from, to) after the (trackedAt, id) cursor, oldest first
+    async scan({ from, to, after, limit }) {
+      const params = [from / 1000, to / 1000];
+      let clause = '';
+      if (after) {
+        clause = 'AND (tracked_at > FROM_UNIXTIME(?) OR (tracked_at = FROM_UNIXTIME(?) AND id > ?))';
+        params.push(after.trackedAt / 1000, after.trackedAt / 1000, after.id);
+      }
+
+      const [rows] = await db.query(
+        `SELECT id, user_id, latitude, longitude, accuracy, altitude, heading, speed, address,
+                UNIX_TIMESTAMP(tracked_at) as tracked_at_ts
+         FROM location_history
+         WHERE tracked_at >= FROM_UNIXTIME(?)
+           AND tracked_at < FROM_UNIXTIME(?)
+           ${clause}
+         ORDER BY tracked_at, id
+         LIMIT ?`,
+        [...params, limit]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        lat: parseFloat(row.latitude),
+        lng: parseFloat(row.longitude),
+        ...fixDetails(row),
+        address: row.address,
+        trackedAt: Math.round(row.tracked_at_ts * 1000)
+      }));
+    },
+
+    // Fills in a point's address once it has been looked up
+    async setAddress(userId, trackedAt, address) {
+      await db.query(queries.setHistoryAddress, [address, userId, trackedAt / 1000]);
+    },
+
+    async usersBefore(before) {
+      const [rows] = await db.query(queries.usersWithHistoryBefore, [before / 1000]);
+      return rows.map(row => row.user_id);
+    },
+
+    // Deletes up to `limit` of the user's oldest points before `before`; returns the count
+    async deleteBefore(userId, before, limit) {
+      const [result] = await db.query(queries.deleteHistoryBefore, [userId, before / 1000, limit]);
+      return result.affectedRows;
+    },
+
+    // Points stored since `since` (ms) per user: [{ userId, count }] for the
+    // given users (those without any are left out), or the `limit` busiest
+    async countSince(since, { userIds = null, limit = null }) {
+      if (userIds?.length === 0) return [];
+      const [rows] = userIds
+        ? await db.query(queries.countHistorySince, [since / 1000, userIds])
+        : await db.query(queries.busiestSince, [since / 1000, limit]);
+      return rows.map(row => ({ userId: row.user_id, count: Number(row.count) }));
+    }
+  };
+
+  // location_history is RANGE partitioned on tracked_at: monthly partitions
+  // split off the catch-all one. The first partition also holds everything
+  // older than its month. Row counts are InnoDB estimates.
+  // A table adopted from the old schema stays unpartitioned until migration
+  // 010 has run; until then months are listed from the rows and expired by
+  // DELETE, as on SQLite. list() finds out which it is.
+  let partitioned = true;
+
+  const partitions = {
+    get partitioned() {
+      return partitioned;
+    },
+
+    async list() {
+      const [rows] = await db.query(queries.listPartitions);
+      partitioned = rows.some(row => row.name);
+      if (!partitioned) {
+        const [months] = await db.query(queries.historyMonths);
+        return months.map(row => {
+          const name = `p${row.month}`;
+          return { name, ...monthRange(name), rows: Number(row.row_count), bytes: null };
+        });
+      }
+
+      let from = null;
+      return rows.filter(row => row.name).map(row => {
+        const to = row.bound === 'MAXVALUE' ? null : Number(row.bound) * 1000;
+        const partition = { name: row.name, from, to, rows: Number(row.row_count), bytes: Number(row.bytes) };
+        from = to;
+        return partition;
+      });
+    },
+
+    // Months must be added in order, after the last monthly partition
+    async create(name) {
+      const range = monthRange(name);
+      if (!range) throw new Error(`Invalid partition name '${name}'`);
+      if (!partitioned) return;
+      await db.query(
+        `ALTER TABLE location_history REORGANIZE PARTITION ${FUTURE_PARTITION} INTO (
+           PARTITION ${name} VALUES LESS THAN (${range.to / 1000}),
+           PARTITION ${FUTURE_PARTITION} VALUES LESS THAN MAXVALUE
+         )`
+      );
+    },
+
+    async drop(name) {
+      const range = monthRange(name);
+      if (!range) throw new Error(`Invalid partition name '${name}'`);
+      if (!partitioned) {
+        await db.query(queries.deleteHistoryBetween, [range.from / 1000, range.to / 1000]);
+        return;
+      }
+      await db.query(`ALTER TABLE location_history DROP PARTITION ${name}`);
+    }
+  };
+
+  const retention = {
+    async list() {
+      const [rows] = await db.query(queries.getPolicies);
+      return rows.map(rowToPolicy);
+    },
+
+    async get(scope, scopeId) {
+      const [rows] = await db.query(queries.getPolicy, [scope, String(scopeId)]);
+      return rows[0] ? rowToPolicy(rows[0]) : null;
+    },
+
+    async set({ scope, scopeId, days, updatedBy }) {
+      await db.query(queries.upsertPolicy, [scope, String(scopeId), days, updatedBy]);
+    },
+
+    async remove(scope, scopeId) {
+      await db.query(queries.deletePolicy, [scope, String(scopeId)]);
+    }
+  };
+
+  const accounts = {
+    // Throws an error with code 'DUPLICATE' when the username is taken
+    async create({ userId, username, passwordHash }) {
+      try {
+        await db.query(queries.insertAccount, [userId, username, passwordHash]);
+      } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') error.code = 'DUPLICATE';
+        throw error;
+      }
+    },
+
+    async findByUsername(username) {
+      const [rows] = await db.query(queries.findByUsername, [username]);
+      const row = rows[0];
+      return row ? { userId: row.user_id, username: row.username, passwordHash: row.password_hash } : null;
+    },
+
+    async findById(userId) {
+      const [rows] = await db.query(queries.findAccountById, [userId]);
+      return rows[0] ? { userId: rows[0].user_id, username: rows[0].username } : null;
+    },
+
+    async touchLogin(userId) {
+      await db.query(queries.touchLogin, [userId]);
+    },
+
+    async delete(userId) {
+      await db.query(queries.deleteAccount, [userId]);
+    }
+  };
+
+  const circles = {
+    async create({ name, inviteCode, createdBy }) {
+      const [result] = await db.query(queries.insertCircle, [name, inviteCode, createdBy]);
+      return result.insertId;
+    },
+
+    async listForUser(userId) {
+      const [rows] = await db.query(queries.getUserCircles, [userId]);
+      return rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        inviteCode: row.invite_code,
+        memberCount: Number(row.member_count)
+      }));
+    },
+
+    async idsForUser(userId) {
+      const [rows] = await db.query(queries.getUserCircleIds, [userId]);
+      return rows.map(row => row.circle_id);
+    },
+
+    // Oldest member first
+    async members(circleId) {
+      const [rows] = await db.query(queries.getMembers, [circleId]);
+      return rows.map(row => ({
+        userId: row.user_id,
+        username: row.username,
+        role: row.role,
+        joinedAt: toIso(row.joined_at)
+      }));
+    },
+
+    async role(circleId, userId) {
+      const [rows] = await db.query(queries.getRole, [circleId, userId]);
+      return rows[0]?.role || null;
+    },
+
+    async findByInvite(code) {
+      const [rows] = await db.query(queries.findByInvite, [code]);
+      return rows[0] ? { id: rows[0].id, name: rows[0].name } : null;
+    },
+
+    async setInvite(circleId, code) {
+      await db.query(queries.updateInvite, [code, circleId]);
+    },
+
+    // No-op for an existing member
+    async addMember(circleId, userId, role) {
+      await db.query(queries.insertMember, [circleId, userId, role]);
+    },
+
+    async removeMember(circleId, userId) {
+      await db.query(queries.removeMember, [circleId, userId]);
+    },
+
+    async setRole(circleId, userId, role) {
+      await db.query(queries.updateRole, [role, circleId, userId]);
+    },
+
+    async countOwners(circleId) {
+      const [[{ owners }]] = await db.query(queries.countOwners, [circleId]);
+      return Number(owners);
+    },
+
+    async oldestMember(circleId) {
+      const [rows] = await db.query(queries.oldestMember, [circleId]);
+      return rows[0]?.user_id || null;
+    },
+
+    async delete(circleId) {
+      await db.query(queries.deleteCircle, [circleId]);
+    }
+  };
+
+  const geofences = {
+    async listByCircles(circleIds) {
+      if (circleIds.length === 0) return [];
+      const [rows] = await db.query(queries.getFencesByCircles, [circleIds]);
+      return rows.map(rowToFence);
+    },
+
+    async get(id) {
+      const [rows] = await db.query(queries.getFence, [id]);
+      return rows[0] ? rowToFence(rows[0]) : null;
+    },
+
+    async create(circleId, fence, createdBy) {
+      const [result] = await db.query(queries.insertFence, [circleId, ...fenceParams(fence), createdBy]);
+      return result.insertId;
+    },
+
+    async update(id, fence) {
+      await db.query(queries.updateFence, [...fenceParams(fence), id]);
+    },
+
+    async delete(id) {
+      await db.query(queries.deleteFence, [id]);
+    },
+
+    async insertEvents(events) {
+      await db.query(queries.insertFenceEvents, [events.map(e => [
+        e.geofenceId, e.geofenceName, e.circleId, e.userId, e.event, e.location.lat, e.location.lng
+      ])]);
+    },
+
+    async deleteUserEvents(userId) {
+      await db.query(queries.deleteUserFenceEvents, [userId]);
+    },
+
+    // Newest first; geofenceId, userId, from and to are optional filters
+    async events({ circleId, geofenceId, userId, from, to, limit }) {
+      const conditions = ['e.circle_id = ?'];
+      const params = [circleId];
+      if (geofenceId) {
+        conditions.push('e.geofence_id = ?');
+        params.push(geofenceId);
+      }
+      if (userId) {
+        conditions.push('e.user_id = ?');
+        params.push(userId);
+      }
+      if (from) {
+        conditions.push('e.occurred_at >= ?');
+        params.push(from);
+      }
+      if (to) {
+        conditions.push('e.occurred_at < ?');
+        params.push(to);
+      }
+
+      const [rows] = await db.query(
+        `SELECT e.id, e.geofence_id, e.geofence_name, e.user_id, a.username,
+                e.event, e.latitude, e.longitude, e.occurred_at
+         FROM geofence_events e
+         LEFT JOIN accounts a ON a.user_id = e.user_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY e.occurred_at DESC
+         LIMIT ?`,
+        [...params, limit]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        geofenceId: row.geofence_id,
+        geofenceName: row.geofence_name,
+        userId: row.user_id,
+        username: row.username,
+        event: row.event,
+        location: { lat: parseFloat(row.latitude), lng: parseFloat(row.longitude) },
+        occurredAt: toIso(row.occurred_at)
+      }));
+    }
+  };
+
+  const webhooks = {
+    // Without secrets
+    async listByCircle(circleId) {
+      const [rows] = await db.query(queries.getWebhooksByCircle, [circleId]);
+      return rows.map(rowToWebhook).map(({ secret, ...hook }) => hook);
+    },
+
+    async get(id) {
+      const [rows] = await db.query(queries.getWebhook, [id]);
+      return rows[0] ? rowToWebhook(rows[0]) : null;
+    },
+
+    async activeForCircles(circleIds) {
+      if (circleIds.length === 0) return [];
+      const [rows] = await db.query(queries.getActiveWebhooks, [circleIds]);
+      return rows.map(row => ({ id: row.id, circleId: row.circle_id, events: parseJson(row.events) }));
+    },
+
+    async create({ circleId, url, events, secret, createdBy }) {
+      const [result] = await db.query(queries.insertWebhook, [
+        circleId, url, JSON.stringify(events), secret, createdBy
+      ]);
+      return result.insertId;
+    },
+
+    async update(id, { url, events, isActive }) {
+      await db.query(queries.updateWebhook, [url, JSON.stringify(events), isActive, id]);
+    },
+
+    // Pending deliveries of a deleted webhook are failed, not dropped
+    async delete(id) {
+      await db.query(queries.deleteWebhook, [id]);
+      await db.query(queries.orphaned, [id]);
+    },
+
+    // deliveries: { id, webhookId, event, payload (object) }
+    async enqueue(deliveries) {
+      if (deliveries.length === 0) return;
+      await db.query(queries.enqueueDeliveries, [deliveries.map(d => [
+        d.id, d.webhookId, d.event, JSON.stringify(d.payload)
+      ])]);
+    },
+
+    // Pending deliveries whose time has come, with their webhook's url and secret
+    async due(limit) {
+      const [rows] = await db.query(queries.dueDeliveries, [limit]);
+      return rows.map(row => ({
+        id: row.id,
+        webhookId: row.webhook_id,
+        event: row.event,
+        payload: typeof row.payload === 'string' ? row.payload : JSON.stringify(row.payload),
+        attempts: row.attempts,
+        url: row.url,
+        secret: row.secret
+      }));
+    },
+
+    async markDelivered(id, statusCode) {
+      await db.query(queries.markDelivered, [statusCode, id]);
+    },
+
+    async markRetry(id, statusCode, error, delaySeconds) {
+      await db.query(queries.markRetry, [statusCode, error, delaySeconds, id]);
+    },
+
+    async markFailed(id, statusCode, error) {
+      await db.query(queries.markFailed, [statusCode, error, id]);
+    },
+
+    // Failed delivery back to pending; false if there was none
+    async requeue(id, webhookId) {
+      const [result] = await db.query(queries.requeue, [id, webhookId]);
+      return result.affectedRows > 0;
+    },
+
+    // Newest first, optionally only one status
+    async deliveries(webhookId, { status, limit }) {
+      const [rows] = await db.query(
+        `SELECT id, event, status, attempts, next_attempt_at, last_status_code, last_error,
+                created_at, delivered_at
+         FROM webhook_deliveries
+         WHERE webhook_id = ? ${status ? 'AND status = ?' : ''}
+         ORDER BY created_at DESC
+         LIMIT ?`,
+        status ? [webhookId, status, limit] : [webhookId, limit]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        event: row.event,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.status === 'pending' ? toIso(row.next_attempt_at) : null,
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        createdAt: toIso(row.created_at),
+        deliveredAt: toIso(row.delivered_at)
+      }));
+    }
+  };
+
+  const sharing = {
+    // { precision, pausedUntil } or null before the user changes anything
+    async settings(userId) {
+      const [rows] = await db.query(queries.getSharingSettings, [userId]);
+      return rows[0]
+        ? { precision: rows[0].share_precision, pausedUntil: toIso(rows[0].paused_until) }
+        : null;
+    },
+
+    // pausedUntil in ms, or null
+    async saveSettings(userId, { precision, pausedUntil }) {
+      await db.query(queries.saveSharingSettings, [
+        userId, precision, pausedUntil ? pausedUntil / 1000 : null
+      ]);
+    },
+
+    // The user's per-circle overrides
+    async circlePrecisions(userId) {
+      const [rows] = await db.query(queries.getCirclePrecisions, [userId]);
+      return rows.map(row => ({ circleId: row.circle_id, precision: row.share_precision }));
+    },
+
+    // null clears the override; false when the user isn't a member
+    async setCirclePrecision(circleId, userId, precision) {
+      const [result] = await db.query(queries.setCirclePrecision, [precision, circleId, userId]);
+      return result.affectedRows > 0;
+    },
+
+    // expiresAt in ms
+    async createLink({ tokenHash, userId, precision, passwordHash = null, expiresAt }) {
+      const [result] = await db.query(queries.insertShareLink, [tokenHash, userId, precision, passwordHash, expiresAt / 1000]);
+      return result.insertId;
+    },
+
+    // Unexpired links, newest first
+    async links(userId) {
+      const [rows] = await db.query(queries.getShareLinks, [userId]);
+      return rows.map(rowToShareLink);
+    },
+
+    async linkByToken(tokenHash) {
+      const [rows] = await db.query(queries.getShareLinkByToken, [tokenHash]);
+      return rows[0] ? { ...rowToShareLink(rows[0]), userId: rows[0].user_id, passwordHash: rows[0].password_hash } : null;
+    },
+
+    async removeLink(id, userId) {
+      const [result] = await db.query(queries.deleteShareLink, [id, userId]);
+      return result.affectedRows > 0;
+    },
+
+    async deleteExpiredLinks() {
+      const [result] = await db.query(queries.deleteExpiredShareLinks);
+      return result.affectedRows;
+    },
+
+    // Settings and links of a user being deleted
+    async removeUser(userId) {
+      await db.query(queries.deleteSharingSettings, [userId]);
+      await db.query(queries.deleteUserShareLinks, [userId]);
+    }
+  };
+
+  // Token buckets for the shared rate limiter; lock() and save() run inside
+  // one transaction so concurrent requests take turns on a bucket
+  const rateLimits = {
+    // Creates the bucket full at `now` if missing, then row-locks it
+    async lock(key, capacity, now) {
+      await db.query(queries.insertRateLimit, [key, capacity, now]);
+      const [rows] = await db.query(queries.lockRateLimit, [key]);
+      return { tokens: rows[0].tokens, updatedAt: Number(rows[0].updated_ms) };
+    },
+
+    async save(key, tokens, now) {
+      await db.query(queries.updateRateLimit, [tokens, now, key]);
+    },
+
+    // Buckets untouched since `before` (full again by then)
+    async purge(before) {
+      const [result] = await db.query(queries.deleteIdleRateLimits, [before]);
+      return result.affectedRows;
+    }
+  };
+
+  const geocodes = {
+    // { address } cached for the cell since `since` (ms), else null
+    async get(key, since) {
+      const [rows] = await db.query(queries.getGeocode, [key, since]);
+      return rows.length ? { address: rows[0].address } : null;
+    },
+
+    async put(key, address, provider, now) {
+      await db.query(queries.upsertGeocode, [key, address, provider, now]);
+    },
+
+    async purge(before) {
+      const [result] = await db.query(queries.deleteOldGeocodes, [before]);
+      return result.affectedRows;
+    }
+  };
+
+  return { users, history, partitions, retention, accounts, circles, geofences, webhooks, sharing, rateLimits, geocodes };
+}
+
+// Connects; throws if MySQL is unreachable. The schema comes from migrations.
+async function createMysqlStore(config) {
+  const pool = mysql.createPool(config);
+
+  // Pool numbers for pool(), from the pool's public events and our own
+  // calls: open connections, and the queries and checked-out connections in
+  // flight (past connectionLimit those wait for a connection)
+  const connections = new Set();
+  let inFlight = 0;
+  pool.on('connection', (connection) => {
+    connections.add(connection);
+    const closed = () => connections.delete(connection);
+    connection.once('end', closed);
+    connection.once('error', closed);
+  });
+
+  async function counted(work) {
+    inFlight++;
+    try {
+      return await work();
+    } finally {
+      inFlight--;
+    }
+  }
+
+  // A connection of our own, counted until released
+  async function checkout(fn) {
+    return counted(async () => {
+      const connection = await pool.getConnection();
+      try {
+        return await fn(connection);
+      } finally {
+        connection.release();
+      }
+    });
+  }
+
+  const db = { query: (sql, params) => counted(() => pool.query(sql, params)) };
+
+  try {
+    // Test connection
+    const connection = await pool.getConnection();
+    connection.release();
+  } catch (error) {
+    await pool.end().catch(() => {});
+    throw error;
+  }
+
+  return {
+    kind: 'mysql',
+    ...createRepositories(db),
+
+    // DDL commits implicitly in MySQL, so migrations can't be rolled back
+    migrator: createMigrator(fn => checkout(connection => fn({
+      dialect: 'mysql',
+      transactional: false,
+      async query(sql, params) {
+        const [rows] = await connection.query(sql, params);
+        return rows;
+      }
+    }))),
+
+    // Runs fn with repositories bound to one connection inside a transaction
+    transaction(fn) {
+      return checkout(async (connection) => {
+        try {
+          await connection.beginTransaction();
+          const result = await fn(createRepositories(connection));
+          await connection.commit();
+          return result;
+        } catch (error) {
+          await connection.rollback().catch(err => console.error('Rollback error:', err.message));
+          throw error;
+        }
+      });
+    },
+
+    async ping() {
+      await db.query('SELECT 1');
+    },
+
+    pool() {
+      const max = config.connectionLimit;
+      return {
+        total: connections.size,
+        idle: Math.max(0, connections.size - Math.min(inFlight, max)),
+        waiting: Math.max(0, inFlight - max),
+        max
+      };
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = { createMysqlStore };
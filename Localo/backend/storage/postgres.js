@@ -0,0 +1,1301 @@
+// storage/postgres.js - PostgreSQL implementation of the storage repositories.
+// Positions are PostGIS geography columns with GiST indexes, so spatial
+// queries (distance, containment, bounding boxes) can use real indexes.
+const { Pool } = require('pg');
+const { createMigrator } = require('./migrator');
+const { monthRange } = require('./months');
+const { lngRanges } = require('../geo');
+const { fixDetails } = require('../fixes');
+
+// geography point from lat/lng parameters ($n placeholders)
+const point = (lat, lng) => `ST_SetSRID(ST_MakePoint(${lng}, ${lat}), 4326)::geography`;
+
+// lat/lng columns out of a geography point column
+const latLng = (column, prefix = '') =>
+  `ST_Y(${prefix}${column}::geometry) AS latitude, ST_X(${prefix}${column}::geometry) AS longitude`;
+
+// Epoch milliseconds out of a timestamp column
+const epochMs = (column) => `(EXTRACT(EPOCH FROM ${column}) * 1000)::float8`;
+
+const detailColumns = 'accuracy, altitude, heading, speed';
+
+const fenceColumns = `
+  id, circle_id, name, shape, ST_Y(center::geometry) AS center_lat, ST_X(center::geometry) AS center_lng,
+  radius_m, ST_AsGeoJSON(area) AS area, created_by`;
+
+const queries = {
+  // users
+  upsertUser: `
+    INSERT INTO users (user_id, position, ${detailColumns}, address, is_tracking, last_seen)
+    VALUES ($1, ${point('$2', '$3')}, $4, $5, $6, $7, $8, $9, now())
+    ON CONFLICT (user_id) DO UPDATE SET
+      position = EXCLUDED.position,
+      accuracy = EXCLUDED.accuracy,
+      altitude = EXCLUDED.altitude,
+      heading = EXCLUDED.heading,
+      speed = EXCLUDED.speed,
+      address = EXCLUDED.address,
+      is_tracking = EXCLUDED.is_tracking,
+      last_seen = now()`,
+
+  registerUser: `
+    INSERT INTO users (user_id) VALUES ($1)
+    ON CONFLICT (user_id) DO UPDATE SET last_seen = now()`,
+
+  stopTracking: `
+    UPDATE users SET is_tracking = FALSE, last_seen = now() WHERE user_id = $1`,
+
+  getTrackingState: `
+    SELECT is_tracking FROM users WHERE user_id = $1`,
+
+  lockUserState: `
+    SELECT ${latLng('position')}, is_tracking FROM users WHERE user_id = $1 FOR UPDATE`,
+
+  lastPosition: `
+    SELECT ${latLng('position')} FROM users
+    WHERE user_id = $1 AND position IS NOT NULL`,
+
+  updateHeartbeat: `
+    UPDATE users SET last_seen = now() WHERE user_id = $1`,
+
+  setUserAddress: `
+    UPDATE users SET address = $1 WHERE user_id = $2`,
+
+  getActiveUsers: `
+    SELECT user_id, ${latLng('position')}, ${detailColumns}, address, is_tracking, last_seen
+    FROM users
+    WHERE is_tracking = TRUE
+      AND last_seen > now() - make_interval(secs => $1)
+      AND position IS NOT NULL
+      AND user_id = ANY($2::varchar[])`,
+
+  // Same, inside one or two lat/lng boxes ($5-$6 and $7-$8 are the same
+  // longitude range unless the bbox crosses the antimeridian)
+  getActiveUsersIn: `
+    SELECT user_id, ${latLng('position')}, ${detailColumns}, address, is_tracking, last_seen
+    FROM users
+    WHERE is_tracking = TRUE
+      AND last_seen > now() - make_interval(secs => $1)
+      AND (position::geometry && ST_MakeEnvelope($5, $3, $6, $4, 4326)
+        OR position::geometry && ST_MakeEnvelope($7, $3, $8, $4, 4326))
+      AND user_id = ANY($2::varchar[])`,
+
+  // Spherical distances, matching geo.haversine in the other backends
+  getNearbyUsers: `
+    SELECT user_id, ${latLng('position')}, ${detailColumns}, address, is_tracking, last_seen,
+           ST_Distance(position, ${point('$3', '$4')}, false) AS distance
+    FROM users
+    WHERE is_tracking = TRUE
+      AND last_seen > now() - make_interval(secs => $1)
+      AND ST_DWithin(position, ${point('$3', '$4')}, $5, false)
+      AND user_id = ANY($2::varchar[])
+    ORDER BY distance
+    LIMIT $6`,
+
+  deactivateInactive: `
+    UPDATE users SET is_tracking = FALSE, last_seen = now()
+    WHERE is_tracking = TRUE
+      AND last_seen < now() - make_interval(secs => $1)
+    RETURNING user_id`,
+
+  countActiveUsers: `
+    SELECT COUNT(*) AS count FROM users
+    WHERE is_tracking = TRUE
+      AND last_seen > now() - make_interval(secs => $1)`,
+
+  // Users with their account, for the admin pages. $1 is a LIKE pattern
+  // escaped with '!', or null for everyone.
+  listUsers: `
+    SELECT u.user_id, a.username, ${latLng('position', 'u.')}, u.address, u.is_tracking,
+           u.last_seen, u.created_at, a.last_login
+    FROM users u
+    LEFT JOIN accounts a ON a.user_id = u.user_id
+    WHERE $1::text IS NULL OR a.username LIKE $1 ESCAPE '!' OR u.user_id LIKE $1 ESCAPE '!'
+    ORDER BY u.is_tracking DESC, u.last_seen DESC, u.user_id
+    LIMIT $2 OFFSET $3`,
+
+  countUsers: `
+    SELECT COUNT(*) AS count
+    FROM users u
+    LEFT JOIN accounts a ON a.user_id = u.user_id
+    WHERE $1::text IS NULL OR a.username LIKE $1 ESCAPE '!' OR u.user_id LIKE $1 ESCAPE '!'`,
+
+  findUser: `
+    SELECT u.user_id, a.username, ${latLng('position', 'u.')}, u.address, u.is_tracking,
+           u.last_seen, u.created_at, a.last_login
+    FROM users u
+    LEFT JOIN accounts a ON a.user_id = u.user_id
+    WHERE u.user_id = $1`,
+
+  userSummary: `
+    SELECT COUNT(*) AS total, COUNT(*) FILTER (WHERE is_tracking) AS tracking FROM users`,
+
+  deleteUser: `
+    DELETE FROM users WHERE user_id = $1`,
+
+  // location_history
+  insertHistory: `
+    INSERT INTO location_history (user_id, position, ${detailColumns}, address, tracked_at)
+    SELECT u, ${point('lat', 'lng')}, acc, alt, hdg, spd, a, to_timestamp(t / 1000.0)
+    FROM unnest(
+      $1::varchar[], $2::float8[], $3::float8[], $4::real[], $5::real[], $6::real[], $7::real[], $8::varchar[], $9::float8[]
+    ) AS v(u, lat, lng, acc, alt, hdg, spd, a, t)`,
+
+  setHistoryAddress: `
+    UPDATE location_history SET address = $1
+    WHERE user_id = $2 AND tracked_at = to_timestamp($3 / 1000.0) AND address IS NULL`,
+
+  historyKeys: `
+    SELECT ${latLng('position')}, ${epochMs('tracked_at')} AS tracked_ms
+    FROM location_history
+    WHERE user_id = $1
+      AND tracked_at BETWEEN to_timestamp($2 / 1000.0) AND to_timestamp($3 / 1000.0)`,
+
+  usersWithHistoryBefore: `
+    SELECT DISTINCT user_id FROM location_history WHERE tracked_at < to_timestamp($1 / 1000.0)`,
+
+  deleteHistoryBefore: `
+    DELETE FROM location_history
+    WHERE (id, tracked_at) IN (
+      SELECT id, tracked_at FROM location_history
+      WHERE user_id = $1 AND tracked_at < to_timestamp($2 / 1000.0)
+      ORDER BY tracked_at
+      LIMIT $3
+    )`,
+
+  countHistorySince: `
+    SELECT user_id, COUNT(*) AS count FROM location_history
+    WHERE tracked_at >= to_timestamp($1 / 1000.0) AND user_id = ANY($2::varchar[])
+    GROUP BY user_id`,
+
+  busiestSince: `
+    SELECT user_id, COUNT(*) AS count FROM location_history
+    WHERE tracked_at >= to_timestamp($1 / 1000.0)
+    GROUP BY user_id
+    ORDER BY count DESC, user_id
+    LIMIT $2`,
+
+  listPartitions: `
+    SELECT c.relname AS name, c.reltuples AS row_count, pg_total_relation_size(c.oid) AS bytes
+    FROM pg_inherits i
+    JOIN pg_class c ON c.oid = i.inhrelid
+    WHERE i.inhparent = 'location_history'::regclass`,
+
+  // retention_policies
+  getPolicies: `
+    SELECT scope, scope_id, days, updated_by, updated_at FROM retention_policies ORDER BY scope, scope_id`,
+
+  getPolicy: `
+    SELECT scope, scope_id, days, updated_by, updated_at FROM retention_policies
+    WHERE scope = $1 AND scope_id = $2`,
+
+  upsertPolicy: `
+    INSERT INTO retention_policies (scope, scope_id, days, updated_by)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (scope, scope_id) DO UPDATE SET
+      days = EXCLUDED.days,
+      updated_by = EXCLUDED.updated_by,
+      updated_at = now()`,
+
+  deletePolicy: `
+    DELETE FROM retention_policies WHERE scope = $1 AND scope_id = $2`,
+
+  // accounts
+  insertAccount: `
+    INSERT INTO accounts (user_id, username, password_hash)
+    VALUES ($1, $2, $3)`,
+
+  findByUsername: `
+    SELECT user_id, username, password_hash FROM accounts WHERE username = $1`,
+
+  findAccountById: `
+    SELECT user_id, username FROM accounts WHERE user_id = $1`,
+
+  touchLogin: `
+    UPDATE accounts SET last_login = now() WHERE user_id = $1`,
+
+  deleteAccount: `
+    DELETE FROM accounts WHERE user_id = $1`,
+
+  // circles
+  insertCircle: `
+    INSERT INTO circles (name, invite_code, created_by)
+    VALUES ($1, $2, $3)
+    RETURNING id`,
+
+  insertMember: `
+    INSERT INTO circle_members (circle_id, user_id, role)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (circle_id, user_id) DO NOTHING`,
+
+  getUserCircles: `
+    SELECT c.id, c.name, c.invite_code, m.role,
+           (SELECT COUNT(*) FROM circle_members cm WHERE cm.circle_id = c.id) AS member_count
+    FROM circle_members m
+    JOIN circles c ON c.id = m.circle_id
+    WHERE m.user_id = $1
+    ORDER BY lower(c.name)`,
+
+  getUserCircleIds: `
+    SELECT circle_id FROM circle_members WHERE user_id = $1`,
+
+  getMembers: `
+    SELECT m.user_id, m.role, m.joined_at, a.username
+    FROM circle_members m
+    LEFT JOIN accounts a ON a.user_id = m.user_id
+    WHERE m.circle_id = $1
+    ORDER BY m.joined_at`,
+
+  getRole: `
+    SELECT role FROM circle_members WHERE circle_id = $1 AND user_id = $2`,
+
+  findByInvite: `
+    SELECT id, name FROM circles WHERE invite_code = $1`,
+
+  updateInvite: `
+    UPDATE circles SET invite_code = $1 WHERE id = $2`,
+
+  updateRole: `
+    UPDATE circle_members SET role = $1 WHERE circle_id = $2 AND user_id = $3`,
+
+  removeMember: `
+    DELETE FROM circle_members WHERE circle_id = $1 AND user_id = $2`,
+
+  countOwners: `
+    SELECT COUNT(*) AS owners FROM circle_members WHERE circle_id = $1 AND role = 'owner'`,
+
+  oldestMember: `
+    SELECT user_id FROM circle_members
+    WHERE circle_id = $1
+    ORDER BY joined_at
+    LIMIT 1`,
+
+  deleteCircle: `
+    DELETE FROM circles WHERE id = $1`,
+
+  // geofences
+  getFencesByCircles: `
+    SELECT ${fenceColumns}
+    FROM geofences
+    WHERE circle_id = ANY($1::int[])
+    ORDER BY lower(name)`,
+
+  getFence: `
+    SELECT ${fenceColumns}
+    FROM geofences
+    WHERE id = $1`,
+
+  insertFence: `
+    INSERT INTO geofences (circle_id, name, shape, center, radius_m, area, created_by)
+    VALUES ($1, $2, $3, ${point('$4', '$5')}, $6, ST_SetSRID(ST_GeomFromGeoJSON($7), 4326)::geography, $8)
+    RETURNING id`,
+
+  updateFence: `
+    UPDATE geofences
+    SET name = $1, shape = $2, center = ${point('$3', '$4')}, radius_m = $5,
+        area = ST_SetSRID(ST_GeomFromGeoJSON($6), 4326)::geography, updated_at = now()
+    WHERE id = $7`,
+
+  deleteFence: `
+    DELETE FROM geofences WHERE id = $1`,
+
+  insertFenceEvents: `
+    INSERT INTO geofence_events (geofence_id, geofence_name, circle_id, user_id, event, position)
+    SELECT f, n, c, u, e, ${point('lat', 'lng')}
+    FROM unnest($1::int[], $2::varchar[], $3::int[], $4::varchar[], $5::varchar[], $6::float8[], $7::float8[])
+      AS v(f, n, c, u, e, lat, lng)`,
+
+  deleteUserFenceEvents: `
+    DELETE FROM geofence_events WHERE user_id = $1`,
+
+  // webhooks
+  getWebhooksByCircle: `
+    SELECT id, circle_id, url, events, secret, is_active, created_by, created_at
+    FROM webhooks
+    WHERE circle_id = $1
+    ORDER BY id`,
+
+  getWebhook: `
+    SELECT id, circle_id, url, events, secret, is_active, created_by, created_at
+    FROM webhooks
+    WHERE id = $1`,
+
+  getActiveWebhooks: `
+    SELECT id, circle_id, events
+    FROM webhooks
+    WHERE circle_id = ANY($1::int[]) AND is_active = TRUE`,
+
+  insertWebhook: `
+    INSERT INTO webhooks (circle_id, url, events, secret, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id`,
+
+  updateWebhook: `
+    UPDATE webhooks SET url = $1, events = $2, is_active = $3 WHERE id = $4`,
+
+  deleteWebhook: `
+    DELETE FROM webhooks WHERE id = $1`,
+
+  enqueueDeliveries: `
+    INSERT INTO webhook_deliveries (id, webhook_id, event, payload)
+    SELECT i, w, e, p::json
+    FROM unnest($1::uuid[], $2::int[], $3::varchar[], $4::text[]) AS v(i, w, e, p)`,
+
+  dueDeliveries: `
+    SELECT d.id, d.webhook_id, d.event, d.payload::text AS payload, d.attempts, w.url, w.secret
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= now()
+    ORDER BY d.next_attempt_at
+    LIMIT $1`,
+
+  markDelivered: `
+    UPDATE webhook_deliveries
+    SET status = 'delivered', attempts = attempts + 1, last_status_code = $1,
+        last_error = NULL, delivered_at = now()
+    WHERE id = $2`,
+
+  markRetry: `
+    UPDATE webhook_deliveries
+    SET attempts = attempts + 1, last_status_code = $1, last_error = $2,
+        next_attempt_at = now() + make_interval(secs => $3)
+    WHERE id = $4`,
+
+  markFailed: `
+    UPDATE webhook_deliveries
+    SET status = 'failed', attempts = attempts + 1, last_status_code = $1, last_error = $2
+    WHERE id = $3`,
+
+  orphaned: `
+    UPDATE webhook_deliveries
+    SET status = 'failed', last_error = 'Webhook deleted'
+    WHERE webhook_id = $1 AND status = 'pending'`,
+
+  requeue: `
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = now()
+    WHERE id = $1 AND webhook_id = $2 AND status = 'failed'`,
+
+  // sharing
+  getSharingSettings: `
+    SELECT share_precision, paused_until FROM sharing_settings WHERE user_id = $1`,
+
+  saveSharingSettings: `
+    INSERT INTO sharing_settings (user_id, share_precision, paused_until)
+    VALUES ($1, $2, to_timestamp($3 / 1000.0))
+    ON CONFLICT (user_id) DO UPDATE SET
+      share_precision = EXCLUDED.share_precision,
+      paused_until = EXCLUDED.paused_until,
+      updated_at = now()`,
+
+  getCirclePrecisions: `
+    SELECT circle_id, share_precision FROM circle_members
+    WHERE user_id = $1 AND share_precision IS NOT NULL`,
+
+  setCirclePrecision: `
+    UPDATE circle_members SET share_precision = $1 WHERE circle_id = $2 AND user_id = $3`,
+
+  insertShareLink: `
+    INSERT INTO share_links (token_hash, user_id, share_precision, password_hash, expires_at)
+    VALUES ($1, $2, $3, $4, to_timestamp($5 / 1000.0))
+    RETURNING id`,
+
+  getShareLinks: `
+    SELECT id, share_precision, password_hash, expires_at, created_at FROM share_links
+    WHERE user_id = $1 AND expires_at > now()
+    ORDER BY created_at DESC`,
+
+  getShareLinkByToken: `
+    SELECT id, user_id, share_precision, password_hash, expires_at, created_at FROM share_links
+    WHERE token_hash = $1 AND expires_at > now()`,
+
+  deleteShareLink: `
+    DELETE FROM share_links WHERE id = $1 AND user_id = $2`,
+
+  deleteExpiredShareLinks: `
+    DELETE FROM share_links WHERE expires_at <= now()`,
+
+  deleteSharingSettings: `
+    DELETE FROM sharing_settings WHERE user_id = $1`,
+
+  deleteUserShareLinks: `
+    DELETE FROM share_links WHERE user_id = $1`,
+
+  insertRateLimit: `
+    INSERT INTO rate_limits (bucket_key, tokens, updated_ms) VALUES ($1, $2, $3)
+    ON CONFLICT (bucket_key) DO NOTHING`,
+
+  lockRateLimit: `
+    SELECT tokens, updated_ms FROM rate_limits WHERE bucket_key = $1 FOR UPDATE`,
+
+  updateRateLimit: `
+    UPDATE rate_limits SET tokens = $1, updated_ms = $2 WHERE bucket_key = $3`,
+
+  deleteIdleRateLimits: `
+    DELETE FROM rate_limits WHERE updated_ms < $1`,
+
+  // geocode_cache
+  getGeocode: `
+    SELECT address FROM geocode_cache WHERE cell_key = $1 AND updated_ms >= $2`,
+
+  upsertGeocode: `
+    INSERT INTO geocode_cache (cell_key, address, provider, updated_ms)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (cell_key) DO UPDATE SET
+      address = EXCLUDED.address,
+      provider = EXCLUDED.provider,
+      updated_ms = EXCLUDED.updated_ms`,
+
+  deleteOldGeocodes: `
+    DELETE FROM geocode_cache WHERE updated_ms < $1`
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// Text matched literally inside a LIKE pattern (ESCAPE '!')
+const escapeLike = (text) => text.replace(/[!%_]/g, '!$&');
+
+// Partitions are tables named location_history_<name>; rows outside every
+// monthly partition land in location_history_default
+const PARTITION_PREFIX = 'location_history_';
+const DEFAULT_PARTITION = 'default';
+
+function rowToActiveUser(row) {
+  return {
+    userId: row.user_id,
+    location: { lat: row.latitude, lng: row.longitude, ...fixDetails(row) },
+    address: row.address,
+    isTracking: row.is_tracking,
+    lastSeen: toIso(row.last_seen)
+  };
+}
+
+function rowToUser(row) {
+  return {
+    userId: row.user_id,
+    username: row.username,
+    location: row.latitude != null ? { lat: row.latitude, lng: row.longitude } : null,
+    address: row.address,
+    isTracking: row.is_tracking,
+    lastSeen: toIso(row.last_seen),
+    createdAt: toIso(row.created_at),
+    lastLogin: toIso(row.last_login)
+  };
+}
+
+function rowToPolicy(row) {
+  return {
+    scope: row.scope,
+    scopeId: row.scope_id,
+    days: row.days,
+    updatedBy: row.updated_by,
+    updatedAt: toIso(row.updated_at)
+  };
+}
+
+// Closed GeoJSON ring for a polygon geofence, and back
+function fenceArea(points) {
+  if (!points) return null;
+  const ring = points.map(p => [p.lng, p.lat]);
+  ring.push(ring[0]);
+  return JSON.stringify({ type: 'Polygon', coordinates: [ring] });
+}
+
+function rowToShareLink(row) {
+  return {
+    id: row.id,
+    precision: row.share_precision,
+    hasPassword: Boolean(row.password_hash),
+    expiresAt: toIso(row.expires_at),
+    createdAt: toIso(row.created_at)
+  };
+}
+
+function rowToFence(row) {
+  const ring = row.area ? JSON.parse(row.area).coordinates[0].slice(0, -1) : null;
+  return {
+    id: row.id,
+    circleId: row.circle_id,
+    name: row.name,
+    shape: row.shape,
+    center: row.shape === 'circle' ? { lat: row.center_lat, lng: row.center_lng } : null,
+    radius: row.shape === 'circle' ? row.radius_m : null,
+    points: row.shape === 'polygon' ? ring.map(([lng, lat]) => ({ lat, lng })) : null,
+    createdBy: row.created_by
+  };
+}
+
+function fenceParams(fence) {
+  return [
+    fence.name,
+    fence.shape,
+    fence.center?.lat ?? null,
+    fence.center?.lng ?? null,
+    fence.radius ?? null,
+    fenceArea(fence.points)
+  ];
+}
+
+function rowToWebhook(row) {
+  return {
+    id: row.id,
+    circleId: row.circle_id,
+    url: row.url,
+    events: row.events,
+    secret: row.secret,
+    isActive: row.is_active,
+    createdBy: row.created_by,
+    createdAt: toIso(row.created_at)
+  };
+}
+
+// Repositories over anything with query() - the pool, or one client inside
+// a transaction
+function createRepositories(db) {
+  const query = async (sql, params) => {
+    try {
+      return await db.query(sql, params);
+    } catch (error) {
+      if (error.code === '23505') error.code = 'DUPLICATE';
+      throw error;
+    }
+  };
+
+  const users = {
+    // location may carry accuracy, altitude, heading and speed
+    async upsert(userId, { location, address, isTracking }) {
+      const { accuracy, altitude, heading, speed } = fixDetails(location);
+      await query(queries.upsertUser, [
+        userId, location.lat, location.lng, accuracy, altitude, heading, speed, address, Boolean(isTracking)
+      ]);
+    },
+
+    async setAddress(userId, address) {
+      await query(queries.setUserAddress, [address, userId]);
+    },
+
+    async register(userId) {
+      await query(queries.registerUser, [userId]);
+    },
+
+    async stopTracking(userId) {
+      await query(queries.stopTracking, [userId]);
+    },
+
+    async touch(userId) {
+      await query(queries.updateHeartbeat, [userId]);
+    },
+
+    async isTracking(userId) {
+      const { rows } = await query(queries.getTrackingState, [userId]);
+      return rows.length ? rows[0].is_tracking : null;
+    },
+
+    async lockState(userId) {
+      const { rows } = await query(queries.lockUserState, [userId]);
+      const row = rows[0];
+      return {
+        location: row?.latitude != null ? { lat: row.latitude, lng: row.longitude } : null,
+        isTracking: Boolean(row?.is_tracking)
+      };
+    },
+
+    async lastPosition(userId) {
+      const { rows } = await query(queries.lastPosition, [userId]);
+      return rows.length ? { lat: rows[0].latitude, lng: rows[0].longitude } : null;
+    },
+
+    async findActive(userIds, withinSeconds, bbox = null) {
+      if (userIds.length === 0) return [];
+
+      let rows;
+      if (bbox) {
+        const [first, second = first] = lngRanges(bbox);
+        ({ rows } = await query(queries.getActiveUsersIn, [
+          withinSeconds, userIds, bbox.south, bbox.north, ...first, ...second
+        ]));
+      } else {
+        ({ rows } = await query(queries.getActiveUsers, [withinSeconds, userIds]));
+      }
+      return rows.map(rowToActiveUser);
+    },
+
+    async findNearby(userIds, withinSeconds, { center, radius, limit }) {
+      if (userIds.length === 0) return [];
+      const { rows } = await query(queries.getNearbyUsers, [
+        withinSeconds, userIds, center.lat, center.lng, radius, Number.isFinite(limit) ? limit : null
+      ]);
+      return rows.map(row => ({ ...rowToActiveUser(row), distance: Math.round(row.distance) }));
+    },
+
+    async deactivateInactive(afterSeconds) {
+      const { rows } = await query(queries.deactivateInactive, [afterSeconds]);
+      return rows.map(row => row.user_id);
+    },
+
+    async countActive(withinSeconds) {
+      const { rows } = await query(queries.countActiveUsers, [withinSeconds]);
+      return Number(rows[0].count);
+    },
+
+    // { users, total }, tracking users first, then the most recently seen.
+    // search matches part of the username or user id.
+    async list({ search = null, limit, offset = 0 }) {
+      const pattern = search ? `%${escapeLike(search)}%` : null;
+      const { rows } = await query(queries.listUsers, [pattern, limit, offset]);
+      const { rows: [{ count }] } = await query(queries.countUsers, [pattern]);
+      return { users: rows.map(rowToUser), total: Number(count) };
+    },
+
+    async find(userId) {
+      const { rows } = await query(queries.findUser, [userId]);
+      return rows[0] ? rowToUser(rows[0]) : null;
+    },
+
+    // { total, tracking } over every user row
+    async summary() {
+      const { rows: [row] } = await query(queries.userSummary);
+      return { total: Number(row.total), tracking: Number(row.tracking) };
+    },
+
+    async delete(userId) {
+      await query(queries.deleteUser, [userId]);
+    }
+  };
+
+  const history = {
+    // items: { userId, location, address, trackedAt (ms) }; location may
+    // carry accuracy, altitude, heading and speed
+    async insert(items) {
+      if (items.length === 0) return;
+      const details = items.map(item => fixDetails(item.location));
+      await query(queries.insertHistory, [
+        items.map(item => item.userId),
+        items.map(item => item.location.lat),
+        items.map(item => item.location.lng),
+        details.map(d => d.accuracy),
+        details.map(d => d.altitude),
+        details.map(d => d.heading),
+        details.map(d => d.speed),
+        items.map(item => item.address),
+        items.map(item => item.trackedAt)
+      ]);
+    },
+
+    // Up to `limit` points in [from, to) after the (trackedAt, id) cursor, oldest first
+    async page({ userId, from, to, after, limit }) {
+      const params = [userId, from, to];
+      let clause = '';
+      if (after) {
+        clause = 'AND (tracked_at, id) > (to_timestamp($4 / 1000.0), $5)';
+        params.push(after.trackedAt, after.id);
+      }
+      params.push(limit);
+
+      const { rows } = await query(
+        `SELECT id, ${latLng('position')}, ${detailColumns}, address, ${epochMs('tracked_at')} AS tracked_ms
+         FROM location_history
+         WHERE user_id = $1
+           AND tracked_at >= to_timestamp($2 / 1000.0)
+           AND tracked_at < to_timestamp($3 / 1000.0)
+           ${clause}
+         ORDER BY tracked_at, id
+         LIMIT $${params.length}`,
+        params
+      );
+
+      return rows.map(row => ({
+        id: Number(row.id),
+        lat: row.latitude,
+        lng: row.longitude,
+        ...fixDetails(row),
+        address: row.address,
+        trackedAt: Math.round(row.tracked_ms)
+      }));
+    },
+
+    // Positions and times in [from, to] (both ms), for dedupe
+    async pointsBetween(userId, from, to) {
+      const { rows } = await query(queries.historyKeys, [userId, from, to]);
+      return rows.map(row => ({
+        lat: row.latitude,
+        lng: row.longitude,
+        trackedAt: Math.round(row.tracked_ms)
+      }));
+    },
+
+    // Every user's points in [from, to) after the (trackedAt, id) cursor, oldest first
+    async scan({ from, to, after, limit }) {
+      const params = [from, to];
+      let clause = '';
+      if (after) {
+        clause = 'AND (tracked_at, id) > (to_timestamp($3 / 1000.0), $4)';
+        params.push(after.trackedAt, after.id);
+      }
+      params.push(limit);
+
+      const { rows } = await query(
+        `SELECT id, user_id, ${latLng('position')}, ${detailColumns}, address, ${epochMs('tracked_at')} AS tracked_ms
+         FROM location_history
+         WHERE tracked_at >= to_timestamp($1 / 1000.0)
+           AND tracked_at < to_timestamp($2 / 1000.0)
+           ${clause}
+         ORDER BY tracked_at, id
+         LIMIT $${params.length}`,
+        params
+      );
+
+      return rows.map(row => ({
+        id: Number(row.id),
+        userId: row.user_id,
+        lat: row.latitude,
+        lng: row.longitude,
+        ...fixDetails(row),
+        address: row.address,
+        trackedAt: Math.round(row.tracked_ms)
+      }));
+    },
+
+    // Fills in a point's address once it has been looked up
+    async setAddress(userId, trackedAt, address) {
+      await query(queries.setHistoryAddress, [address, userId, trackedAt]);
+    },
+
+    async usersBefore(before) {
+      const { rows } = await query(queries.usersWithHistoryBefore, [before]);
+      return rows.map(row => row.user_id);
+    },
+
+    // Deletes up to `limit` of the user's oldest points before `before`; returns the count
+    async deleteBefore(userId, before, limit) {
+      const result = await query(queries.deleteHistoryBefore, [userId, before, limit]);
+      return result.rowCount;
+    },
+
+    // Points stored since `since` (ms) per user: [{ userId, count }] for the
+    // given users (those without any are left out), or the `limit` busiest
+    async countSince(since, { userIds = null, limit = null }) {
+      if (userIds?.length === 0) return [];
+      const { rows } = userIds
+        ? await query(queries.countHistorySince, [since, userIds])
+        : await query(queries.busiestSince, [since, limit]);
+      return rows.map(row => ({ userId: row.user_id, count: Number(row.count) }));
+    }
+  };
+
+  // location_history is partitioned by month, with a default partition for
+  // everything else. Row counts are planner estimates (null before the first
+  // ANALYZE).
+  const partitions = {
+    partitioned: true,
+
+    async list() {
+      const { rows } = await query(queries.listPartitions);
+      return rows
+        .map(row => {
+          const name = row.name.slice(PARTITION_PREFIX.length);
+          const range = monthRange(name);
+          return {
+            name,
+            from: range?.from ?? null,
+            to: range?.to ?? null,
+            rows: row.row_count >= 0 ? Math.round(row.row_count) : null,
+            bytes: Number(row.bytes)
+          };
+        })
+        .sort((a, b) => (a.from ?? Infinity) - (b.from ?? Infinity));
+    },
+
+    // Splits the month off the default partition, moving any rows it holds
+    async create(name) {
+      const range = monthRange(name);
+      if (!range) throw new Error(`Invalid partition name '${name}'`);
+
+      const table = PARTITION_PREFIX + name;
+      const from = new Date(range.from).toISOString();
+      const to = new Date(range.to).toISOString();
+      await query(`
+        CREATE TABLE ${table} (LIKE location_history INCLUDING DEFAULTS);
+        WITH moved AS (
+          DELETE FROM ${PARTITION_PREFIX}${DEFAULT_PARTITION}
+          WHERE tracked_at >= '${from}' AND tracked_at < '${to}'
+          RETURNING *
+        )
+        INSERT INTO ${table} SELECT * FROM moved;
+        ALTER TABLE location_history ATTACH PARTITION ${table} FOR VALUES FROM ('${from}') TO ('${to}');
+      `);
+    },
+
+    async drop(name) {
+      if (!monthRange(name)) throw new Error(`Invalid partition name '${name}'`);
+      await query(`DROP TABLE ${PARTITION_PREFIX}${name}`);
+    }
+  };
+
+  const retention = {
+    async list() {
+      const { rows } = await query(queries.getPolicies);
+      return rows.map(rowToPolicy);
+    },
+
+    async get(scope, scopeId) {
+      const { rows } = await query(queries.getPolicy, [scope, String(scopeId)]);
+      return rows[0] ? rowToPolicy(rows[0]) : null;
+    },
+
+    async set({ scope, scopeId, days, updatedBy }) {
+      await query(queries.upsertPolicy, [scope, String(scopeId), days, updatedBy]);
+    },
+
+    async remove(scope, scopeId) {
+      await query(queries.deletePolicy, [scope, String(scopeId)]);
+    }
+  };
+
+  const accounts = {
+    // Throws an error with code 'DUPLICATE' when the username is taken
+    async create({ userId, username, passwordHash }) {
+      await query(queries.insertAccount, [userId, username, passwordHash]);
+    },
+
+    async findByUsername(username) {
+      const { rows } = await query(queries.findByUsername, [username]);
+      const row = rows[0];
+      return row ? { userId: row.user_id, username: row.username, passwordHash: row.password_hash } : null;
+    },
+
+    async findById(userId) {
+      const { rows } = await query(queries.findAccountById, [userId]);
+      return rows[0] ? { userId: rows[0].user_id, username: rows[0].username } : null;
+    },
+
+    async touchLogin(userId) {
+      await query(queries.touchLogin, [userId]);
+    },
+
+    async delete(userId) {
+      await query(queries.deleteAccount, [userId]);
+    }
+  };
+
+  const circles = {
+    async create({ name, inviteCode, createdBy }) {
+      const { rows } = await query(queries.insertCircle, [name, inviteCode, createdBy]);
+      return rows[0].id;
+    },
+
+    async listForUser(userId) {
+      const { rows } = await query(queries.getUserCircles, [userId]);
+      return rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        inviteCode: row.invite_code,
+        memberCount: Number(row.member_count)
+      }));
+    },
+
+    async idsForUser(userId) {
+      const { rows } = await query(queries.getUserCircleIds, [userId]);
+      return rows.map(row => row.circle_id);
+    },
+
+    async members(circleId) {
+      const { rows } = await query(queries.getMembers, [circleId]);
+      return rows.map(row => ({
+        userId: row.user_id,
+        username: row.username,
+        role: row.role,
+        joinedAt: toIso(row.joined_at)
+      }));
+    },
+
+    async role(circleId, userId) {
+      const { rows } = await query(queries.getRole, [circleId, userId]);
+      return rows[0]?.role || null;
+    },
+
+    async findByInvite(code) {
+      const { rows } = await query(queries.findByInvite, [code]);
+      return rows[0] ? { id: rows[0].id, name: rows[0].name } : null;
+    },
+
+    async setInvite(circleId, code) {
+      await query(queries.updateInvite, [code, circleId]);
+    },
+
+    async addMember(circleId, userId, role) {
+      await query(queries.insertMember, [circleId, userId, role]);
+    },
+
+    async removeMember(circleId, userId) {
+      await query(queries.removeMember, [circleId, userId]);
+    },
+
+    async setRole(circleId, userId, role) {
+      await query(queries.updateRole, [role, circleId, userId]);
+    },
+
+    async countOwners(circleId) {
+      const { rows } = await query(queries.countOwners, [circleId]);
+      return Number(rows[0].owners);
+    },
+
+    async oldestMember(circleId) {
+      const { rows } = await query(queries.oldestMember, [circleId]);
+      return rows[0]?.user_id || null;
+    },
+
+    async delete(circleId) {
+      await query(queries.deleteCircle, [circleId]);
+    }
+  };
+
+  const geofences = {
+    async listByCircles(circleIds) {
+      if (circleIds.length === 0) return [];
+      const { rows } = await query(queries.getFencesByCircles, [circleIds]);
+      return rows.map(rowToFence);
+    },
+
+    async get(id) {
+      const { rows } = await query(queries.getFence, [id]);
+      return rows[0] ? rowToFence(rows[0]) : null;
+    },
+
+    async create(circleId, fence, createdBy) {
+      const { rows } = await query(queries.insertFence, [circleId, ...fenceParams(fence), createdBy]);
+      return rows[0].id;
+    },
+
+    async update(id, fence) {
+      await query(queries.updateFence, [...fenceParams(fence), id]);
+    },
+
+    async delete(id) {
+      await query(queries.deleteFence, [id]);
+    },
+
+    async insertEvents(events) {
+      if (events.length === 0) return;
+      await query(queries.insertFenceEvents, [
+        events.map(e => e.geofenceId),
+        events.map(e => e.geofenceName),
+        events.map(e => e.circleId),
+        events.map(e => e.userId),
+        events.map(e => e.event),
+        events.map(e => e.location.lat),
+        events.map(e => e.location.lng)
+      ]);
+    },
+
+    async deleteUserEvents(userId) {
+      await query(queries.deleteUserFenceEvents, [userId]);
+    },
+
+    // Newest first; geofenceId, userId, from and to are optional filters
+    async events({ circleId, geofenceId, userId, from, to, limit }) {
+      const conditions = ['e.circle_id = $1'];
+      const params = [circleId];
+      const add = (condition, value) => {
+        params.push(value);
+        conditions.push(condition.replace('?', `$${params.length}`));
+      };
+      if (geofenceId) add('e.geofence_id = ?', geofenceId);
+      if (userId) add('e.user_id = ?', userId);
+      if (from) add('e.occurred_at >= ?', from);
+      if (to) add('e.occurred_at < ?', to);
+      params.push(limit);
+
+      const { rows } = await query(
+        `SELECT e.id, e.geofence_id, e.geofence_name, e.user_id, a.username,
+                e.event, ${latLng('position', 'e.')}, e.occurred_at
+         FROM geofence_events e
+         LEFT JOIN accounts a ON a.user_id = e.user_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY e.occurred_at DESC, e.id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+
+      return rows.map(row => ({
+        id: Number(row.id),
+        geofenceId: row.geofence_id,
+        geofenceName: row.geofence_name,
+        userId: row.user_id,
+        username: row.username,
+        event: row.event,
+        location: { lat: row.latitude, lng: row.longitude },
+        occurredAt: toIso(row.occurred_at)
+      }));
+    }
+  };
+
+  const webhooks = {
+    // Without secrets
+    async listByCircle(circleId) {
+      const { rows } = await query(queries.getWebhooksByCircle, [circleId]);
+      return rows.map(rowToWebhook).map(({ secret, ...hook }) => hook);
+    },
+
+    async get(id) {
+      const { rows } = await query(queries.getWebhook, [id]);
+      return rows[0] ? rowToWebhook(rows[0]) : null;
+    },
+
+    async activeForCircles(circleIds) {
+      if (circleIds.length === 0) return [];
+      const { rows } = await query(queries.getActiveWebhooks, [circleIds]);
+      return rows.map(row => ({ id: row.id, circleId: row.circle_id, events: row.events }));
+    },
+
+    async create({ circleId, url, events, secret, createdBy }) {
+      const { rows } = await query(queries.insertWebhook, [circleId, url, JSON.stringify(events), secret, createdBy]);
+      return rows[0].id;
+    },
+
+    async update(id, { url, events, isActive }) {
+      await query(queries.updateWebhook, [url, JSON.stringify(events), Boolean(isActive), id]);
+    },
+
+    // Pending deliveries of a deleted webhook are failed, not dropped
+    async delete(id) {
+      await query(queries.deleteWebhook, [id]);
+      await query(queries.orphaned, [id]);
+    },
+
+    // deliveries: { id, webhookId, event, payload (object) }
+    async enqueue(deliveries) {
+      if (deliveries.length === 0) return;
+      await query(queries.enqueueDeliveries, [
+        deliveries.map(d => d.id),
+        deliveries.map(d => d.webhookId),
+        deliveries.map(d => d.event),
+        deliveries.map(d => JSON.stringify(d.payload))
+      ]);
+    },
+
+    // Pending deliveries whose time has come, with their webhook's url and secret
+    async due(limit) {
+      const { rows } = await query(queries.dueDeliveries, [limit]);
+      return rows.map(row => ({
+        id: row.id,
+        webhookId: row.webhook_id,
+        event: row.event,
+        payload: row.payload,
+        attempts: row.attempts,
+        url: row.url,
+        secret: row.secret
+      }));
+    },
+
+    async markDelivered(id, statusCode) {
+      await query(queries.markDelivered, [statusCode, id]);
+    },
+
+    async markRetry(id, statusCode, error, delaySeconds) {
+      await query(queries.markRetry, [statusCode, error, delaySeconds, id]);
+    },
+
+    async markFailed(id, statusCode, error) {
+      await query(queries.markFailed, [statusCode, error, id]);
+    },
+
+    // Failed delivery back to pending; false if there was none. Ids that
+    // aren't uuids can't match and would be a type error in Postgres
+    async requeue(id, webhookId) {
+      if (!UUID_PATTERN.test(String(id))) return false;
+      const result = await query(queries.requeue, [id, webhookId]);
+      return result.rowCount > 0;
+    },
+
+    // Newest first, optionally only one status
+    async deliveries(webhookId, { status, limit }) {
+      const { rows } = await query(
+        `SELECT id, event, status, attempts, next_attempt_at, last_status_code, last_error,
+                created_at, delivered_at
+         FROM webhook_deliveries
+         WHERE webhook_id = $1 ${status ? 'AND status = $3' : ''}
+         ORDER BY created_at DESC
+         LIMIT $2`,
+        status ? [webhookId, limit, status] : [webhookId, limit]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        event: row.event,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.status === 'pending' ? toIso(row.next_attempt_at) : null,
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        createdAt: toIso(row.created_at),
+        deliveredAt: toIso(row.delivered_at)
+      }));
+    }
+  };
+
+  const sharing = {
+    async settings(userId) {
+      const { rows } = await query(queries.getSharingSettings, [userId]);
+      return rows[0]
+        ? { precision: rows[0].share_precision, pausedUntil: toIso(rows[0].paused_until) }
+        : null;
+    },
+
+    async saveSettings(userId, { precision, pausedUntil }) {
+      await query(queries.saveSharingSettings, [userId, precision, pausedUntil ?? null]);
+    },
+
+    async circlePrecisions(userId) {
+      const { rows } = await query(queries.getCirclePrecisions, [userId]);
+      return rows.map(row => ({ circleId: row.circle_id, precision: row.share_precision }));
+    },
+
+    async setCirclePrecision(circleId, userId, precision) {
+      const result = await query(queries.setCirclePrecision, [precision, circleId, userId]);
+      return result.rowCount > 0;
+    },
+
+    async createLink({ tokenHash, userId, precision, passwordHash = null, expiresAt }) {
+      const { rows } = await query(queries.insertShareLink, [tokenHash, userId, precision, passwordHash, expiresAt]);
+      return rows[0].id;
+    },
+
+    async links(userId) {
+      const { rows } = await query(queries.getShareLinks, [userId]);
+      return rows.map(rowToShareLink);
+    },
+
+    async linkByToken(tokenHash) {
+      const { rows } = await query(queries.getShareLinkByToken, [tokenHash]);
+      return rows[0] ? { ...rowToShareLink(rows[0]), userId: rows[0].user_id, passwordHash: rows[0].password_hash } : null;
+    },
+
+    async removeLink(id, userId) {
+      const result = await query(queries.deleteShareLink, [id, userId]);
+      return result.rowCount > 0;
+    },
+
+    async deleteExpiredLinks() {
+      const result = await query(queries.deleteExpiredShareLinks);
+      return result.rowCount;
+    },
+
+    // Settings and links of a user being deleted
+    async removeUser(userId) {
+      await query(queries.deleteSharingSettings, [userId]);
+      await query(queries.deleteUserShareLinks, [userId]);
+    }
+  };
+
+  // Token buckets for the shared rate limiter; lock() and save() run inside
+  // one transaction so concurrent requests take turns on a bucket
+  const rateLimits = {
+    // Creates the bucket full at `now` if missing, then row-locks it
+    async lock(key, capacity, now) {
+      await query(queries.insertRateLimit, [key, capacity, now]);
+      const { rows } = await query(queries.lockRateLimit, [key]);
+      return { tokens: rows[0].tokens, updatedAt: Number(rows[0].updated_ms) };
+    },
+
+    async save(key, tokens, now) {
+      await query(queries.updateRateLimit, [tokens, now, key]);
+    },
+
+    // Buckets untouched since `before` (full again by then)
+    async purge(before) {
+      const result = await query(queries.deleteIdleRateLimits, [before]);
+      return result.rowCount;
+    }
+  };
+
+  const geocodes = {
+    // { address } cached for the cell since `since` (ms), else null
+    async get(key, since) {
+      const { rows } = await query(queries.getGeocode, [key, since]);
+      return rows.length ? { address: rows[0].address } : null;
+    },
+
+    async put(key, address, provider, now) {
+      await query(queries.upsertGeocode, [key, address, provider, now]);
+    },
+
+    async purge(before) {
+      const result = await query(queries.deleteOldGeocodes, [before]);
+      return result.rowCount;
+    }
+  };
+
+  return { users, history, partitions, retention, accounts, circles, geofences, webhooks, sharing, rateLimits, geocodes };
+}
+
+// Connects; throws if Postgres is unreachable. The schema (and the PostGIS
+// extension) comes from migrations.
+async function createPostgresStore(config) {
+  const pool = new Pool(config);
+  pool.on('error', err => console.error('Postgres pool error:', err.message));
+
+  try {
+    await pool.query('SELECT 1');
+  } catch (error) {
+    await pool.end().catch(() => {});
+    throw error;
+  }
+
+  return {
+    kind: 'postgres',
+    ...createRepositories(pool),
+
+    migrator: createMigrator(async fn => {
+      const client = await pool.connect();
+      try {
+        return await fn({
+          dialect: 'postgres',
+          transactional: true,
+          async query(sql, params) {
+            return (await client.query(sql, params)).rows;
+          }
+        });
+      } finally {
+        client.release();
+      }
+    }),
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn(createRepositories(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK').catch(err => console.error('Rollback error:', err.message));
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    async ping() {
+      await pool.query('SELECT 1');
+    },
+
+    pool() {
+      return {
+        total: pool.totalCount,
+        idle: pool.idleCount,
+        waiting: pool.waitingCount,
+        max: pool.options.max
+      };
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = { createPostgresStore };
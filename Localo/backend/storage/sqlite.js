@@ -0,0 +1,1211 @@
+// storage/sqlite.js - SQLite implementation of the storage repositories, for
+// small self-hosted installs. One file, no server; times are stored as epoch
+// milliseconds.
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createMigrator } = require('./migrator');
+const { monthRange } = require('./months');
+const { boundingBox, lngRanges, nearest } = require('../geo');
+const { fixDetails } = require('../fixes');
+
+const queries = {
+  // users
+  upsertUser: `
+    INSERT INTO users (user_id, latitude, longitude, accuracy, altitude, heading, speed, address, is_tracking, last_seen, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (user_id) DO UPDATE SET
+      latitude = excluded.latitude,
+      longitude = excluded.longitude,
+      accuracy = excluded.accuracy,
+      altitude = excluded.altitude,
+      heading = excluded.heading,
+      speed = excluded.speed,
+      address = excluded.address,
+      is_tracking = excluded.is_tracking,
+      last_seen = excluded.last_seen`,
+
+  registerUser: `
+    INSERT INTO users (user_id, last_seen, created_at) VALUES (?, ?, ?)
+    ON CONFLICT (user_id) DO UPDATE SET last_seen = excluded.last_seen`,
+
+  stopTracking: `
+    UPDATE users SET is_tracking = 0, last_seen = ? WHERE user_id = ?`,
+
+  getTrackingState: `
+    SELECT is_tracking FROM users WHERE user_id = ?`,
+
+  userState: `
+    SELECT latitude, longitude, is_tracking FROM users WHERE user_id = ?`,
+
+  lastPosition: `
+    SELECT latitude, longitude FROM users
+    WHERE user_id = ? AND latitude IS NOT NULL AND longitude IS NOT NULL`,
+
+  updateHeartbeat: `
+    UPDATE users SET last_seen = ? WHERE user_id = ?`,
+
+  setUserAddress: `
+    UPDATE users SET address = ? WHERE user_id = ?`,
+
+  findInactive: `
+    SELECT user_id FROM users
+    WHERE is_tracking = 1 AND last_seen < ?`,
+
+  cleanupInactive: `
+    UPDATE users SET is_tracking = 0, last_seen = ?
+    WHERE is_tracking = 1 AND last_seen < ?`,
+
+  countActiveUsers: `
+    SELECT COUNT(*) AS count FROM users
+    WHERE is_tracking = 1 AND last_seen > ?`,
+
+  // Users with their account, for the admin pages. The pattern is a LIKE
+  // pattern escaped with '!', or null for everyone.
+  listUsers: `
+    SELECT u.user_id, a.username, u.latitude, u.longitude, u.address, u.is_tracking,
+           u.last_seen, u.created_at, a.last_login
+    FROM users u
+    LEFT JOIN accounts a ON a.user_id = u.user_id
+    WHERE ? IS NULL OR a.username LIKE ? ESCAPE '!' OR u.user_id LIKE ? ESCAPE '!'
+    ORDER BY u.is_tracking DESC, u.last_seen DESC, u.user_id
+    LIMIT ? OFFSET ?`,
+
+  countUsers: `
+    SELECT COUNT(*) AS count
+    FROM users u
+    LEFT JOIN accounts a ON a.user_id = u.user_id
+    WHERE ? IS NULL OR a.username LIKE ? ESCAPE '!' OR u.user_id LIKE ? ESCAPE '!'`,
+
+  findUser: `
+    SELECT u.user_id, a.username, u.latitude, u.longitude, u.address, u.is_tracking,
+           u.last_seen, u.created_at, a.last_login
+    FROM users u
+    LEFT JOIN accounts a ON a.user_id = u.user_id
+    WHERE u.user_id = ?`,
+
+  userSummary: `
+    SELECT COUNT(*) AS total, COALESCE(SUM(is_tracking), 0) AS tracking FROM users`,
+
+  deleteUser: `
+    DELETE FROM users WHERE user_id = ?`,
+
+  // location_history
+  insertHistory: `
+    INSERT INTO location_history (user_id, latitude, longitude, accuracy, altitude, heading, speed, address, tracked_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+
+  setHistoryAddress: `
+    UPDATE location_history SET address = ?
+    WHERE user_id = ? AND tracked_at = ? AND address IS NULL`,
+
+  historyKeys: `
+    SELECT latitude, longitude, tracked_at
+    FROM location_history
+    WHERE user_id = ? AND tracked_at BETWEEN ? AND ?`,
+
+  usersWithHistoryBefore: `
+    SELECT DISTINCT user_id FROM location_history WHERE tracked_at < ?`,
+
+  deleteHistoryBefore: `
+    DELETE FROM location_history WHERE id IN (
+      SELECT id FROM location_history
+      WHERE user_id = ? AND tracked_at < ?
+      ORDER BY tracked_at
+      LIMIT ?
+    )`,
+
+  busiestSince: `
+    SELECT user_id, COUNT(*) AS count FROM location_history
+    WHERE tracked_at >= ?
+    GROUP BY user_id
+    ORDER BY count DESC, user_id
+    LIMIT ?`,
+
+  historyMonths: `
+    SELECT strftime('%Y%m', tracked_at / 1000, 'unixepoch') AS month, COUNT(*) AS row_count
+    FROM location_history
+    GROUP BY month
+    ORDER BY month`,
+
+  deleteHistoryBetween: `
+    DELETE FROM location_history WHERE tracked_at >= ? AND tracked_at < ?`,
+
+  // retention_policies
+  getPolicies: `
+    SELECT scope, scope_id, days, updated_by, updated_at FROM retention_policies ORDER BY scope, scope_id`,
+
+  getPolicy: `
+    SELECT scope, scope_id, days, updated_by, updated_at FROM retention_policies
+    WHERE scope = ? AND scope_id = ?`,
+
+  upsertPolicy: `
+    INSERT INTO retention_policies (scope, scope_id, days, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (scope, scope_id) DO UPDATE SET
+      days = excluded.days,
+      updated_by = excluded.updated_by,
+      updated_at = excluded.updated_at`,
+
+  deletePolicy: `
+    DELETE FROM retention_policies WHERE scope = ? AND scope_id = ?`,
+
+  // accounts
+  insertAccount: `
+    INSERT INTO accounts (user_id, username, password_hash, created_at)
+    VALUES (?, ?, ?, ?)`,
+
+  findByUsername: `
+    SELECT user_id, username, password_hash FROM accounts WHERE username = ?`,
+
+  findAccountById: `
+    SELECT user_id, username FROM accounts WHERE user_id = ?`,
+
+  touchLogin: `
+    UPDATE accounts SET last_login = ? WHERE user_id = ?`,
+
+  deleteAccount: `
+    DELETE FROM accounts WHERE user_id = ?`,
+
+  // circles
+  insertCircle: `
+    INSERT INTO circles (name, invite_code, created_by, created_at)
+    VALUES (?, ?, ?, ?)`,
+
+  insertMember: `
+    INSERT INTO circle_members (circle_id, user_id, role, joined_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (circle_id, user_id) DO NOTHING`,
+
+  getUserCircles: `
+    SELECT c.id, c.name, c.invite_code, m.role,
+           (SELECT COUNT(*) FROM circle_members cm WHERE cm.circle_id = c.id) AS member_count
+    FROM circle_members m
+    JOIN circles c ON c.id = m.circle_id
+    WHERE m.user_id = ?
+    ORDER BY c.name COLLATE NOCASE`,
+
+  getUserCircleIds: `
+    SELECT circle_id FROM circle_members WHERE user_id = ?`,
+
+  getMembers: `
+    SELECT m.user_id, m.role, m.joined_at, a.username
+    FROM circle_members m
+    LEFT JOIN accounts a ON a.user_id = m.user_id
+    WHERE m.circle_id = ?
+    ORDER BY m.joined_at, m.rowid`,
+
+  getRole: `
+    SELECT role FROM circle_members WHERE circle_id = ? AND user_id = ?`,
+
+  findByInvite: `
+    SELECT id, name FROM circles WHERE invite_code = ?`,
+
+  updateInvite: `
+    UPDATE circles SET invite_code = ? WHERE id = ?`,
+
+  updateRole: `
+    UPDATE circle_members SET role = ? WHERE circle_id = ? AND user_id = ?`,
+
+  removeMember: `
+    DELETE FROM circle_members WHERE circle_id = ? AND user_id = ?`,
+
+  countOwners: `
+    SELECT COUNT(*) AS owners FROM circle_members WHERE circle_id = ? AND role = 'owner'`,
+
+  oldestMember: `
+    SELECT user_id FROM circle_members
+    WHERE circle_id = ?
+    ORDER BY joined_at, rowid
+    LIMIT 1`,
+
+  deleteCircle: `
+    DELETE FROM circles WHERE id = ?`,
+
+  // geofences
+  getFence: `
+    SELECT id, circle_id, name, shape, center_lat, center_lng, radius_m, polygon, created_by
+    FROM geofences
+    WHERE id = ?`,
+
+  insertFence: `
+    INSERT INTO geofences (circle_id, name, shape, center_lat, center_lng, radius_m, polygon, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+
+  updateFence: `
+    UPDATE geofences
+    SET name = ?, shape = ?, center_lat = ?, center_lng = ?, radius_m = ?, polygon = ?, updated_at = ?
+    WHERE id = ?`,
+
+  deleteFence: `
+    DELETE FROM geofences WHERE id = ?`,
+
+  insertFenceEvent: `
+    INSERT INTO geofence_events (geofence_id, geofence_name, circle_id, user_id, event, latitude, longitude, occurred_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+
+  deleteUserFenceEvents: `
+    DELETE FROM geofence_events WHERE user_id = ?`,
+
+  // webhooks
+  getWebhooksByCircle: `
+    SELECT id, circle_id, url, events, secret, is_active, created_by, created_at
+    FROM webhooks
+    WHERE circle_id = ?
+    ORDER BY id`,
+
+  getWebhook: `
+    SELECT id, circle_id, url, events, secret, is_active, created_by, created_at
+    FROM webhooks
+    WHERE id = ?`,
+
+  insertWebhook: `
+    INSERT INTO webhooks (circle_id, url, events, secret, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+
+  updateWebhook: `
+    UPDATE webhooks SET url = ?, events = ?, is_active = ? WHERE id = ?`,
+
+  deleteWebhook: `
+    DELETE FROM webhooks WHERE id = ?`,
+
+  enqueueDelivery: `
+    INSERT INTO webhook_deliveries (id, webhook_id, event, payload, next_attempt_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+
+  dueDeliveries: `
+    SELECT d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+    ORDER BY d.next_attempt_at
+    LIMIT ?`,
+
+  markDelivered: `
+    UPDATE webhook_deliveries
+    SET status = 'delivered', attempts = attempts + 1, last_status_code = ?,
+        last_error = NULL, delivered_at = ?
+    WHERE id = ?`,
+
+  markRetry: `
+    UPDATE webhook_deliveries
+    SET attempts = attempts + 1, last_status_code = ?, last_error = ?, next_attempt_at = ?
+    WHERE id = ?`,
+
+  markFailed: `
+    UPDATE webhook_deliveries
+    SET status = 'failed', attempts = attempts + 1, last_status_code = ?, last_error = ?
+    WHERE id = ?`,
+
+  orphaned: `
+    UPDATE webhook_deliveries
+    SET status = 'failed', last_error = 'Webhook deleted'
+    WHERE webhook_id = ? AND status = 'pending'`,
+
+  requeue: `
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = ?
+    WHERE id = ? AND webhook_id = ? AND status = 'failed'`,
+
+  // sharing
+  getSharingSettings: `
+    SELECT share_precision, paused_until FROM sharing_settings WHERE user_id = ?`,
+
+  saveSharingSettings: `
+    INSERT INTO sharing_settings (user_id, share_precision, paused_until, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (user_id) DO UPDATE SET
+      share_precision = excluded.share_precision,
+      paused_until = excluded.paused_until,
+      updated_at = excluded.updated_at`,
+
+  getCirclePrecisions: `
+    SELECT circle_id, share_precision FROM circle_members
+    WHERE user_id = ? AND share_precision IS NOT NULL`,
+
+  setCirclePrecision: `
+    UPDATE circle_members SET share_precision = ? WHERE circle_id = ? AND user_id = ?`,
+
+  insertShareLink: `
+    INSERT INTO share_links (token_hash, user_id, share_precision, password_hash, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+
+  getShareLinks: `
+    SELECT id, share_precision, password_hash, expires_at, created_at FROM share_links
+    WHERE user_id = ? AND expires_at > ?
+    ORDER BY created_at DESC, id DESC`,
+
+  getShareLinkByToken: `
+    SELECT id, user_id, share_precision, password_hash, expires_at, created_at FROM share_links
+    WHERE token_hash = ? AND expires_at > ?`,
+
+  deleteShareLink: `
+    DELETE FROM share_links WHERE id = ? AND user_id = ?`,
+
+  deleteExpiredShareLinks: `
+    DELETE FROM share_links WHERE expires_at <= ?`,
+
+  deleteSharingSettings: `
+    DELETE FROM sharing_settings WHERE user_id = ?`,
+
+  deleteUserShareLinks: `
+    DELETE FROM share_links WHERE user_id = ?`,
+
+  insertRateLimit: `
+    INSERT OR IGNORE INTO rate_limits (bucket_key, tokens, updated_ms) VALUES (?, ?, ?)`,
+
+  getRateLimit: `
+    SELECT tokens, updated_ms FROM rate_limits WHERE bucket_key = ?`,
+
+  updateRateLimit: `
+    UPDATE rate_limits SET tokens = ?, updated_ms = ? WHERE bucket_key = ?`,
+
+  deleteIdleRateLimits: `
+    DELETE FROM rate_limits WHERE updated_ms < ?`,
+
+  // geocode_cache
+  getGeocode: `
+    SELECT address FROM geocode_cache WHERE cell_key = ? AND updated_ms >= ?`,
+
+  upsertGeocode: `
+    INSERT INTO geocode_cache (cell_key, address, provider, updated_ms)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (cell_key) DO UPDATE SET
+      address = excluded.address,
+      provider = excluded.provider,
+      updated_ms = excluded.updated_ms`,
+
+  deleteOldGeocodes: `
+    DELETE FROM geocode_cache WHERE updated_ms < ?`
+};
+
+const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+// "?, ?, ?" for an IN list
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Text matched literally inside a LIKE pattern (ESCAPE '!')
+const escapeLike = (text) => text.replace(/[!%_]/g, '!$&');
+
+function rowToUser(row) {
+  return {
+    userId: row.user_id,
+    username: row.username,
+    location: row.latitude != null ? { lat: row.latitude, lng: row.longitude } : null,
+    address: row.address,
+    isTracking: Boolean(row.is_tracking),
+    lastSeen: toIso(row.last_seen),
+    createdAt: toIso(row.created_at),
+    lastLogin: toIso(row.last_login)
+  };
+}
+
+function rowToPolicy(row) {
+  return {
+    scope: row.scope,
+    scopeId: row.scope_id,
+    days: row.days,
+    updatedBy: row.updated_by,
+    updatedAt: toIso(row.updated_at)
+  };
+}
+
+function rowToShareLink(row) {
+  return {
+    id: row.id,
+    precision: row.share_precision,
+    hasPassword: Boolean(row.password_hash),
+    expiresAt: toIso(row.expires_at),
+    createdAt: toIso(row.created_at)
+  };
+}
+
+function rowToFence(row) {
+  return {
+    id: row.id,
+    circleId: row.circle_id,
+    name: row.name,
+    shape: row.shape,
+    center: row.shape === 'circle' ? { lat: row.center_lat, lng: row.center_lng } : null,
+    radius: row.shape === 'circle' ? row.radius_m : null,
+    points: row.shape === 'polygon' ? JSON.parse(row.polygon) : null,
+    createdBy: row.created_by
+  };
+}
+
+function fenceParams(fence) {
+  return [
+    fence.name,
+    fence.shape,
+    fence.center?.lat ?? null,
+    fence.center?.lng ?? null,
+    fence.radius ?? null,
+    fence.points ? JSON.stringify(fence.points) : null
+  ];
+}
+
+function rowToWebhook(row) {
+  return {
+    id: row.id,
+    circleId: row.circle_id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    secret: row.secret,
+    isActive: Boolean(row.is_active),
+    createdBy: row.created_by,
+    createdAt: toIso(row.created_at)
+  };
+}
+
+// better-sqlite3 is synchronous, so every method is a plain statement run
+// wrapped in an async function to match the other backends
+function createRepositories(db) {
+  const statements = new Map();
+  const prepare = (sql) => {
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql);
+  };
+  const all = (sql, params = []) => prepare(sql).all(...params);
+  const get = (sql, params = []) => prepare(sql).get(...params);
+  const run = (sql, params = []) => {
+    try {
+      return prepare(sql).run(...params);
+    } catch (error) {
+      if (/^SQLITE_CONSTRAINT_(UNIQUE|PRIMARYKEY)$/.test(error.code)) error.code = 'DUPLICATE';
+      throw error;
+    }
+  };
+
+  const insertHistory = db.transaction((items) => {
+    for (const item of items) {
+      const { accuracy, altitude, heading, speed } = fixDetails(item.location);
+      run(queries.insertHistory, [
+        item.userId,
+        item.location.lat,
+        item.location.lng,
+        accuracy,
+        altitude,
+        heading,
+        speed,
+        item.address,
+        Math.round(item.trackedAt)
+      ]);
+    }
+  });
+
+  const users = {
+    // location may carry accuracy, altitude, heading and speed
+    async upsert(userId, { location, address, isTracking }) {
+      const now = Date.now();
+      const { accuracy, altitude, heading, speed } = fixDetails(location);
+      run(queries.upsertUser, [
+        userId, location.lat, location.lng, accuracy, altitude, heading, speed, address, isTracking ? 1 : 0, now, now
+      ]);
+    },
+
+    async setAddress(userId, address) {
+      run(queries.setUserAddress, [address, userId]);
+    },
+
+    async register(userId) {
+      const now = Date.now();
+      run(queries.registerUser, [userId, now, now]);
+    },
+
+    async stopTracking(userId) {
+      run(queries.stopTracking, [Date.now(), userId]);
+    },
+
+    async touch(userId) {
+      run(queries.updateHeartbeat, [Date.now(), userId]);
+    },
+
+    async isTracking(userId) {
+      const row = get(queries.getTrackingState, [userId]);
+      return row ? Boolean(row.is_tracking) : null;
+    },
+
+    // SQLite locks the whole database for a write transaction, so a plain
+    // read is already stable
+    async lockState(userId) {
+      const row = get(queries.userState, [userId]);
+      return {
+        location: row?.latitude != null ? { lat: row.latitude, lng: row.longitude } : null,
+        isTracking: Boolean(row?.is_tracking)
+      };
+    },
+
+    async lastPosition(userId) {
+      const row = get(queries.lastPosition, [userId]);
+      return row ? { lat: row.latitude, lng: row.longitude } : null;
+    },
+
+    async findActive(userIds, withinSeconds, bbox = null) {
+      if (userIds.length === 0) return [];
+
+      const ranges = bbox ? lngRanges(bbox) : [];
+      const area = bbox
+        ? `AND latitude BETWEEN ? AND ?
+           AND (${ranges.map(() => 'longitude BETWEEN ? AND ?').join(' OR ')})`
+        : '';
+      const rows = all(
+        `SELECT user_id, latitude, longitude, accuracy, altitude, heading, speed, address, is_tracking, last_seen
+         FROM users
+         WHERE is_tracking = 1
+           AND last_seen > ?
+           AND latitude IS NOT NULL
+           AND longitude IS NOT NULL
+           ${area}
+           AND user_id IN (${placeholders(userIds)})`,
+        [
+          Date.now() - withinSeconds * 1000,
+          ...(bbox ? [bbox.south, bbox.north, ...ranges.flat()] : []),
+          ...userIds
+        ]
+      );
+      return rows.map(row => ({
+        userId: row.user_id,
+        location: { lat: row.latitude, lng: row.longitude, ...fixDetails(row) },
+        address: row.address,
+        isTracking: Boolean(row.is_tracking),
+        lastSeen: toIso(row.last_seen)
+      }));
+    },
+
+    async findNearby(userIds, withinSeconds, { center, radius, limit }) {
+      const candidates = await users.findActive(userIds, withinSeconds, boundingBox(center, radius));
+      return nearest(candidates, center, radius, limit);
+    },
+
+    async deactivateInactive(afterSeconds) {
+      const before = Date.now() - afterSeconds * 1000;
+      const rows = all(queries.findInactive, [before]);
+      if (rows.length === 0) return [];
+
+      run(queries.cleanupInactive, [Date.now(), before]);
+      return rows.map(row => row.user_id);
+    },
+
+    async countActive(withinSeconds) {
+      return get(queries.countActiveUsers, [Date.now() - withinSeconds * 1000]).count;
+    },
+
+    // { users, total }, tracking users first, then the most recently seen.
+    // search matches part of the username or user id.
+    async list({ search = null, limit, offset = 0 }) {
+      const pattern = search ? `%${escapeLike(search)}%` : null;
+      return {
+        users: all(queries.listUsers, [pattern, pattern, pattern, limit, offset]).map(rowToUser),
+        total: get(queries.countUsers, [pattern, pattern, pattern]).count
+      };
+    },
+
+    async find(userId) {
+      const row = get(queries.findUser, [userId]);
+      return row ? rowToUser(row) : null;
+    },
+
+    // { total, tracking } over every user row
+    async summary() {
+      return get(queries.userSummary);
+    },
+
+    async delete(userId) {
+      run(queries.deleteUser, [userId]);
+    }
+  };
+
+  const history = {
+    // All or nothing, and one commit instead of one per row (a savepoint
+    // when it runs inside a transaction)
+    async insert(items) {
+      insertHistory(items);
+    },
+
+    async page({ userId, from, to, after, limit }) {
+      const params = [userId, from, to];
+      let clause = '';
+      if (after) {
+        clause = 'AND (tracked_at > ? OR (tracked_at = ? AND id > ?))';
+        params.push(after.trackedAt, after.trackedAt, after.id);
+      }
+
+      const rows = all(
+        `SELECT id, latitude, longitude, accuracy, altitude, heading, speed, address, tracked_at
+         FROM location_history
+         WHERE user_id = ?
+           AND tracked_at >= ?
+           AND tracked_at < ?
+           ${clause}
+         ORDER BY tracked_at, id
+         LIMIT ?`,
+        [...params, limit]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        lat: row.latitude,
+        lng: row.longitude,
+        ...fixDetails(row),
+        address: row.address,
+        trackedAt: row.tracked_at
+      }));
+    },
+
+    async pointsBetween(userId, from, to) {
+      return all(queries.historyKeys, [userId, Math.floor(from), Math.ceil(to)]).map(row => ({
+        lat: row.latitude,
+        lng: row.longitude,
+        trackedAt: row.tracked_at
+      }));
+    },
+
+    async scan({ from, to, after, limit }) {
+      const params = [from, to];
+      let clause = '';
+      if (after) {
+        clause = 'AND (tracked_at > ? OR (tracked_at = ? AND id > ?))';
+        params.push(after.trackedAt, after.trackedAt, after.id);
+      }
+
+      const rows = all(
+        `SELECT id, user_id, latitude, longitude, accuracy, altitude, heading, speed, address, tracked_at
+         FROM location_history
+         WHERE tracked_at >= ?
+           AND tracked_at < ?
+           ${clause}
+         ORDER BY tracked_at, id
+         LIMIT ?`,
+        [...params, limit]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        lat: row.latitude,
+        lng: row.longitude,
+        ...fixDetails(row),
+        address: row.address,
+        trackedAt: row.tracked_at
+      }));
+    },
+
+    // Fills in a point's address once it has been looked up
+    async setAddress(userId, trackedAt, address) {
+      run(queries.setHistoryAddress, [address, userId, Math.round(trackedAt)]);
+    },
+
+    async usersBefore(before) {
+      return all(queries.usersWithHistoryBefore, [before]).map(row => row.user_id);
+    },
+
+    async deleteBefore(userId, before, limit) {
+      return run(queries.deleteHistoryBefore, [userId, before, limit]).changes;
+    },
+
+    // Points stored since `since` (ms) per user: [{ userId, count }] for the
+    // given users (those without any are left out), or the `limit` busiest
+    async countSince(since, { userIds = null, limit = null }) {
+      if (userIds?.length === 0) return [];
+      const rows = userIds
+        ? all(
+          `SELECT user_id, COUNT(*) AS count FROM location_history
+           WHERE tracked_at >= ? AND user_id IN (${placeholders(userIds)})
+           GROUP BY user_id`,
+          [since, ...userIds]
+        )
+        : all(queries.busiestSince, [since, limit]);
+      return rows.map(row => ({ userId: row.user_id, count: row.count }));
+    }
+  };
+
+  // No partitions in SQLite: history is reported (and expired) by month, and
+  // there is nothing to create ahead of time
+  const partitions = {
+    partitioned: false,
+
+    async list() {
+      return all(queries.historyMonths).map(row => {
+        const name = `p${row.month}`;
+        return { name, ...monthRange(name), rows: row.row_count, bytes: null };
+      });
+    },
+
+    async create() {},
+
+    async drop(name) {
+      const range = monthRange(name);
+      if (!range) throw new Error(`Invalid partition name '${name}'`);
+      run(queries.deleteHistoryBetween, [range.from, range.to]);
+    }
+  };
+
+  const retention = {
+    async list() {
+      return all(queries.getPolicies).map(rowToPolicy);
+    },
+
+    async get(scope, scopeId) {
+      const row = get(queries.getPolicy, [scope, String(scopeId)]);
+      return row ? rowToPolicy(row) : null;
+    },
+
+    async set({ scope, scopeId, days, updatedBy }) {
+      run(queries.upsertPolicy, [scope, String(scopeId), days, updatedBy, Date.now()]);
+    },
+
+    async remove(scope, scopeId) {
+      run(queries.deletePolicy, [scope, String(scopeId)]);
+    }
+  };
+
+  const accounts = {
+    async create({ userId, username, passwordHash }) {
+      run(queries.insertAccount, [userId, username, passwordHash, Date.now()]);
+    },
+
+    async findByUsername(username) {
+      const row = get(queries.findByUsername, [username]);
+      return row ? { userId: row.user_id, username: row.username, passwordHash: row.password_hash } : null;
+    },
+
+    async findById(userId) {
+      const row = get(queries.findAccountById, [userId]);
+      return row ? { userId: row.user_id, username: row.username } : null;
+    },
+
+    async touchLogin(userId) {
+      run(queries.touchLogin, [Date.now(), userId]);
+    },
+
+    async delete(userId) {
+      run(queries.deleteAccount, [userId]);
+    }
+  };
+
+  const circles = {
+    async create({ name, inviteCode, createdBy }) {
+      return Number(run(queries.insertCircle, [name, inviteCode, createdBy, Date.now()]).lastInsertRowid);
+    },
+
+    async listForUser(userId) {
+      return all(queries.getUserCircles, [userId]).map(row => ({
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        inviteCode: row.invite_code,
+        memberCount: Number(row.member_count)
+      }));
+    },
+
+    async idsForUser(userId) {
+      return all(queries.getUserCircleIds, [userId]).map(row => row.circle_id);
+    },
+
+    async members(circleId) {
+      return all(queries.getMembers, [circleId]).map(row => ({
+        userId: row.user_id,
+        username: row.username,
+        role: row.role,
+        joinedAt: toIso(row.joined_at)
+      }));
+    },
+
+    async role(circleId, userId) {
+      return get(queries.getRole, [circleId, userId])?.role || null;
+    },
+
+    async findByInvite(code) {
+      const row = get(queries.findByInvite, [code]);
+      return row ? { id: row.id, name: row.name } : null;
+    },
+
+    async setInvite(circleId, code) {
+      run(queries.updateInvite, [code, circleId]);
+    },
+
+    async addMember(circleId, userId, role) {
+      run(queries.insertMember, [circleId, userId, role, Date.now()]);
+    },
+
+    async removeMember(circleId, userId) {
+      run(queries.removeMember, [circleId, userId]);
+    },
+
+    async setRole(circleId, userId, role) {
+      run(queries.updateRole, [role, circleId, userId]);
+    },
+
+    async countOwners(circleId) {
+      return get(queries.countOwners, [circleId]).owners;
+    },
+
+    async oldestMember(circleId) {
+      return get(queries.oldestMember, [circleId])?.user_id || null;
+    },
+
+    async delete(circleId) {
+      run(queries.deleteCircle, [circleId]);
+    }
+  };
+
+  const geofences = {
+    async listByCircles(circleIds) {
+      if (circleIds.length === 0) return [];
+      const rows = all(
+        `SELECT id, circle_id, name, shape, center_lat, center_lng, radius_m, polygon, created_by
+         FROM geofences
+         WHERE circle_id IN (${placeholders(circleIds)})
+         ORDER BY name COLLATE NOCASE`,
+        circleIds
+      );
+      return rows.map(rowToFence);
+    },
+
+    async get(id) {
+      const row = get(queries.getFence, [id]);
+      return row ? rowToFence(row) : null;
+    },
+
+    async create(circleId, fence, createdBy) {
+      const now = Date.now();
+      const result = run(queries.insertFence, [circleId, ...fenceParams(fence), createdBy, now, now]);
+      return Number(result.lastInsertRowid);
+    },
+
+    async update(id, fence) {
+      run(queries.updateFence, [...fenceParams(fence), Date.now(), id]);
+    },
+
+    async delete(id) {
+      run(queries.deleteFence, [id]);
+    },
+
+    async insertEvents(events) {
+      const now = Date.now();
+      for (const e of events) {
+        run(queries.insertFenceEvent, [
+          e.geofenceId, e.geofenceName, e.circleId, e.userId, e.event, e.location.lat, e.location.lng, now
+        ]);
+      }
+    },
+
+    async deleteUserEvents(userId) {
+      run(queries.deleteUserFenceEvents, [userId]);
+    },
+
+    async events({ circleId, geofenceId, userId, from, to, limit }) {
+      const conditions = ['e.circle_id = ?'];
+      const params = [circleId];
+      if (geofenceId) {
+        conditions.push('e.geofence_id = ?');
+        params.push(geofenceId);
+      }
+      if (userId) {
+        conditions.push('e.user_id = ?');
+        params.push(userId);
+      }
+      if (from) {
+        conditions.push('e.occurred_at >= ?');
+        params.push(from.getTime());
+      }
+      if (to) {
+        conditions.push('e.occurred_at < ?');
+        params.push(to.getTime());
+      }
+
+      const rows = all(
+        `SELECT e.id, e.geofence_id, e.geofence_name, e.user_id, a.username,
+                e.event, e.latitude, e.longitude, e.occurred_at
+         FROM geofence_events e
+         LEFT JOIN accounts a ON a.user_id = e.user_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY e.occurred_at DESC, e.id DESC
+         LIMIT ?`,
+        [...params, limit]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        geofenceId: row.geofence_id,
+        geofenceName: row.geofence_name,
+        userId: row.user_id,
+        username: row.username,
+        event: row.event,
+        location: { lat: row.latitude, lng: row.longitude },
+        occurredAt: toIso(row.occurred_at)
+      }));
+    }
+  };
+
+  const webhooks = {
+    async listByCircle(circleId) {
+      return all(queries.getWebhooksByCircle, [circleId])
+        .map(rowToWebhook)
+        .map(({ secret, ...hook }) => hook);
+    },
+
+    async get(id) {
+      const row = get(queries.getWebhook, [id]);
+      return row ? rowToWebhook(row) : null;
+    },
+
+    async activeForCircles(circleIds) {
+      if (circleIds.length === 0) return [];
+      const rows = all(
+        `SELECT id, circle_id, events
+         FROM webhooks
+         WHERE circle_id IN (${placeholders(circleIds)}) AND is_active = 1`,
+        circleIds
+      );
+      return rows.map(row => ({ id: row.id, circleId: row.circle_id, events: JSON.parse(row.events) }));
+    },
+
+    async create({ circleId, url, events, secret, createdBy }) {
+      const result = run(queries.insertWebhook, [circleId, url, JSON.stringify(events), secret, createdBy, Date.now()]);
+      return Number(result.lastInsertRowid);
+    },
+
+    async update(id, { url, events, isActive }) {
+      run(queries.updateWebhook, [url, JSON.stringify(events), isActive ? 1 : 0, id]);
+    },
+
+    async delete(id) {
+      run(queries.deleteWebhook, [id]);
+      run(queries.orphaned, [id]);
+    },
+
+    async enqueue(deliveries) {
+      const now = Date.now();
+      for (const d of deliveries) {
+        run(queries.enqueueDelivery, [d.id, d.webhookId, d.event, JSON.stringify(d.payload), now, now]);
+      }
+    },
+
+    async due(limit) {
+      return all(queries.dueDeliveries, [Date.now(), limit]).map(row => ({
+        id: row.id,
+        webhookId: row.webhook_id,
+        event: row.event,
+        payload: row.payload,
+        attempts: row.attempts,
+        url: row.url,
+        secret: row.secret
+      }));
+    },
+
+    async markDelivered(id, statusCode) {
+      run(queries.markDelivered, [statusCode, Date.now(), id]);
+    },
+
+    async markRetry(id, statusCode, error, delaySeconds) {
+      run(queries.markRetry, [statusCode, error, Date.now() + delaySeconds * 1000, id]);
+    },
+
+    async markFailed(id, statusCode, error) {
+      run(queries.markFailed, [statusCode, error, id]);
+    },
+
+    async requeue(id, webhookId) {
+      return run(queries.requeue, [Date.now(), id, webhookId]).changes > 0;
+    },
+
+    async deliveries(webhookId, { status, limit }) {
+      const rows = all(
+        `SELECT id, event, status, attempts, next_attempt_at, last_status_code, last_error,
+                created_at, delivered_at
+         FROM webhook_deliveries
+         WHERE webhook_id = ? ${status ? 'AND status = ?' : ''}
+         ORDER BY created_at DESC
+         LIMIT ?`,
+        status ? [webhookId, status, limit] : [webhookId, limit]
+      );
+
+      return rows.map(row => ({
+        id: row.id,
+        event: row.event,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.status === 'pending' ? toIso(row.next_attempt_at) : null,
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        createdAt: toIso(row.created_at),
+        deliveredAt: toIso(row.delivered_at)
+      }));
+    }
+  };
+
+  const sharing = {
+    async settings(userId) {
+      const row = get(queries.getSharingSettings, [userId]);
+      return row ? { precision: row.share_precision, pausedUntil: toIso(row.paused_until) } : null;
+    },
+
+    async saveSettings(userId, { precision, pausedUntil }) {
+      run(queries.saveSharingSettings, [userId, precision, pausedUntil ?? null, Date.now()]);
+    },
+
+    async circlePrecisions(userId) {
+      return all(queries.getCirclePrecisions, [userId])
+        .map(row => ({ circleId: row.circle_id, precision: row.share_precision }));
+    },
+
+    async setCirclePrecision(circleId, userId, precision) {
+      return run(queries.setCirclePrecision, [precision, circleId, userId]).changes > 0;
+    },
+
+    async createLink({ tokenHash, userId, precision, passwordHash = null, expiresAt }) {
+      const result = run(queries.insertShareLink, [tokenHash, userId, precision, passwordHash, expiresAt, Date.now()]);
+      return Number(result.lastInsertRowid);
+    },
+
+    async links(userId) {
+      return all(queries.getShareLinks, [userId, Date.now()]).map(rowToShareLink);
+    },
+
+    async linkByToken(tokenHash) {
+      const row = get(queries.getShareLinkByToken, [tokenHash, Date.now()]);
+      return row ? { ...rowToShareLink(row), userId: row.user_id, passwordHash: row.password_hash } : null;
+    },
+
+    async removeLink(id, userId) {
+      return run(queries.deleteShareLink, [id, userId]).changes > 0;
+    },
+
+    async deleteExpiredLinks() {
+      return run(queries.deleteExpiredShareLinks, [Date.now()]).changes;
+    },
+
+    // Settings and links of a user being deleted
+    async removeUser(userId) {
+      run(queries.deleteSharingSettings, [userId]);
+      run(queries.deleteUserShareLinks, [userId]);
+    }
+  };
+
+  // Token buckets for the shared rate limiter (the write transaction
+  // already holds the database, so no row lock is needed)
+  const rateLimits = {
+    async lock(key, capacity, now) {
+      run(queries.insertRateLimit, [key, capacity, now]);
+      const row = get(queries.getRateLimit, [key]);
+      return { tokens: row.tokens, updatedAt: row.updated_ms };
+    },
+
+    async save(key, tokens, now) {
+      run(queries.updateRateLimit, [tokens, now, key]);
+    },
+
+    async purge(before) {
+      return run(queries.deleteIdleRateLimits, [before]).changes;
+    }
+  };
+
+  const geocodes = {
+    // { address } cached for the cell since `since` (ms), else null
+    async get(key, since) {
+      const row = get(queries.getGeocode, [key, since]);
+      return row ? { address: row.address } : null;
+    },
+
+    async put(key, address, provider, now) {
+      run(queries.upsertGeocode, [key, address, provider, now]);
+    },
+
+    async purge(before) {
+      return run(queries.deleteOldGeocodes, [before]).changes;
+    }
+  };
+
+  return { users, history, partitions, retention, accounts, circles, geofences, webhooks, sharing, rateLimits, geocodes };
+}
+
+// Wraps every repository method so it waits for an open transaction to
+// finish. There is one connection, so anything run mid-transaction would
+// otherwise become part of it (and be rolled back with it).
+function afterTransactions(repositories, idle) {
+  const wrapped = {};
+  for (const [name, repository] of Object.entries(repositories)) {
+    wrapped[name] = {};
+    for (const [method, fn] of Object.entries(repository)) {
+      if (typeof fn !== 'function') {
+        wrapped[name][method] = fn; // flags such as partitions.partitioned
+        continue;
+      }
+      wrapped[name][method] = async (...args) => {
+        await idle();
+        return fn(...args);
+      };
+    }
+  }
+  return wrapped;
+}
+
+// Opens the database file, creating it if needed. The schema comes from
+// migrations.
+async function createSqliteStore({ filename }) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  const repositories = createRepositories(db);
+  let lock = Promise.resolve();
+
+  return {
+    kind: 'sqlite',
+    ...afterTransactions(repositories, () => lock),
+
+    migrator: createMigrator(async fn => {
+      await lock;
+      return fn({
+        dialect: 'sqlite',
+        transactional: true,
+        async query(sql, params = []) {
+          const statement = db.prepare(sql);
+          if (statement.reader) return statement.all(params);
+          statement.run(params);
+          return [];
+        }
+      });
+    }),
+
+    // Transactions run one at a time; fn gets the unwrapped repositories
+    transaction(fn) {
+      const run = async () => {
+        db.exec('BEGIN IMMEDIATE');
+        try {
+          const result = await fn(repositories);
+          db.exec('COMMIT');
+          return result;
+        } catch (error) {
+          db.exec('ROLLBACK');
+          throw error;
+        }
+      };
+
+      const result = lock.then(run);
+      lock = result.catch(() => {});
+      return result;
+    },
+
+    async ping() {
+      db.prepare('SELECT 1').get();
+    },
+
+    // One connection, no pool
+    pool() {
+      return null;
+    },
+
+    async close() {
+      await lock;
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startInstance, api } = require('./instance');
+
+let dir;
+let server;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'localo-auth-'));
+  server = await startInstance('auth', {
+    STORAGE: 'memory',
+    HISTORY_SPOOL_DIR: path.join(dir, 'spool'),
+    JWT_SECRET: 'auth-test-secret',
+    GEOCODER: 'none'
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const login = (username, password) => api(server, 'POST', '/auth/login', { body: { username, password } });
+
+test('unknown usernames are refused like wrong passwords', async () => {
+  await api(server, 'POST', '/auth/register', { body: { username: 'erin', password: 'password123' } });
+
+  const unknown = await login('nobody', 'password123');
+  const wrong = await login('erin', 'wrong-password');
+  assert.deepEqual([unknown.status, unknown.data], [401, { error: 'Invalid username or password' }]);
+  assert.deepEqual([wrong.status, wrong.data], [unknown.status, unknown.data]);
+  assert.equal((await login('erin', 'password123')).status, 200);
+});
+
+test('logins are limited per username, whatever its case', async () => {
+  await api(server, 'POST', '/auth/register', { body: { username: 'frank', password: 'password123' } });
+
+  const statuses = [];
+  for (let i = 0; i < 10; i++) {
+    statuses.push((await login(i % 2 ? 'FRANK' : 'frank', 'wrong-password')).status);
+  }
+  assert.deepEqual(new Set(statuses), new Set([401]));
+
+  const limited = await login('frank', 'password123');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.data.retryAfter) > 0);
+
+  // Another username from the same address still gets through
+  assert.equal((await login('erin', 'password123')).status, 200);
+});
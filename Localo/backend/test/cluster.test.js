@@ -0,0 +1,225 @@
+// Two server processes sharing one SQLite database and a Redis stand-in, as
+// two instances behind a load balancer would
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+const { createRedisStandIn } = require('./redis-stand-in');
+const { sleep, waitFor, startInstance, api } = require('./instance');
+const { haversine } = require('../geo');
+
+const redis = createRedisStandIn();
+const instances = [];
+let dir;
+
+async function joinCluster(name, redisUrl) {
+  const instance = await startInstance(name, {
+    STORAGE: 'sqlite',
+    SQLITE_PATH: path.join(dir, 'localo.sqlite'),
+    HISTORY_SPOOL_DIR: path.join(dir, name),
+    JWT_SECRET: 'cluster-test-secret',
+    CLUSTER_REDIS_URL: redisUrl,
+    GEOCODER: 'none',
+    ADMIN_USERS: 'alice'
+  });
+  instances.push(instance);
+  return instance;
+}
+
+// Resolves to the payload of the next `event` on socket matching `match`
+const nextEvent = (socket, event, match, timeout = 5000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeout} ms`)), timeout);
+  socket.on(event, function listener(payload) {
+    if (!match(payload)) return;
+    clearTimeout(timer);
+    socket.off(event, listener);
+    resolve(payload);
+  });
+});
+
+let a;
+let b;
+const users = {};
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'localo-cluster-'));
+  const redisUrl = await redis.listen();
+  // One after the other, so they don't both run the migrations
+  a = await joinCluster('a', redisUrl);
+  b = await joinCluster('b', redisUrl);
+});
+
+after(async () => {
+  await Promise.all(instances.map(instance => instance.stop()));
+  await redis.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('exactly one instance leads', async () => {
+  const health = await Promise.all([a, b].map(async instance => (await fetch(`${instance.url}/api/health`)).json()));
+  assert.deepEqual(health.map(h => h.cluster), ['redis', 'redis']);
+  assert.deepEqual(health.map(h => h.leader), [true, false]);
+  assert.match(a.output(), /now runs the background jobs/);
+  assert.doesNotMatch(b.output(), /now runs the background jobs/);
+});
+
+test('positions and webhooks cross instances, delivered once by the leader', { timeout: 30000 }, async () => {
+  const deliveries = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      deliveries.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  const alice = (await api(a, 'POST', '/auth/register', { body: { username: 'alice', password: 'password123' } })).data;
+  const bob = (await api(a, 'POST', '/auth/register', { body: { username: 'bob', password: 'password123' } })).data;
+  Object.assign(users, { alice, bob });
+
+  // Bob's socket is on B before he joins, so B has his (empty) circles cached
+  const socket = io(b.url, { auth: { token: bob.token }, transports: ['websocket'] });
+  try {
+    await new Promise((resolve, reject) => {
+      socket.once('connect', resolve);
+      socket.once('connect_error', reject);
+    });
+
+    const { circle } = (await api(a, 'POST', '/circles', { token: alice.token, body: { name: 'Family' } })).data;
+    users.circle = circle;
+    const hook = await api(a, 'POST', '/webhooks', {
+      token: alice.token,
+      body: { circleId: circle.id, url: `http://127.0.0.1:${receiver.address().port}/`, events: ['tracking.started'] }
+    });
+    assert.equal(hook.status, 201);
+
+    const joined = nextEvent(socket, 'circles:changed', payload => payload.joined);
+    assert.equal((await api(a, 'POST', '/circles/join', { token: bob.token, body: { code: circle.inviteCode } })).status, 200);
+    await joined;
+
+    // Published on A, pushed by B
+    const seen = nextEvent(socket, 'location:update', payload => payload.userId === alice.user.userId);
+    const update = await api(a, 'POST', '/location/update', {
+      token: alice.token,
+      body: { location: { lat: 52.52, lng: 13.405, accuracy: 10 }, isTracking: true }
+    });
+    assert.equal(update.status, 200);
+    const position = await seen;
+    assert.equal(position.circleId, circle.id);
+    assert.deepEqual([position.location.lat, position.location.lng], [52.52, 13.405]);
+
+    // Bob starts on B, which must know about the circle he joined on A;
+    // the leader (A) delivers B's event, once
+    const started = await api(b, 'POST', '/location/update', {
+      token: bob.token,
+      body: { location: { lat: 48.137, lng: 11.575, accuracy: 10 }, isTracking: true }
+    });
+    assert.equal(started.status, 200);
+
+    await waitFor(async () => deliveries.some(d => d.data.userId === bob.user.userId), 10000);
+    await sleep(5000); // a few more polls on both instances
+    const bobs = deliveries.filter(d => d.event === 'tracking.started' && d.data.userId === bob.user.userId);
+    assert.equal(bobs.length, 1);
+    assert.equal(new Set(deliveries.map(d => d.id)).size, deliveries.length);
+  } finally {
+    socket.close();
+    receiver.close();
+  }
+});
+
+test('places changed on one instance are evaluated as changed on the other', async () => {
+  const { alice, circle } = users;
+  const move = (lat) => api(b, 'POST', '/location/update', {
+    token: alice.token,
+    // Fast enough for the smoothed position to keep up with the fixes
+    body: { location: { lat, lng: 13.405, accuracy: 5, speed: 100 }, isTracking: true }
+  });
+  const events = async () => (await api(a, 'GET', `/geofences/events?circleId=${circle.id}`, { token: alice.token })).data.events;
+
+  // B has the circle's (empty) fences cached from Bob's fix
+  const created = await api(a, 'POST', '/geofences', {
+    token: alice.token,
+    body: { circleId: circle.id, name: 'Office', shape: 'circle', center: { lat: 52.521, lng: 13.405 }, radius: 100 }
+  });
+  assert.equal(created.status, 201);
+  await sleep(200);
+
+  // Geofences are checked after the update has been answered
+  assert.equal((await move(52.521)).status, 200);
+  await waitFor(async () => (await events()).length > 0, 2000);
+  assert.deepEqual((await events()).map(e => e.event), ['ENTER']);
+
+  // Once deleted, leaving it is no event
+  assert.equal((await api(a, 'DELETE', `/geofences/${created.data.geofence.id}`, { token: alice.token })).status, 200);
+  await sleep(200);
+  assert.equal((await move(52.523)).status, 200);
+  await sleep(500);
+  assert.deepEqual((await events()).map(e => e.event), ['ENTER']);
+});
+
+test('fixes alternating between instances are checked and smoothed as one track', async () => {
+  const { alice } = users;
+  const update = (instance, token, location) => api(instance, 'POST', '/location/update', {
+    token,
+    body: { location, isTracking: true }
+  });
+  const position = async (instance) => {
+    const { users: active } = (await api(instance, 'GET', '/users/active', { token: alice.token })).data;
+    return active.find(user => user.userId === alice.user.userId).location;
+  };
+
+  // Jitter of 20 m north and south of a spot, A getting every northern fix
+  // and B every southern one: apart, each would settle on its own side. The
+  // stop starts a fresh track.
+  assert.equal((await api(a, 'POST', '/location/stop', { token: alice.token })).status, 200);
+  await sleep(50);
+  const spot = { lat: 52.523, lng: 13.405 };
+  const offset = 20 / 111320;
+  for (let i = 0; i < 20; i++) {
+    const instance = i % 2 ? a : b;
+    const lat = spot.lat + (i % 2 ? offset : -offset);
+    assert.equal((await update(instance, alice.token, { lat, lng: spot.lng, accuracy: 20 })).status, 200);
+    const smoothed = await position(instance);
+    if (i >= 10) assert.ok(haversine(smoothed, spot) < 10, `fix ${i} smoothed ${Math.round(haversine(smoothed, spot))} m off`);
+    await sleep(50);
+  }
+
+  // A fix in Munich right after one in Berlin is refused wherever it lands
+  const carol = (await api(a, 'POST', '/auth/register', { body: { username: 'carol', password: 'password123' } })).data;
+  assert.equal((await update(a, carol.token, { lat: 52.52, lng: 13.405, accuracy: 10 })).status, 200);
+  await sleep(50);
+  const jump = await update(b, carol.token, { lat: 48.137, lng: 11.575, accuracy: 10 });
+  assert.equal(jump.status, 400);
+  assert.match(jump.data.error, /faster than/);
+  assert.equal((await update(b, carol.token, { lat: 52.5201, lng: 13.405, accuracy: 10 })).status, 200);
+});
+
+test('a user deleted on one instance is signed out on the other', async () => {
+  const { alice, bob } = users;
+  assert.equal((await api(b, 'GET', '/auth/me', { token: bob.token })).status, 200);
+
+  // Connected to B before the delete on A
+  const socket = io(b.url, { auth: { token: bob.token }, transports: ['websocket'], reconnection: false });
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', reject);
+  });
+  const disconnected = new Promise(resolve => socket.once('disconnect', resolve));
+
+  const deleted = await api(a, 'DELETE', `/admin/users/${bob.user.userId}`, { token: alice.token });
+  assert.equal(deleted.status, 200);
+  assert.equal(await Promise.race([disconnected, sleep(2000).then(() => 'still connected')]), 'io server disconnect');
+
+  await waitFor(async () => (await api(b, 'GET', '/auth/me', { token: bob.token })).status === 401, 2000);
+  const update = await api(b, 'POST', '/location/update', {
+    token: bob.token,
+    body: { location: { lat: 48.138, lng: 11.575 }, isTracking: true }
+  });
+  assert.equal(update.status, 401);
+  assert.equal((await api(a, 'GET', `/admin/users/${bob.user.userId}`, { token: alice.token })).status, 404);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { KalmanFilter, smoothTrack } = require('../fixes');
+const { haversine } = require('../geo');
+
+const OPTIONS = { processNoise: 3, defaultAccuracy: 30 };
+const MINUTE = 60 * 1000;
+
+test('a fix a minute after the last one is barely pulled back', () => {
+  const filter = new KalmanFilter(OPTIONS);
+  filter.update({ lat: 52.51, lng: 13.41 }, 0);
+  const estimate = filter.update({ lat: 52.52, lng: 13.42 }, MINUTE);
+
+  // 1.3 km away, reachable at walking pace: the estimate follows the fix
+  assert.ok(haversine(estimate, { lat: 52.52, lng: 13.42 }) < 50);
+});
+
+test('jitter around a point that does not move is smoothed out', () => {
+  const spot = { lat: 52.52, lng: 13.405 };
+  const offset = 20 / 111320; // 20 m of latitude
+  const items = Array.from({ length: 20 }, (_, i) => ({
+    location: { lat: spot.lat + (i % 2 ? offset : -offset), lng: spot.lng, accuracy: 20 },
+    trackedAt: i * 1000
+  }));
+
+  const smoothed = smoothTrack(items, OPTIONS);
+  const last = smoothed[smoothed.length - 1].location;
+  assert.ok(haversine(last, spot) < 10);
+});
+
+test('a steady drive at its reported speed is followed closely', () => {
+  // 25 m/s due north, one exact fix every 10 s
+  const step = 250 / 111320;
+  const items = Array.from({ length: 30 }, (_, i) => ({
+    location: { lat: 52 + i * step, lng: 13, accuracy: 10, speed: 25 },
+    trackedAt: i * 10 * 1000
+  }));
+
+  smoothTrack(items, OPTIONS).forEach((item, i) => {
+    assert.ok(haversine(item.location, items[i].location) < 5, `fix ${i} lags behind`);
+  });
+});
+
+test('fixes keep their details and an older fix starts over', () => {
+  const filter = new KalmanFilter(OPTIONS);
+  filter.update({ lat: 52.5, lng: 13.4 }, MINUTE);
+  const fix = { lat: 48.1, lng: 11.6, accuracy: 8, altitude: 520, heading: 90, speed: 1 };
+
+  assert.deepEqual(filter.update(fix, 0), fix);
+});
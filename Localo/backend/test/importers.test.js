@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { waitFor, startInstance, api } = require('./instance');
+
+let dir;
+let server;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'localo-import-'));
+  // One GeoNames row, so addresses come from the offline geocoder
+  const dataset = path.join(dir, 'places.txt');
+  fs.writeFileSync(dataset, '2950159\tBerlin\tBerlin\t\t52.52437\t13.41053\tP\tPPLC\tDE\n');
+
+  server = await startInstance('import', {
+    STORAGE: 'sqlite',
+    SQLITE_PATH: path.join(dir, 'localo.sqlite'),
+    HISTORY_SPOOL_DIR: path.join(dir, 'spool'),
+    JWT_SECRET: 'import-test-secret',
+    GEOCODER: 'offline',
+    GEOCODER_DATASET: dataset
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('imported points without an address get one looked up', async () => {
+  const { token, user } = (await api(server, 'POST', '/auth/register', {
+    body: { username: 'dora', password: 'password123' }
+  })).data;
+
+  const at = (minutesAgo) => new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+  const gpx = `<?xml version="1.0"?>
+<gpx version="1.1"><trk><trkseg>
+  <trkpt lat="52.5200" lon="13.4050"><time>${at(30)}</time></trkpt>
+  <trkpt lat="52.5210" lon="13.4060"><time>${at(29)}</time><desc>Office</desc></trkpt>
+</trkseg></trk></gpx>`;
+
+  const imported = await api(server, 'POST', '/history/import', { token, body: gpx, type: 'application/gpx+xml' });
+  assert.equal(imported.status, 200);
+  assert.equal(imported.data.accepted, 2);
+
+  const history = await waitFor(async () => {
+    const { data } = await api(server, 'GET', `/history/${user.userId}`, { token });
+    return data.history.every(point => point.address) && data.history;
+  }, 5000);
+  // The file's own address is kept
+  assert.deepEqual(history.map(point => point.address), ['Berlin, DE', 'Office']);
+});
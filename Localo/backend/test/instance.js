@@ -0,0 +1,78 @@
+// instance.js - Runs server.js in a child process for tests that go through
+// HTTP, the way a deployment would
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves to check()'s first truthy result, polling until timeout ms
+async function waitFor(check, timeout = 15000) {
+  const until = Date.now() + timeout;
+  for (;;) {
+    const result = await check().catch(() => null);
+    if (result) return result;
+    if (Date.now() > until) throw new Error('Timed out');
+    await sleep(100);
+  }
+}
+
+// A port nothing listens on right now
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts a server with env added to ours and resolves once /readyz passes.
+// The instance is { name, child, url, output(), stop() }.
+async function startInstance(name, env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: String(port), LOG_LEVEL: 'info', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const instance = {
+    name,
+    child,
+    url: `http://127.0.0.1:${port}`,
+    output: () => output,
+
+    stop: () => new Promise((resolve) => {
+      if (child.exitCode !== null) return resolve();
+      child.once('exit', resolve);
+      child.kill('SIGTERM');
+    })
+  };
+
+  await waitFor(async () => (await fetch(`${instance.url}/readyz`)).ok).catch((error) => {
+    instance.stop();
+    throw new Error(`Instance ${name} did not get ready: ${error.message}\n${output}`);
+  });
+  return instance;
+}
+
+// JSON request to the instance's API: { status, data }. body may be a
+// string, sent as is with `type`.
+async function api(instance, method, route, { token, body, type = 'application/json' } = {}) {
+  const response = await fetch(`${instance.url}/api${route}`, {
+    method,
+    headers: {
+      'Content-Type': type,
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: typeof body === 'string' ? body : body && JSON.stringify(body)
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+module.exports = { sleep, waitFor, startInstance, api };
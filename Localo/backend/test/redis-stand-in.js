@@ -0,0 +1,201 @@
+// redis-stand-in.js - Just enough of the Redis protocol for two instances to
+// cluster in a test: keys with expiry, the two lock scripts cluster.js runs,
+// and pub/sub with patterns (which the Socket.IO adapter uses). Not a Redis.
+const net = require('net');
+
+const ok = (socket) => socket.write('+OK\r\n');
+const integer = (socket, n) => socket.write(`:${n}\r\n`);
+const bulk = (value) => {
+  if (value === null) return '$-1\r\n';
+  const buffer = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${buffer.length}\r\n`), buffer, Buffer.from('\r\n')]);
+};
+const array = (items) => Buffer.concat([Buffer.from(`*${items.length}\r\n`), ...items.map(item => Buffer.from(bulk(item)))]);
+
+// Glob patterns as PSUBSCRIBE takes them (* and ? only)
+const globToRegExp = (glob) =>
+  new RegExp(`^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+
+// Complete commands at the start of buffer: { commands: [[Buffer]], rest }
+function parse(buffer) {
+  const commands = [];
+  let offset = 0;
+  for (;;) {
+    if (offset >= buffer.length || buffer[offset] !== 0x2a) break; // '*'
+    let end = buffer.indexOf('\r\n', offset);
+    if (end < 0) break;
+    const count = Number(buffer.toString('utf8', offset + 1, end));
+    let cursor = end + 2;
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      end = buffer.indexOf('\r\n', cursor);
+      if (end < 0) break;
+      const length = Number(buffer.toString('utf8', cursor + 1, end));
+      if (end + 2 + length + 2 > buffer.length) break;
+      args.push(buffer.subarray(end + 2, end + 2 + length));
+      cursor = end + 2 + length + 2;
+    }
+    if (args.length < count) break;
+    commands.push(args);
+    offset = cursor;
+  }
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+function createRedisStandIn() {
+  const keys = new Map(); // key -> { value, expiresAt }
+  const channels = new Map(); // channel -> Set(socket)
+  const patterns = new Map(); // pattern -> { regexp, sockets: Set(socket) }
+
+  function read(key) {
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return null;
+    }
+    return entry ?? null;
+  }
+
+  function publish(channel, message) {
+    let receivers = 0;
+    for (const socket of channels.get(channel) ?? []) {
+      socket.write(array(['message', channel, message]));
+      receivers++;
+    }
+    for (const [pattern, { regexp, sockets }] of patterns) {
+      if (!regexp.test(channel)) continue;
+      for (const socket of sockets) {
+        socket.write(array(['pmessage', pattern, channel, message]));
+        receivers++;
+      }
+    }
+    return receivers;
+  }
+
+  // cluster.js's ACQUIRE_SCRIPT and RELEASE_SCRIPT, told apart by their SET
+  function evaluate(script, key, id, ttl) {
+    const entry = read(key);
+    if (script.includes("'SET'")) {
+      if (!entry || entry.value.equals(id)) {
+        keys.set(key, { value: id, expiresAt: Date.now() + Number(ttl) });
+        return 1;
+      }
+      return 0;
+    }
+    if (entry && entry.value.equals(id)) {
+      keys.delete(key);
+      return 1;
+    }
+    return 0;
+  }
+
+  function run(socket, [name, ...args]) {
+    const command = name.toString().toLowerCase();
+    const text = args.map(arg => arg.toString());
+
+    switch (command) {
+      case 'info':
+        return socket.write(bulk('# Server\r\nredis_version:7.2.0\r\nloading:0\r\n'));
+      case 'ping':
+        return socket.write('+PONG\r\n');
+      case 'client':
+      case 'select':
+        return ok(socket);
+      case 'quit':
+        ok(socket);
+        return socket.end();
+      case 'get':
+        return socket.write(bulk(read(text[0])?.value ?? null));
+      case 'set': {
+        const options = text.slice(2).map(option => option.toUpperCase());
+        if (options.includes('NX') && read(text[0])) return socket.write(bulk(null));
+        const px = options.indexOf('PX');
+        keys.set(text[0], { value: args[1], expiresAt: px >= 0 ? Date.now() + Number(text[px + 3]) : null });
+        return ok(socket);
+      }
+      case 'del':
+        return integer(socket, text.filter(key => read(key) && keys.delete(key)).length);
+      case 'eval':
+        return integer(socket, evaluate(text[0], text[2], args[3], text[4]));
+      case 'publish':
+        return integer(socket, publish(text[0], args[1]));
+      case 'subscribe':
+      case 'psubscribe':
+        for (const channel of text) {
+          if (command === 'subscribe') {
+            if (!channels.has(channel)) channels.set(channel, new Set());
+            channels.get(channel).add(socket);
+          } else {
+            if (!patterns.has(channel)) patterns.set(channel, { regexp: globToRegExp(channel), sockets: new Set() });
+            patterns.get(channel).sockets.add(socket);
+          }
+          socket.subscriptions.add(channel);
+          socket.write(Buffer.concat([
+            Buffer.from('*3\r\n'),
+            bulk(command),
+            bulk(channel),
+            Buffer.from(`:${socket.subscriptions.size}\r\n`)
+          ]));
+        }
+        return;
+      case 'unsubscribe':
+      case 'punsubscribe':
+        for (const channel of text) {
+          (command === 'unsubscribe' ? channels.get(channel) : patterns.get(channel)?.sockets)?.delete(socket);
+          socket.subscriptions.delete(channel);
+          socket.write(Buffer.concat([
+            Buffer.from('*3\r\n'),
+            bulk(command),
+            bulk(channel),
+            Buffer.from(`:${socket.subscriptions.size}\r\n`)
+          ]));
+        }
+        return;
+      case 'pubsub':
+        if (text[0].toLowerCase() === 'numsub') {
+          const counts = text.slice(1).flatMap(channel => [channel, channels.get(channel)?.size ?? 0]);
+          return socket.write(Buffer.concat([
+            Buffer.from(`*${counts.length}\r\n`),
+            ...counts.map(item => (typeof item === 'number' ? Buffer.from(`:${item}\r\n`) : bulk(item)))
+          ]));
+        }
+        break;
+    }
+    socket.write(`-ERR unknown command '${command}'\r\n`);
+  }
+
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.subscriptions = new Set();
+    let pending = Buffer.alloc(0);
+
+    socket.on('data', (data) => {
+      const { commands, rest } = parse(Buffer.concat([pending, data]));
+      pending = rest;
+      commands.forEach(command => run(socket, command));
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      sockets.delete(socket);
+      channels.forEach(set => set.delete(socket));
+      patterns.forEach(({ sockets: set }) => set.delete(socket));
+    });
+  });
+
+  return {
+    // Resolves to the redis:// URL once listening
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve(`redis://127.0.0.1:${server.address().port}`));
+      });
+    },
+
+    close() {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createRedisStandIn };
@@ -0,0 +1,99 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { createMemoryStore } = require('../storage/memory');
+const { createCircles } = require('../circles');
+const { createGeofences } = require('../geofences');
+const { createWebhooks } = require('../webhooks');
+const { waitFor } = require('./instance');
+
+const SECRET = 'receiver-test-secret';
+const noAuth = (req, res, next) => next();
+
+// Answers 500 to the first request and 200 after that, keeping each request
+const requests = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ headers: req.headers, body });
+    res.statusCode = requests.length === 1 ? 500 : 200;
+    res.end(requests.length === 1 ? 'try again' : 'ok');
+  });
+});
+
+const store = createMemoryStore();
+const circles = createCircles({ getStore: () => store, requireAuth: noAuth });
+const webhooks = createWebhooks({
+  getStore: () => store,
+  requireAuth: noAuth,
+  circles,
+  // Retries come due right away
+  config: { pollInterval: 50, batchSize: 20, timeout: 2000, maxAttempts: 3, baseDelay: 100, maxDelay: 100 }
+});
+
+after(() => {
+  webhooks.stopDelivery();
+  receiver.close();
+});
+
+test('a geofence crossing is delivered signed to a local receiver, retried after a failure', async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  const circleId = await store.circles.create({ name: 'Family', inviteCode: 'TESTCODE', createdBy: 'alice' });
+  await store.circles.addMember(circleId, 'alice', 'owner');
+  const webhookId = await store.webhooks.create({
+    circleId,
+    url: `http://127.0.0.1:${receiver.address().port}/hook`,
+    events: ['geofence.enter'],
+    secret: SECRET,
+    createdBy: 'alice'
+  });
+  await store.geofences.create(circleId, {
+    name: 'Office', shape: 'circle', center: { lat: 52.52, lng: 13.405 }, radius: 100, points: null
+  }, 'alice');
+
+  const geofences = createGeofences({
+    getStore: () => store,
+    requireAuth: noAuth,
+    circles,
+    sharing: { exactCircleIds: async () => [circleId] },
+    onEvent: event => webhooks.dispatch(`geofence.${event.event.toLowerCase()}`, {
+      userId: event.userId,
+      circleId: event.circleId,
+      data: { geofenceId: event.geofenceId, geofenceName: event.geofenceName }
+    })
+  });
+  webhooks.startDelivery();
+
+  const events = await geofences.detect('alice', { lat: 52.53, lng: 13.405 }, { lat: 52.52, lng: 13.405 });
+  assert.deepEqual(events.map(e => e.event), ['ENTER']);
+
+  await waitFor(async () => requests.length >= 2, 5000);
+  const [failed, delivered] = requests;
+
+  // The same delivery, signed as documented: HMAC-SHA256 of "<timestamp>.<body>"
+  for (const { headers, body } of requests) {
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-localo-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-localo-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-localo-event'], 'geofence.enter');
+  }
+  assert.equal(delivered.headers['x-localo-delivery'], failed.headers['x-localo-delivery']);
+
+  const payload = JSON.parse(delivered.body);
+  assert.equal(payload.event, 'geofence.enter');
+  assert.equal(payload.circleId, circleId);
+  assert.deepEqual(payload.data, { userId: 'alice', geofenceId: events[0].geofenceId, geofenceName: 'Office' });
+
+  const [logged] = await waitFor(async () => {
+    const deliveries = await store.webhooks.deliveries(webhookId, { limit: 10 });
+    return deliveries[0]?.status === 'delivered' && deliveries;
+  }, 2000);
+  assert.equal(logged.attempts, 2);
+  assert.equal(logged.lastStatusCode, 200);
+
+  // Nothing is sent again once delivered
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.equal(requests.length, 2);
+});
@@ -0,0 +1,223 @@
+// trips.js - Splits location history into trips and stays
+const express = require('express');
+const { haversine } = require('./geo');
+const { parseTimeRange, decodeCursor, queryHistory } = require('./history');
+
+const DEFAULTS = {
+  stayRadius: 100, // meters
+  stayMinutes: 10, // dwell needed to count as a stay
+  gapMinutes: 15, // a silence this long ends a trip
+  minTripDistance: 100 // meters; shorter "trips" are GPS jitter
+};
+const MAX_POINTS = 200000;
+const PAGE_SIZE = 10000;
+
+const MS_PER_MINUTE = 60 * 1000;
+const MIN_SEGMENT_SECONDS = 1; // ignore near-duplicate fixes for max speed
+
+const toKmh = (metersPerSecond) => Math.round(metersPerSecond * 3.6 * 10) / 10;
+
+function bounds(points) {
+  let minLat = Infinity, minLng = Infinity, maxLat = -Infinity, maxLng = -Infinity;
+  for (const p of points) {
+    minLat = Math.min(minLat, p.lat);
+    minLng = Math.min(minLng, p.lng);
+    maxLat = Math.max(maxLat, p.lat);
+    maxLng = Math.max(maxLng, p.lng);
+  }
+  return [[minLat, minLng], [maxLat, maxLng]];
+}
+
+function summarizeTrip(points) {
+  let distance = 0;
+  let maxSpeed = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const step = haversine(points[i - 1], points[i]);
+    const seconds = (points[i].t - points[i - 1].t) / 1000;
+    distance += step;
+    if (seconds >= MIN_SEGMENT_SECONDS) {
+      maxSpeed = Math.max(maxSpeed, step / seconds);
+    }
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const duration = (last.t - first.t) / 1000;
+
+  return {
+    startedAt: new Date(first.t).toISOString(),
+    endedAt: new Date(last.t).toISOString(),
+    start: { lat: first.lat, lng: first.lng, address: first.address },
+    end: { lat: last.lat, lng: last.lng, address: last.address },
+    distance: Math.round(distance), // meters
+    duration: Math.round(duration), // seconds
+    avgSpeed: duration > 0 ? toKmh(distance / duration) : 0, // km/h
+    maxSpeed: toKmh(maxSpeed), // km/h
+    pointCount: points.length,
+    bounds: bounds(points)
+  };
+}
+
+function summarizeStay(points) {
+  const lat = points.reduce((sum, p) => sum + p.lat, 0) / points.length;
+  const lng = points.reduce((sum, p) => sum + p.lng, 0) / points.length;
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return {
+    arrivedAt: new Date(first.t).toISOString(),
+    departedAt: new Date(last.t).toISOString(),
+    duration: Math.round((last.t - first.t) / 1000), // seconds
+    center: { lat, lng },
+    address: points.find(p => p.address && p.address !== 'Unknown')?.address || null,
+    pointCount: points.length
+  };
+}
+
+// Points are { lat, lng, t, address } sorted by t. Stays are found with the
+// classic anchor scan: from point i, extend while every point stays within
+// stayRadius of it; if that run lasts stayMinutes it is a stay. Everything
+// between stays (split again at long gaps) is a trip.
+function segment(points, options = {}) {
+  const { stayRadius, stayMinutes, gapMinutes, minTripDistance } = { ...DEFAULTS, ...options };
+  const minDwell = stayMinutes * MS_PER_MINUTE;
+  const maxGap = gapMinutes * MS_PER_MINUTE;
+
+  const stays = [];
+  const trips = [];
+  let moving = [];
+
+  const closeTrip = () => {
+    if (moving.length >= 2) {
+      const trip = summarizeTrip(moving);
+      if (trip.distance >= minTripDistance) trips.push(trip);
+    }
+    moving = [];
+  };
+
+  let i = 0;
+  while (i < points.length) {
+    let j = i;
+    while (j + 1 < points.length &&
+      points[j + 1].t - points[j].t <= maxGap &&
+      haversine(points[i], points[j + 1]) <= stayRadius) {
+      j++;
+    }
+
+    if (points[j].t - points[i].t >= minDwell) {
+      // The trip ends where the stay begins
+      moving.push(points[i]);
+      closeTrip();
+      stays.push(summarizeStay(points.slice(i, j + 1)));
+      moving = [points[j]];
+      i = j + 1;
+      continue;
+    }
+
+    if (moving.length > 0 && points[i].t - moving[moving.length - 1].t > maxGap) {
+      closeTrip();
+    }
+    moving.push(points[i]);
+    i++;
+  }
+  closeTrip();
+
+  return { trips, stays };
+}
+
+function parseOptions(query) {
+  const clamp = (value, min, max, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+  };
+  return {
+    stayRadius: clamp(query.stayRadius, 10, 1000, DEFAULTS.stayRadius),
+    stayMinutes: clamp(query.stayMinutes, 1, 720, DEFAULTS.stayMinutes),
+    gapMinutes: clamp(query.gapMinutes, 1, 1440, DEFAULTS.gapMinutes),
+    minTripDistance: clamp(query.minTripDistance, 0, 10000, DEFAULTS.minTripDistance)
+  };
+}
+
+async function loadPoints(store, userId, range) {
+  const points = [];
+  let cursor = null;
+  do {
+    const page = await queryHistory(store, { userId, from: range.from, to: range.to, cursor, limit: PAGE_SIZE });
+    for (const p of page.points) {
+      points.push({ lat: p.location.lat, lng: p.location.lng, t: Date.parse(p.trackedAt), address: p.address });
+    }
+    cursor = decodeCursor(page.nextCursor);
+  } while (cursor && points.length < MAX_POINTS);
+  return points;
+}
+
+function createTrips({ getStore, requireAuth, sharing }) {
+  // Shared by both routes: access check, load, segment
+  async function analyze(req, res) {
+    const { userId } = req.params;
+    const range = parseTimeRange(req.query);
+
+    if (range.error) {
+      res.status(400).json({ error: range.error });
+      return null;
+    }
+
+    if (!(await sharing.canViewHistory(req.userId, userId))) {
+      res.status(403).json({ error: 'Not allowed to view this history' });
+      return null;
+    }
+
+    const options = parseOptions(req.query);
+    const points = await loadPoints(getStore(), userId, range);
+    return { range, options, ...segment(points, options) };
+  }
+
+  const rangeInfo = (range) => ({ from: range.from.toISOString(), to: range.to.toISOString() });
+
+  const router = express.Router();
+
+  router.get('/:userId/trips', requireAuth, async (req, res) => {
+    try {
+      const result = await analyze(req, res);
+      if (!result) return;
+
+      const totals = result.trips.reduce((sum, trip) => ({
+        distance: sum.distance + trip.distance,
+        duration: sum.duration + trip.duration
+      }), { distance: 0, duration: 0 });
+
+      res.json({
+        trips: result.trips,
+        count: result.trips.length,
+        totals,
+        options: result.options,
+        ...rangeInfo(result.range)
+      });
+    } catch (error) {
+      console.error('Trips error:', error);
+      res.status(500).json({ error: 'Failed to analyze trips' });
+    }
+  });
+
+  router.get('/:userId/stays', requireAuth, async (req, res) => {
+    try {
+      const result = await analyze(req, res);
+      if (!result) return;
+
+      res.json({
+        stays: result.stays,
+        count: result.stays.length,
+        options: result.options,
+        ...rangeInfo(result.range)
+      });
+    } catch (error) {
+      console.error('Stays error:', error);
+      res.status(500).json({ error: 'Failed to analyze stays' });
+    }
+  });
+
+  return { router };
+}
+
+module.exports = { createTrips, segment };
@@ -0,0 +1,313 @@
+// webhooks.js - Outbound webhooks with a persistent, retrying delivery queue
+const crypto = require('crypto');
+const express = require('express');
+
+const EVENT_TYPES = [
+  'tracking.started',
+  'tracking.stopped',
+  'user.inactive',
+  'geofence.enter',
+  'geofence.exit'
+];
+const TEST_EVENT = 'webhook.test';
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const DELIVERIES_LIMIT = 200;
+const RESPONSE_SNIPPET = 512;
+
+// Header value receivers verify: HMAC-SHA256 over "<timestamp>.<body>"
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function validateUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) && url.length <= 2048;
+  } catch {
+    return false;
+  }
+}
+
+function validateEvents(events) {
+  return Array.isArray(events) && events.length > 0 &&
+    events.every(event => event === '*' || EVENT_TYPES.includes(event));
+}
+
+const matches = (filter, event) => filter.includes('*') || filter.includes(event);
+
+function createWebhooks({ getStore, requireAuth, circles, config }) {
+  let timer = null;
+  let running = false;
+
+  // Exponential backoff with jitter: base, 2x base, 4x base... capped
+  function retryDelaySeconds(attempt) {
+    const delay = Math.min(config.baseDelay * 2 ** (attempt - 1), config.maxDelay);
+    return Math.round((delay * (0.8 + Math.random() * 0.4)) / 1000);
+  }
+
+  async function enqueue(store, hooks, event, data) {
+    if (hooks.length === 0) return;
+
+    const occurredAt = new Date().toISOString();
+    const deliveries = hooks.map(hook => {
+      const id = crypto.randomUUID();
+      const payload = { id, event, occurredAt, circleId: hook.circleId, data };
+      return { id, webhookId: hook.id, event, payload };
+    });
+
+    await store.webhooks.enqueue(deliveries);
+    setImmediate(processQueue);
+  }
+
+  // Queue an event for every matching webhook. User events go to all of the
+  // user's circles; pass circleId to target one circle (e.g. geofence events).
+  async function dispatch(event, { userId, circleId, data }) {
+    const store = getStore();
+    const circleIds = circleId ? [circleId] : await circles.getUserCircleIds(userId);
+    if (circleIds.length === 0) return;
+
+    const active = await store.webhooks.activeForCircles(circleIds);
+    const hooks = active.filter(hook => matches(hook.events, event));
+
+    await enqueue(store, hooks, event, { userId, ...data });
+  }
+
+  async function deliver(store, item) {
+    const body = item.payload;
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+    let errorMessage = null;
+
+    try {
+      const response = await fetch(item.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Localo-Webhooks/1.0',
+          'X-Localo-Event': item.event,
+          'X-Localo-Delivery': item.id,
+          'X-Localo-Timestamp': String(timestamp),
+          'X-Localo-Signature': sign(item.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(config.timeout)
+      });
+      statusCode = response.status;
+
+      if (response.ok) {
+        await store.webhooks.markDelivered(item.id, statusCode);
+        return;
+      }
+      errorMessage = `HTTP ${statusCode}: ${(await response.text()).slice(0, RESPONSE_SNIPPET)}`;
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    const attempt = item.attempts + 1;
+    if (attempt >= config.maxAttempts) {
+      await store.webhooks.markFailed(item.id, statusCode, errorMessage.slice(0, 512));
+      console.error(`Webhook delivery ${item.id} failed after ${attempt} attempts: ${errorMessage}`);
+    } else {
+      await store.webhooks.markRetry(item.id, statusCode, errorMessage.slice(0, 512), retryDelaySeconds(attempt));
+    }
+  }
+
+  // Drain due deliveries; runs on a timer and right after enqueueing. Only
+  // the instance delivering (the leader, between startDelivery() and
+  // stopDelivery()) drains: due() claims nothing, so two would send the same
+  // deliveries. Elsewhere new ones wait for the leader's next poll.
+  async function processQueue() {
+    const store = getStore();
+    if (!store || running || !timer) return;
+
+    running = true;
+    try {
+      const items = await store.webhooks.due(config.batchSize);
+      await Promise.all(items.map(item => deliver(store, item)
+        .catch(err => console.error('Webhook delivery error:', err.message))));
+    } catch (error) {
+      console.error('Webhook queue error:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  function startDelivery() {
+    if (timer) return;
+    timer = setInterval(processQueue, config.pollInterval);
+    processQueue();
+  }
+
+  function stopDelivery() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Loads a webhook the caller owns (through the circle), or answers the request itself
+  async function loadWebhook(req, res) {
+    const store = getStore();
+    const hook = await store.webhooks.get(parseInt(req.params.id) || 0);
+    const role = hook ? await circles.getMemberRole(hook.circleId, req.userId) : null;
+
+    if (role !== 'owner') {
+      res.status(404).json({ error: 'Webhook not found' });
+      return null;
+    }
+
+    return { store, hook };
+  }
+
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // Webhooks of a circle (owners only)
+  router.get('/', async (req, res) => {
+    const circleId = parseInt(req.query.circleId);
+
+    try {
+      if ((await circles.getMemberRole(circleId, req.userId)) !== 'owner') {
+        return res.status(404).json({ error: 'Circle not found' });
+      }
+
+      const webhooks = await getStore().webhooks.listByCircle(circleId);
+      res.json({ webhooks, eventTypes: EVENT_TYPES });
+    } catch (error) {
+      console.error('List webhooks error:', error);
+      res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+  });
+
+  // Subscribe a URL; the signing secret is only returned here
+  router.post('/', async (req, res) => {
+    const circleId = parseInt(req.body.circleId);
+    const { url, events } = req.body;
+    const secret = req.body.secret || crypto.randomBytes(24).toString('hex');
+
+    if (!validateUrl(url)) {
+      return res.status(400).json({ error: 'URL must be http(s)' });
+    }
+    if (!validateEvents(events)) {
+      return res.status(400).json({ error: `Events must be '*' or any of: ${EVENT_TYPES.join(', ')}` });
+    }
+    if (typeof secret !== 'string' || secret.length < 16 || secret.length > 128) {
+      return res.status(400).json({ error: 'Secret must be 16-128 characters' });
+    }
+
+    try {
+      if ((await circles.getMemberRole(circleId, req.userId)) !== 'owner') {
+        return res.status(404).json({ error: 'Circle not found' });
+      }
+
+      const id = await getStore().webhooks.create({ circleId, url, events, secret, createdBy: req.userId });
+
+      res.status(201).json({
+        webhook: { id, circleId, url, events, isActive: true, createdBy: req.userId },
+        secret
+      });
+    } catch (error) {
+      console.error('Create webhook error:', error);
+      res.status(500).json({ error: 'Failed to create webhook' });
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    if (req.body.isActive !== undefined && typeof req.body.isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be true or false' });
+    }
+
+    try {
+      const ctx = await loadWebhook(req, res);
+      if (!ctx) return;
+
+      const { secret, ...current } = ctx.hook;
+      const url = req.body.url ?? current.url;
+      const events = req.body.events ?? current.events;
+      const isActive = req.body.isActive ?? current.isActive;
+
+      if (!validateUrl(url)) {
+        return res.status(400).json({ error: 'URL must be http(s)' });
+      }
+      if (!validateEvents(events)) {
+        return res.status(400).json({ error: `Events must be '*' or any of: ${EVENT_TYPES.join(', ')}` });
+      }
+
+      await ctx.store.webhooks.update(current.id, { url, events, isActive: Boolean(isActive) });
+      res.json({ webhook: { ...current, url, events, isActive: Boolean(isActive) } });
+    } catch (error) {
+      console.error('Update webhook error:', error);
+      res.status(500).json({ error: 'Failed to update webhook' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const ctx = await loadWebhook(req, res);
+      if (!ctx) return;
+
+      await ctx.store.webhooks.delete(ctx.hook.id);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Delete webhook error:', error);
+      res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+  });
+
+  // Queue a test event to check the receiver and signature handling
+  router.post('/:id/test', async (req, res) => {
+    try {
+      const ctx = await loadWebhook(req, res);
+      if (!ctx) return;
+
+      await enqueue(ctx.store, [ctx.hook], TEST_EVENT, { userId: req.userId });
+      res.status(202).json({ success: true });
+    } catch (error) {
+      console.error('Test webhook error:', error);
+      res.status(500).json({ error: 'Failed to queue test event' });
+    }
+  });
+
+  // Delivery log, newest first
+  router.get('/:id/deliveries', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, DELIVERIES_LIMIT);
+    const { status } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const ctx = await loadWebhook(req, res);
+      if (!ctx) return;
+
+      const deliveries = await ctx.store.webhooks.deliveries(ctx.hook.id, { status, limit });
+
+      res.json({ deliveries, count: deliveries.length });
+    } catch (error) {
+      console.error('Webhook deliveries error:', error);
+      res.status(500).json({ error: 'Failed to fetch deliveries' });
+    }
+  });
+
+  // Put a failed delivery back in the queue
+  router.post('/:id/deliveries/:deliveryId/retry', async (req, res) => {
+    try {
+      const ctx = await loadWebhook(req, res);
+      if (!ctx) return;
+
+      if (!(await ctx.store.webhooks.requeue(req.params.deliveryId, ctx.hook.id))) {
+        return res.status(404).json({ error: 'No failed delivery with that id' });
+      }
+
+      setImmediate(processQueue);
+      res.status(202).json({ success: true });
+    } catch (error) {
+      console.error('Retry delivery error:', error);
+      res.status(500).json({ error: 'Failed to retry delivery' });
+    }
+  });
+
+  return { router, dispatch, startDelivery, stopDelivery, processQueue };
+}
+
+module.exports = { createWebhooks, sign, EVENT_TYPES };
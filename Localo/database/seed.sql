@@ -1 +0,0 @@
--- Sample seed data 
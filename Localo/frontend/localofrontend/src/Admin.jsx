@@ -0,0 +1,367 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Login from './Login.jsx';
+import { apiRequest, loadSession, saveSession, clearSession, onUnauthorized } from './api';
+import { useAdmin, PAGE_SIZE, RATE_WINDOWS } from './admin';
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+}) : '—');
+
+const formatUptime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  return hours > 0 ? `${hours}h ${Math.floor((seconds % 3600) / 60)}m` : `${Math.floor(seconds / 60)}m`;
+};
+
+const RATE_LABELS = { lastFiveMinutes: 'Last 5 min', lastHour: 'Last hour', lastDay: 'Last 24 h' };
+
+function StatCard({ label, value, detail }) {
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <p className="text-sm text-gray-500">{label}</p>
+      <p className="text-2xl font-bold text-gray-900">{value}</p>
+      {detail && <p className="text-xs text-gray-500 mt-1">{detail}</p>}
+    </div>
+  );
+}
+
+function Stats({ stats }) {
+  if (!stats) return null;
+  const queue = stats.historyQueue;
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+      <StatCard label="Users" value={stats.users.total} detail={`${stats.users.tracking} marked tracking`} />
+      <StatCard label="Active" value={stats.users.active} detail={`${stats.live} live on this instance`} />
+      <StatCard label="Connections" value={stats.sockets} detail={`${stats.storage ?? 'no'} storage`} />
+      <StatCard
+        label="History queue"
+        value={queue.depth}
+        detail={`${queue.failedFlushes} failed flushes · up ${formatUptime(stats.uptime)}`}
+      />
+    </div>
+  );
+}
+
+// One user: circles, share links, update rates and the support actions
+function UserDetail({ userId, adminState, onClose }) {
+  const { loadUser, stopTracking, deleteUser } = adminState;
+  const [detail, setDetail] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    const data = await loadUser(userId);
+    if (data?.user) setDetail(data);
+    else setMessage(data?.error ?? 'Unable to reach the server');
+  }, [loadUser, userId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleStop = async () => {
+    setIsBusy(true);
+    setMessage(null);
+    const result = await stopTracking(userId);
+    setIsBusy(false);
+    if (result?.success) {
+      setMessage('Tracking stopped');
+      load();
+    } else {
+      setMessage(result?.error ?? 'Unable to reach the server');
+    }
+  };
+
+  const handleDelete = async () => {
+    const name = detail.user.username ?? userId;
+    if (!window.confirm(`Delete ${name} with all their location history? This cannot be undone.`)) return;
+
+    setIsBusy(true);
+    setMessage(null);
+    const result = await deleteUser(userId);
+    setIsBusy(false);
+    if (result?.success) onClose();
+    else setMessage(result?.error ?? 'Unable to reach the server');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 text-sm">
+      <div className="flex items-start justify-between mb-3">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{detail?.user.username ?? 'No account'}</h3>
+          <p className="text-xs text-gray-500 font-mono">{userId}</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+      </div>
+
+      {message && <p className="text-sm text-gray-700 mb-3">{message}</p>}
+
+      {detail && (
+        <>
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-1 mb-4">
+            <dt className="text-gray-500">Status</dt>
+            <dd>{detail.user.live ? '🟢 Live' : detail.user.isTracking ? '🟡 Marked tracking' : '⚫ Not tracking'}</dd>
+            <dt className="text-gray-500">Last seen</dt>
+            <dd>{formatTime(detail.user.lastSeen)}</dd>
+            <dt className="text-gray-500">Last login</dt>
+            <dd>{formatTime(detail.user.lastLogin)}</dd>
+            <dt className="text-gray-500">Created</dt>
+            <dd>{formatTime(detail.user.createdAt)}</dd>
+            <dt className="text-gray-500">Position</dt>
+            <dd>
+              {detail.user.location
+                ? `${detail.user.location.lat.toFixed(5)}, ${detail.user.location.lng.toFixed(5)}`
+                : '—'}
+            </dd>
+            {detail.user.address && (
+              <>
+                <dt className="text-gray-500">Address</dt>
+                <dd>{detail.user.address}</dd>
+              </>
+            )}
+            <dt className="text-gray-500">Share links</dt>
+            <dd>{detail.shareLinks}</dd>
+          </dl>
+
+          <h4 className="font-medium text-gray-700 mb-2">Updates</h4>
+          <div className="grid grid-cols-3 gap-2 mb-4">
+            {Object.entries(detail.rates).map(([name, rate]) => (
+              <div key={name} className="bg-gray-50 rounded-lg p-2">
+                <p className="text-xs text-gray-500">{RATE_LABELS[name] ?? name}</p>
+                <p className="font-semibold">{rate.points}</p>
+                <p className="text-xs text-gray-500">{rate.perMinute}/min</p>
+              </div>
+            ))}
+          </div>
+
+          <h4 className="font-medium text-gray-700 mb-2">Circles</h4>
+          {detail.circles.length === 0 ? (
+            <p className="text-gray-500 mb-4">None</p>
+          ) : (
+            <ul className="mb-4 space-y-1">
+              {detail.circles.map(circle => (
+                <li key={circle.id}>
+                  {circle.name} <span className="text-gray-500">· {circle.role} · {circle.memberCount} members</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleStop}
+              disabled={isBusy}
+              className="px-4 py-2 bg-amber-500 hover:bg-amber-600 text-white rounded-lg disabled:opacity-50"
+            >
+              Stop tracking
+            </button>
+            <button
+              onClick={handleDelete}
+              disabled={isBusy}
+              className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg disabled:opacity-50"
+            >
+              Delete user
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Users sending the most updates, to spot runaway clients
+function BusiestUsers({ adminState, onSelect }) {
+  const { rates, rateWindow, setRateWindow } = adminState;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-gray-900">Busiest users</h3>
+        <select
+          value={rateWindow}
+          onChange={(e) => setRateWindow(Number(e.target.value))}
+          className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+        >
+          {Object.entries(RATE_WINDOWS).map(([seconds, label]) => (
+            <option key={seconds} value={seconds}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {rates.length === 0 ? (
+        <p className="text-gray-500">No updates in this window</p>
+      ) : (
+        <ul className="space-y-1">
+          {rates.map(rate => (
+            <li key={rate.userId} className="flex justify-between">
+              <button onClick={() => onSelect(rate.userId)} className="text-blue-600 hover:underline truncate">
+                {rate.username ?? rate.userId}
+              </button>
+              <span className="text-gray-500 whitespace-nowrap ml-2">{rate.points} · {rate.perMinute}/min</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function AdminDashboard({ session, onLogout }) {
+  const adminState = useAdmin();
+  const { stats, users, total, offset, setOffset, searchFor, refresh } = adminState;
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(null);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    searchFor(query);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm border-b border-gray-200 px-4 py-4 flex items-center justify-between">
+        <div>
+          <h1 className="text-xl font-bold text-gray-900">🛠️ Localo admin</h1>
+          <p className="text-sm text-gray-500">Signed in as {session.user.username}</p>
+        </div>
+        <div className="flex gap-2 text-sm">
+          <button onClick={refresh} className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">Refresh</button>
+          <a href="/" className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">Map</a>
+          <button onClick={onLogout} className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">Log out</button>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto p-4 space-y-4">
+        <Stats stats={stats} />
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 p-4 text-sm">
+            <form onSubmit={handleSearch} className="flex gap-2 mb-3">
+              <input
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search by username or user id"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <button type="submit" className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg">
+                Search
+              </button>
+            </form>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-left">
+                <thead className="text-gray-500 border-b border-gray-200">
+                  <tr>
+                    <th className="py-2 pr-2">User</th>
+                    <th className="py-2 pr-2">Status</th>
+                    <th className="py-2 pr-2">Last seen</th>
+                    <th className="py-2 text-right">Updates (1 h)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map(user => (
+                    <tr
+                      key={user.userId}
+                      onClick={() => setSelected(user.userId)}
+                      className={`border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${selected === user.userId ? 'bg-blue-50' : ''}`}
+                    >
+                      <td className="py-2 pr-2">
+                        <p className="font-medium text-gray-900">{user.username ?? 'No account'}</p>
+                        <p className="text-xs text-gray-500 font-mono truncate">{user.userId}</p>
+                      </td>
+                      <td className="py-2 pr-2">{user.live ? '🟢 Live' : user.isTracking ? '🟡 Tracking' : '⚫ Stopped'}</td>
+                      <td className="py-2 pr-2">{formatTime(user.lastSeen)}</td>
+                      <td className="py-2 text-right">{user.updatesLastHour}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {users.length === 0 && <p className="text-gray-500 py-4 text-center">No users found</p>}
+            </div>
+
+            <div className="flex items-center justify-between mt-3 text-gray-500">
+              <span>{total === 0 ? '0' : `${offset + 1}–${offset + users.length}`} of {total}</span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                  disabled={offset === 0}
+                  className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setOffset(offset + PAGE_SIZE)}
+                  disabled={offset + PAGE_SIZE >= total}
+                  className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            {selected && (
+              <UserDetail key={selected} userId={selected} adminState={adminState} onClose={() => setSelected(null)} />
+            )}
+            <BusiestUsers adminState={adminState} onSelect={setSelected} />
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+// Support page (/admin) for the usernames in the server's ADMIN_USERS
+export default function Admin() {
+  const [session, setSession] = useState(loadSession);
+  const [isAdmin, setIsAdmin] = useState(null);
+
+  const handleLogin = useCallback((newSession) => {
+    saveSession(newSession);
+    setSession(newSession);
+    setIsAdmin(null);
+  }, []);
+
+  const handleLogout = useCallback(() => {
+    clearSession();
+    setSession(null);
+    setIsAdmin(null);
+  }, []);
+
+  useEffect(() => {
+    onUnauthorized(handleLogout);
+    return () => onUnauthorized(null);
+  }, [handleLogout]);
+
+  useEffect(() => {
+    if (!session?.token) return;
+    apiRequest('/auth/me').then(data => setIsAdmin(Boolean(data?.user?.isAdmin)));
+  }, [session]);
+
+  if (!session?.token) {
+    return <Login onLogin={handleLogin} />;
+  }
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="text-center space-y-3">
+          <p className="text-gray-600">{isAdmin === null ? 'Loading…' : 'Admin access required'}</p>
+          {isAdmin === false && (
+            <div className="flex gap-2 justify-center text-sm">
+              <a href="/" className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">Back to the map</a>
+              <button onClick={handleLogout} className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                Switch account
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return <AdminDashboard session={session} onLogout={handleLogout} />;
+}
@@ -1,7 +1,20 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, Circle, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
+import { io } from 'socket.io-client';
 import 'leaflet/dist/leaflet.css';
+import { CONFIG } from './config';
+import { apiRequest, loadSession, saveSession, clearSession, onUnauthorized } from './api';
+import Login from './Login';
+import CircleSwitcher from './CircleSwitcher';
+import { useCircles } from './circles';
+import { GeofenceLayer, GeofencePanel } from './Geofences';
+import { useGeofences } from './geofences';
+import { HistoryLayer, HistoryPanel } from './HistoryPlayback';
+import { useHistoryPlayback } from './history';
+import { useLocationSender } from './offlineQueue';
+import SharingPanel from './SharingPanel';
+import { useSharing, PRECISION_RADIUS } from './sharing';
 
 // Fix Leaflet default icon
 delete L.Icon.Default.prototype._getIconUrl;
@@ -11,32 +24,7 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
-// Configuration
-const CONFIG = {
-  apiUrl: 'http://localhost:3001/api',
-  pollingInterval: 3000,
-  heartbeatInterval: 30000,
-  geocodeCacheTime: 5 * 60 * 1000, // 5 minutes
-  locationUpdateThrottle: 2000, // 2 seconds
-  maxRetries: 3
-};
-
 // Custom hooks
-function useUserId() {
-  const [userId, setUserId] = useState(null);
-
-  useEffect(() => {
-    let id = localStorage.getItem('localo-user-id');
-    if (!id) {
-      id = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      localStorage.setItem('localo-user-id', id);
-    }
-    setUserId(id);
-  }, []);
-
-  return userId;
-}
-
 function useGeolocation(enabled) {
   const [location, setLocation] = useState(null);
   const [error, setError] = useState(null);
@@ -57,8 +45,8 @@ function useGeolocation(enabled) {
     };
 
     const handleSuccess = (position) => {
-      const { latitude, longitude, accuracy } = position.coords;
-      setLocation({ lat: latitude, lng: longitude, accuracy });
+      const { latitude, longitude, accuracy, altitude, heading, speed } = position.coords;
+      setLocation({ lat: latitude, lng: longitude, accuracy, altitude, heading, speed, timestamp: position.timestamp });
       setError(null);
     };
 
@@ -79,66 +67,6 @@ function useGeolocation(enabled) {
   return { location, error };
 }
 
-// Geocoding cache
-const geocodeCache = new Map();
-
-async function reverseGeocode(lat, lng) {
-  const key = `${lat.toFixed(4)},${lng.toFixed(4)}`;
-  
-  const cached = geocodeCache.get(key);
-  if (cached && Date.now() - cached.timestamp < CONFIG.geocodeCacheTime) {
-    return cached.address;
-  }
-
-  try {
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=16`,
-      { headers: { 'Accept-Language': 'en' } }
-    );
-    
-    if (!response.ok) throw new Error('Geocoding failed');
-    
-    const data = await response.json();
-    const address = data.display_name || 'Unknown location';
-    
-    geocodeCache.set(key, { address, timestamp: Date.now() });
-    
-    // Clear old cache entries
-    if (geocodeCache.size > 100) {
-      const oldestKey = geocodeCache.keys().next().value;
-      geocodeCache.delete(oldestKey);
-    }
-    
-    return address;
-  } catch (err) {
-    return 'Location unavailable';
-  }
-}
-
-// API client with retry logic
-async function apiRequest(endpoint, options = {}, retries = CONFIG.maxRetries) {
-  try {
-    const response = await fetch(`${CONFIG.apiUrl}${endpoint}`, {
-      headers: { 'Content-Type': 'application/json' },
-      ...options
-    });
-
-    if (!response.ok && retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      return apiRequest(endpoint, options, retries - 1);
-    }
-
-    return response.ok ? await response.json() : null;
-  } catch (error) {
-    if (retries > 0) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      return apiRequest(endpoint, options, retries - 1);
-    }
-    console.error('API request failed:', error);
-    return null;
-  }
-}
-
 // Memoized marker icon
 const userIcon = L.divIcon({
   className: 'custom-marker',
@@ -167,49 +95,108 @@ function MapUpdater({ center }) {
   return null;
 }
 
+// Map view as a bbox query value (west,south,east,north), padded so small
+// pans don't drop markers at the edges
+function toBbox(bounds) {
+  const padded = bounds.pad(0.2);
+  const south = Math.max(-90, padded.getSouth());
+  const north = Math.min(90, padded.getNorth());
+  const wholeWorld = padded.getEast() - padded.getWest() >= 360;
+  const west = wholeWorld ? -180 : L.Util.wrapNum(padded.getWest(), [-180, 180], true);
+  const east = wholeWorld ? 180 : L.Util.wrapNum(padded.getEast(), [-180, 180], true);
+  return [west, south, east, north].map(value => value.toFixed(5)).join(',');
+}
+
+// Reports the visible area whenever the map settles
+function ViewportWatcher({ onChange }) {
+  const map = useMapEvents({
+    moveend: () => onChange(toBbox(map.getBounds())),
+  });
+
+  useEffect(() => {
+    onChange(toBbox(map.getBounds()));
+  }, [map, onChange]);
+
+  return null;
+}
+
 // User marker component (memoized)
-const UserMarker = React.memo(({ position, isCurrentUser, name, address }) => (
-  <Marker position={position} icon={isCurrentUser ? userIcon : otherIcon}>
-    <Popup>
-      <div className="text-center">
-        <p className={`font-semibold ${isCurrentUser ? 'text-blue-600' : 'text-red-600'}`}>
-          {name}
-        </p>
-        {address && <p className="text-xs text-gray-600 mt-1">{address}</p>}
-      </div>
-    </Popup>
-  </Marker>
+const blurStyle = { color: '#ef4444', weight: 1, dashArray: '4 4', fillOpacity: 0.08 };
+
+// Users sharing a blurred position also get a ring showing how rough it is
+const UserMarker = React.memo(({ position, isCurrentUser, name, address, precision }) => (
+  <>
+    {PRECISION_RADIUS[precision] && (
+      <Circle center={position} radius={PRECISION_RADIUS[precision]} pathOptions={blurStyle} />
+    )}
+    <Marker position={position} icon={isCurrentUser ? userIcon : otherIcon}>
+      <Popup>
+        <div className="text-center">
+          <p className={`font-semibold ${isCurrentUser ? 'text-blue-600' : 'text-red-600'}`}>
+            {name}
+          </p>
+          {address && <p className="text-xs text-gray-600 mt-1">{address}</p>}
+          {PRECISION_RADIUS[precision] && (
+            <p className="text-xs text-gray-500 mt-1">Approximate location</p>
+          )}
+        </div>
+      </Popup>
+    </Marker>
+  </>
 ));
 
-function App() {
+function Dashboard({ session, onLogout }) {
   const [isTracking, setIsTracking] = useState(false);
   const [users, setUsers] = useState({});
   const [locationName, setLocationName] = useState('');
   const [isConnected, setIsConnected] = useState(false);
+  const [isLive, setIsLive] = useState(false);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [error, setError] = useState(null);
+  const [viewBbox, setViewBbox] = useState(null);
 
-  const userId = useUserId();
+  const { userId, username } = session.user;
   const { location, error: geoError } = useGeolocation(isTracking);
+  const circleState = useCircles();
+  const { members, join: joinCircle, refresh: refreshCircles } = circleState;
+  const circleId = circleState.selected?.id ?? null;
+  const geofenceState = useGeofences(circleId);
+  const { addEvent: addGeofenceEvent } = geofenceState;
+  const playback = useHistoryPlayback();
+  const sharingState = useSharing();
+  const { send: sendLocation, flush: flushQueued, pending: queuedFixes } = useLocationSender(userId);
   
   const lastLocationUpdateRef = useRef(0);
   const pollingTimeoutRef = useRef(null);
+  const socketRef = useRef(null);
+  const circleIdRef = useRef(circleId);
+  const fetchUsersRef = useRef(null);
   const heartbeatTimeoutRef = useRef(null);
 
   // Register user on mount
   useEffect(() => {
     if (!userId) return;
 
-    apiRequest('/users/register', {
-      method: 'POST',
-      body: JSON.stringify({ userId })
-    }).then(result => {
+    apiRequest('/users/register', { method: 'POST' }).then(result => {
       if (result?.success) {
         setIsConnected(true);
       }
     });
   }, [userId]);
 
+  // Accept an invite link (?join=<code>)
+  useEffect(() => {
+    const code = new URLSearchParams(window.location.search).get('join');
+    if (!code) return;
+
+    window.history.replaceState(null, '', window.location.pathname);
+    joinCircle(code).then(result => {
+      if (result?.error) {
+        setError(result.error);
+      }
+    });
+  }, [joinCircle]);
+
   // Update geolocation error
   useEffect(() => {
     if (geoError) {
@@ -227,47 +214,136 @@ function App() {
     }
 
     lastLocationUpdateRef.current = now;
+    sendLocation({ location, capturedAt: location.timestamp });
+  }, [location, isTracking, userId, sendLocation]);
+
+  // Replace the whole user map (snapshot or poll result)
+  const replaceUsers = useCallback((list) => {
+    const usersMap = {};
+    list.forEach(user => {
+      if (user.userId !== userId) {
+        usersMap[user.userId] = user;
+      }
+    });
+    setUsers(usersMap);
+    setLastUpdate(new Date());
+  }, [userId]);
 
-    (async () => {
-      const address = await reverseGeocode(location.lat, location.lng);
-      setLocationName(address);
-
-      await apiRequest('/location/update', {
-        method: 'POST',
-        body: JSON.stringify({
-          userId,
-          location,
-          address,
-          isTracking: true
-        })
-      });
-    })();
-  }, [location, isTracking, userId]);
+  // Snapshot of the circle on screen, limited to the map view
+  const fetchUsers = useCallback(async () => {
+    if (!circleId) {
+      replaceUsers([]);
+      return;
+    }
 
-  // Polling for active users
-  const pollUsers = useCallback(async () => {
+    const area = viewBbox ? `&bbox=${viewBbox}` : '';
+    const data = await apiRequest(`/users/active?circleId=${circleId}${area}`);
+    if (data?.users && circleIdRef.current === circleId) {
+      replaceUsers(data.users);
+    }
+  }, [circleId, viewBbox, replaceUsers]);
+
+  useEffect(() => {
+    circleIdRef.current = circleId;
+    fetchUsersRef.current = fetchUsers;
+    fetchUsers();
+  }, [circleId, fetchUsers]);
+
+  // Live updates over Socket.IO
+  useEffect(() => {
     if (!userId) return;
 
-    const data = await apiRequest('/users/active');
-    
-    if (data?.users) {
-      const usersMap = {};
-      data.users.forEach(user => {
-        if (user.userId !== userId) {
-          usersMap[user.userId] = user;
+    const socket = io(CONFIG.socketUrl, {
+      withCredentials: true,
+      auth: { token: session.token }
+    });
+    socketRef.current = socket;
+
+    // Events arrive once per shared circle; only the one on screen matters
+    const onScreen = (payload) => payload.circleId === circleIdRef.current;
+
+    socket.on('connect', () => {
+      setIsLive(true);
+      fetchUsersRef.current?.();
+    });
+    socket.on('disconnect', () => setIsLive(false));
+    socket.on('connect_error', () => setIsLive(false));
+
+    socket.on('circles:changed', () => refreshCircles());
+
+    socket.on('location:update', (user) => {
+      // Our own updates come back with the address the server looked up
+      if (user.userId === userId) {
+        if (user.address) setLocationName(user.address);
+        return;
+      }
+      if (!onScreen(user)) return;
+      setUsers(prev => {
+        const next = { ...prev };
+        if (user.isTracking) {
+          next[user.userId] = user;
+        } else {
+          delete next[user.userId];
         }
+        return next;
       });
-      setUsers(usersMap);
       setLastUpdate(new Date());
+    });
+
+    socket.on('location:stop', (payload) => {
+      if (!onScreen(payload)) return;
+      const stoppedId = payload.userId;
+      setUsers(prev => {
+        if (!prev[stoppedId]) return prev;
+        const next = { ...prev };
+        delete next[stoppedId];
+        return next;
+      });
+    });
+
+    socket.on('geofence:event', (event) => {
+      if (onScreen(event)) addGeofenceEvent(event);
+    });
+
+    socket.on('user:heartbeat', (payload) => {
+      if (!onScreen(payload)) return;
+      const { userId: id, lastSeen } = payload;
+      setUsers(prev => prev[id] ? { ...prev, [id]: { ...prev[id], lastSeen } } : prev);
+    });
+
+    return () => {
+      socket.disconnect();
+      socketRef.current = null;
+      setIsLive(false);
+    };
+  }, [userId, session.token, refreshCircles, addGeofenceEvent]);
+
+  // Polling fallback: only hits the API while the socket is down
+  const pollUsers = useCallback(async () => {
+    if (!userId) return;
+
+    if (socketRef.current?.connected) {
+      // Drop users whose stop we may have missed
+      const cutoff = Date.now() - CONFIG.staleUserThreshold;
+      setUsers(prev => {
+        const stale = Object.keys(prev).filter(id => new Date(prev[id].lastSeen).getTime() < cutoff);
+        if (stale.length === 0) return prev;
+        const next = { ...prev };
+        stale.forEach(id => delete next[id]);
+        return next;
+      });
+    } else {
+      await fetchUsers();
     }
 
     pollingTimeoutRef.current = setTimeout(pollUsers, CONFIG.pollingInterval);
-  }, [userId]);
+  }, [userId, fetchUsers]);
 
+  // First tick waits a full interval; the snapshot effect covers the initial load
   useEffect(() => {
     if (!userId) return;
     
-    pollUsers();
+    pollingTimeoutRef.current = setTimeout(pollUsers, CONFIG.pollingInterval);
     
     return () => {
       if (pollingTimeoutRef.current) {
@@ -280,10 +356,7 @@ function App() {
   const sendHeartbeat = useCallback(async () => {
     if (!userId || !isTracking) return;
 
-    await apiRequest('/heartbeat', {
-      method: 'POST',
-      body: JSON.stringify({ userId })
-    });
+    await apiRequest('/heartbeat', { method: 'POST' });
 
     heartbeatTimeoutRef.current = setTimeout(sendHeartbeat, CONFIG.heartbeatInterval);
   }, [userId, isTracking]);
@@ -315,12 +388,19 @@ function App() {
     setIsTracking(false);
     
     if (userId) {
-      await apiRequest('/location/stop', {
-        method: 'POST',
-        body: JSON.stringify({ userId })
-      });
+      // Deliver queued fixes first so the stop isn't overtaken by them
+      await flushQueued();
+      await apiRequest('/location/stop', { method: 'POST' });
     }
-  }, [userId]);
+  }, [userId, flushQueued]);
+
+  // Sign out (stops sharing first so our marker doesn't linger)
+  const signOut = useCallback(async () => {
+    if (isTracking) {
+      await stopTracking();
+    }
+    onLogout();
+  }, [isTracking, stopTracking, onLogout]);
 
   // Memoized map center
   const mapCenter = useMemo(() => 
@@ -328,6 +408,12 @@ function App() {
     [location]
   );
 
+  // Display names of the circle's members
+  const memberNames = useMemo(() =>
+    Object.fromEntries(members.map(member => [member.userId, member.username])),
+    [members]
+  );
+
   // Memoized user markers
   const userMarkers = useMemo(() => 
     Object.entries(users).map(([id, data]) => 
@@ -336,14 +422,23 @@ function App() {
           key={id}
           position={[data.location.lat, data.location.lng]}
           isCurrentUser={false}
-          name={`User ${id.substring(0, 8)}`}
+          name={memberNames[id] || `User ${id.substring(0, 8)}`}
           address={data.address}
+          precision={data.precision}
         />
       ) : null
     ).filter(Boolean),
-    [users]
+    [users, memberNames]
   );
 
+  // People whose route we may replay: ourselves plus the circle's members
+  const people = useMemo(() => [
+    { userId, name: 'You' },
+    ...members
+      .filter(member => member.userId !== userId)
+      .map(member => ({ userId: member.userId, name: member.username || member.userId }))
+  ], [userId, members]);
+
   const secondsAgo = lastUpdate ? Math.round((Date.now() - lastUpdate) / 1000) : null;
 
   return (
@@ -357,7 +452,7 @@ function App() {
               </div>
               <div>
                 <h1 className="text-2xl font-bold text-gray-900">Localo</h1>
-                <p className="text-xs text-gray-500">Optimized Polling</p>
+                <p className="text-xs text-gray-500">{isLive ? 'Live updates' : 'Polling fallback'}</p>
               </div>
             </div>
             <div className="flex items-center space-x-4">
@@ -370,6 +465,13 @@ function App() {
                   <span className="text-xs text-gray-500">{secondsAgo}s ago</span>
                 )}
               </div>
+              <span className="text-sm text-gray-700 font-medium">{username}</span>
+              <button
+                onClick={signOut}
+                className="text-sm text-gray-500 hover:text-gray-900"
+              >
+                Sign out
+              </button>
             </div>
           </div>
         </div>
@@ -393,6 +495,11 @@ function App() {
                   ? '🟢 Tracking active - Updates every 2s'
                   : '⚫ Tracking inactive'}
               </p>
+              {queuedFixes > 0 && (
+                <p className="text-sm text-amber-600 mt-1">
+                  📴 {queuedFixes} location{queuedFixes === 1 ? '' : 's'} saved offline, will sync when back online
+                </p>
+              )}
             </div>
             <button
               onClick={isTracking ? stopTracking : startTracking}
@@ -407,6 +514,8 @@ function App() {
           </div>
         </div>
 
+        <CircleSwitcher userId={userId} circleState={circleState} />
+
         <div className="bg-white rounded-xl shadow-lg overflow-hidden">
           <div className="h-[600px]">
             <MapContainer
@@ -419,7 +528,8 @@ function App() {
                 attribution='&copy; OpenStreetMap'
                 url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
               />
-              <MapUpdater center={location ? [location.lat, location.lng] : null} />
+              <MapUpdater center={location && !playback.track ? [location.lat, location.lng] : null} />
+              <ViewportWatcher onChange={setViewBbox} />
               
               {location && (
                 <UserMarker
@@ -430,11 +540,35 @@ function App() {
                 />
               )}
 
+              <GeofenceLayer
+                fences={geofenceState.fences}
+                draft={geofenceState.draft}
+                setDraft={geofenceState.setDraft}
+                onSelect={geofenceState.edit}
+              />
+
               {userMarkers}
+
+              <HistoryLayer
+                points={playback.points}
+                current={playback.current}
+                focus={playback.focus}
+                stays={playback.analysis?.stays ?? []}
+              />
             </MapContainer>
           </div>
         </div>
 
+        <HistoryPanel playback={playback} people={people} />
+
+        <GeofencePanel
+          geofenceState={geofenceState}
+          memberNames={memberNames}
+          disabled={!circleId}
+        />
+
+        <SharingPanel sharingState={sharingState} circle={circleState.selected} />
+
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-6">
           <div className="bg-white rounded-lg shadow p-4">
             <h3 className="font-semibold text-gray-700 mb-2">Optimized</h3>
@@ -445,7 +579,7 @@ function App() {
           <div className="bg-white rounded-lg shadow p-4">
             <h3 className="font-semibold text-gray-700 mb-2">Privacy</h3>
             <p className="text-sm text-gray-600">
-              Location only shared while tracking. Stop anytime.
+              Location only shared while tracking. Blur it per circle or pause anytime.
             </p>
           </div>
           <div className="bg-white rounded-lg shadow p-4">
@@ -463,4 +597,30 @@ function App() {
   );
 }
 
+function App() {
+  const [session, setSession] = useState(loadSession);
+
+  const handleLogin = useCallback((newSession) => {
+    saveSession(newSession);
+    setSession(newSession);
+  }, []);
+
+  const handleLogout = useCallback(() => {
+    clearSession();
+    setSession(null);
+  }, []);
+
+  // Expired or revoked token: back to the login screen
+  useEffect(() => {
+    onUnauthorized(handleLogout);
+    return () => onUnauthorized(null);
+  }, [handleLogout]);
+
+  if (!session?.token) {
+    return <Login onLogin={handleLogin} />;
+  }
+
+  return <Dashboard key={session.user.userId} session={session} onLogout={handleLogout} />;
+}
+
 export default App;
\ No newline at end of file
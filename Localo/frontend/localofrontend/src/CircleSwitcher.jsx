@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { inviteLink } from './circles';
+
+// Circle picker plus create/join/invite/leave controls
+function CircleSwitcher({ userId, circleState }) {
+  const { circles, selected, members, select, create, join, leave, rotateInvite, setRole } = circleState;
+  const [newName, setNewName] = useState('');
+  const [code, setCode] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const isOwner = selected?.role === 'owner';
+
+  const run = async (action, success) => {
+    setMessage(null);
+    const result = await action();
+    if (result?.error) {
+      setMessage({ type: 'error', text: result.error });
+    } else if (result) {
+      setMessage(success ? { type: 'info', text: success } : null);
+    } else {
+      setMessage({ type: 'error', text: 'Unable to reach the server' });
+    }
+    return result;
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const result = await run(() => create(newName.trim()), 'Circle created');
+    if (result?.circle) setNewName('');
+  };
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    const result = await run(() => join(code.trim()), 'Joined circle');
+    if (result?.circle) setCode('');
+  };
+
+  const copyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink(selected.inviteCode));
+      setMessage({ type: 'info', text: 'Invite link copied' });
+    } catch {
+      setMessage({ type: 'info', text: inviteLink(selected.inviteCode) });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+        <div className="flex-1">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Circles</h2>
+          {circles.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              You're not in any circle yet. Create one or join with an invite code to see others.
+            </p>
+          ) : (
+            <div className="flex flex-wrap items-center gap-2">
+              <select
+                value={selected?.id ?? ''}
+                onChange={(e) => select(Number(e.target.value))}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {circles.map(circle => (
+                  <option key={circle.id} value={circle.id}>
+                    {circle.name} ({circle.memberCount})
+                  </option>
+                ))}
+              </select>
+              <span className="text-xs text-gray-500">
+                Invite code <span className="font-mono font-semibold">{selected.inviteCode}</span>
+              </span>
+              <button onClick={copyInvite} className="text-sm text-blue-600 hover:underline">
+                Copy link
+              </button>
+              {isOwner && (
+                <button
+                  onClick={() => run(() => rotateInvite(selected.id), 'New invite code generated')}
+                  className="text-sm text-gray-600 hover:underline"
+                >
+                  New code
+                </button>
+              )}
+              <button
+                onClick={() => run(() => leave(selected.id), 'Left circle')}
+                className="text-sm text-red-600 hover:underline"
+              >
+                Leave
+              </button>
+            </div>
+          )}
+
+          {members.length > 0 && (
+            <ul className="mt-3 flex flex-wrap gap-2">
+              {members.map(member => (
+                <li key={member.userId} className="text-xs bg-gray-100 rounded-full px-3 py-1 text-gray-700">
+                  {member.username || member.userId}
+                  {member.role === 'owner' && ' ★'}
+                  {isOwner && member.userId !== userId && (
+                    <button
+                      onClick={() => run(() => setRole(
+                        selected.id,
+                        member.userId,
+                        member.role === 'owner' ? 'member' : 'owner'
+                      ))}
+                      className="ml-2 text-blue-600 hover:underline"
+                    >
+                      {member.role === 'owner' ? 'Make member' : 'Make owner'}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex flex-col gap-2 md:w-72">
+          <form onSubmit={handleCreate} className="flex gap-2">
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New circle name"
+              maxLength={64}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <button type="submit" disabled={!newName.trim()} className="px-3 py-2 rounded-lg text-sm font-semibold text-white bg-blue-500 hover:bg-blue-600 disabled:opacity-50">
+              Create
+            </button>
+          </form>
+          <form onSubmit={handleJoin} className="flex gap-2">
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Invite code"
+              maxLength={8}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono uppercase"
+            />
+            <button type="submit" disabled={code.trim().length !== 8} className="px-3 py-2 rounded-lg text-sm font-semibold text-white bg-indigo-500 hover:bg-indigo-600 disabled:opacity-50">
+              Join
+            </button>
+          </form>
+        </div>
+      </div>
+
+      {message && (
+        <p className={`text-sm mt-3 ${message.type === 'error' ? 'text-red-600' : 'text-gray-600'}`}>
+          {message.type === 'error' ? '⚠️ ' : ''}{message.text}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default CircleSwitcher;
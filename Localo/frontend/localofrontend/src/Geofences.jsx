@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { Circle, Polygon, Marker, Tooltip, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { newDraft, isDraftComplete } from './geofences';
+
+const fenceStyle = { color: '#10b981', weight: 2, fillOpacity: 0.1 };
+const draftStyle = { color: '#f59e0b', weight: 2, dashArray: '6 4', fillOpacity: 0.15 };
+
+const handleIcon = L.divIcon({
+  className: 'custom-marker',
+  html: `<div style="width:14px;height:14px;background:#f59e0b;border:2px solid white;border-radius:50%;box-shadow:0 1px 4px rgba(0,0,0,0.3);"></div>`,
+  iconSize: [14, 14],
+  iconAnchor: [7, 7],
+});
+
+const toLatLng = (point) => [point.lat, point.lng];
+
+// Fences plus the draft being drawn (click to place, drag handles to edit)
+export function GeofenceLayer({ fences, draft, setDraft, onSelect }) {
+  useMapEvents({
+    click(e) {
+      if (!draft) return;
+      const point = { lat: e.latlng.lat, lng: e.latlng.lng };
+      setDraft(prev => prev.shape === 'circle'
+        ? { ...prev, center: point }
+        : { ...prev, points: [...prev.points, point] });
+    },
+  });
+
+  const moveVertex = (index, latlng) => {
+    setDraft(prev => ({
+      ...prev,
+      points: prev.points.map((p, i) => (i === index ? { lat: latlng.lat, lng: latlng.lng } : p)),
+    }));
+  };
+
+  return (
+    <>
+      {fences.filter(fence => fence.id !== draft?.id).map(fence => {
+        const handlers = { click: () => !draft && onSelect(fence) };
+        return fence.shape === 'circle' ? (
+          <Circle key={fence.id} center={toLatLng(fence.center)} radius={fence.radius} pathOptions={fenceStyle} eventHandlers={handlers}>
+            <Tooltip>{fence.name}</Tooltip>
+          </Circle>
+        ) : (
+          <Polygon key={fence.id} positions={fence.points.map(toLatLng)} pathOptions={fenceStyle} eventHandlers={handlers}>
+            <Tooltip>{fence.name}</Tooltip>
+          </Polygon>
+        );
+      })}
+
+      {draft?.shape === 'circle' && draft.center && (
+        <>
+          <Circle center={toLatLng(draft.center)} radius={draft.radius} pathOptions={draftStyle} />
+          <Marker
+            position={toLatLng(draft.center)}
+            icon={handleIcon}
+            draggable
+            eventHandlers={{
+              dragend: (e) => {
+                const { lat, lng } = e.target.getLatLng();
+                setDraft(prev => ({ ...prev, center: { lat, lng } }));
+              },
+            }}
+          />
+        </>
+      )}
+
+      {draft?.shape === 'polygon' && draft.points.length > 0 && (
+        <>
+          <Polygon positions={draft.points.map(toLatLng)} pathOptions={draftStyle} />
+          {draft.points.map((point, index) => (
+            <Marker
+              key={index}
+              position={toLatLng(point)}
+              icon={handleIcon}
+              draggable
+              eventHandlers={{ dragend: (e) => moveVertex(index, e.target.getLatLng()) }}
+            />
+          ))}
+        </>
+      )}
+    </>
+  );
+}
+
+// Place list, draft editor and the ENTER/EXIT log
+export function GeofencePanel({ geofenceState, memberNames, disabled }) {
+  const { fences, events, draft, setDraft, edit, save, remove } = geofenceState;
+  const [message, setMessage] = useState(null);
+
+  const handleSave = async () => {
+    setMessage(null);
+    const result = await save();
+    if (result?.error) setMessage(result.error);
+    else if (!result) setMessage('Unable to reach the server');
+  };
+
+  const handleRemove = async (id) => {
+    setMessage(null);
+    const result = await remove(id);
+    if (result?.error) setMessage(result.error);
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-6">
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-semibold text-gray-700">Places</h3>
+          {!draft && (
+            <div className="flex gap-2">
+              <button
+                onClick={() => setDraft(newDraft('circle'))}
+                disabled={disabled}
+                className="text-sm text-blue-600 hover:underline disabled:opacity-50"
+              >
+                + Circle
+              </button>
+              <button
+                onClick={() => setDraft(newDraft('polygon'))}
+                disabled={disabled}
+                className="text-sm text-blue-600 hover:underline disabled:opacity-50"
+              >
+                + Polygon
+              </button>
+            </div>
+          )}
+        </div>
+
+        {draft ? (
+          <div className="space-y-3">
+            <input
+              value={draft.name}
+              onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Place name"
+              maxLength={64}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            {draft.shape === 'circle' ? (
+              <div>
+                <p className="text-xs text-gray-500 mb-1">
+                  {draft.center ? 'Drag the handle to move the center.' : 'Click the map to set the center.'}
+                </p>
+                <label className="text-xs text-gray-600">Radius: {draft.radius} m</label>
+                <input
+                  type="range"
+                  min={10}
+                  max={2000}
+                  step={10}
+                  value={draft.radius}
+                  onChange={(e) => setDraft(prev => ({ ...prev, radius: Number(e.target.value) }))}
+                  className="w-full"
+                />
+              </div>
+            ) : (
+              <div className="flex items-center justify-between">
+                <p className="text-xs text-gray-500">
+                  Click the map to add corners ({draft.points.length} so far, 3 needed). Drag to adjust.
+                </p>
+                <button
+                  onClick={() => setDraft(prev => ({ ...prev, points: prev.points.slice(0, -1) }))}
+                  disabled={draft.points.length === 0}
+                  className="text-xs text-gray-600 hover:underline disabled:opacity-50"
+                >
+                  Undo
+                </button>
+              </div>
+            )}
+            <div className="flex gap-2">
+              <button
+                onClick={handleSave}
+                disabled={!isDraftComplete(draft)}
+                className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-green-500 hover:bg-green-600 disabled:opacity-50"
+              >
+                {draft.id ? 'Save changes' : 'Save place'}
+              </button>
+              <button
+                onClick={() => setDraft(null)}
+                className="px-4 py-2 rounded-lg text-sm text-gray-700 bg-gray-100 hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : fences.length === 0 ? (
+          <p className="text-sm text-gray-500">No places yet. Add one to log arrivals and departures.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {fences.map(fence => (
+              <li key={fence.id} className="flex items-center justify-between py-2 text-sm">
+                <span className="text-gray-700">
+                  {fence.name}
+                  <span className="text-xs text-gray-400 ml-2">
+                    {fence.shape === 'circle' ? `${fence.radius} m` : `${fence.points.length} corners`}
+                  </span>
+                </span>
+                <span className="flex gap-3">
+                  <button onClick={() => edit(fence)} className="text-blue-600 hover:underline">Edit</button>
+                  <button onClick={() => handleRemove(fence.id)} className="text-red-600 hover:underline">Delete</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {message && <p className="text-sm text-red-600 mt-2">⚠️ {message}</p>}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4">
+        <h3 className="font-semibold text-gray-700 mb-3">Arrivals &amp; departures</h3>
+        {events.length === 0 ? (
+          <p className="text-sm text-gray-500">No place events yet.</p>
+        ) : (
+          <ul className="space-y-1 max-h-64 overflow-y-auto text-sm">
+            {events.map((event, index) => (
+              <li key={event.id ?? `${event.occurredAt}-${index}`} className="flex justify-between">
+                <span className="text-gray-700">
+                  <span className={event.event === 'ENTER' ? 'text-green-600' : 'text-orange-600'}>
+                    {event.event === 'ENTER' ? '→' : '←'}
+                  </span>{' '}
+                  {event.username || memberNames[event.userId] || event.userId}{' '}
+                  {event.event === 'ENTER' ? 'arrived at' : 'left'} {event.geofenceName}
+                </span>
+                <span className="text-xs text-gray-400">
+                  {new Date(event.occurredAt).toLocaleTimeString()}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
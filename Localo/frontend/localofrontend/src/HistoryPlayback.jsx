@@ -0,0 +1,302 @@
+import React, { useState, useEffect } from 'react';
+import { Polyline, CircleMarker, Marker, Popup, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { SPEEDS, EXPORT_FORMATS, toLocalInput } from './history';
+
+const playheadIcon = L.divIcon({
+  className: 'custom-marker',
+  html: `<div style="width:20px;height:20px;background:#8b5cf6;border:3px solid white;border-radius:50%;box-shadow:0 2px 8px rgba(0,0,0,0.3);"></div>`,
+  iconSize: [20, 20],
+  iconAnchor: [10, 10],
+});
+
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+const formatDistance = (meters) => meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${meters} m`;
+const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Route polyline and the animated playhead
+export function HistoryLayer({ points, current, focus, stays }) {
+  const map = useMap();
+
+  // Frame the whole route when a new track loads
+  useEffect(() => {
+    if (points.length > 1) {
+      map.fitBounds(points.map(p => [p.lat, p.lng]), { padding: [40, 40] });
+    } else if (points.length === 1) {
+      map.setView([points[0].lat, points[0].lng], map.getZoom());
+    }
+  }, [points, map]);
+
+  // Click-to-zoom from the trip and stay lists
+  useEffect(() => {
+    if (focus) {
+      map.fitBounds(focus, { padding: [40, 40] });
+    }
+  }, [focus, map]);
+
+  if (points.length === 0) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return (
+    <>
+      <Polyline positions={points.map(p => [p.lat, p.lng])} pathOptions={{ color: '#8b5cf6', weight: 4, opacity: 0.7 }} />
+      <CircleMarker center={[first.lat, first.lng]} radius={6} pathOptions={{ color: '#10b981', fillOpacity: 1 }} />
+      <CircleMarker center={[last.lat, last.lng]} radius={6} pathOptions={{ color: '#ef4444', fillOpacity: 1 }} />
+      {stays.map(stay => (
+        <CircleMarker
+          key={stay.arrivedAt}
+          center={[stay.center.lat, stay.center.lng]}
+          radius={9}
+          pathOptions={{ color: '#f59e0b', fillOpacity: 0.4 }}
+        >
+          <Popup>
+            <div className="text-center">
+              <p className="font-semibold text-amber-600">Stayed {formatDuration(stay.duration * 1000)}</p>
+              <p className="text-xs text-gray-600">{formatTime(stay.arrivedAt)} – {formatTime(stay.departedAt)}</p>
+              {stay.address && <p className="text-xs text-gray-600 mt-1">{stay.address}</p>}
+            </div>
+          </Popup>
+        </CircleMarker>
+      ))}
+      {current && (
+        <Marker position={[current.lat, current.lng]} icon={playheadIcon}>
+          <Popup>
+            <div className="text-center">
+              <p className="font-semibold text-purple-600">{new Date(current.t).toLocaleString()}</p>
+              {current.address && <p className="text-xs text-gray-600 mt-1">{current.address}</p>}
+            </div>
+          </Popup>
+        </Marker>
+      )}
+    </>
+  );
+}
+
+// Range picker, scrubber, play/pause and speed
+export function HistoryPanel({ playback, people }) {
+  const {
+    track, points, analysis, isLoading, error, position, setPosition, duration,
+    current, isPlaying, togglePlay, speed, setSpeed, load, clear, showTrip, showStay,
+    download, isDownloading, importTrack, importReport, isImporting
+  } = playback;
+
+  const [personId, setPersonId] = useState(people[0]?.userId ?? '');
+  const [from, setFrom] = useState(() => {
+    const midnight = new Date();
+    midnight.setHours(0, 0, 0, 0);
+    return toLocalInput(midnight);
+  });
+  const [to, setTo] = useState(() => toLocalInput(new Date()));
+  const [format, setFormat] = useState(EXPORT_FORMATS[0]);
+
+  const selectedId = people.some(p => p.userId === personId) ? personId : people[0]?.userId;
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) importTrack(file);
+  };
+
+  const handleLoad = (e) => {
+    e.preventDefault();
+    if (selectedId) {
+      load(selectedId, new Date(from), new Date(to));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mt-6">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-900">History</h2>
+        {track && (
+          <button onClick={clear} className="text-sm text-gray-500 hover:text-gray-900">
+            Clear
+          </button>
+        )}
+      </div>
+
+      <form onSubmit={handleLoad} className="flex flex-wrap items-end gap-3">
+        <label className="text-sm text-gray-600">
+          Person
+          <select
+            value={selectedId ?? ''}
+            onChange={(e) => setPersonId(e.target.value)}
+            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            {people.map(person => (
+              <option key={person.userId} value={person.userId}>{person.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-600">
+          From
+          <input
+            type="datetime-local"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+        <label className="text-sm text-gray-600">
+          To
+          <input
+            type="datetime-local"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={isLoading || !selectedId}
+          className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-purple-500 hover:bg-purple-600 disabled:opacity-50"
+        >
+          {isLoading ? 'Loading…' : 'Show route'}
+        </button>
+        <label className="px-4 py-2 rounded-lg text-sm font-semibold text-purple-600 border border-purple-300 hover:bg-purple-50 cursor-pointer">
+          {isImporting ? 'Importing…' : '⬆ Import track'}
+          <input
+            type="file"
+            accept=".gpx,.geojson,.json,.csv"
+            onChange={handleImport}
+            disabled={isImporting}
+            className="hidden"
+          />
+        </label>
+      </form>
+
+      {importReport && (
+        <div className="text-sm text-gray-600 mt-3">
+          <p>
+            📥 {importReport.fileName}: <span className="text-green-600 font-semibold">{importReport.accepted} imported</span>
+            {importReport.rejected > 0 && <>, <span className="text-red-600">{importReport.rejected} skipped</span></>}
+          </p>
+          {Object.entries(importReport.reasons).map(([reason, count]) => (
+            <p key={reason} className="text-xs text-gray-500 ml-5">{count} × {reason}</p>
+          ))}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 mt-3">⚠️ {error}</p>}
+
+      {track && points.length === 0 && (
+        <p className="text-sm text-gray-500 mt-3">No locations recorded in this range.</p>
+      )}
+
+      {points.length > 0 && (
+        <div className="mt-4 space-y-2">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={togglePlay}
+              disabled={duration === 0}
+              className="w-10 h-10 rounded-full text-white bg-purple-500 hover:bg-purple-600 disabled:opacity-50"
+              aria-label={isPlaying ? 'Pause' : 'Play'}
+            >
+              {isPlaying ? '❚❚' : '▶'}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={duration}
+              step={1000}
+              value={position}
+              onChange={(e) => setPosition(Number(e.target.value))}
+              className="flex-1"
+            />
+            <select
+              value={speed}
+              onChange={(e) => setSpeed(Number(e.target.value))}
+              className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+            >
+              {SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+            </select>
+          </div>
+          <div className="flex justify-between text-xs text-gray-500">
+            <span>{current && new Date(current.t).toLocaleString()}</span>
+            <span>{points.length} points · {formatDuration(duration)}</span>
+          </div>
+          {current?.address && <p className="text-sm text-gray-600">📍 {current.address}</p>}
+          <div className="flex items-center gap-2 pt-1">
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+            >
+              {EXPORT_FORMATS.map(f => <option key={f} value={f}>{f.toUpperCase()}</option>)}
+            </select>
+            <button
+              onClick={() => download(format)}
+              disabled={isDownloading}
+              className="px-3 py-1 rounded-lg text-sm font-semibold text-purple-600 border border-purple-300 hover:bg-purple-50 disabled:opacity-50"
+            >
+              {isDownloading ? 'Preparing…' : '⬇ Download track'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {analysis && points.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+          <div>
+            <h3 className="font-semibold text-gray-700 mb-2">
+              Trips
+              <span className="text-xs font-normal text-gray-500 ml-2">
+                {analysis.trips.length} · {formatDistance(analysis.totals.distance)} total
+              </span>
+            </h3>
+            {analysis.trips.length === 0 ? (
+              <p className="text-sm text-gray-500">No trips in this range.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto text-sm">
+                {analysis.trips.map(trip => (
+                  <li key={trip.startedAt}>
+                    <button onClick={() => showTrip(trip)} className="w-full text-left py-2 hover:bg-gray-50">
+                      <span className="text-gray-700">
+                        {formatTime(trip.startedAt)} – {formatTime(trip.endedAt)}
+                      </span>
+                      <span className="text-xs text-gray-500 ml-2">
+                        {formatDistance(trip.distance)} · {formatDuration(trip.duration * 1000)} ·
+                        avg {trip.avgSpeed} km/h · max {trip.maxSpeed} km/h
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <div>
+            <h3 className="font-semibold text-gray-700 mb-2">
+              Stays
+              <span className="text-xs font-normal text-gray-500 ml-2">{analysis.stays.length}</span>
+            </h3>
+            {analysis.stays.length === 0 ? (
+              <p className="text-sm text-gray-500">No stays in this range.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto text-sm">
+                {analysis.stays.map(stay => (
+                  <li key={stay.arrivedAt}>
+                    <button onClick={() => showStay(stay)} className="w-full text-left py-2 hover:bg-gray-50">
+                      <span className="text-gray-700">
+                        {formatTime(stay.arrivedAt)} – {formatTime(stay.departedAt)}
+                      </span>
+                      <span className="text-xs text-gray-500 ml-2">
+                        {formatDuration(stay.duration * 1000)}{stay.address && ` · ${stay.address}`}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
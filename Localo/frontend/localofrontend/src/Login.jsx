@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { apiRequest } from './api';
+
+function Login({ onLogin }) {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    const result = await apiRequest(`/auth/${mode}`, {
+      method: 'POST',
+      body: JSON.stringify({ username, password })
+    }, 0);
+
+    setIsSubmitting(false);
+
+    if (result?.token) {
+      onLogin(result);
+    } else {
+      setError(result?.error || 'Unable to reach the server');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+      <div className="bg-white rounded-xl shadow-lg p-8 w-full max-w-sm">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-lg flex items-center justify-center">
+            <span className="text-white text-xl font-bold">L</span>
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Localo</h1>
+            <p className="text-xs text-gray-500">{isRegister ? 'Create an account' : 'Sign in'}</p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="username">
+              Username
+            </label>
+            <input
+              id="username"
+              type="text"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="password">
+              Password
+            </label>
+            <input
+              id="password"
+              type="password"
+              autoComplete={isRegister ? 'new-password' : 'current-password'}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              minLength={isRegister ? 8 : undefined}
+              required
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-600">⚠️ {error}</p>}
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full px-6 py-3 rounded-lg font-semibold text-white bg-blue-500 hover:bg-blue-600 disabled:opacity-50 transition-all"
+          >
+            {isSubmitting ? 'Please wait…' : isRegister ? 'Create account' : 'Sign in'}
+          </button>
+        </form>
+
+        <p className="text-sm text-gray-600 mt-4 text-center">
+          {isRegister ? 'Already have an account?' : 'New to Localo?'}{' '}
+          <button
+            type="button"
+            onClick={() => { setMode(isRegister ? 'login' : 'register'); setError(null); }}
+            className="text-blue-600 hover:underline"
+          >
+            {isRegister ? 'Sign in' : 'Create one'}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Circle, Polyline, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { CONFIG } from './config';
+import { PRECISION_RADIUS } from './sharing';
+
+const REFRESH_INTERVAL = 10000;
+
+const sharedIcon = L.divIcon({
+  className: 'custom-marker',
+  html: `<div style="width:32px;height:32px;background:#ef4444;border:3px solid white;border-radius:50%;box-shadow:0 2px 8px rgba(0,0,0,0.3);"></div>`,
+  iconSize: [32, 32],
+  iconAnchor: [16, 16],
+});
+
+const blurStyle = { color: '#ef4444', weight: 1, dashArray: '4 4', fillOpacity: 0.08 };
+const trailStyle = { color: '#8b5cf6', weight: 4, opacity: 0.7 };
+
+const formatTime = (iso) => new Date(iso).toLocaleString([], {
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Public share endpoints: no session, the password travels as a header.
+// Resolves to { status, data }, or null when the server can't be reached.
+async function fetchShared(path, password) {
+  try {
+    const response = await fetch(`${CONFIG.apiUrl}/shared/${path}`, {
+      headers: password ? { 'X-Share-Password': password } : {}
+    });
+    return { status: response.status, data: await response.json().catch(() => null) };
+  } catch {
+    return null;
+  }
+}
+
+function FollowPosition({ position }) {
+  const map = useMap();
+  const lat = position?.[0];
+  const lng = position?.[1];
+
+  useEffect(() => {
+    if (lat !== undefined) map.setView([lat, lng], map.getZoom(), { animate: true });
+  }, [lat, lng, map]);
+
+  return null;
+}
+
+// Read-only page behind a share link (/share/:token): the sharer's live
+// position and recent trail, refreshed every 10 seconds
+export default function ShareViewer({ token }) {
+  const [shared, setShared] = useState(null);
+  const [trail, setTrail] = useState([]);
+  const [password, setPassword] = useState('');
+  const [unlocked, setUnlocked] = useState(null); // the password that got us in
+  const [needsPassword, setNeedsPassword] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async (attempt) => {
+    const key = encodeURIComponent(token);
+    const [info, path] = await Promise.all([fetchShared(key, attempt), fetchShared(`${key}/trail`, attempt)]);
+
+    if (!info) {
+      setError('Unable to reach the server');
+      return;
+    }
+    if (info.status === 401) {
+      setNeedsPassword(true);
+      setError(attempt ? info.data?.error : null);
+      return;
+    }
+    if (info.status !== 200) {
+      setShared(null);
+      setError(info.data?.error ?? 'This link is not available');
+      return;
+    }
+
+    setNeedsPassword(false);
+    setError(null);
+    setShared(info.data);
+    if (path?.status === 200) setTrail(path.data.trail);
+  }, [token]);
+
+  useEffect(() => {
+    if (needsPassword) return;
+    load(unlocked);
+    const timer = setInterval(() => load(unlocked), REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [load, unlocked, needsPassword]);
+
+  const unlock = async (e) => {
+    e.preventDefault();
+    await load(password);
+    setUnlocked(password);
+  };
+
+  if (needsPassword) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <form onSubmit={unlock} className="bg-white rounded-xl shadow-lg p-6 w-full max-w-sm space-y-3">
+          <h1 className="text-lg font-semibold text-gray-900">🔒 This location is password protected</h1>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoFocus
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button type="submit" className="w-full px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg">
+            View location
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  if (!shared) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <p className="text-gray-600">{error ?? 'Loading…'}</p>
+      </div>
+    );
+  }
+
+  const { position } = shared;
+  const center = position ? [position.location.lat, position.location.lng] : null;
+  const lastPoint = trail[trail.length - 1];
+  const mapCenter = center ?? (lastPoint ? [lastPoint.location.lat, lastPoint.location.lng] : [0, 0]);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm border-b border-gray-200 px-4 py-4">
+        <h1 className="text-xl font-bold text-gray-900">📍 {shared.sharedBy ?? 'Someone'} is sharing their location</h1>
+        <p className="text-sm text-gray-500">
+          Link expires {formatTime(shared.expiresAt)}
+          {position && ` · last seen ${formatTime(position.lastSeen)}`}
+        </p>
+        {shared.paused && <p className="text-sm text-amber-600 mt-1">⏸️ Sharing is paused for now</p>}
+        {!shared.paused && !position && <p className="text-sm text-gray-600 mt-1">⚫ Not tracking right now</p>}
+        {error && <p className="text-sm text-red-600 mt-1">⚠️ {error}</p>}
+      </header>
+
+      <div className="h-[calc(100vh-96px)]">
+        <MapContainer center={mapCenter} zoom={center || lastPoint ? 14 : 2} style={{ height: '100%', width: '100%' }}>
+          <TileLayer
+            attribution='&copy; OpenStreetMap'
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
+          <FollowPosition position={center} />
+
+          {trail.length > 1 && (
+            <Polyline positions={trail.map(p => [p.location.lat, p.location.lng])} pathOptions={trailStyle} />
+          )}
+
+          {center && PRECISION_RADIUS[shared.precision] && (
+            <Circle center={center} radius={PRECISION_RADIUS[shared.precision]} pathOptions={blurStyle} />
+          )}
+
+          {center && (
+            <Marker position={center} icon={sharedIcon}>
+              <Popup>
+                <div className="text-center">
+                  <p className="font-semibold text-red-600">{shared.sharedBy}</p>
+                  {position.address && <p className="text-xs text-gray-600 mt-1">{position.address}</p>}
+                  {PRECISION_RADIUS[shared.precision] && (
+                    <p className="text-xs text-gray-500 mt-1">Approximate location</p>
+                  )}
+                </div>
+              </Popup>
+            </Marker>
+          )}
+        </MapContainer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { PRECISION_LABELS, PAUSE_HOURS, LINK_HOURS, shareUrl } from './sharing';
+
+const formatTime = (iso) => new Date(iso).toLocaleString([], {
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Public links to my live position: create (shown once), list and revoke
+function ShareLinks({ sharingState }) {
+  const { settings, links, createLink, revokeLink } = sharingState;
+  const [hours, setHours] = useState(LINK_HOURS[0]);
+  const [precision, setPrecision] = useState('');
+  const [password, setPassword] = useState('');
+  const [created, setCreated] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleCreate = async () => {
+    setMessage(null);
+    const result = await createLink({ hours, precision: precision || null, password: password || null });
+    if (result?.link) {
+      setCreated(shareUrl(result.link.token));
+      setPassword('');
+    } else {
+      setMessage(result?.error ?? 'Unable to reach the server');
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    setMessage(null);
+    const result = await revokeLink(id);
+    if (result?.error) setMessage(result.error);
+  };
+
+  return (
+    <div className="border-t border-gray-100 mt-4 pt-4 text-sm">
+      <h4 className="font-medium text-gray-700 mb-2">Share links</h4>
+      <p className="text-gray-500 mb-3">
+        Anyone with the link sees your live position and recent trail until it expires, without signing in.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-2">
+        <select
+          value={hours}
+          onChange={(e) => setHours(Number(e.target.value))}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          {LINK_HOURS.map(h => (
+            <option key={h} value={h}>{h < 24 ? `${h} hour${h === 1 ? '' : 's'}` : `${h / 24} day${h === 24 ? '' : 's'}`}</option>
+          ))}
+        </select>
+        <select
+          value={precision}
+          onChange={(e) => setPrecision(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="">Default precision</option>
+          {settings.precisions.map(p => (
+            <option key={p} value={p}>{PRECISION_LABELS[p] ?? p}</option>
+          ))}
+        </select>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password (optional)"
+          maxLength={128}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <button
+          onClick={handleCreate}
+          className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg"
+        >
+          Create link
+        </button>
+      </div>
+
+      {created && (
+        <div className="flex items-center gap-2 mt-3">
+          <input
+            readOnly
+            value={created}
+            onFocus={(e) => e.target.select()}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm bg-gray-50"
+          />
+          <button
+            onClick={() => navigator.clipboard?.writeText(created)}
+            className="text-blue-600 hover:underline"
+          >
+            Copy
+          </button>
+        </div>
+      )}
+
+      {message && <p className="text-red-600 mt-2">{message}</p>}
+
+      {links.length > 0 && (
+        <ul className="mt-3 divide-y divide-gray-100">
+          {links.map(link => (
+            <li key={link.id} className="flex items-center justify-between py-2">
+              <span className="text-gray-600">
+                {link.hasPassword && '🔒 '}
+                {PRECISION_LABELS[link.precision] ?? link.precision}, expires {formatTime(link.expiresAt)}
+              </span>
+              <button
+                onClick={() => handleRevoke(link.id)}
+                className="text-red-600 hover:underline"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// How precisely others see me, per circle, pausing altogether and share links
+export default function SharingPanel({ sharingState, circle }) {
+  const { settings, setPrecision, setCirclePrecision, circlePrecision, pause, resume } = sharingState;
+  const [message, setMessage] = useState(null);
+
+  if (!settings) return null;
+
+  const run = async (action) => {
+    setMessage(null);
+    const result = await action();
+    if (result?.error) setMessage(result.error);
+    else if (!result) setMessage('Unable to reach the server');
+  };
+
+  const override = circle ? circlePrecision(circle.id) : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 mt-6">
+      <h3 className="font-semibold text-gray-700 mb-3">Sharing</h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+        <label className="text-gray-600">
+          Default precision
+          <select
+            value={settings.precision}
+            onChange={(e) => run(() => setPrecision(e.target.value))}
+            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            {settings.precisions.map(p => (
+              <option key={p} value={p}>{PRECISION_LABELS[p] ?? p}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="text-gray-600">
+          In {circle ? circle.name : 'this circle'}
+          <select
+            value={override ?? ''}
+            onChange={(e) => run(() => setCirclePrecision(circle.id, e.target.value || null))}
+            disabled={!circle}
+            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            <option value="">Use default</option>
+            {settings.precisions.map(p => (
+              <option key={p} value={p}>{PRECISION_LABELS[p] ?? p}</option>
+            ))}
+          </select>
+        </label>
+
+        <div className="text-gray-600">
+          {settings.pausedUntil ? (
+            <>
+              <p>⏸️ Paused until {formatTime(settings.pausedUntil)}</p>
+              <button
+                onClick={() => run(resume)}
+                className="mt-1 text-blue-600 hover:underline"
+              >
+                Resume sharing
+              </button>
+            </>
+          ) : (
+            <>
+              <p>Pause sharing for</p>
+              <div className="flex gap-2 mt-1">
+                {PAUSE_HOURS.map(hours => (
+                  <button
+                    key={hours}
+                    onClick={() => run(() => pause(hours))}
+                    className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    {hours}h
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {message && <p className="text-sm text-red-600 mt-2">{message}</p>}
+
+      <ShareLinks sharingState={sharingState} />
+    </div>
+  );
+}
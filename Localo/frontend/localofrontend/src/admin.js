@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiRequest } from './api';
+
+export const PAGE_SIZE = 25;
+
+// Update-rate windows (seconds) offered on the busiest-users list
+export const RATE_WINDOWS = { 300: '5 min', 3600: '1 hour', 86400: '24 hours' };
+
+// Admin data: system stats, the user list (search + paging), the busiest
+// senders and one user's details. Actions return the server's answer so the
+// page can show its error.
+export function useAdmin() {
+  const [stats, setStats] = useState(null);
+  const [users, setUsers] = useState({ users: [], total: 0 });
+  const [rates, setRates] = useState([]);
+  const [search, setSearch] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [rateWindow, setRateWindow] = useState(3600);
+
+  const refreshStats = useCallback(async () => {
+    const data = await apiRequest('/admin/stats');
+    if (data?.users) setStats(data);
+  }, []);
+
+  const refreshUsers = useCallback(async () => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+    if (search.trim()) params.set('search', search.trim());
+    const data = await apiRequest(`/admin/users?${params}`);
+    if (data?.users) setUsers(data);
+  }, [search, offset]);
+
+  const refreshRates = useCallback(async () => {
+    const data = await apiRequest(`/admin/rates?window=${rateWindow}`);
+    if (data?.users) setRates(data.users);
+  }, [rateWindow]);
+
+  const refresh = useCallback(
+    () => Promise.all([refreshStats(), refreshUsers(), refreshRates()]),
+    [refreshStats, refreshUsers, refreshRates]
+  );
+
+  useEffect(() => {
+    refreshStats();
+  }, [refreshStats]);
+
+  useEffect(() => {
+    refreshUsers();
+  }, [refreshUsers]);
+
+  useEffect(() => {
+    refreshRates();
+  }, [refreshRates]);
+
+  // A new search starts on the first page
+  const searchFor = useCallback((text) => {
+    setSearch(text);
+    setOffset(0);
+  }, []);
+
+  const loadUser = useCallback((userId) => apiRequest(`/admin/users/${encodeURIComponent(userId)}`), []);
+
+  const stopTracking = useCallback(async (userId) => {
+    const data = await apiRequest(`/admin/users/${encodeURIComponent(userId)}/stop`, { method: 'POST' }, 0);
+    if (data?.success) await refresh();
+    return data;
+  }, [refresh]);
+
+  const deleteUser = useCallback(async (userId) => {
+    const data = await apiRequest(`/admin/users/${encodeURIComponent(userId)}`, { method: 'DELETE' }, 0);
+    if (data?.success) await refresh();
+    return data;
+  }, [refresh]);
+
+  return {
+    stats,
+    users: users.users,
+    total: users.total,
+    rates,
+    search,
+    offset,
+    rateWindow,
+    searchFor,
+    setOffset,
+    setRateWindow,
+    refresh,
+    loadUser,
+    stopTracking,
+    deleteUser
+  };
+}
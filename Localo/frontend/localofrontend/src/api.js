@@ -0,0 +1,104 @@
+import { CONFIG } from './config';
+
+const SESSION_KEY = 'localo-session';
+
+// Session persistence ({ token, user: { userId, username } })
+export function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function saveSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+let unauthorizedHandler = null;
+
+// Called when the server rejects our token so the app can return to login
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+}
+
+// API client with retry logic (client errors are returned, not retried)
+export async function apiRequest(endpoint, options = {}, retries = CONFIG.maxRetries) {
+  const token = loadSession()?.token;
+
+  try {
+    const response = await fetch(`${CONFIG.apiUrl}${endpoint}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...options.headers
+      }
+    });
+
+    if (response.status === 401 && token) {
+      unauthorizedHandler?.();
+      return null;
+    }
+
+    if (response.status >= 400 && response.status < 500) {
+      return response.json().catch(() => null);
+    }
+
+    if (!response.ok && retries > 0) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return apiRequest(endpoint, options, retries - 1);
+    }
+
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    if (retries > 0) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return apiRequest(endpoint, options, retries - 1);
+    }
+    console.error('API request failed:', error);
+    return null;
+  }
+}
+
+// Fetches a file with the session token and hands it to the browser as a
+// download (plain links can't carry the Authorization header)
+export async function downloadFile(endpoint, filename) {
+  const token = loadSession()?.token;
+
+  try {
+    const response = await fetch(`${CONFIG.apiUrl}${endpoint}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+
+    if (response.status === 401 && token) {
+      unauthorizedHandler?.();
+      return { error: 'Session expired' };
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      return { error: data?.error || 'Download failed' };
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const name = disposition.match(/filename="([^"]+)"/)?.[1] || filename;
+    const url = URL.createObjectURL(await response.blob());
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Download failed:', error);
+    return { error: 'Download failed' };
+  }
+}
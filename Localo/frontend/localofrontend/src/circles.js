@@ -0,0 +1,116 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiRequest } from './api';
+
+const SELECTED_KEY = 'localo-circle';
+
+// Invite links open the app with ?join=<code>
+export function inviteLink(code) {
+  return `${window.location.origin}${window.location.pathname}?join=${code}`;
+}
+
+// Circles the user belongs to, the one on screen and its members
+export function useCircles() {
+  const [circles, setCircles] = useState([]);
+  const [selectedId, setSelectedId] = useState(() => Number(localStorage.getItem(SELECTED_KEY)) || null);
+  const [members, setMembers] = useState([]);
+
+  const refresh = useCallback(async () => {
+    const data = await apiRequest('/circles');
+    if (data?.circles) {
+      setCircles(data.circles);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Fall back to the first circle if the saved one is gone
+  const selected = circles.find(c => c.id === selectedId) || circles[0] || null;
+  const selectedCircleId = selected?.id ?? null;
+
+  const select = useCallback((id) => {
+    setSelectedId(id);
+    localStorage.setItem(SELECTED_KEY, String(id));
+  }, []);
+
+  const refreshMembers = useCallback(async () => {
+    if (!selectedCircleId) {
+      setMembers([]);
+      return;
+    }
+    const data = await apiRequest(`/circles/${selectedCircleId}/members`);
+    if (data?.members) {
+      setMembers(data.members);
+    }
+  }, [selectedCircleId]);
+
+  useEffect(() => {
+    refreshMembers();
+  }, [refreshMembers]);
+
+  const create = useCallback(async (name) => {
+    const data = await apiRequest('/circles', {
+      method: 'POST',
+      body: JSON.stringify({ name })
+    }, 0);
+    if (data?.circle) {
+      await refresh();
+      select(data.circle.id);
+    }
+    return data;
+  }, [refresh, select]);
+
+  const join = useCallback(async (code) => {
+    const data = await apiRequest('/circles/join', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    }, 0);
+    if (data?.circle) {
+      await refresh();
+      select(data.circle.id);
+    }
+    return data;
+  }, [refresh, select]);
+
+  const leave = useCallback(async (id) => {
+    const data = await apiRequest(`/circles/${id}/leave`, { method: 'POST' }, 0);
+    if (data?.success) {
+      await refresh();
+    }
+    return data;
+  }, [refresh]);
+
+  const rotateInvite = useCallback(async (id) => {
+    const data = await apiRequest(`/circles/${id}/invite`, { method: 'POST' }, 0);
+    if (data?.inviteCode) {
+      await refresh();
+    }
+    return data;
+  }, [refresh]);
+
+  const setRole = useCallback(async (id, memberId, role) => {
+    const data = await apiRequest(`/circles/${id}/members/${memberId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ role })
+    }, 0);
+    if (data?.success) {
+      await refreshMembers();
+    }
+    return data;
+  }, [refreshMembers]);
+
+  return {
+    circles,
+    selected,
+    members,
+    select,
+    refresh,
+    refreshMembers,
+    create,
+    join,
+    leave,
+    rotateInvite,
+    setRole
+  };
+}
@@ -0,0 +1,12 @@
+// Configuration
+export const CONFIG = {
+  apiUrl: 'http://localhost:3001/api',
+  socketUrl: 'http://localhost:3001',
+  pollingInterval: 3000, // fallback while the socket is down
+  staleUserThreshold: 5 * 60 * 1000, // matches the server's inactive threshold
+  heartbeatInterval: 30000,
+  locationUpdateThrottle: 2000, // 2 seconds
+  maxRetries: 3,
+  offlineBatchSize: 200, // fixes per replay request (server allows 500)
+  offlineRetryInterval: 15000 // replay attempts while fixes are queued
+};
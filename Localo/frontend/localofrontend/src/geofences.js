@@ -0,0 +1,92 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiRequest } from './api';
+
+const EVENTS_SHOWN = 50;
+
+export const DEFAULT_RADIUS = 150; // meters
+
+// Blank draft for a new place; center/points are filled in by clicking the map
+export function newDraft(shape) {
+  return { id: null, name: '', shape, center: null, radius: DEFAULT_RADIUS, points: [] };
+}
+
+export function isDraftComplete(draft) {
+  if (!draft?.name.trim()) return false;
+  return draft.shape === 'circle' ? Boolean(draft.center) : draft.points.length >= 3;
+}
+
+// Places of the circle on screen, their ENTER/EXIT log and the place being edited
+export function useGeofences(circleId) {
+  const [fences, setFences] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [draft, setDraft] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!circleId) {
+      setFences([]);
+      setEvents([]);
+      return;
+    }
+
+    const [fenceData, eventData] = await Promise.all([
+      apiRequest(`/geofences?circleId=${circleId}`),
+      apiRequest(`/geofences/events?circleId=${circleId}&limit=${EVENTS_SHOWN}`)
+    ]);
+    if (fenceData?.geofences) setFences(fenceData.geofences);
+    if (eventData?.events) setEvents(eventData.events);
+  }, [circleId]);
+
+  useEffect(() => {
+    setDraft(null);
+    refresh();
+  }, [refresh]);
+
+  // Live events pushed over the socket
+  const addEvent = useCallback((event) => {
+    setEvents(prev => [event, ...prev].slice(0, EVENTS_SHOWN));
+  }, []);
+
+  const save = useCallback(async () => {
+    if (!isDraftComplete(draft)) return null;
+
+    const body = JSON.stringify({
+      circleId,
+      name: draft.name.trim(),
+      shape: draft.shape,
+      center: draft.center,
+      radius: draft.radius,
+      points: draft.points
+    });
+    const data = draft.id
+      ? await apiRequest(`/geofences/${draft.id}`, { method: 'PUT', body }, 0)
+      : await apiRequest('/geofences', { method: 'POST', body }, 0);
+
+    if (data?.geofence) {
+      setDraft(null);
+      await refresh();
+    }
+    return data;
+  }, [circleId, draft, refresh]);
+
+  const remove = useCallback(async (id) => {
+    const data = await apiRequest(`/geofences/${id}`, { method: 'DELETE' }, 0);
+    if (data?.success) {
+      setDraft(prev => (prev?.id === id ? null : prev));
+      await refresh();
+    }
+    return data;
+  }, [refresh]);
+
+  const edit = useCallback((fence) => {
+    setDraft({
+      id: fence.id,
+      name: fence.name,
+      shape: fence.shape,
+      center: fence.center,
+      radius: fence.radius ?? DEFAULT_RADIUS,
+      points: fence.points ?? []
+    });
+  }, []);
+
+  return { fences, events, draft, setDraft, edit, save, remove, refresh, addEvent };
+}
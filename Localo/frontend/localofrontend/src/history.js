@@ -0,0 +1,224 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { apiRequest, downloadFile } from './api';
+
+const MAX_POINTS = 50000; // safety cap across pages
+
+export const SPEEDS = [1, 10, 60, 300, 1200];
+export const EXPORT_FORMATS = ['gpx', 'kml', 'geojson'];
+const IMPORT_FORMATS = ['gpx', 'geojson', 'json', 'csv'];
+
+// Value for <input type="datetime-local"> in local time
+export function toLocalInput(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Position along the track at time t (ms), interpolated between fixes
+export function positionAt(points, t) {
+  if (points.length === 0) return null;
+  if (t <= points[0].t) return points[0];
+  if (t >= points[points.length - 1].t) return points[points.length - 1];
+
+  let lo = 0;
+  let hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].t <= t) lo = mid;
+    else hi = mid;
+  }
+
+  const a = points[lo];
+  const b = points[hi];
+  const f = b.t === a.t ? 0 : (t - a.t) / (b.t - a.t);
+  return {
+    lat: a.lat + (b.lat - a.lat) * f,
+    lng: a.lng + (b.lng - a.lng) * f,
+    t,
+    address: a.address
+  };
+}
+
+// Loads a user's track for a time range (with its trips and stays) and
+// animates a playhead along it
+export function useHistoryPlayback() {
+  const [track, setTrack] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [focus, setFocus] = useState(null); // bounds to zoom the map to
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [position, setPosition] = useState(0); // ms since the first point
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(60);
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [importReport, setImportReport] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const load = useCallback(async (userId, from, to) => {
+    setIsLoading(true);
+    setError(null);
+    setIsPlaying(false);
+    setAnalysis(null);
+    setFocus(null);
+
+    const range = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+    const analysisRequest = Promise.all([
+      apiRequest(`/users/${encodeURIComponent(userId)}/trips?${range}`),
+      apiRequest(`/users/${encodeURIComponent(userId)}/stays?${range}`)
+    ]);
+
+    const points = [];
+    let cursor = null;
+    do {
+      const params = new URLSearchParams(range);
+      if (cursor) params.set('cursor', cursor);
+
+      const data = await apiRequest(`/history/${encodeURIComponent(userId)}?${params}`);
+      if (!data?.history) {
+        setError(data?.error || 'Failed to load history');
+        setIsLoading(false);
+        return;
+      }
+
+      data.history.forEach(point => points.push({
+        lat: point.location.lat,
+        lng: point.location.lng,
+        t: new Date(point.trackedAt).getTime(),
+        address: point.address
+      }));
+      cursor = data.nextCursor;
+    } while (cursor && points.length < MAX_POINTS);
+
+    setTrack({ userId, from, to, points });
+    setPosition(0);
+
+    const [tripData, stayData] = await analysisRequest;
+    setAnalysis({
+      trips: tripData?.trips ?? [],
+      totals: tripData?.totals ?? { distance: 0, duration: 0 },
+      stays: stayData?.stays ?? []
+    });
+    setIsLoading(false);
+  }, []);
+
+  const clear = useCallback(() => {
+    setTrack(null);
+    setAnalysis(null);
+    setFocus(null);
+    setIsPlaying(false);
+    setPosition(0);
+  }, []);
+
+  // Download the loaded range in a GIS format (streamed by the server)
+  const download = useCallback(async (format) => {
+    if (!track) return;
+    setIsDownloading(true);
+    setError(null);
+
+    const params = new URLSearchParams({ format, from: track.from.toISOString(), to: track.to.toISOString() });
+    const result = await downloadFile(
+      `/history/${encodeURIComponent(track.userId)}/export?${params}`,
+      `localo-track.${format}`
+    );
+    if (result.error) setError(result.error);
+    setIsDownloading(false);
+  }, [track]);
+
+  // Upload an old GPX/GeoJSON/CSV track into your own history
+  const importTrack = useCallback(async (file) => {
+    const format = file.name.split('.').pop().toLowerCase();
+    setIsImporting(true);
+    setImportReport(null);
+    setError(null);
+
+    const params = IMPORT_FORMATS.includes(format) ? `?format=${format}` : '';
+    const data = await apiRequest(`/history/import${params}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: await file.text()
+    }, 0);
+
+    if (data?.success) {
+      setImportReport({ fileName: file.name, ...data });
+    } else {
+      setError(data?.error || 'Import failed');
+    }
+    setIsImporting(false);
+  }, []);
+
+  const points = useMemo(() => track?.points ?? [], [track]);
+  const start = points[0]?.t ?? 0;
+  const duration = points.length > 1 ? points[points.length - 1].t - start : 0;
+
+  // Advance the playhead in real time scaled by speed
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      const elapsed = (now - last) * speed;
+      last = now;
+      setPosition(prev => Math.min(prev + elapsed, duration));
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, speed, duration]);
+
+  // Stop at the end of the track
+  useEffect(() => {
+    if (isPlaying && position >= duration) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, position, duration]);
+
+  const togglePlay = useCallback(() => {
+    if (duration === 0) return;
+    setPosition(prev => (prev >= duration ? 0 : prev));
+    setIsPlaying(prev => !prev);
+  }, [duration]);
+
+  const current = useMemo(() => positionAt(points, start + position), [points, start, position]);
+
+  // Zoom to a trip and move the playhead to its start
+  const showTrip = useCallback((trip) => {
+    setFocus(trip.bounds);
+    setIsPlaying(false);
+    setPosition(Math.max(0, new Date(trip.startedAt).getTime() - start));
+  }, [start]);
+
+  const showStay = useCallback((stay) => {
+    const { lat, lng } = stay.center;
+    const pad = 0.002; // ~200 m
+    setFocus([[lat - pad, lng - pad], [lat + pad, lng + pad]]);
+    setIsPlaying(false);
+    setPosition(Math.max(0, new Date(stay.arrivedAt).getTime() - start));
+  }, [start]);
+
+  return {
+    track,
+    points,
+    analysis,
+    focus,
+    showTrip,
+    showStay,
+    isLoading,
+    error,
+    position,
+    setPosition,
+    duration,
+    current,
+    isPlaying,
+    togglePlay,
+    speed,
+    setSpeed,
+    load,
+    clear,
+    download,
+    isDownloading,
+    importTrack,
+    importReport,
+    isImporting
+  };
+}
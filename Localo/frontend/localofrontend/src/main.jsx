@@ -1,10 +1,20 @@
 import './index.css'
 import App from './App.jsx'
+import ShareViewer from './ShareViewer.jsx'
+import Admin from './Admin.jsx'
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import './index.css'
+
+// /share/<token> opens the public viewer, /admin the support page,
+// everything else the app
+const shareToken = window.location.pathname.match(/^\/share\/([^/]+)\/?$/)?.[1]
+const isAdminPage = /^\/admin\/?$/.test(window.location.pathname)
+
+const page = shareToken ? <ShareViewer token={shareToken} /> : isAdminPage ? <Admin /> : <App />
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {page}
   </React.StrictMode>,
 )
\ No newline at end of file
@@ -0,0 +1,178 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { CONFIG } from './config';
+import { apiRequest } from './api';
+
+const DB_NAME = 'localo';
+const STORE = 'pendingFixes';
+
+// IndexedDB store of fixes that never reached the server, oldest first.
+// Falls back to memory when IndexedDB is unavailable (private mode etc.).
+let dbPromise = null;
+let memoryStore = [];
+let memoryId = 0;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('userId', 'userId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Offline queue unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Runs fn(store) in a transaction and resolves with the request's result
+async function withStore(mode, fn) {
+  const db = await openDb();
+  if (!db) return undefined;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function addFix(fix) {
+  const db = await openDb();
+  if (!db) {
+    memoryStore.push({ ...fix, id: ++memoryId });
+    return;
+  }
+  await withStore('readwrite', store => store.add(fix));
+}
+
+// Oldest fixes for a user (ids are assigned in capture order)
+async function peekFixes(userId, limit) {
+  const db = await openDb();
+  if (!db) return memoryStore.filter(fix => fix.userId === userId).slice(0, limit);
+  return withStore('readonly', store => store.index('userId').getAll(userId, limit));
+}
+
+async function deleteFixes(ids) {
+  const db = await openDb();
+  if (!db) {
+    memoryStore = memoryStore.filter(fix => !ids.includes(fix.id));
+    return;
+  }
+  await withStore('readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  });
+}
+
+async function countFixes(userId) {
+  const db = await openDb();
+  if (!db) return memoryStore.filter(fix => fix.userId === userId).length;
+  return withStore('readonly', store => store.index('userId').count(userId));
+}
+
+// Sends location fixes, parking them in IndexedDB when the network is gone
+// and replaying them in order through /location/bulk once it is back
+export function useLocationSender(userId) {
+  const [pending, setPending] = useState(0);
+  const pendingRef = useRef(0);
+  const flushingRef = useRef(null);
+
+  const refreshCount = useCallback(async () => {
+    const count = userId ? await countFixes(userId) : 0;
+    pendingRef.current = count;
+    setPending(count);
+    return count;
+  }, [userId]);
+
+  // Replay the queue oldest first; stops at the first failed request
+  const flush = useCallback(() => {
+    if (!userId) return Promise.resolve();
+    if (flushingRef.current) return flushingRef.current;
+
+    flushingRef.current = (async () => {
+      try {
+        for (;;) {
+          const batch = await peekFixes(userId, CONFIG.offlineBatchSize);
+          if (batch.length === 0) break;
+
+          const result = await apiRequest('/location/bulk', {
+            method: 'POST',
+            body: JSON.stringify({
+              fixes: batch.map(({ location, capturedAt }) => ({ location, capturedAt }))
+            })
+          }, 0);
+
+          // No answer: still offline (or the server is down), try again later;
+          // same when rate limited (429 carries retryAfter). Any other 4xx
+          // means the batch itself is bad, so it is dropped rather than
+          // blocking the queue forever.
+          if (!result || result.retryAfter) break;
+          if (result.error) console.error('Offline replay rejected:', result.error);
+
+          await deleteFixes(batch.map(fix => fix.id));
+        }
+      } catch (error) {
+        console.error('Offline replay failed:', error);
+      } finally {
+        flushingRef.current = null;
+        await refreshCount();
+      }
+    })();
+
+    return flushingRef.current;
+  }, [userId, refreshCount]);
+
+  // Live update, or straight to the queue when offline or behind older fixes
+  // The server looks up the address itself
+  const send = useCallback(async ({ location, capturedAt = Date.now() }) => {
+    const { lat, lng, accuracy, altitude, heading, speed } = location;
+    const fix = { userId, location: { lat, lng, accuracy, altitude, heading, speed }, capturedAt };
+
+    if (navigator.onLine && pendingRef.current === 0) {
+      const result = await apiRequest('/location/update', {
+        method: 'POST',
+        body: JSON.stringify({ location: fix.location, isTracking: true })
+      }, 0);
+      // Rate limited fixes are kept for the replay instead of being lost
+      if (result && !result.retryAfter) return;
+    }
+
+    try {
+      await addFix(fix);
+    } catch (error) {
+      console.error('Failed to queue location:', error);
+    }
+    await refreshCount();
+    if (navigator.onLine) flush();
+  }, [userId, refreshCount, flush]);
+
+  // Replay on reconnect, on load, and periodically while anything is queued
+  useEffect(() => {
+    if (!userId) return;
+
+    refreshCount().then(count => {
+      if (count > 0) flush();
+    });
+
+    const onOnline = () => flush();
+    window.addEventListener('online', onOnline);
+
+    const interval = setInterval(() => {
+      if (pendingRef.current > 0 && navigator.onLine) flush();
+    }, CONFIG.offlineRetryInterval);
+
+    return () => {
+      window.removeEventListener('online', onOnline);
+      clearInterval(interval);
+    };
+  }, [userId, refreshCount, flush]);
+
+  return { send, flush, pending };
+}
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiRequest } from './api';
+
+export const PRECISION_LABELS = {
+  exact: 'Exact',
+  approximate: 'Approximate (~100 m)',
+  city: 'City only'
+};
+
+export const PAUSE_HOURS = [1, 8, 24];
+
+export const LINK_HOURS = [1, 4, 24, 72];
+
+// Page a share link opens (see ShareViewer)
+export const shareUrl = (token) => `${window.location.origin}/share/${token}`;
+
+// Rough size of the area a blurred position stands for, in meters
+export const PRECISION_RADIUS = { approximate: 100, city: 10000 };
+
+// My sharing settings: default precision, per-circle overrides, pause and
+// public share links
+export function useSharing() {
+  const [settings, setSettings] = useState(null);
+  const [links, setLinks] = useState([]);
+
+  const refresh = useCallback(async () => {
+    const [data, linkData] = await Promise.all([apiRequest('/sharing'), apiRequest('/sharing/links')]);
+    if (data?.precision) setSettings(data);
+    if (linkData?.links) setLinks(linkData.links);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const update = useCallback(async (endpoint, method, body) => {
+    const data = await apiRequest(endpoint, { method, body: body && JSON.stringify(body) }, 0);
+    if (data?.precision) setSettings(data);
+    return data;
+  }, []);
+
+  const setPrecision = useCallback((precision) => update('/sharing', 'PUT', { precision }), [update]);
+
+  // precision null goes back to the default
+  const setCirclePrecision = useCallback(
+    (circleId, precision) => update(`/sharing/circles/${circleId}`, 'PUT', { precision }),
+    [update]
+  );
+
+  const pause = useCallback((hours) => update('/sharing/pause', 'POST', { hours }), [update]);
+  const resume = useCallback(() => update('/sharing/pause', 'DELETE'), [update]);
+
+  const circlePrecision = useCallback(
+    (circleId) => settings?.circles.find(c => c.circleId === circleId)?.precision ?? null,
+    [settings]
+  );
+
+  // { hours, precision?, password? }; the token only comes back this once
+  const createLink = useCallback(async (options) => {
+    const data = await apiRequest('/sharing/links', { method: 'POST', body: JSON.stringify(options) }, 0);
+    if (data?.link) {
+      const { token: _token, ...link } = data.link;
+      setLinks(prev => [link, ...prev]);
+    }
+    return data;
+  }, []);
+
+  const revokeLink = useCallback(async (id) => {
+    const data = await apiRequest(`/sharing/links/${id}`, { method: 'DELETE' }, 0);
+    if (data?.success) setLinks(prev => prev.filter(link => link.id !== id));
+    return data;
+  }, []);
+
+  return {
+    settings,
+    links,
+    setPrecision,
+    setCirclePrecision,
+    circlePrecision,
+    pause,
+    resume,
+    createLink,
+    revokeLink,
+    refresh
+  };
+}